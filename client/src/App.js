@@ -8,6 +8,7 @@ import { Elements } from '@stripe/react-stripe-js';
 
 // Context
 import { AuthProvider } from './contexts/AuthContext';
+import { OfflineFinesProvider } from './contexts/OfflineFinesContext';
 
 // Components
 import Layout from './components/Layout/Layout';
@@ -23,8 +24,18 @@ import Fines from './pages/Fines/Fines';
 import FineDetails from './pages/Fines/FineDetails';
 import CreateFine from './pages/Fines/CreateFine';
 import PayFine from './pages/Payments/PayFine';
+import Receipt from './pages/Payments/Receipt';
+import PayFines from './pages/Payments/PayFines';
+import CheckoutReceipt from './pages/Payments/CheckoutReceipt';
+import CounterPayment from './pages/Payments/CounterPayment';
+import CashUp from './pages/Payments/CashUp';
 import Violations from './pages/Violations/Violations';
 import Users from './pages/Users/Users';
+import OfficerApplication from './pages/Officers/OfficerApplication';
+import OfficerApplications from './pages/Officers/OfficerApplications';
+import LicenseConflicts from './pages/Users/LicenseConflicts';
+import VerifyFine from './pages/Verify/VerifyFine';
+import LookupFine from './pages/Verify/LookupFine';
 import NotFound from './pages/NotFound';
 
 // Initialize Stripe
@@ -46,85 +57,128 @@ function App() {
     <QueryClientProvider client={queryClient}>
       <Elements stripe={stripePromise}>
         <AuthProvider>
-          <Router>
-            <div className="App">
-              <Toaster
-                position="top-right"
-                toastOptions={{
-                  duration: 4000,
-                  style: {
-                    background: '#363636',
-                    color: '#fff',
-                  },
-                  success: {
-                    duration: 3000,
-                    iconTheme: {
-                      primary: '#22c55e',
-                      secondary: '#fff',
+          <OfflineFinesProvider>
+            <Router>
+              <div className="App">
+                <Toaster
+                  position="top-right"
+                  toastOptions={{
+                    duration: 4000,
+                    style: {
+                      background: '#363636',
+                      color: '#fff',
                     },
-                  },
-                  error: {
-                    duration: 5000,
-                    iconTheme: {
-                      primary: '#ef4444',
-                      secondary: '#fff',
+                    success: {
+                      duration: 3000,
+                      iconTheme: {
+                        primary: '#22c55e',
+                        secondary: '#fff',
+                      },
                     },
-                  },
-                }}
-              />
-              
-              <Routes>
-                {/* Public Routes */}
-                <Route path="/login" element={<Login />} />
-                <Route path="/register" element={<Register />} />
-                
-                {/* Protected Routes */}
-                <Route
-                  path="/*"
-                  element={
-                    <ProtectedRoute>
-                      <Layout>
-                        <Routes>
-                          <Route path="/" element={<Navigate to="/dashboard" replace />} />
-                          <Route path="/dashboard" element={<Dashboard />} />
-                          <Route path="/profile" element={<Profile />} />
-                          
-                          {/* Fines Routes */}
-                          <Route path="/fines" element={<Fines />} />
-                          <Route path="/fines/:id" element={<FineDetails />} />
-                          <Route 
-                            path="/fines/create" 
-                            element={
-                              <ProtectedRoute allowedRoles={['police_officer', 'admin']}>
-                                <CreateFine />
-                              </ProtectedRoute>
-                            } 
-                          />
-                          <Route path="/fines/:id/pay" element={<PayFine />} />
-                          
-                          {/* Violations Routes */}
-                          <Route path="/violations" element={<Violations />} />
-                          
-                          {/* Users Routes (Admin only) */}
-                          <Route 
-                            path="/users" 
-                            element={
-                              <ProtectedRoute allowedRoles={['admin']}>
-                                <Users />
-                              </ProtectedRoute>
-                            } 
-                          />
-                          
-                          {/* 404 Route */}
-                          <Route path="*" element={<NotFound />} />
-                        </Routes>
-                      </Layout>
-                    </ProtectedRoute>
-                  }
+                    error: {
+                      duration: 5000,
+                      iconTheme: {
+                        primary: '#ef4444',
+                        secondary: '#fff',
+                      },
+                    },
+                  }}
                 />
-              </Routes>
-            </div>
-          </Router>
+                
+                <Routes>
+                  {/* Public Routes */}
+                  <Route path="/login" element={<Login />} />
+                  <Route path="/register" element={<Register />} />
+                  <Route path="/verify/:code" element={<VerifyFine />} />
+                  <Route path="/lookup" element={<LookupFine />} />
+                  
+                  {/* Protected Routes */}
+                  <Route
+                    path="/*"
+                    element={
+                      <ProtectedRoute>
+                        <Layout>
+                          <Routes>
+                            <Route path="/" element={<Navigate to="/dashboard" replace />} />
+                            <Route path="/dashboard" element={<Dashboard />} />
+                            <Route path="/profile" element={<Profile />} />
+                            
+                            {/* Fines Routes */}
+                            <Route path="/fines" element={<Fines />} />
+                            <Route path="/fines/:id" element={<FineDetails />} />
+                            <Route 
+                              path="/fines/create" 
+                              element={
+                                <ProtectedRoute permission="fines:create">
+                                  <CreateFine />
+                                </ProtectedRoute>
+                              } 
+                            />
+                            <Route path="/fines/:id/pay" element={<PayFine />} />
+                            <Route path="/fines/:id/receipt" element={<Receipt />} />
+                            <Route path="/payments/checkout" element={<PayFines />} />
+                            <Route path="/payments/checkout/:id" element={<PayFines />} />
+                            <Route path="/payments/checkout/:id/receipt" element={<CheckoutReceipt />} />
+                            <Route 
+                              path="/fines/:id/record-payment" 
+                              element={
+                                <ProtectedRoute permission="payments:record-cash">
+                                  <CounterPayment />
+                                </ProtectedRoute>
+                              } 
+                            />
+                            <Route 
+                              path="/payments/cash-up" 
+                              element={
+                                <ProtectedRoute permission={['payments:record-cash', 'payments:view-cash-up']}>
+                                  <CashUp />
+                                </ProtectedRoute>
+                              } 
+                            />
+                            
+                            {/* Violations Routes */}
+                            <Route path="/violations" element={<Violations />} />
+                            
+                            {/* Users Routes (Admin only) */}
+                            <Route 
+                              path="/users" 
+                              element={
+                                <ProtectedRoute permission="users:manage">
+                                  <Users />
+                                </ProtectedRoute>
+                              } 
+                            />
+
+                            {/* Officer verification */}
+                            <Route path="/officer-application" element={<OfficerApplication />} />
+                            <Route 
+                              path="/officer-applications" 
+                              element={
+                                <ProtectedRoute permission="officers:verify">
+                                  <OfficerApplications />
+                                </ProtectedRoute>
+                              } 
+                            />
+                            <Route 
+                              path="/license-conflicts" 
+                              element={
+                                <ProtectedRoute permission="licenses:resolve">
+                                  <LicenseConflicts />
+                                </ProtectedRoute>
+                              } 
+                            />
+                            
+                            {/* 404 Route */}
+                            <Route path="*" element={<NotFound />} />
+                          </Routes>
+                        </Layout>
+                      </ProtectedRoute>
+                    }
+                  />
+                </Routes>
+              </div>
+            </Router>
+          </OfflineFinesProvider>
         </AuthProvider>
       </Elements>
       
@@ -3,8 +3,8 @@ import { Navigate, useLocation } from 'react-router-dom';
 import { useAuth } from '../../contexts/AuthContext';
 import LoadingSpinner from '../UI/LoadingSpinner';
 
-const ProtectedRoute = ({ children, allowedRoles = null }) => {
-  const { isAuthenticated, isLoading, user, hasRole } = useAuth();
+const ProtectedRoute = ({ children, allowedRoles = null, permission = null }) => {
+  const { isAuthenticated, isLoading, user, hasRole, hasPermission } = useAuth();
   const location = useLocation();
 
   // Show loading spinner while checking authentication
@@ -21,8 +21,8 @@ const ProtectedRoute = ({ children, allowedRoles = null }) => {
     return <Navigate to="/login" state={{ from: location }} replace />;
   }
 
-  // Check role-based access if allowedRoles is specified
-  if (allowedRoles && !hasRole(allowedRoles)) {
+  // Check role- or permission-based access if either is specified
+  if ((allowedRoles && !hasRole(allowedRoles)) || (permission && !hasPermission(permission))) {
     return (
       <div className="min-h-screen flex items-center justify-center">
         <div className="text-center">
@@ -45,9 +45,16 @@ const ProtectedRoute = ({ children, allowedRoles = null }) => {
           <p className="mt-1 text-sm text-gray-500">
             You don't have permission to access this page.
           </p>
-          <p className="mt-1 text-xs text-gray-400">
-            Required roles: {Array.isArray(allowedRoles) ? allowedRoles.join(', ') : allowedRoles}
-          </p>
+          {allowedRoles && (
+            <p className="mt-1 text-xs text-gray-400">
+              Required roles: {Array.isArray(allowedRoles) ? allowedRoles.join(', ') : allowedRoles}
+            </p>
+          )}
+          {permission && (
+            <p className="mt-1 text-xs text-gray-400">
+              Required permission: {Array.isArray(permission) ? permission.join(' or ') : permission}
+            </p>
+          )}
           <p className="mt-1 text-xs text-gray-400">
             Your role: {user?.role}
           </p>
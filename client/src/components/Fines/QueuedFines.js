@@ -0,0 +1,76 @@
+import React from 'react';
+import { ArrowPathIcon, CloudArrowUpIcon } from '@heroicons/react/24/outline';
+import { useOfflineFines } from '../../contexts/OfflineFinesContext';
+
+const formatDateTime = (date) => {
+  return new Date(date).toLocaleString('en-LK', {
+    month: 'short',
+    day: 'numeric',
+    hour: '2-digit',
+    minute: '2-digit',
+  });
+};
+
+// Fines issued offline that have not reached the server yet, shown to the officer on
+// every page until they are sent. Ones the server rejected can be discarded.
+const QueuedFines = () => {
+  const { queuedFines, isOnline, isSyncing, syncQueuedFines, discardQueuedFine } = useOfflineFines();
+
+  if (queuedFines.length === 0) {
+    return null;
+  }
+
+  const waiting = queuedFines.filter((queued) => !queued.error);
+  const rejected = queuedFines.filter((queued) => queued.error);
+
+  return (
+    <div className="mb-6 rounded-md border border-yellow-200 bg-yellow-50 p-4 text-sm text-yellow-800">
+      {waiting.length > 0 && (
+        <div className="flex flex-wrap items-center justify-between gap-2">
+          <p className="flex items-center">
+            <CloudArrowUpIcon className="h-5 w-5 mr-2" />
+            {waiting.length} fine(s) issued offline waiting to be sent
+            {!isOnline && ' when the connection returns'}
+          </p>
+          <button
+            type="button"
+            className="btn-outline"
+            disabled={!isOnline || isSyncing}
+            onClick={syncQueuedFines}
+          >
+            <ArrowPathIcon className={`h-4 w-4 mr-2 ${isSyncing ? 'animate-spin' : ''}`} />
+            {isSyncing ? 'Sending...' : 'Send now'}
+          </button>
+        </div>
+      )}
+
+      {rejected.length > 0 && (
+        <div className={waiting.length > 0 ? 'mt-3' : ''}>
+          <p className="font-medium text-red-700">Rejected by the server; reissue these before discarding them</p>
+          <ul className="mt-2 divide-y divide-yellow-200">
+            {rejected.map((queued) => (
+              <li key={queued.key} className="py-2 flex items-start justify-between gap-3">
+                <div>
+                  <p className="font-medium text-gray-900">
+                    {queued.payload.vehicleInfo?.licensePlate} · issued {formatDateTime(queued.payload.issuedAt || queued.queuedAt)}
+                  </p>
+                  <p className="text-gray-600">{queued.payload.violationMessage}</p>
+                  <p className="text-red-600">{queued.error}</p>
+                </div>
+                <button
+                  type="button"
+                  className="text-xs text-red-600 hover:text-red-800"
+                  onClick={() => discardQueuedFine(queued.key)}
+                >
+                  Discard
+                </button>
+              </li>
+            ))}
+          </ul>
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default QueuedFines;
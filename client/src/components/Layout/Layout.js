@@ -10,18 +10,22 @@ import {
   UserCircleIcon,
   ArrowRightOnRectangleIcon,
   PlusIcon,
+  BanknotesIcon,
+  ShieldCheckIcon,
+  IdentificationIcon,
 } from '@heroicons/react/24/outline';
 import { Link, useLocation } from 'react-router-dom';
 import { useAuth } from '../../contexts/AuthContext';
+import QueuedFines from '../Fines/QueuedFines';
 
 const Layout = ({ children }) => {
-  const { user, logout, isAdmin, isPoliceOfficer } = useAuth();
+  const { user, logout, hasPermission, isDriver } = useAuth();
   const location = useLocation();
 
   const navigation = [
     { name: 'Dashboard', href: '/dashboard', icon: HomeIcon, current: false },
     { name: 'My Fines', href: '/fines', icon: DocumentTextIcon, current: false },
-    ...(isPoliceOfficer() || isAdmin()
+    ...(hasPermission('fines:create')
       ? [
           {
             name: 'Create Fine',
@@ -31,13 +35,23 @@ const Layout = ({ children }) => {
           },
         ]
       : []),
+    ...(hasPermission(['payments:record-cash', 'payments:view-cash-up'])
+      ? [
+          {
+            name: 'Cash-up',
+            href: '/payments/cash-up',
+            icon: BanknotesIcon,
+            current: false,
+          },
+        ]
+      : []),
     {
       name: 'Violations',
       href: '/violations',
       icon: ExclamationTriangleIcon,
       current: false,
     },
-    ...(isAdmin()
+    ...(hasPermission('users:manage')
       ? [
           {
             name: 'Users',
@@ -47,6 +61,26 @@ const Layout = ({ children }) => {
           },
         ]
       : []),
+    ...(hasPermission('officers:verify')
+      ? [
+          {
+            name: 'Officer Applications',
+            href: '/officer-applications',
+            icon: ShieldCheckIcon,
+            current: false,
+          },
+        ]
+      : []),
+    ...(hasPermission('licenses:resolve')
+      ? [
+          {
+            name: 'License Conflicts',
+            href: '/license-conflicts',
+            icon: IdentificationIcon,
+            current: false,
+          },
+        ]
+      : []),
   ];
 
   // Update current navigation item based on current path
@@ -57,6 +91,7 @@ const Layout = ({ children }) => {
 
   const userNavigation = [
     { name: 'Your Profile', href: '/profile' },
+    ...(isDriver() ? [{ name: 'Become an Officer', href: '/officer-application' }] : []),
     { name: 'Sign out', href: '#', onClick: logout },
   ];
 
@@ -66,6 +101,16 @@ const Layout = ({ children }) => {
         return 'bg-purple-100 text-purple-800';
       case 'police_officer':
         return 'bg-green-100 text-green-800';
+      case 'station_commander':
+        return 'bg-teal-100 text-teal-800';
+      case 'clerk':
+        return 'bg-yellow-100 text-yellow-800';
+      case 'finance_clerk':
+        return 'bg-orange-100 text-orange-800';
+      case 'dispute_reviewer':
+        return 'bg-indigo-100 text-indigo-800';
+      case 'auditor':
+        return 'bg-pink-100 text-pink-800';
       case 'driver':
         return 'bg-blue-100 text-blue-800';
       default:
@@ -77,6 +122,16 @@ const Layout = ({ children }) => {
     switch (role) {
       case 'police_officer':
         return 'Police Officer';
+      case 'station_commander':
+        return 'Station Commander';
+      case 'clerk':
+        return 'Payment Clerk';
+      case 'finance_clerk':
+        return 'Finance Clerk';
+      case 'dispute_reviewer':
+        return 'Dispute Reviewer';
+      case 'auditor':
+        return 'Auditor';
       case 'admin':
         return 'Administrator';
       case 'driver':
@@ -254,6 +309,7 @@ const Layout = ({ children }) => {
 
       <main className="py-6">
         <div className="max-w-7xl mx-auto px-4 sm:px-6 lg:px-8">
+          <QueuedFines />
           {children}
         </div>
       </main>
@@ -0,0 +1,72 @@
+import React, { useState } from 'react';
+import { PaymentElement, useElements, useStripe } from '@stripe/react-stripe-js';
+import { LockClosedIcon } from '@heroicons/react/24/outline';
+import ConfirmationStatus from './ConfirmationStatus';
+
+// Card form for a Stripe Elements payment. Must be rendered inside <Elements> with the
+// intent's client secret. `onSucceeded` records the payment once the card is charged.
+const CheckoutForm = ({ returnUrl, amountLabel, onSucceeded, isConfirming, confirmError }) => {
+  const stripe = useStripe();
+  const elements = useElements();
+  const [isSubmitting, setIsSubmitting] = useState(false);
+  const [errorMessage, setErrorMessage] = useState(null);
+  const [succeededIntentId, setSucceededIntentId] = useState(null);
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    if (!stripe || !elements) return;
+
+    setIsSubmitting(true);
+    setErrorMessage(null);
+
+    const { error, paymentIntent } = await stripe.confirmPayment({
+      elements,
+      confirmParams: {
+        return_url: returnUrl,
+      },
+      redirect: 'if_required',
+    });
+
+    if (error) {
+      // Declines leave the intent open, so the same form can be submitted again
+      setErrorMessage(error.message || 'Payment failed. Please try again.');
+    } else if (paymentIntent.status === 'succeeded') {
+      setSucceededIntentId(paymentIntent.id);
+      onSucceeded(paymentIntent.id);
+    } else {
+      setErrorMessage(`Payment was not completed (status: ${paymentIntent.status}). Please try again.`);
+    }
+
+    setIsSubmitting(false);
+  };
+
+  // The card was charged but recording the payment failed, so only the confirmation is retried
+  if (succeededIntentId) {
+    return (
+      <ConfirmationStatus
+        isLoading={isConfirming}
+        error={confirmError}
+        onRetry={() => onSucceeded(succeededIntentId)}
+      />
+    );
+  }
+
+  return (
+    <form onSubmit={handleSubmit} className="space-y-6">
+      <PaymentElement />
+
+      {errorMessage && <div className="alert-danger">{errorMessage}</div>}
+
+      <button
+        type="submit"
+        className="btn-success w-full"
+        disabled={!stripe || !elements || isSubmitting}
+      >
+        <LockClosedIcon className="h-5 w-5 mr-2" />
+        {isSubmitting ? 'Processing...' : errorMessage ? `Try again – ${amountLabel}` : `Pay ${amountLabel}`}
+      </button>
+    </form>
+  );
+};
+
+export default CheckoutForm;
@@ -0,0 +1,28 @@
+import React from 'react';
+import LoadingSpinner from '../UI/LoadingSpinner';
+
+// Shown while a completed payment is recorded, with a retry if recording it fails
+const ConfirmationStatus = ({ isLoading, error, onRetry }) => {
+  if (error) {
+    return (
+      <div className="space-y-4">
+        <div className="alert-danger">
+          {error.paymentStatus === 'pending'
+            ? 'Your payment is still being processed. Check again in a moment.'
+            : error.message || 'We could not confirm your payment.'}
+        </div>
+        <button type="button" className="btn-primary" onClick={onRetry} disabled={isLoading}>
+          {isLoading ? 'Checking...' : 'Check again'}
+        </button>
+      </div>
+    );
+  }
+
+  return (
+    <div className="flex justify-center py-8">
+      <LoadingSpinner text="Confirming your payment..." />
+    </div>
+  );
+};
+
+export default ConfirmationStatus;
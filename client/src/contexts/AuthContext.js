@@ -220,6 +220,17 @@ export const AuthProvider = ({ children }) => {
       });
 
       toast.success('Registration successful!');
+      const claimedFines = response.data.claimedFines || [];
+      if (claimedFines.length > 0) {
+        toast(`${claimedFines.length} fine(s) issued against your license were added to your account`);
+      }
+      if (response.data.licenseConflict) {
+        toast.error(
+          `License number ${response.data.licenseConflict.licenseNumber} is already registered to another account. ` +
+            'An administrator will review your claim.',
+          { duration: 8000 }
+        );
+      }
       return { success: true };
     } catch (error) {
       const errorMessage = error.response?.data?.message || 'Registration failed';
@@ -240,6 +251,10 @@ export const AuthProvider = ({ children }) => {
       // Continue with logout even if API call fails
       console.error('Logout API call failed:', error);
     } finally {
+      // Drop the API responses the service worker keeps for offline use
+      if ('caches' in window) {
+        window.caches.delete('api-responses').catch(() => {});
+      }
       dispatch({ type: AUTH_ACTIONS.LOGOUT });
       toast.success('Logged out successfully');
     }
@@ -280,6 +295,13 @@ export const AuthProvider = ({ children }) => {
     return state.user.role === requiredRoles;
   };
 
+  // Check if user's role has been granted any of the given permissions
+  const hasPermission = (requiredPermissions) => {
+    if (!state.user?.permissions || !requiredPermissions) return false;
+    const permissions = Array.isArray(requiredPermissions) ? requiredPermissions : [requiredPermissions];
+    return permissions.some((permission) => state.user.permissions.includes(permission));
+  };
+
   // Check if user is admin
   const isAdmin = () => hasRole('admin');
 
@@ -298,6 +320,7 @@ export const AuthProvider = ({ children }) => {
     clearError,
     changePassword,
     hasRole,
+    hasPermission,
     isAdmin,
     isPoliceOfficer,
     isDriver,
@@ -0,0 +1,177 @@
+import React, { createContext, useCallback, useContext, useEffect, useRef, useState } from 'react';
+import { openDB } from 'idb';
+import axios from 'axios';
+import toast from 'react-hot-toast';
+import { useQueryClient } from 'react-query';
+import { useAuth } from './AuthContext';
+
+// Fines created without a connection are kept in IndexedDB with the idempotency key the
+// server deduplicates on, and sent when the connection returns. Sending one again after
+// a dropped response returns the fine already created instead of a second one.
+const DB_NAME = 'police-fine-system';
+const QUEUE_STORE = 'queuedFines';
+
+let dbPromise;
+const getDb = () => {
+  if (!dbPromise) {
+    dbPromise = openDB(DB_NAME, 1, {
+      upgrade(db) {
+        const store = db.createObjectStore(QUEUE_STORE, { keyPath: 'key' });
+        store.createIndex('officer', 'officer');
+      },
+    });
+  }
+  return dbPromise;
+};
+
+// Key for one fine, kept with it until the server has it
+export const newIdempotencyKey = () => {
+  if (window.crypto?.randomUUID) {
+    return window.crypto.randomUUID();
+  }
+  const bytes = window.crypto.getRandomValues(new Uint8Array(16));
+  return Array.from(bytes, (byte) => byte.toString(16).padStart(2, '0')).join('');
+};
+
+// Axios errors without a response never reached the server
+export const isNetworkError = (error) => !error.response;
+
+// Gives up on a weak connection rather than leaving the officer waiting; if the fine did
+// arrive, sending it again with the same key returns it
+const POST_TIMEOUT_MS = 15000;
+
+export const postFine = (payload, key) =>
+  axios
+    .post('/api/fines', payload, { headers: { 'Idempotency-Key': key }, timeout: POST_TIMEOUT_MS })
+    .then((res) => res.data);
+
+const OfflineFinesContext = createContext();
+
+export const useOfflineFines = () => {
+  const context = useContext(OfflineFinesContext);
+  if (!context) {
+    throw new Error('useOfflineFines must be used within an OfflineFinesProvider');
+  }
+  return context;
+};
+
+export const OfflineFinesProvider = ({ children }) => {
+  const { user, hasPermission } = useAuth();
+  const queryClient = useQueryClient();
+  const [queuedFines, setQueuedFines] = useState([]);
+  const [isOnline, setIsOnline] = useState(navigator.onLine);
+  const [isSyncing, setIsSyncing] = useState(false);
+  const syncingRef = useRef(false);
+
+  const officerId = user && hasPermission('fines:create') ? user._id : null;
+
+  const loadQueuedFines = useCallback(async () => {
+    if (!officerId) {
+      setQueuedFines([]);
+      return [];
+    }
+    const db = await getDb();
+    const entries = await db.getAllFromIndex(QUEUE_STORE, 'officer', officerId);
+    entries.sort((a, b) => a.queuedAt.localeCompare(b.queuedAt));
+    setQueuedFines(entries);
+    return entries;
+  }, [officerId]);
+
+  const queueFine = useCallback(async (payload, key) => {
+    const db = await getDb();
+    await db.put(QUEUE_STORE, {
+      key,
+      officer: officerId,
+      payload,
+      queuedAt: new Date().toISOString(),
+      error: null,
+    });
+    await loadQueuedFines();
+  }, [officerId, loadQueuedFines]);
+
+  const discardQueuedFine = useCallback(async (key) => {
+    const db = await getDb();
+    await db.delete(QUEUE_STORE, key);
+    await loadQueuedFines();
+  }, [loadQueuedFines]);
+
+  // Send queued fines in the order they were issued. Stops at the first one that cannot
+  // reach the server; ones the server rejects are kept with its message for the officer.
+  const syncQueuedFines = useCallback(async () => {
+    if (!officerId || syncingRef.current) return;
+    syncingRef.current = true;
+    setIsSyncing(true);
+
+    let sent = 0;
+    let rejected = 0;
+    try {
+      const db = await getDb();
+      const entries = await loadQueuedFines();
+      for (const entry of entries.filter((queued) => !queued.error)) {
+        try {
+          await postFine(entry.payload, entry.key);
+          await db.delete(QUEUE_STORE, entry.key);
+          sent += 1;
+        } catch (error) {
+          if (isNetworkError(error) || error.response.status === 401 || error.response.status >= 500) {
+            break;
+          }
+          await db.put(QUEUE_STORE, {
+            ...entry,
+            error: error.response.data?.message || 'Fine was rejected',
+          });
+          rejected += 1;
+        }
+      }
+      await loadQueuedFines();
+    } catch (error) {
+      console.error('Failed to send queued fines:', error);
+    } finally {
+      syncingRef.current = false;
+      setIsSyncing(false);
+    }
+
+    if (sent > 0) {
+      toast.success(`${sent} fine(s) issued offline have been sent`);
+      queryClient.invalidateQueries('fines');
+    }
+    if (rejected > 0) {
+      toast.error(`${rejected} fine(s) issued offline were rejected; check them before discarding`);
+    }
+  }, [officerId, loadQueuedFines, queryClient]);
+
+  // Send what is waiting when the officer signs in and whenever the connection returns
+  useEffect(() => {
+    loadQueuedFines()
+      .then(() => navigator.onLine && syncQueuedFines())
+      .catch((error) => console.error('Failed to load queued fines:', error));
+  }, [loadQueuedFines, syncQueuedFines]);
+
+  useEffect(() => {
+    const handleOnline = () => {
+      setIsOnline(true);
+      syncQueuedFines();
+    };
+    const handleOffline = () => setIsOnline(false);
+
+    window.addEventListener('online', handleOnline);
+    window.addEventListener('offline', handleOffline);
+    return () => {
+      window.removeEventListener('online', handleOnline);
+      window.removeEventListener('offline', handleOffline);
+    };
+  }, [syncQueuedFines]);
+
+  const value = {
+    queuedFines,
+    isOnline,
+    isSyncing,
+    queueFine,
+    discardQueuedFine,
+    syncQueuedFines,
+  };
+
+  return <OfflineFinesContext.Provider value={value}>{children}</OfflineFinesContext.Provider>;
+};
+
+export default OfflineFinesContext;
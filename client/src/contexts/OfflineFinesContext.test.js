@@ -0,0 +1,209 @@
+import React from 'react';
+import { act, render, waitFor } from '@testing-library/react';
+import { QueryClient, QueryClientProvider } from 'react-query';
+import axios from 'axios';
+import toast from 'react-hot-toast';
+import { OfflineFinesProvider, useOfflineFines } from './OfflineFinesContext';
+
+// IndexedDB is not available in jsdom; the queue is kept in this map instead
+const mockQueue = new Map();
+jest.mock('idb', () => ({
+  openDB: () => Promise.resolve({
+    put: (store, entry) => {
+      mockQueue.set(entry.key, { ...entry });
+      return Promise.resolve(entry.key);
+    },
+    delete: (store, key) => {
+      mockQueue.delete(key);
+      return Promise.resolve();
+    },
+    getAllFromIndex: (store, index, value) =>
+      Promise.resolve([...mockQueue.values()].filter((entry) => entry[index] === value).map((entry) => ({ ...entry }))),
+  }),
+}));
+
+jest.mock('axios', () => ({ post: jest.fn() }));
+jest.mock('react-hot-toast', () => ({ success: jest.fn(), error: jest.fn() }));
+
+const officer = { _id: 'officer-1', role: 'police_officer' };
+let mockAuth;
+jest.mock('./AuthContext', () => ({ useAuth: () => mockAuth }));
+
+const signInAs = (user, permissions = ['fines:create']) => {
+  mockAuth = { user, hasPermission: (permission) => permissions.includes(permission) };
+};
+
+const queued = (key, queuedAt, overrides = {}) => {
+  mockQueue.set(key, {
+    key,
+    officer: officer._id,
+    payload: { violationId: 'violation-1', vehicleInfo: { licensePlate: 'WP CAB-1234', vehicleType: 'Car' } },
+    queuedAt,
+    error: null,
+    ...overrides,
+  });
+};
+
+const rejectedWith = (status, message) => Object.assign(new Error(message), { response: { status, data: { message } } });
+
+let offline;
+let queryClient;
+let onLine;
+
+const Consumer = () => {
+  offline = useOfflineFines();
+  return null;
+};
+
+// Renders the provider and lets it load the queue
+const renderProvider = async () => {
+  render(
+    <QueryClientProvider client={queryClient}>
+      <OfflineFinesProvider>
+        <Consumer />
+      </OfflineFinesProvider>
+    </QueryClientProvider>
+  );
+  await act(() => Promise.resolve());
+};
+
+// Sync the queue the way the provider does when the connection returns
+const sync = () => act(() => offline.syncQueuedFines());
+
+// Keys of the fines posted to the server, in order
+const postedKeys = () => axios.post.mock.calls.map(([, , config]) => config.headers['Idempotency-Key']);
+
+beforeEach(() => {
+  mockQueue.clear();
+  signInAs(officer);
+  offline = undefined;
+  queryClient = new QueryClient();
+  jest.spyOn(queryClient, 'invalidateQueries');
+  axios.post.mockResolvedValue({ data: { fine: { fineId: 'WP-COL-2026-000001' } } });
+  // Offline until a test brings the connection back, so nothing is sent on its own
+  onLine = jest.spyOn(window.navigator, 'onLine', 'get').mockReturnValue(false);
+});
+
+afterEach(() => {
+  jest.restoreAllMocks();
+  jest.clearAllMocks();
+});
+
+test('sends what is queued as soon as an officer signs in online', async () => {
+  onLine.mockReturnValue(true);
+  queued('key-1', '2026-10-19T08:00:00.000Z');
+
+  await renderProvider();
+
+  await waitFor(() => expect(toast.success).toHaveBeenCalledWith('1 fine(s) issued offline have been sent'));
+  expect(mockQueue.size).toBe(0);
+  expect(offline.queuedFines).toEqual([]);
+  expect(queryClient.invalidateQueries).toHaveBeenCalledWith('fines');
+});
+
+test('queues a fine issued offline and sends it when the connection returns', async () => {
+  await renderProvider();
+
+  await act(() => offline.queueFine({ violationId: 'violation-1' }, 'key-1'));
+
+  expect(mockQueue.get('key-1')).toEqual(expect.objectContaining({ officer: officer._id, error: null }));
+  expect(offline.queuedFines).toHaveLength(1);
+  expect(offline.isOnline).toBe(false);
+
+  onLine.mockReturnValue(true);
+  act(() => {
+    window.dispatchEvent(new Event('online'));
+  });
+
+  await waitFor(() => expect(offline.queuedFines).toEqual([]));
+  expect(offline.isOnline).toBe(true);
+  expect(postedKeys()).toEqual(['key-1']);
+  expect(axios.post).toHaveBeenCalledWith('/api/fines', { violationId: 'violation-1' }, expect.objectContaining({ timeout: 15000 }));
+});
+
+test('sends queued fines in the order they were issued', async () => {
+  queued('key-2', '2026-10-19T08:05:00.000Z');
+  queued('key-1', '2026-10-19T08:00:00.000Z');
+  await renderProvider();
+
+  await sync();
+
+  expect(postedKeys()).toEqual(['key-1', 'key-2']);
+  expect(offline.queuedFines).toEqual([]);
+  expect(toast.success).toHaveBeenCalledWith('2 fine(s) issued offline have been sent');
+});
+
+test('keeps a fine the server rejects with its message and sends the rest', async () => {
+  queued('key-1', '2026-10-19T08:00:00.000Z');
+  queued('key-2', '2026-10-19T08:05:00.000Z');
+  axios.post.mockRejectedValueOnce(rejectedWith(400, 'Selected violation is not active'));
+  await renderProvider();
+
+  await sync();
+
+  expect(postedKeys()).toEqual(['key-1', 'key-2']);
+  expect(offline.queuedFines).toEqual([
+    expect.objectContaining({ key: 'key-1', error: 'Selected violation is not active' }),
+  ]);
+  expect(toast.error).toHaveBeenCalledWith('1 fine(s) issued offline were rejected; check them before discarding');
+});
+
+test.each([
+  ['the connection drops', () => new Error('Network Error')],
+  ['the server is down', () => rejectedWith(503, 'Service unavailable')],
+  ['the session has expired', () => rejectedWith(401, 'Token expired')],
+])('stops sending and keeps every fine when %s', async (label, buildError) => {
+  queued('key-1', '2026-10-19T08:00:00.000Z');
+  queued('key-2', '2026-10-19T08:05:00.000Z');
+  axios.post.mockRejectedValueOnce(buildError());
+  await renderProvider();
+
+  await sync();
+
+  expect(postedKeys()).toEqual(['key-1']);
+  expect(offline.queuedFines).toHaveLength(2);
+  expect(offline.queuedFines.every((entry) => entry.error === null)).toBe(true);
+  expect(toast.error).not.toHaveBeenCalled();
+});
+
+test('does not send fines the server already rejected again', async () => {
+  queued('key-1', '2026-10-19T08:00:00.000Z', { error: 'Selected violation is not active' });
+  await renderProvider();
+
+  await sync();
+
+  expect(axios.post).not.toHaveBeenCalled();
+  expect(offline.queuedFines).toHaveLength(1);
+});
+
+test('discards a rejected fine', async () => {
+  queued('key-1', '2026-10-19T08:00:00.000Z', { error: 'Selected violation is not active' });
+  await renderProvider();
+
+  await act(() => offline.discardQueuedFine('key-1'));
+
+  expect(mockQueue.size).toBe(0);
+  expect(offline.queuedFines).toEqual([]);
+});
+
+test('only shows and sends the fines of the officer who queued them', async () => {
+  queued('key-1', '2026-10-19T08:00:00.000Z', { officer: 'officer-2' });
+  await renderProvider();
+
+  await sync();
+
+  expect(offline.queuedFines).toEqual([]);
+  expect(axios.post).not.toHaveBeenCalled();
+});
+
+test('keeps no queue for users who cannot issue fines', async () => {
+  queued('key-1', '2026-10-19T08:00:00.000Z');
+  signInAs(officer, []);
+  await renderProvider();
+
+  await sync();
+
+  expect(offline.queuedFines).toEqual([]);
+  expect(axios.post).not.toHaveBeenCalled();
+  expect(mockQueue.size).toBe(1);
+});
@@ -166,6 +166,15 @@ const Login = () => {
                 Sign up here
               </Link>
             </p>
+            <p className="mt-2 text-sm text-gray-600">
+              Have a fine notice?{' '}
+              <Link
+                to="/lookup"
+                className="font-medium text-primary-600 hover:text-primary-500"
+              >
+                Look it up
+              </Link>
+            </p>
           </div>
         </form>
 
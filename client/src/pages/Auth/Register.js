@@ -176,16 +176,48 @@ const Register = () => {
               )}
             </div>
 
+            <div>
+              <label htmlFor="nic" className="block text-sm font-medium text-gray-700">
+                NIC Number <span className="text-gray-400">(Optional)</span>
+              </label>
+              <input
+                {...register('nic', {
+                  pattern: {
+                    value: /^\s*(?:\d{9}[VvXx]|\d{12})\s*$/,
+                    message: 'Enter an old (851234567V) or new (198512345678) NIC number',
+                  },
+                })}
+                type="text"
+                className={`form-input mt-1 ${
+                  errors.nic ? 'border-red-300 focus:border-red-500 focus:ring-red-500' : ''
+                }`}
+                placeholder="e.g. 198512345678"
+              />
+              {errors.nic && (
+                <p className="mt-1 text-sm text-red-600">{errors.nic.message}</p>
+              )}
+            </div>
+
             <div>
               <label htmlFor="licenseNumber" className="block text-sm font-medium text-gray-700">
                 License Number <span className="text-gray-400">(Optional)</span>
               </label>
               <input
-                {...register('licenseNumber')}
+                {...register('licenseNumber', {
+                  pattern: {
+                    value: /^\s*(?:[A-Za-z][\s-]*\d{7}|\d{5,8})\s*$/,
+                    message: 'Enter a license number such as B1234567, or an older 5 to 8 digit number',
+                  },
+                })}
                 type="text"
-                className="form-input mt-1"
-                placeholder="Enter your driving license number"
+                className={`form-input mt-1 ${
+                  errors.licenseNumber ? 'border-red-300 focus:border-red-500 focus:ring-red-500' : ''
+                }`}
+                placeholder="e.g. B1234567"
               />
+              {errors.licenseNumber && (
+                <p className="mt-1 text-sm text-red-600">{errors.licenseNumber.message}</p>
+              )}
               <p className="mt-1 text-xs text-gray-500">
                 Required for drivers to view and pay fines
               </p>
@@ -12,13 +12,27 @@ import { useAuth } from '../../contexts/AuthContext';
 import LoadingSpinner from '../../components/UI/LoadingSpinner';
 import axios from 'axios';
 
+const ROLE_LABELS = {
+  police_officer: 'Police Officer',
+  station_commander: 'Station Commander',
+  clerk: 'Payment Clerk',
+  finance_clerk: 'Finance Clerk',
+  dispute_reviewer: 'Dispute Reviewer',
+  auditor: 'Auditor',
+  admin: 'Administrator',
+};
+
 const Dashboard = () => {
-  const { user, isAdmin, isPoliceOfficer, isDriver } = useAuth();
+  const { user, isAdmin, isDriver, hasPermission } = useAuth();
+  // Admins and commanders also get their fines broken down by station
+  const showStations = isAdmin() || !!user?.commandLevel;
 
   // Fetch dashboard statistics
   const { data: fineStats, isLoading: fineStatsLoading } = useQuery(
-    'fineStats',
-    () => axios.get('/api/fines/stats/overview').then((res) => res.data),
+    ['fineStats', showStations],
+    () => axios
+      .get('/api/fines/stats/overview', { params: showStations ? { groupBy: 'station' } : {} })
+      .then((res) => res.data),
     {
       refetchInterval: 30000, // Refetch every 30 seconds
     }
@@ -33,11 +47,20 @@ const Dashboard = () => {
     }
   );
 
+  const { data: pointsData, isLoading: pointsLoading } = useQuery(
+    ['demeritPoints', user?._id],
+    () => axios.get(`/api/points/driver/${user._id}`).then((res) => res.data),
+    {
+      enabled: isDriver() && !!user?._id,
+      refetchInterval: 60000,
+    }
+  );
+
   const { data: userStats, isLoading: userStatsLoading } = useQuery(
     'userStats',
     () => axios.get('/api/users/stats/overview').then((res) => res.data),
     {
-      enabled: isAdmin(),
+      enabled: hasPermission('reports:view'),
       refetchInterval: 60000, // Refetch every minute
     }
   );
@@ -46,7 +69,7 @@ const Dashboard = () => {
     'violationStats',
     () => axios.get('/api/violations/stats/overview').then((res) => res.data),
     {
-      enabled: isAdmin(),
+      enabled: hasPermission('reports:view'),
       refetchInterval: 300000, // Refetch every 5 minutes
     }
   );
@@ -123,8 +146,7 @@ const Dashboard = () => {
               </p>
               <div className="mt-2">
                 <span className="inline-flex items-center px-3 py-0.5 rounded-full text-sm font-medium bg-primary-100 text-primary-800">
-                  {user?.role === 'police_officer' ? 'Police Officer' : 
-                   user?.role === 'admin' ? 'Administrator' : 'Driver'}
+                  {ROLE_LABELS[user?.role] || 'Driver'}
                 </span>
               </div>
             </div>
@@ -149,6 +171,16 @@ const Dashboard = () => {
         </div>
       </div>
 
+      {/* License Suspension Warning */}
+      {isDriver() && pointsData?.isSuspended && (
+        <div className="alert-danger">
+          <p className="text-sm font-medium">
+            Your driving license is flagged as suspended: you have {pointsData.totalPoints} active demerit
+            points, at or above the threshold of {pointsData.threshold}.
+          </p>
+        </div>
+      )}
+
       {/* Statistics Grid */}
       <div className="grid grid-cols-1 gap-5 sm:grid-cols-2 lg:grid-cols-4">
         {/* Fine Statistics */}
@@ -176,7 +208,7 @@ const Dashboard = () => {
           loading={fineStatsLoading}
         />
 
-        {isAdmin() && (
+        {hasPermission('reports:view') && (
           <StatCard
             title="Total Users"
             value={userStats?.totalUsers || 0}
@@ -186,6 +218,16 @@ const Dashboard = () => {
           />
         )}
 
+        {isDriver() && (
+          <StatCard
+            title="Demerit Points"
+            value={`${pointsData?.totalPoints || 0} / ${pointsData?.threshold || 0}`}
+            icon={ExclamationTriangleIcon}
+            color={pointsData?.isSuspended ? 'danger' : 'warning'}
+            loading={pointsLoading}
+          />
+        )}
+
         {(isDriver() || isAdmin()) && paymentStats && (
           <StatCard
             title="Payments This Month"
@@ -225,6 +267,41 @@ const Dashboard = () => {
         </div>
       )}
 
+      {/* Station Breakdown */}
+      {fineStats?.stationStats?.length > 0 && (
+        <div className="card">
+          <div className="card-header">
+            <h3 className="text-lg leading-6 font-medium text-gray-900">
+              Fines by Station
+            </h3>
+          </div>
+          <div className="card-body">
+            <table className="min-w-full divide-y divide-gray-200 text-sm">
+              <thead>
+                <tr className="text-left text-xs font-medium text-gray-500 uppercase tracking-wider">
+                  <th className="py-2">Station</th>
+                  <th className="py-2 text-right">Fines</th>
+                  <th className="py-2 text-right">Paid</th>
+                  <th className="py-2 text-right">Amount</th>
+                </tr>
+              </thead>
+              <tbody className="divide-y divide-gray-200">
+                {fineStats.stationStats.map((stat) => (
+                  <tr key={stat._id || 'none'}>
+                    <td className="py-2 text-gray-900">
+                      {stat.station ? `${stat.station.name} (${stat.station.code})` : 'No station'}
+                    </td>
+                    <td className="py-2 text-right text-gray-900">{stat.count}</td>
+                    <td className="py-2 text-right text-gray-900">{stat.paidFines}</td>
+                    <td className="py-2 text-right text-gray-900">{formatCurrency(stat.totalAmount)}</td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          </div>
+        </div>
+      )}
+
       {/* Quick Actions */}
       <div className="card">
         <div className="card-header">
@@ -253,7 +330,7 @@ const Dashboard = () => {
               </>
             )}
 
-            {(isPoliceOfficer() || isAdmin()) && (
+            {hasPermission('fines:create') && (
               <>
                 <QuickAction
                   title="Create New Fine"
@@ -280,7 +357,7 @@ const Dashboard = () => {
               color="secondary"
             />
 
-            {isAdmin() && (
+            {hasPermission('users:manage') && (
               <>
                 <QuickAction
                   title="Manage Users"
@@ -1,5 +1,6 @@
 import React, { useEffect, useMemo, useState } from 'react';
 import { useAuth } from '../../contexts/AuthContext';
+import { useOfflineFines, newIdempotencyKey, isNetworkError, postFine } from '../../contexts/OfflineFinesContext';
 import { useForm } from 'react-hook-form';
 import { useMutation, useQuery } from 'react-query';
 import axios from 'axios';
@@ -9,15 +10,26 @@ import { useNavigate } from 'react-router-dom';
 
 const VEHICLE_TYPES = ['Car', 'Motorcycle', 'Bus', 'Truck', 'Van', 'Three-Wheeler', 'Other'];
 
+// Sri Lankan license numbers (B1234567, or older 5 to 8 digit numbers) are looked up exactly
+const LICENSE_NUMBER_PATTERN = /^(?:[A-Z]\d{7}|\d{5,8})$/;
+const normalizeLicenseNumber = (value) => value.toUpperCase().replace(/[\s-]/g, '');
+
+// NIC numbers, old (851234567V) or new (198512345678), are looked up exactly as well
+const NIC_PATTERN = /^(?:\d{9}[VX]|\d{12})$/;
+
 const CreateFine = () => {
-	const { user, isPoliceOfficer, isAdmin } = useAuth();
+	const { user, hasPermission } = useAuth();
+	const { queueFine, isOnline } = useOfflineFines();
 	const navigate = useNavigate();
+	// Sent with the fine so retrying it, or sending it later from the offline queue,
+	// creates it once; a new key is drawn for each new fine
+	const [idempotencyKey, setIdempotencyKey] = useState(newIdempotencyKey);
 
 	useEffect(() => {
-		if (!isPoliceOfficer() && !isAdmin()) {
+		if (!hasPermission('fines:create')) {
 			navigate('/fines');
 		}
-	}, [isPoliceOfficer, isAdmin, navigate]);
+	}, [hasPermission, navigate]);
 
 	// Fetch active violations for dropdown
 	const { data: violationsData, isLoading: isLoadingViolations } = useQuery(
@@ -28,19 +40,26 @@ const CreateFine = () => {
 
 	const violations = violationsData?.violations || [];
 
-	// Driver search (police/admin only)
+	// Driver search (staff with drivers:search only)
 	const [driverQuery, setDriverQuery] = useState('');
 	const [selectedDriver, setSelectedDriver] = useState(null);
 	const debouncedQuery = useDebounce(driverQuery, 300);
+	const searchParams = useMemo(() => {
+		const normalized = normalizeLicenseNumber(debouncedQuery);
+		if (NIC_PATTERN.test(normalized)) return { nic: debouncedQuery };
+		if (LICENSE_NUMBER_PATTERN.test(normalized)) return { license: debouncedQuery };
+		return { q: debouncedQuery };
+	}, [debouncedQuery]);
 	const { data: driverSearchData, isLoading: isSearchingDrivers } = useQuery(
 		['drivers-search', debouncedQuery],
-		() => axios.get(`/api/users/search/drivers?q=${encodeURIComponent(debouncedQuery)}`).then((r) => r.data),
-		{ enabled: !!debouncedQuery && (isPoliceOfficer() || isAdmin()) }
+		() => axios.get('/api/users/search/drivers', { params: searchParams }).then((r) => r.data),
+		{ enabled: !!debouncedQuery && hasPermission('drivers:search') }
 	);
 
 	const drivers = driverSearchData?.drivers || [];
 
 	const defaultValues = useMemo(() => ({
+		driverLicenseNumber: '',
 		violationId: '',
 		customFineAmount: '',
 		violationMessage: '',
@@ -60,7 +79,7 @@ const CreateFine = () => {
 		tagsInput: '',
 	}), []);
 
-	const { register, handleSubmit, watch, setValue, formState: { errors, isSubmitting } } = useForm({ defaultValues });
+	const { register, handleSubmit, watch, setValue, reset, formState: { errors, isSubmitting } } = useForm({ defaultValues });
 
 	const watchedViolationId = watch('violationId');
 	const selectedViolation = useMemo(() => violations.find(v => v._id === watchedViolationId), [violations, watchedViolationId]);
@@ -71,24 +90,39 @@ const CreateFine = () => {
 		}
 	}, [selectedViolation]);
 
+	const startNewFine = () => {
+		reset(defaultValues);
+		setSelectedDriver(null);
+		setDriverQuery('');
+		setIdempotencyKey(newIdempotencyKey());
+	};
+
 	const createFineMutation = useMutation(
-		(payload) => axios.post('/api/fines', payload).then((r) => r.data),
+		({ payload, key }) => postFine(payload, key),
 		{
 			onSuccess: (data) => {
-				toast.success('Fine created successfully');
+				toast.success(data.fine.driverId
+					? 'Fine created successfully'
+					: 'Fine created; it will be linked when the driver registers or adds the vehicle');
 				navigate(`/fines/${data.fine._id}`);
 			},
-			onError: (error) => {
-				toast.error(error.response?.data?.message || 'Failed to create fine');
+			onError: (error, { payload, key }) => {
+				if (!isNetworkError(error)) {
+					toast.error(error.response?.data?.message || 'Failed to create fine');
+					return;
+				}
+				// No connection: keep the fine on this device and carry on with the next one
+				queueFine(payload, key)
+					.then(() => {
+						toast.success('No connection. The fine is saved on this device and will be sent when you are back online');
+						startNewFine();
+					})
+					.catch(() => toast.error('No connection, and the fine could not be saved on this device'));
 			},
 		}
 	);
 
 	const onSubmit = (form) => {
-		if (!selectedDriver?._id) {
-			toast.error('Please select a driver');
-			return;
-		}
 		if (!selectedViolation?._id) {
 			toast.error('Please select a violation');
 			return;
@@ -100,7 +134,9 @@ const CreateFine = () => {
 			.filter(Boolean);
 
 		const payload = {
-			driverId: selectedDriver._id,
+			// Without a registered driver the fine is issued against the license number or plate
+			driverId: selectedDriver?._id,
+			driverLicenseNumber: !selectedDriver && form.driverLicenseNumber ? form.driverLicenseNumber : undefined,
 			violationId: selectedViolation._id,
 			violationMessage: form.violationMessage,
 			location: {
@@ -121,9 +157,11 @@ const CreateFine = () => {
 			},
 			tags: tags.length ? tags : undefined,
 			customFineAmount: form.customFineAmount ? Number(form.customFineAmount) : undefined,
+			// Due date counts from now even if the fine reaches the server later
+			issuedAt: new Date().toISOString(),
 		};
 
-		createFineMutation.mutate(payload);
+		createFineMutation.mutate({ payload, key: idempotencyKey });
 	};
 
 	return (
@@ -133,6 +171,12 @@ const CreateFine = () => {
 				<p className="text-gray-600 mb-6">
 					Officer: {user?.fullName || user?.username} ({user?.profile?.badgeNumber})
 				</p>
+				{!isOnline && (
+					<div className="mb-6 rounded-md bg-yellow-50 p-3 text-sm text-yellow-800">
+						You are offline. Driver search is unavailable; enter the license number or plate and the
+						fine will be saved on this device and sent when the connection returns.
+					</div>
+				)}
 
 				<form onSubmit={handleSubmit(onSubmit)} className="space-y-8">
 					{/* Driver Selection */}
@@ -144,13 +188,40 @@ const CreateFine = () => {
 								<input
 									type="text"
 									className="form-input w-full"
-									placeholder="Name, username, email, license number"
+									placeholder="Name, username, email, license or NIC number"
 									value={driverQuery}
 									onChange={(e) => {
 										setDriverQuery(e.target.value);
 									}}
 								/>
 								{isSearchingDrivers && <LoadingSpinner size="sm" className="mt-2" />}
+								{driverSearchData?.nic && driverQuery && drivers.length === 0 && (
+									<p className="mt-2 text-sm text-gray-600">No registered driver has NIC {driverSearchData.nic}.</p>
+								)}
+								{driverSearchData?.licenseNumber && driverQuery && (
+									<div className="mt-2 text-sm text-gray-600">
+										{drivers.length === 0 && (
+											<>
+												No registered driver holds {driverSearchData.licenseNumber}.{' '}
+												<button
+													type="button"
+													className="text-primary-600 hover:text-primary-800"
+													onClick={() => {
+														setValue('driverLicenseNumber', driverSearchData.licenseNumber);
+														setDriverQuery('');
+													}}
+												>
+													Issue against this license
+												</button>
+											</>
+										)}
+										{driverSearchData.unclaimedFines > 0 && (
+											<p className="text-yellow-700">
+												{driverSearchData.unclaimedFines} earlier fine(s) on this license have not been claimed
+											</p>
+										)}
+									</div>
+								)}
 								{drivers.length > 0 && driverQuery && (
 									<div className="mt-2 border rounded-md divide-y max-h-56 overflow-auto">
 										{drivers.map((d) => (
@@ -168,6 +239,9 @@ const CreateFine = () => {
 												{d.profile?.licenseNumber && (
 													<span className="ml-1 text-xs text-gray-400">({d.profile.licenseNumber})</span>
 												)}
+												{d.profile?.nic && (
+													<span className="ml-1 text-xs text-gray-400">NIC {d.profile.nic}</span>
+												)}
 											</button>
 										))}
 									</div>
@@ -177,16 +251,49 @@ const CreateFine = () => {
 								<label className="block text-sm font-medium text-gray-700 mb-1">Selected driver</label>
 								<div className="p-3 border rounded-md min-h-[44px]">
 									{selectedDriver ? (
-										<div className="text-sm">
-											<div className="font-medium">{selectedDriver.profile?.firstName} {selectedDriver.profile?.lastName}</div>
-											<div className="text-gray-500">{selectedDriver.username} · {selectedDriver.email}</div>
+										<div className="text-sm flex justify-between gap-2">
+											<div>
+												<div className="font-medium">{selectedDriver.profile?.firstName} {selectedDriver.profile?.lastName}</div>
+												<div className="text-gray-500">{selectedDriver.username} · {selectedDriver.email}</div>
+												{selectedDriver.licenseStatus?.isSuspended && (
+													<div className="text-red-600 font-medium">License suspended</div>
+												)}
+											</div>
+											<button
+												type="button"
+												className="text-xs text-primary-600 hover:text-primary-800"
+												onClick={() => setSelectedDriver(null)}
+											>
+												Clear
+											</button>
 										</div>
 									) : (
-										<span className="text-gray-400">None</span>
+										<span className="text-gray-400">Unidentified</span>
 									)}
 								</div>
 							</div>
 						</div>
+						{!selectedDriver && (
+							<div className="mt-4 md:w-1/2">
+								<label className="block text-sm font-medium text-gray-700 mb-1">License number (unregistered driver)</label>
+								<input
+									type="text"
+									className="form-input w-full"
+									{...register('driverLicenseNumber', {
+										validate: (value) => !value
+											|| LICENSE_NUMBER_PATTERN.test(normalizeLicenseNumber(value))
+											|| 'Enter a license number such as B1234567, or an older 5 to 8 digit number',
+									})}
+								/>
+								{errors.driverLicenseNumber && (
+									<p className="mt-1 text-sm text-red-600">{errors.driverLicenseNumber.message}</p>
+								)}
+								<p className="mt-1 text-xs text-gray-500">
+									Leave empty for camera detections or parked vehicles. The fine is linked to the driver
+									when they register with this license number or add the vehicle to their profile.
+								</p>
+							</div>
+						)}
 					</div>
 
 					{/* Violation and Amount */}
@@ -302,6 +409,7 @@ const CreateFine = () => {
 								<input
 									type="text"
 									className="form-input w-full"
+									placeholder="e.g. WP CAB-1234 or 19-1234"
 									{...register('vehicleInfo.licensePlate', { required: 'License plate is required' })}
 								/>
 								{errors.vehicleInfo?.licensePlate && (
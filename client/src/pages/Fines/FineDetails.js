@@ -1,28 +1,888 @@
-import React from 'react';
-import { useParams } from 'react-router-dom';
+import React, { useEffect, useState } from 'react';
+import { useParams, Link } from 'react-router-dom';
+import { useQuery, useMutation, useQueryClient } from 'react-query';
+import { useForm } from 'react-hook-form';
+import {
+  ArrowLeftIcon,
+  BanknotesIcon,
+  CalendarDaysIcon,
+  CurrencyDollarIcon,
+  DocumentArrowDownIcon,
+  DocumentTextIcon,
+  ExclamationTriangleIcon,
+  FilmIcon,
+  MapPinIcon,
+  PrinterIcon,
+  ReceiptRefundIcon,
+  XCircleIcon,
+} from '@heroicons/react/24/outline';
+import axios from 'axios';
+import toast from 'react-hot-toast';
+import { useAuth } from '../../contexts/AuthContext';
+import LoadingSpinner from '../../components/UI/LoadingSpinner';
+
+const PAYABLE_STATUSES = ['pending', 'overdue'];
+const REFUNDABLE_STATUSES = ['paid', 'partially_refunded'];
+const INSTALMENT_COUNTS = [2, 3, 4, 6, 9, 12];
+const INSTALMENT_STATUS_COLORS = {
+  paid: 'text-green-700',
+  missed: 'text-red-600',
+  pending: 'text-gray-500',
+};
 
 const FineDetails = () => {
   const { id } = useParams();
+  const queryClient = useQueryClient();
+  const { user, isDriver, hasPermission } = useAuth();
+  const [activeForm, setActiveForm] = useState(null);
+
+  const { data, isLoading, error } = useQuery(
+    ['fine', id],
+    () => axios.get(`/api/fines/${id}`).then((res) => res.data.fine)
+  );
+
+  const { data: ledger } = useQuery(
+    ['fineTransactions', id],
+    () => axios.get(`/api/payments/fine/${id}/transactions`).then((res) => res.data),
+    { enabled: !!data }
+  );
+
+  const {
+    register,
+    handleSubmit,
+    reset,
+    formState: { errors },
+  } = useForm();
+
+  const onActionSuccess = (message) => {
+    toast.success(message);
+    setActiveForm(null);
+    reset();
+    queryClient.invalidateQueries(['fine', id]);
+    queryClient.invalidateQueries(['fineTransactions', id]);
+    queryClient.invalidateQueries('fines');
+  };
+
+  const onActionError = (fallback) => (err) => {
+    toast.error(err.response?.data?.message || fallback);
+  };
+
+  const disputeMutation = useMutation(
+    ({ reason }) => axios.post(`/api/disputes/fine/${id}`, { reason }),
+    {
+      onSuccess: () => onActionSuccess('Dispute submitted'),
+      onError: onActionError('Failed to submit dispute'),
+    }
+  );
+
+  const noteMutation = useMutation(
+    ({ content }) => axios.post(`/api/fines/${id}/notes`, { content }),
+    {
+      onSuccess: () => onActionSuccess('Note added'),
+      onError: onActionError('Failed to add note'),
+    }
+  );
+
+  const cancelMutation = useMutation(
+    ({ reason }) => axios.put(`/api/fines/${id}/status`, { status: 'cancelled', reason }),
+    {
+      onSuccess: () => onActionSuccess('Fine cancelled'),
+      onError: onActionError('Failed to cancel fine'),
+    }
+  );
+
+  const refundMutation = useMutation(
+    ({ reason, amount }) =>
+      axios.post(`/api/payments/fine/${id}/refund`, { reason, ...(amount && { amount: parseFloat(amount) }) }),
+    {
+      onSuccess: (res) => onActionSuccess(res.data.message),
+      onError: onActionError('Failed to refund payment'),
+    }
+  );
+
+  const planMutation = useMutation(
+    ({ instalments, frequency, firstDueDate, reason }) =>
+      axios.post(`/api/fines/${id}/instalment-plan`, {
+        instalments: parseInt(instalments, 10),
+        frequency,
+        reason,
+        ...(firstDueDate && { firstDueDate }),
+      }),
+    {
+      onSuccess: () => onActionSuccess('Instalment plan approved'),
+      onError: onActionError('Failed to approve instalment plan'),
+    }
+  );
+
+  const cancelPlanMutation = useMutation(
+    ({ reason }) => axios.post(`/api/fines/${id}/instalment-plan/cancel`, { reason }),
+    {
+      onSuccess: () => onActionSuccess('Instalment plan cancelled'),
+      onError: onActionError('Failed to cancel instalment plan'),
+    }
+  );
+
+  const receiptMutation = useMutation(
+    () => axios.get(`/api/payments/fine/${id}/receipt/pdf`, { responseType: 'blob' }).then((res) => res.data),
+    {
+      onSuccess: (pdf) => saveFile(pdf, `receipt-${data.fineId}.pdf`),
+      onError: onActionError('Failed to download receipt'),
+    }
+  );
+
+  const getStatusBadgeColor = (status) => {
+    switch (status) {
+      case 'pending':
+        return 'bg-yellow-100 text-yellow-800';
+      case 'paid':
+        return 'bg-green-100 text-green-800';
+      case 'disputed':
+        return 'bg-blue-100 text-blue-800';
+      case 'cancelled':
+        return 'bg-gray-100 text-gray-800';
+      case 'overdue':
+        return 'bg-red-100 text-red-800';
+      case 'refunded':
+      case 'partially_refunded':
+        return 'bg-purple-100 text-purple-800';
+      default:
+        return 'bg-gray-100 text-gray-800';
+    }
+  };
+
+  if (isLoading) {
+    return (
+      <div className="flex justify-center items-center h-64">
+        <LoadingSpinner size="lg" text="Loading fine..." />
+      </div>
+    );
+  }
+
+  if (error) {
+    return (
+      <div className="text-center py-12">
+        <div className="text-red-600 mb-4">
+          <ExclamationTriangleIcon className="mx-auto h-12 w-12" />
+        </div>
+        <h3 className="text-lg font-medium text-gray-900 mb-2">Error Loading Fine</h3>
+        <p className="text-gray-500">{error.response?.data?.message || 'Something went wrong'}</p>
+        <Link to="/fines" className="btn-outline mt-4">Back to fines</Link>
+      </div>
+    );
+  }
+
+  const fine = data;
+  const isStaff = !isDriver();
+  const isOwner = isDriver() && fine.driverId?._id === user?._id;
+  const isPayable = PAYABLE_STATUSES.includes(fine.status);
+  const canPay = isOwner && isPayable;
+  const canDispute = isOwner && isPayable;
+  const canAddNote = hasPermission('fines:add-notes');
+  const canCancel = hasPermission('fines:cancel') && isPayable;
+  const canRecordPayment = hasPermission('payments:record-cash') && isPayable;
+  const canDownloadReceipt = (!!fine.paymentInfo?.paidAt || fine.amountPaid > 0) && (isOwner || isStaff);
+  const canRefund = hasPermission('payments:refund') && REFUNDABLE_STATUSES.includes(fine.status) && fine.refundableAmount > 0;
+  const plan = fine.instalmentPlan?.status ? fine.instalmentPlan : null;
+  const canApprovePlan = hasPermission('instalments:manage') && fine.status === 'pending' && plan?.status !== 'active' && fine.outstandingAmount > 0;
+  const canCancelPlan = hasPermission('instalments:manage') && plan?.status === 'active';
+  const { lat, lng } = fine.location?.googleLocation || {};
+  const transactions = (ledger?.transactions || []).filter((transaction) => transaction.type !== 'adjustment');
+  const timeline = buildTimeline(fine, transactions);
+
+  const actionForms = {
+    dispute: {
+      title: 'Dispute this fine',
+      field: 'reason',
+      label: 'Reason for dispute',
+      placeholder: 'Explain why you believe this fine is incorrect',
+      maxLength: 1000,
+      submitLabel: 'Submit Dispute',
+      mutation: disputeMutation,
+    },
+    note: {
+      title: 'Add a note',
+      field: 'content',
+      label: 'Note',
+      placeholder: 'Add a note to the fine record',
+      maxLength: 500,
+      submitLabel: 'Add Note',
+      mutation: noteMutation,
+    },
+    cancel: {
+      title: 'Cancel this fine',
+      field: 'reason',
+      label: 'Reason for cancellation',
+      placeholder: 'Why is this fine being cancelled?',
+      maxLength: 500,
+      submitLabel: 'Cancel Fine',
+      mutation: cancelMutation,
+    },
+    refund: {
+      title: 'Refund payment',
+      field: 'reason',
+      label: 'Reason for refund',
+      placeholder: 'Why is this payment being refunded?',
+      maxLength: 500,
+      submitLabel: 'Issue Refund',
+      mutation: refundMutation,
+      amount: {
+        label: `Amount (leave empty to refund the remaining ${formatCurrency(fine.refundableAmount, fine.currency)})`,
+        max: fine.refundableAmount,
+      },
+    },
+    plan: {
+      title: `Approve an instalment plan for ${formatCurrency(fine.outstandingAmount, fine.currency)}`,
+      field: 'reason',
+      label: 'Reason for the plan',
+      placeholder: 'Why is the driver being allowed to pay in instalments?',
+      maxLength: 500,
+      submitLabel: 'Approve Plan',
+      mutation: planMutation,
+      schedule: true,
+    },
+    cancelPlan: {
+      title: 'Cancel instalment plan',
+      field: 'reason',
+      label: 'Reason for cancelling the plan',
+      placeholder: 'The remaining balance will fall due on the next instalment date',
+      maxLength: 500,
+      submitLabel: 'Cancel Plan',
+      mutation: cancelPlanMutation,
+    },
+  };
+  const currentForm = activeForm && actionForms[activeForm];
 
   return (
-    <div className="max-w-4xl mx-auto">
-      <div className="bg-white shadow rounded-lg p-6">
-        <h1 className="text-2xl font-bold text-gray-900 mb-4">Fine Details</h1>
-        <p className="text-gray-600">Fine ID: {id}</p>
-        <p className="text-sm text-gray-500 mt-4">
-          This page will show detailed information about the traffic fine, including:
-        </p>
-        <ul className="list-disc list-inside text-sm text-gray-500 mt-2 space-y-1">
-          <li>Violation details and description</li>
-          <li>Location with Google Maps integration</li>
-          <li>Vehicle information</li>
-          <li>Payment status and history</li>
-          <li>Officer information</li>
-          <li>Evidence photos/documents</li>
-        </ul>
+    <div className="max-w-5xl mx-auto space-y-6">
+      {/* Header */}
+      <div className="flex items-center justify-between">
+        <Link to="/fines" className="inline-flex items-center text-sm text-gray-500 hover:text-gray-700">
+          <ArrowLeftIcon className="h-4 w-4 mr-1" />
+          Back to fines
+        </Link>
       </div>
+
+      <div className="card">
+        <div className="card-body">
+          <div className="flex flex-wrap items-start justify-between gap-4">
+            <div>
+              <h1 className="text-2xl font-bold text-gray-900">
+                {fine.violationId?.name || 'Traffic Fine'}
+              </h1>
+              <p className="mt-1 text-sm text-gray-500">
+                Fine {fine.fineId} · Issued {formatDateTime(fine.issuedAt || fine.createdAt)}
+              </p>
+              <span
+                className={`mt-2 inline-flex px-2 py-1 text-xs font-semibold rounded-full ${getStatusBadgeColor(fine.status)}`}
+              >
+                {fine.status.charAt(0).toUpperCase() + fine.status.slice(1).replace('_', ' ')}
+              </span>
+            </div>
+            <div className="text-right">
+              <div className="text-3xl font-bold text-gray-900">
+                {formatCurrency(fine.fineAmount, fine.currency)}
+              </div>
+              {fine.penaltyAmount > 0 && (
+                <div className="text-xs text-red-600">
+                  Includes {formatCurrency(fine.penaltyAmount, fine.currency)} late payment surcharge
+                </div>
+              )}
+              <div className="text-sm text-gray-500">Due {formatDate(fine.dueDate)}</div>
+            </div>
+          </div>
+
+          {/* Actions */}
+          <div className="mt-6 flex flex-wrap gap-3">
+            {canPay && (
+              <Link to={`/fines/${fine._id}/pay`} className="btn-success">
+                <CurrencyDollarIcon className="h-5 w-5 mr-2" />
+                Pay Fine
+              </Link>
+            )}
+            {canRecordPayment && (
+              <Link to={`/fines/${fine._id}/record-payment`} className="btn-success">
+                <BanknotesIcon className="h-5 w-5 mr-2" />
+                Record Payment
+              </Link>
+            )}
+            {canDispute && (
+              <button type="button" className="btn-outline" onClick={() => setActiveForm('dispute')}>
+                <ExclamationTriangleIcon className="h-5 w-5 mr-2" />
+                Dispute
+              </button>
+            )}
+            {canAddNote && (
+              <button type="button" className="btn-outline" onClick={() => setActiveForm('note')}>
+                <DocumentTextIcon className="h-5 w-5 mr-2" />
+                Add Note
+              </button>
+            )}
+            {canCancel && (
+              <button type="button" className="btn-danger" onClick={() => setActiveForm('cancel')}>
+                <XCircleIcon className="h-5 w-5 mr-2" />
+                Cancel Fine
+              </button>
+            )}
+            {canRefund && (
+              <button type="button" className="btn-warning" onClick={() => setActiveForm('refund')}>
+                <ReceiptRefundIcon className="h-5 w-5 mr-2" />
+                Refund
+              </button>
+            )}
+            {canApprovePlan && (
+              <button type="button" className="btn-outline" onClick={() => setActiveForm('plan')}>
+                <CalendarDaysIcon className="h-5 w-5 mr-2" />
+                Instalment Plan
+              </button>
+            )}
+            {canCancelPlan && (
+              <button type="button" className="btn-outline" onClick={() => setActiveForm('cancelPlan')}>
+                <CalendarDaysIcon className="h-5 w-5 mr-2" />
+                Cancel Plan
+              </button>
+            )}
+            {(isOwner || isStaff) && (
+              <button
+                type="button"
+                className="btn-outline"
+                onClick={() => openProtectedFile(`/api/fines/${fine._id}/notice/pdf`)}
+              >
+                <PrinterIcon className="h-5 w-5 mr-2" />
+                Print Notice
+              </button>
+            )}
+            {canDownloadReceipt && (
+              <Link to={`/fines/${fine._id}/receipt`} className="btn-outline">
+                <DocumentTextIcon className="h-5 w-5 mr-2" />
+                View Receipt
+              </Link>
+            )}
+            {canDownloadReceipt && (
+              <button
+                type="button"
+                className="btn-primary"
+                onClick={() => receiptMutation.mutate()}
+                disabled={receiptMutation.isLoading}
+              >
+                <DocumentArrowDownIcon className="h-5 w-5 mr-2" />
+                {receiptMutation.isLoading ? 'Preparing...' : 'Download Receipt'}
+              </button>
+            )}
+          </div>
+
+          {currentForm && (
+            <form
+              onSubmit={handleSubmit((values) => currentForm.mutation.mutate(values))}
+              className="mt-6 border-t border-gray-200 pt-6 space-y-3"
+            >
+              <h3 className="text-lg font-medium text-gray-900">{currentForm.title}</h3>
+              {currentForm.amount && (
+                <>
+                  <label className="block text-sm font-medium text-gray-700">{currentForm.amount.label}</label>
+                  <input
+                    type="number"
+                    step="0.01"
+                    min="0"
+                    max={currentForm.amount.max}
+                    className="form-input w-full"
+                    {...register('amount', {
+                      min: { value: 0.01, message: 'Amount must be greater than zero' },
+                      max: { value: currentForm.amount.max, message: 'Amount is more than can be refunded' },
+                    })}
+                  />
+                  {errors.amount && <p className="text-sm text-red-600">{errors.amount.message}</p>}
+                </>
+              )}
+              {currentForm.schedule && (
+                <div className="grid grid-cols-1 gap-3 sm:grid-cols-3">
+                  <div>
+                    <label className="block text-sm font-medium text-gray-700">Instalments</label>
+                    <select className="form-select w-full" defaultValue={3} {...register('instalments')}>
+                      {INSTALMENT_COUNTS.map((count) => (
+                        <option key={count} value={count}>{count}</option>
+                      ))}
+                    </select>
+                  </div>
+                  <div>
+                    <label className="block text-sm font-medium text-gray-700">Schedule</label>
+                    <select className="form-select w-full" defaultValue="monthly" {...register('frequency')}>
+                      <option value="weekly">Weekly</option>
+                      <option value="fortnightly">Fortnightly</option>
+                      <option value="monthly">Monthly</option>
+                    </select>
+                  </div>
+                  <div>
+                    <label className="block text-sm font-medium text-gray-700">First due date</label>
+                    <input type="date" className="form-input w-full" {...register('firstDueDate')} />
+                    <p className="mt-1 text-xs text-gray-500">Defaults to one period from today</p>
+                  </div>
+                </div>
+              )}
+              <label className="block text-sm font-medium text-gray-700">{currentForm.label}</label>
+              <textarea
+                rows={3}
+                className="form-textarea"
+                placeholder={currentForm.placeholder}
+                {...register(currentForm.field, {
+                  required: `${currentForm.label} is required`,
+                  maxLength: { value: currentForm.maxLength, message: `Max ${currentForm.maxLength} characters` },
+                })}
+              />
+              {errors[currentForm.field] && (
+                <p className="text-sm text-red-600">{errors[currentForm.field].message}</p>
+              )}
+              <div className="flex justify-end gap-3">
+                <button
+                  type="button"
+                  className="btn-outline"
+                  onClick={() => {
+                    setActiveForm(null);
+                    reset();
+                  }}
+                >
+                  Close
+                </button>
+                <button type="submit" className="btn-primary" disabled={currentForm.mutation.isLoading}>
+                  {currentForm.mutation.isLoading ? 'Saving...' : currentForm.submitLabel}
+                </button>
+              </div>
+            </form>
+          )}
+        </div>
+      </div>
+
+      <div className="grid grid-cols-1 gap-6 lg:grid-cols-2">
+        {/* Violation */}
+        <DetailCard title="Violation">
+          <DetailRow label="Violation" value={fine.violationId?.name} />
+          <DetailRow label="Code" value={fine.violationId?.code} />
+          <DetailRow label="Category" value={fine.violationId?.category} />
+          <DetailRow label="Severity" value={fine.violationId?.severityLevel} />
+          <DetailRow
+            label="Standard amount"
+            value={fine.violationId?.fineAmount !== undefined && formatCurrency(fine.violationId.fineAmount, fine.currency)}
+          />
+          <p className="mt-3 text-sm text-gray-700 whitespace-pre-line">{fine.violationMessage}</p>
+        </DetailCard>
+
+        {/* Vehicle */}
+        <DetailCard title="Vehicle">
+          <DetailRow label="License plate" value={fine.vehicleInfo?.licensePlate} />
+          <DetailRow label="Type" value={fine.vehicleInfo?.vehicleType} />
+          <DetailRow label="Make" value={fine.vehicleInfo?.make} />
+          <DetailRow label="Model" value={fine.vehicleInfo?.model} />
+          <DetailRow label="Color" value={fine.vehicleInfo?.color} />
+        </DetailCard>
+
+        {/* People */}
+        <DetailCard title="Driver & Officer">
+          <DetailRow label="Driver" value={fine.driverId ? formatPerson(fine.driverId) : 'Unidentified driver'} />
+          <DetailRow
+            label="License number"
+            value={fine.driverId?.profile?.licenseNumber || fine.driverLicenseNumber}
+          />
+          <DetailRow label="Issuing officer" value={formatPerson(fine.policeOfficer)} />
+          <DetailRow label="Badge number" value={fine.policeOfficer?.profile?.badgeNumber} />
+        </DetailCard>
+
+        {/* Location */}
+        <DetailCard title="Location">
+          <DetailRow label="Address" value={fine.location?.address} />
+          <DetailRow label="City" value={fine.location?.city} />
+          <DetailRow label="Province" value={fine.location?.province} />
+          <DetailRow label="Coordinates" value={lat !== undefined && lng !== undefined && `${lat}, ${lng}`} />
+          {lat !== undefined && lng !== undefined && (
+            <a
+              href={`https://www.google.com/maps?q=${lat},${lng}`}
+              target="_blank"
+              rel="noopener noreferrer"
+              className="mt-3 inline-flex items-center text-sm text-primary-600 hover:text-primary-800"
+            >
+              <MapPinIcon className="h-4 w-4 mr-1" />
+              View on Google Maps
+            </a>
+          )}
+        </DetailCard>
+
+        {/* Payment */}
+        <DetailCard title="Payment">
+          {fine.status === 'paid' || fine.paymentInfo?.paidAt ? (
+            <>
+              <DetailRow label="Paid on" value={fine.paymentInfo?.paidAt && formatDateTime(fine.paymentInfo.paidAt)} />
+              <DetailRow label="Method" value={fine.paymentInfo?.paymentMethod} />
+              <DetailRow label="Transaction" value={fine.paymentInfo?.transactionId} />
+              {fine.paymentInfo?.counter?.receiptBookNumber && (
+                <>
+                  <DetailRow label="Receipt book number" value={fine.paymentInfo.counter.receiptBookNumber} />
+                  <DetailRow label="Branch" value={fine.paymentInfo.counter.branch} />
+                </>
+              )}
+            </>
+          ) : (
+            !fine.amountPaid && <p className="text-sm text-gray-500">No payment has been recorded for this fine.</p>
+          )}
+          {isPayable && fine.amountPaid > 0 && (
+            <>
+              <DetailRow label="Paid so far" value={formatCurrency(fine.amountPaid, fine.currency)} />
+              <DetailRow label="Outstanding" value={formatCurrency(fine.outstandingAmount, fine.currency)} />
+            </>
+          )}
+          {transactions.length > 0 && (
+            <div className="mt-4">
+              <h4 className="text-sm font-medium text-gray-900 mb-2">Transactions</h4>
+              <ul className="space-y-1 text-sm">
+                {transactions.map((transaction) => (
+                  <li key={transaction._id} className="flex justify-between">
+                    <span className="text-gray-600">
+                      {formatDate(transaction.settledAt || transaction.createdAt)}{' '}
+                      {transaction.type === 'refund' ? 'Refund' : `Payment via ${transaction.method?.replace('_', ' ') || 'unknown method'}`}
+                      {transaction.status !== 'succeeded' && <span className="text-gray-400"> ({transaction.status})</span>}
+                      {transaction.reason && <span className="text-gray-400"> — {transaction.reason}</span>}
+                      {transaction.counter?.slipKey && (
+                        <button
+                          type="button"
+                          className="ml-2 inline-flex items-center text-primary-600 hover:text-primary-800"
+                          onClick={() => openProtectedFile(`/api/payments/counter/fine/${fine._id}/slip/${transaction._id}`)}
+                        >
+                          <DocumentTextIcon className="h-4 w-4 mr-1" />
+                          Slip
+                        </button>
+                      )}
+                    </span>
+                    <span className={transaction.type === 'refund' ? 'text-purple-700' : 'text-gray-900'}>
+                      {transaction.type === 'refund' && '−'}
+                      {formatCurrency(transaction.amount, fine.currency)}
+                    </span>
+                  </li>
+                ))}
+              </ul>
+            </div>
+          )}
+          {fine.amountHistory?.length > 0 && (
+            <div className="mt-4">
+              <h4 className="text-sm font-medium text-gray-900 mb-2">Amount history</h4>
+              <ul className="space-y-1 text-sm">
+                {fine.amountHistory.map((entry) => (
+                  <li key={entry._id} className="flex justify-between">
+                    <span className="text-gray-600 capitalize">
+                      {entry.type}
+                      {entry.reason && <span className="text-gray-400"> — {entry.reason}</span>}
+                    </span>
+                    <span className="text-gray-900">{formatCurrency(entry.amount, fine.currency)}</span>
+                  </li>
+                ))}
+              </ul>
+            </div>
+          )}
+        </DetailCard>
+
+        {/* Instalment plan */}
+        {plan && (
+          <DetailCard title="Instalment Plan">
+            <DetailRow label="Status" value={plan.status} />
+            <DetailRow label="Approved" value={plan.approvedAt && formatDateTime(plan.approvedAt)} />
+            <DetailRow label="Reason" value={plan.reason} />
+            <ul className="mt-3 space-y-1 text-sm">
+              {plan.instalments.map((instalment) => (
+                <li key={instalment._id} className="flex justify-between">
+                  <span className="text-gray-600">
+                    {instalment.number}. Due {formatDate(instalment.dueDate)}
+                    <span className={`ml-2 capitalize ${INSTALMENT_STATUS_COLORS[instalment.status]}`}>
+                      {instalment.status}
+                    </span>
+                  </span>
+                  <span className="text-gray-900">{formatCurrency(instalment.amount, fine.currency)}</span>
+                </li>
+              ))}
+            </ul>
+          </DetailCard>
+        )}
+
+        {/* Dispute */}
+        <DetailCard title="Dispute">
+          {fine.disputeInfo?.isDisputed ? (
+            <>
+              <DetailRow label="Status" value={fine.disputeInfo.disputeStatus} />
+              <DetailRow label="Opened" value={fine.disputeInfo.disputeDate && formatDateTime(fine.disputeInfo.disputeDate)} />
+              <DetailRow label="Reason" value={fine.disputeInfo.disputeReason} />
+              <DetailRow label="Resolution" value={fine.disputeInfo.disputeResolution} />
+              <DetailRow label="Resolved by" value={fine.disputeInfo.resolvedBy && formatPerson(fine.disputeInfo.resolvedBy)} />
+              <DetailRow label="Resolved on" value={fine.disputeInfo.resolvedAt && formatDateTime(fine.disputeInfo.resolvedAt)} />
+              {fine.disputeInfo.attachments?.length > 0 && (
+                <ul className="mt-3 space-y-1 text-sm">
+                  {fine.disputeInfo.attachments.map((attachment) => (
+                    <li key={attachment._id}>
+                      <a
+                        href={attachment.url}
+                        target="_blank"
+                        rel="noopener noreferrer"
+                        className="text-primary-600 hover:text-primary-800"
+                      >
+                        {attachment.description || attachment.url}
+                      </a>
+                    </li>
+                  ))}
+                </ul>
+              )}
+            </>
+          ) : (
+            <p className="text-sm text-gray-500">This fine has not been disputed.</p>
+          )}
+        </DetailCard>
+      </div>
+
+      {/* Evidence */}
+      <DetailCard title="Evidence">
+        {fine.evidence?.length > 0 ? (
+          <div className="grid grid-cols-2 gap-4 sm:grid-cols-3 lg:grid-cols-4">
+            {fine.evidence.map((item) => (
+              <EvidenceItem key={item._id} item={item} />
+            ))}
+          </div>
+        ) : (
+          <p className="text-sm text-gray-500">No evidence has been attached to this fine.</p>
+        )}
+      </DetailCard>
+
+      {/* Timeline */}
+      <DetailCard title="Timeline">
+        {timeline.length > 0 ? (
+          <ol className="relative border-l border-gray-200 ml-2 space-y-4">
+            {timeline.map((event) => (
+              <li key={event.key} className="ml-4">
+                <div className="absolute w-3 h-3 bg-primary-200 rounded-full -left-1.5 border border-white" />
+                <time className="text-xs text-gray-400">{formatDateTime(event.date)}</time>
+                <p className="text-sm font-medium text-gray-900">{event.title}</p>
+                {event.body && <p className="text-sm text-gray-600 whitespace-pre-line">{event.body}</p>}
+              </li>
+            ))}
+          </ol>
+        ) : (
+          <p className="text-sm text-gray-500">No activity recorded yet.</p>
+        )}
+      </DetailCard>
     </div>
   );
 };
 
-export default FineDetails;
\ No newline at end of file
+const DetailCard = ({ title, children }) => (
+  <div className="card">
+    <div className="card-header">
+      <h3 className="text-lg leading-6 font-medium text-gray-900">{title}</h3>
+    </div>
+    <div className="card-body">{children}</div>
+  </div>
+);
+
+const DetailRow = ({ label, value }) => (
+  <div className="flex justify-between py-1 text-sm">
+    <span className="text-gray-500">{label}</span>
+    <span className="text-gray-900 text-right">{value || '—'}</span>
+  </div>
+);
+
+// Evidence files need the auth header, so they are fetched as blobs rather than linked directly
+const EvidenceItem = ({ item }) => {
+  const [previewUrl, setPreviewUrl] = useState(null);
+  const isPhoto = item.type === 'photo';
+  const isStoredFile = item.url?.startsWith('/api/');
+
+  useEffect(() => {
+    if (!isPhoto) return undefined;
+    if (!isStoredFile) {
+      setPreviewUrl(item.url);
+      return undefined;
+    }
+
+    let objectUrl;
+    let cancelled = false;
+    axios
+      .get(item.thumbnailUrl || item.url, { responseType: 'blob' })
+      .then((res) => {
+        if (cancelled) return;
+        objectUrl = URL.createObjectURL(res.data);
+        setPreviewUrl(objectUrl);
+      })
+      .catch(() => setPreviewUrl(null));
+
+    return () => {
+      cancelled = true;
+      if (objectUrl) URL.revokeObjectURL(objectUrl);
+    };
+  }, [isPhoto, isStoredFile, item.url, item.thumbnailUrl]);
+
+  const openOriginal = () => {
+    if (!isStoredFile) {
+      window.open(item.url, '_blank', 'noopener,noreferrer');
+      return;
+    }
+    openProtectedFile(item.url);
+  };
+
+  const Icon = item.type === 'video' ? FilmIcon : DocumentTextIcon;
+
+  return (
+    <button
+      type="button"
+      onClick={openOriginal}
+      className="group text-left border border-gray-200 rounded-lg overflow-hidden hover:shadow-md transition-shadow"
+    >
+      <div className="h-32 bg-gray-100 flex items-center justify-center">
+        {isPhoto && previewUrl ? (
+          <img src={previewUrl} alt={item.description || 'Evidence'} className="h-full w-full object-cover" />
+        ) : isPhoto ? (
+          <LoadingSpinner size="sm" />
+        ) : (
+          <Icon className="h-10 w-10 text-gray-400" />
+        )}
+      </div>
+      <div className="p-2">
+        <p className="text-xs font-medium text-gray-900 truncate">
+          {item.description || item.originalName || item.type}
+        </p>
+        <p className="text-xs text-gray-500">{formatDate(item.uploadedAt)}</p>
+      </div>
+    </button>
+  );
+};
+
+// Open a file served behind authentication in a new tab
+const openProtectedFile = async (url) => {
+  try {
+    const res = await axios.get(url, { responseType: 'blob' });
+    const objectUrl = URL.createObjectURL(res.data);
+    window.open(objectUrl, '_blank', 'noopener,noreferrer');
+    setTimeout(() => URL.revokeObjectURL(objectUrl), 60000);
+  } catch (err) {
+    toast.error('Failed to open file');
+  }
+};
+
+// Merge notes, dispute steps and amount changes into one chronological list
+const buildTimeline = (fine, transactions) => {
+  const events = [
+    {
+      key: 'issued',
+      date: fine.issuedAt || fine.createdAt,
+      title: `Fine issued by ${formatPerson(fine.policeOfficer)}`,
+    },
+  ];
+
+  (fine.notes || []).forEach((note) => {
+    events.push({
+      key: `note-${note._id}`,
+      date: note.addedAt,
+      title: `Note by ${formatPerson(note.addedBy)}`,
+      body: note.content,
+    });
+  });
+
+  (fine.disputeInfo?.history || []).forEach((step) => {
+    events.push({
+      key: `dispute-${step._id}`,
+      date: step.performedAt,
+      title: `Dispute ${step.action} by ${formatPerson(step.performedBy)}`,
+      body: step.comment,
+    });
+  });
+
+  (fine.amountHistory || [])
+    .filter((entry) => entry.type !== 'issued')
+    .forEach((entry) => {
+      events.push({
+        key: `amount-${entry._id}`,
+        date: entry.recordedAt,
+        title: `Amount ${entry.type === 'penalty' ? 'increased' : 'reduced'} to ${formatCurrency(entry.balance, fine.currency)}`,
+        body: entry.reason,
+      });
+    });
+
+  if (fine.instalmentPlan?.approvedAt) {
+    events.push({
+      key: 'instalment-plan',
+      date: fine.instalmentPlan.approvedAt,
+      title: `Instalment plan of ${fine.instalmentPlan.instalments.length} instalments approved by ${formatPerson(fine.instalmentPlan.approvedBy)}`,
+      body: fine.instalmentPlan.reason,
+    });
+  }
+
+  if (fine.instalmentPlan?.endedAt) {
+    events.push({
+      key: 'instalment-plan-ended',
+      date: fine.instalmentPlan.endedAt,
+      title: `Instalment plan ${fine.instalmentPlan.status}`,
+    });
+  }
+
+  if (fine.paymentInfo?.paidAt) {
+    events.push({
+      key: 'paid',
+      date: fine.paymentInfo.paidAt,
+      title: `Paid via ${fine.paymentInfo.paymentMethod || 'unknown method'}`,
+    });
+  }
+
+  transactions
+    .filter((transaction) => transaction.type === 'refund' || transaction.status === 'failed')
+    .forEach((transaction) => {
+      events.push({
+        key: `transaction-${transaction._id}`,
+        date: transaction.settledAt || transaction.updatedAt,
+        title: transaction.type === 'refund'
+          ? `Refund of ${formatCurrency(transaction.amount, fine.currency)}${transaction.status !== 'succeeded' ? ` (${transaction.status})` : ''}`
+          : `Payment of ${formatCurrency(transaction.amount, fine.currency)} via ${transaction.method || 'unknown method'} failed`,
+        body: transaction.reason || transaction.failureReason,
+      });
+    });
+
+  return events
+    .filter((event) => event.date)
+    .sort((a, b) => new Date(b.date) - new Date(a.date));
+};
+
+// Save a downloaded file, e.g. a PDF receipt, under the given name
+const saveFile = (blob, fileName) => {
+  const url = URL.createObjectURL(blob);
+  const link = document.createElement('a');
+  link.href = url;
+  link.download = fileName;
+  document.body.appendChild(link);
+  link.click();
+  link.remove();
+  URL.revokeObjectURL(url);
+};
+
+const formatPerson = (person) => {
+  if (!person) return 'Unknown';
+  const name = [person.profile?.firstName, person.profile?.lastName].filter(Boolean).join(' ');
+  return name || person.username || 'Unknown';
+};
+
+const formatCurrency = (amount, currency = 'LKR') => {
+  return new Intl.NumberFormat('en-LK', {
+    style: 'currency',
+    currency: currency,
+  }).format(amount);
+};
+
+const formatDate = (date) => {
+  if (!date) return '';
+  return new Date(date).toLocaleDateString('en-LK', {
+    year: 'numeric',
+    month: 'short',
+    day: 'numeric',
+  });
+};
+
+const formatDateTime = (date) => {
+  if (!date) return '';
+  return new Date(date).toLocaleString('en-LK', {
+    year: 'numeric',
+    month: 'short',
+    day: 'numeric',
+    hour: '2-digit',
+    minute: '2-digit',
+  });
+};
+
+export default FineDetails;
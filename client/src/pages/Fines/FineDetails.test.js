@@ -0,0 +1,235 @@
+import React from 'react';
+import { fireEvent, render, screen, waitFor } from '@testing-library/react';
+import { MemoryRouter, Route, Routes } from 'react-router-dom';
+import { QueryClient, QueryClientProvider } from 'react-query';
+import axios from 'axios';
+import toast from 'react-hot-toast';
+import FineDetails from './FineDetails';
+
+jest.mock('axios', () => ({ get: jest.fn(), post: jest.fn(), put: jest.fn() }));
+jest.mock('react-hot-toast', () => ({ success: jest.fn(), error: jest.fn() }));
+
+let mockAuth;
+jest.mock('../../contexts/AuthContext', () => ({ useAuth: () => mockAuth }));
+
+const driver = { _id: 'driver-1', role: 'driver', username: 'nimal', profile: { firstName: 'Nimal', lastName: 'Perera', licenseNumber: 'B1234567' } };
+const officer = { _id: 'officer-1', role: 'police_officer', username: 'kamal', profile: { firstName: 'Kamal', lastName: 'Silva', badgeNumber: 'PC-1024' } };
+
+const signInAs = (user, permissions = []) => {
+  mockAuth = {
+    user,
+    isDriver: () => user.role === 'driver',
+    hasPermission: (permission) => permissions.includes(permission),
+  };
+};
+
+const buildFine = (overrides = {}) => ({
+  _id: 'fine-1',
+  fineId: 'WP-COL-2026-000001',
+  status: 'pending',
+  fineAmount: 5000,
+  currency: 'LKR',
+  amountPaid: 0,
+  outstandingAmount: 5000,
+  refundableAmount: 0,
+  createdAt: '2026-10-01T10:00:00.000Z',
+  dueDate: '2026-10-31T00:00:00.000Z',
+  driverId: driver,
+  policeOfficer: officer,
+  violationId: { name: 'Speeding', code: 'SPD-01', category: 'speed', fineAmount: 5000 },
+  violationMessage: '82 km/h in a 50 km/h zone',
+  vehicleInfo: { licensePlate: 'WP CAB-1234', vehicleType: 'car', make: 'Toyota' },
+  location: { address: 'Galle Road', city: 'Colombo', googleLocation: { lat: 6.9271, lng: 79.8612 } },
+  paymentInfo: {},
+  disputeInfo: { isDisputed: false },
+  evidence: [],
+  notes: [{ _id: 'note-1', content: 'Driver was cooperative', addedBy: officer, addedAt: '2026-10-01T10:05:00.000Z' }],
+  amountHistory: [],
+  ...overrides,
+});
+
+const mockFine = (fine, transactions = []) => {
+  axios.get.mockImplementation((url) => {
+    if (url === `/api/fines/${fine._id}`) return Promise.resolve({ data: { fine } });
+    if (url === `/api/payments/fine/${fine._id}/transactions`) return Promise.resolve({ data: { transactions } });
+    return Promise.reject(new Error(`Unexpected GET ${url}`));
+  });
+};
+
+let queryClient;
+
+const renderPage = () =>
+  render(
+    <QueryClientProvider client={queryClient}>
+      <MemoryRouter initialEntries={['/fines/fine-1']}>
+        <Routes>
+          <Route path="/fines/:id" element={<FineDetails />} />
+        </Routes>
+      </MemoryRouter>
+    </QueryClientProvider>
+  );
+
+beforeEach(() => {
+  queryClient = new QueryClient({ defaultOptions: { queries: { retry: false } } });
+});
+
+// Let the ledger query finish before the page is unmounted
+afterEach(async () => {
+  await waitFor(() => expect(queryClient.isFetching()).toBe(0));
+  jest.clearAllMocks();
+});
+
+test('shows the violation, vehicle, people, location and timeline of the fine', async () => {
+  signInAs(driver);
+  mockFine(buildFine());
+
+  renderPage();
+
+  expect(await screen.findByRole('heading', { name: 'Speeding' })).toBeInTheDocument();
+  expect(screen.getByText(/Fine WP-COL-2026-000001/)).toBeInTheDocument();
+  expect(screen.getByText('82 km/h in a 50 km/h zone')).toBeInTheDocument();
+  expect(screen.getByText('WP CAB-1234')).toBeInTheDocument();
+  expect(screen.getByText('Nimal Perera')).toBeInTheDocument();
+  expect(screen.getByText('PC-1024')).toBeInTheDocument();
+  expect(screen.getByText('Galle Road')).toBeInTheDocument();
+  expect(screen.getByRole('link', { name: /View on Google Maps/ })).toHaveAttribute('href', 'https://www.google.com/maps?q=6.9271,79.8612');
+  expect(screen.getByText('Fine issued by Kamal Silva')).toBeInTheDocument();
+  expect(screen.getByText('Driver was cooperative')).toBeInTheDocument();
+  expect(screen.getByText('This fine has not been disputed.')).toBeInTheDocument();
+  expect(screen.getByText('No evidence has been attached to this fine.')).toBeInTheDocument();
+});
+
+test('lets the driver pay or dispute their own unpaid fine', async () => {
+  signInAs(driver);
+  mockFine(buildFine());
+
+  renderPage();
+
+  expect(await screen.findByRole('link', { name: /Pay Fine/ })).toHaveAttribute('href', '/fines/fine-1/pay');
+  expect(screen.getByRole('button', { name: /Dispute/ })).toBeInTheDocument();
+  expect(screen.queryByRole('button', { name: /Add Note/ })).not.toBeInTheDocument();
+  expect(screen.queryByRole('button', { name: /Cancel Fine/ })).not.toBeInTheDocument();
+  expect(screen.queryByRole('button', { name: /Download Receipt/ })).not.toBeInTheDocument();
+});
+
+test('submits a dispute with its reason', async () => {
+  signInAs(driver);
+  mockFine(buildFine());
+  axios.post.mockResolvedValue({ data: { message: 'Dispute submitted successfully' } });
+
+  renderPage();
+  fireEvent.click(await screen.findByRole('button', { name: /Dispute/ }));
+  fireEvent.change(screen.getByPlaceholderText('Explain why you believe this fine is incorrect'), { target: { value: 'I was not driving' } });
+  fireEvent.click(screen.getByRole('button', { name: 'Submit Dispute' }));
+
+  await waitFor(() => expect(toast.success).toHaveBeenCalledWith('Dispute submitted'));
+  await waitFor(() => expect(screen.queryByRole('heading', { name: 'Dispute this fine' })).not.toBeInTheDocument());
+  expect(axios.post).toHaveBeenCalledWith('/api/disputes/fine/fine-1', { reason: 'I was not driving' });
+});
+
+test('does not offer a driver actions on someone else\'s fine', async () => {
+  signInAs({ ...driver, _id: 'driver-2' });
+  mockFine(buildFine());
+
+  renderPage();
+
+  expect(await screen.findByRole('heading', { name: 'Speeding' })).toBeInTheDocument();
+  expect(screen.queryByRole('link', { name: /Pay Fine/ })).not.toBeInTheDocument();
+  expect(screen.queryByRole('button', { name: /Dispute/ })).not.toBeInTheDocument();
+  expect(screen.queryByRole('button', { name: /Print Notice/ })).not.toBeInTheDocument();
+});
+
+test('lets staff add notes and cancel the fine by permission', async () => {
+  signInAs(officer, ['fines:add-notes', 'fines:cancel']);
+  mockFine(buildFine());
+  axios.put.mockResolvedValue({ data: {} });
+
+  renderPage();
+
+  expect(await screen.findByRole('button', { name: /Add Note/ })).toBeInTheDocument();
+  expect(screen.queryByRole('link', { name: /Pay Fine/ })).not.toBeInTheDocument();
+
+  fireEvent.click(screen.getByRole('button', { name: /Cancel Fine/ }));
+  // The form's submit button comes after the action button of the same name
+  const submitCancel = () => fireEvent.click(screen.getAllByRole('button', { name: 'Cancel Fine' }).pop());
+  submitCancel();
+  expect(await screen.findByText('Reason for cancellation is required')).toBeInTheDocument();
+  expect(axios.put).not.toHaveBeenCalled();
+
+  fireEvent.change(screen.getByPlaceholderText('Why is this fine being cancelled?'), { target: { value: 'Issued to the wrong vehicle' } });
+  submitCancel();
+
+  await waitFor(() => expect(toast.success).toHaveBeenCalledWith('Fine cancelled'));
+  await waitFor(() => expect(screen.queryByRole('heading', { name: 'Cancel this fine' })).not.toBeInTheDocument());
+  expect(axios.put).toHaveBeenCalledWith('/api/fines/fine-1/status', { status: 'cancelled', reason: 'Issued to the wrong vehicle' });
+});
+
+test('shows the payment of a paid fine and offers its receipt', async () => {
+  signInAs(driver);
+  mockFine(
+    buildFine({
+      status: 'paid',
+      amountPaid: 5000,
+      outstandingAmount: 0,
+      paymentInfo: { paidAt: '2026-10-05T09:00:00.000Z', paymentMethod: 'stripe', transactionId: 'ch_1' },
+    }),
+    [{ _id: 'transaction-1', type: 'payment', status: 'succeeded', method: 'stripe', amount: 5000, settledAt: '2026-10-05T09:00:00.000Z' }]
+  );
+
+  renderPage();
+
+  expect(await screen.findByText('ch_1')).toBeInTheDocument();
+  expect(screen.getByText('Paid via stripe')).toBeInTheDocument();
+  expect(await screen.findByText(/Payment via stripe/)).toBeInTheDocument();
+  expect(screen.getByRole('link', { name: /View Receipt/ })).toHaveAttribute('href', '/fines/fine-1/receipt');
+  expect(screen.getByRole('button', { name: /Download Receipt/ })).toBeInTheDocument();
+  expect(screen.queryByRole('link', { name: /Pay Fine/ })).not.toBeInTheDocument();
+  expect(screen.queryByRole('button', { name: /Dispute/ })).not.toBeInTheDocument();
+});
+
+test('shows the state of a dispute', async () => {
+  signInAs(driver);
+  mockFine(buildFine({
+    status: 'disputed',
+    disputeInfo: {
+      isDisputed: true,
+      disputeStatus: 'pending',
+      disputeReason: 'I was not driving',
+      disputeDate: '2026-10-02T08:00:00.000Z',
+      history: [{ _id: 'step-1', action: 'submitted', performedBy: driver, performedAt: '2026-10-02T08:00:00.000Z' }],
+    },
+  }));
+
+  renderPage();
+
+  expect(await screen.findByText('I was not driving')).toBeInTheDocument();
+  expect(screen.getByText('Dispute submitted by Nimal Perera')).toBeInTheDocument();
+  expect(screen.queryByRole('link', { name: /Pay Fine/ })).not.toBeInTheDocument();
+});
+
+test('lists the evidence attached to the fine', async () => {
+  signInAs(officer);
+  mockFine(buildFine({
+    evidence: [
+      { _id: 'evidence-1', type: 'photo', url: 'https://cdn.example.com/photo.jpg', description: 'Speed camera photo' },
+      { _id: 'evidence-2', type: 'video', url: '/api/evidence/fine-1/evidence-2', originalName: 'dashcam.mp4' },
+    ],
+  }));
+
+  renderPage();
+
+  expect(await screen.findByRole('img', { name: 'Speed camera photo' })).toHaveAttribute('src', 'https://cdn.example.com/photo.jpg');
+  expect(screen.getByText('dashcam.mp4')).toBeInTheDocument();
+});
+
+test('explains why the fine could not be loaded', async () => {
+  jest.spyOn(console, 'error').mockImplementation(() => {});
+  signInAs(driver);
+  axios.get.mockRejectedValue({ response: { status: 403, data: { message: 'Access denied. You can only view your own fines.' } } });
+
+  renderPage();
+
+  expect(await screen.findByText('Error Loading Fine')).toBeInTheDocument();
+  expect(screen.getByText('Access denied. You can only view your own fines.')).toBeInTheDocument();
+  console.error.mockRestore();
+});
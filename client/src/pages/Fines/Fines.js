@@ -5,6 +5,7 @@ import {
   DocumentTextIcon,
   EyeIcon,
   CurrencyDollarIcon,
+  MagnifyingGlassIcon,
   MapPinIcon,
   PlusIcon,
 } from '@heroicons/react/24/outline';
@@ -12,17 +13,32 @@ import { useAuth } from '../../contexts/AuthContext';
 import LoadingSpinner from '../../components/UI/LoadingSpinner';
 import axios from 'axios';
 
+const PAYABLE_STATUSES = ['pending', 'overdue'];
+
 const Fines = () => {
-  const { user, isPoliceOfficer, isAdmin } = useAuth();
+  const { user, hasPermission } = useAuth();
   const [statusFilter, setStatusFilter] = useState('all');
+  // Fine number, receipt number or license plate; applied when the search is submitted
+  const [searchInput, setSearchInput] = useState('');
+  const [search, setSearch] = useState('');
   const [currentPage, setCurrentPage] = useState(1);
+  // Drivers can pick several fines and pay them together
+  const [selectedFineIds, setSelectedFineIds] = useState([]);
+  const canSelect = user?.role === 'driver';
+
+  const toggleSelected = (fineId) => {
+    setSelectedFineIds((selected) =>
+      selected.includes(fineId) ? selected.filter((id) => id !== fineId) : [...selected, fineId]
+    );
+  };
 
   // Fetch fines
   const { data: finesData, isLoading, error } = useQuery(
-    ['fines', statusFilter, currentPage],
+    ['fines', statusFilter, search, currentPage],
     () => {
       const params = new URLSearchParams();
       if (statusFilter !== 'all') params.append('status', statusFilter);
+      if (search) params.append('search', search);
       params.append('page', currentPage);
       params.append('limit', '10');
       
@@ -45,6 +61,9 @@ const Fines = () => {
         return 'bg-gray-100 text-gray-800';
       case 'overdue':
         return 'bg-red-100 text-red-800';
+      case 'refunded':
+      case 'partially_refunded':
+        return 'bg-purple-100 text-purple-800';
       default:
         return 'bg-gray-100 text-gray-800';
     }
@@ -105,7 +124,13 @@ const Fines = () => {
             }
           </p>
         </div>
-        {(isPoliceOfficer() || isAdmin()) && (
+        {canSelect && selectedFineIds.length > 1 && (
+          <Link to={`/payments/checkout?fines=${selectedFineIds.join(',')}`} className="btn-success">
+            <CurrencyDollarIcon className="h-5 w-5 mr-2" />
+            Pay {selectedFineIds.length} fines
+          </Link>
+        )}
+        {hasPermission('fines:create') && (
           <Link to="/fines/create" className="btn-primary">
             <PlusIcon className="h-5 w-5 mr-2" />
             Create Fine
@@ -135,8 +160,33 @@ const Fines = () => {
               <option value="disputed">Disputed</option>
               <option value="overdue">Overdue</option>
               <option value="cancelled">Cancelled</option>
+              <option value="partially_refunded">Partially refunded</option>
+              <option value="refunded">Refunded</option>
             </select>
           </div>
+          <form
+            className="flex-1 min-w-[16rem]"
+            onSubmit={(e) => {
+              e.preventDefault();
+              setSearch(searchInput.trim());
+              setCurrentPage(1);
+            }}
+          >
+            <label htmlFor="search" className="block text-sm font-medium text-gray-700 mb-1">
+              Search
+            </label>
+            <div className="relative">
+              <MagnifyingGlassIcon className="pointer-events-none absolute left-3 top-1/2 -translate-y-1/2 h-4 w-4 text-gray-400" />
+              <input
+                id="search"
+                type="search"
+                value={searchInput}
+                onChange={(e) => setSearchInput(e.target.value)}
+                placeholder="Fine number, receipt number or license plate"
+                className="form-input pl-9 w-full"
+              />
+            </div>
+          </form>
         </div>
       </div>
 
@@ -146,9 +196,11 @@ const Fines = () => {
           <DocumentTextIcon className="mx-auto h-12 w-12 text-gray-400" />
           <h3 className="mt-2 text-sm font-medium text-gray-900">No fines found</h3>
           <p className="mt-1 text-sm text-gray-500">
-            {statusFilter === 'all' 
-              ? 'No traffic fines have been issued yet.'
-              : `No fines with status "${statusFilter}" found.`
+            {search
+              ? `No fines match "${search}".`
+              : statusFilter === 'all'
+                ? 'No traffic fines have been issued yet.'
+                : `No fines with status "${statusFilter}" found.`
             }
           </p>
         </div>
@@ -158,6 +210,11 @@ const Fines = () => {
             <table className="min-w-full divide-y divide-gray-200">
               <thead className="bg-gray-50">
                 <tr>
+                  {canSelect && (
+                    <th className="pl-6 py-3">
+                      <span className="sr-only">Select</span>
+                    </th>
+                  )}
                   <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">
                     Fine Details
                   </th>
@@ -181,6 +238,19 @@ const Fines = () => {
               <tbody className="bg-white divide-y divide-gray-200">
                 {fines.map((fine) => (
                   <tr key={fine._id} className="hover:bg-gray-50">
+                    {canSelect && (
+                      <td className="pl-6 py-4">
+                        {PAYABLE_STATUSES.includes(fine.status) && (
+                          <input
+                            type="checkbox"
+                            className="form-checkbox"
+                            aria-label={`Select fine ${fine.fineId}`}
+                            checked={selectedFineIds.includes(fine._id)}
+                            onChange={() => toggleSelected(fine._id)}
+                          />
+                        )}
+                      </td>
+                    )}
                     <td className="px-6 py-4 whitespace-nowrap">
                       <div className="flex items-center">
                         <div>
@@ -190,6 +260,7 @@ const Fines = () => {
                           <div className="text-sm text-gray-500">
                             Code: {fine.violationId?.code || 'N/A'}
                           </div>
+                          <div className="text-xs font-mono text-gray-500">{fine.fineId}</div>
                           {fine.location?.address && (
                             <div className="text-xs text-gray-400 flex items-center mt-1">
                               <MapPinIcon className="h-3 w-3 mr-1" />
@@ -216,7 +287,7 @@ const Fines = () => {
                           fine.status
                         )}`}
                       >
-                        {fine.status.charAt(0).toUpperCase() + fine.status.slice(1)}
+                        {fine.status.charAt(0).toUpperCase() + fine.status.slice(1).replace('_', ' ')}
                       </span>
                     </td>
                     <td className="px-6 py-4 whitespace-nowrap text-sm text-gray-500">
@@ -0,0 +1,194 @@
+import React from 'react';
+import { useQuery, useMutation, useQueryClient } from 'react-query';
+import { useForm } from 'react-hook-form';
+import { ShieldCheckIcon } from '@heroicons/react/24/outline';
+import axios from 'axios';
+import toast from 'react-hot-toast';
+import { useAuth } from '../../contexts/AuthContext';
+import LoadingSpinner from '../../components/UI/LoadingSpinner';
+
+const STATUS_STYLES = {
+  pending: 'bg-yellow-100 text-yellow-800',
+  approved: 'bg-green-100 text-green-800',
+  rejected: 'bg-red-100 text-red-800',
+};
+
+const formatDate = (date) => {
+  return new Date(date).toLocaleDateString('en-LK', {
+    year: 'numeric',
+    month: 'short',
+    day: 'numeric',
+  });
+};
+
+const OfficerApplication = () => {
+  const { isDriver } = useAuth();
+  const queryClient = useQueryClient();
+
+  const { data: applicationsData, isLoading } = useQuery(
+    'myOfficerApplications',
+    () => axios.get('/api/officer-applications/mine').then((res) => res.data)
+  );
+
+  const { data: stationsData } = useQuery(
+    'stations',
+    () => axios.get('/api/stations').then((res) => res.data),
+    { staleTime: 5 * 60 * 1000 }
+  );
+
+  const {
+    register,
+    handleSubmit,
+    reset,
+    formState: { errors },
+  } = useForm();
+
+  const applyMutation = useMutation(
+    (values) => {
+      const formData = new FormData();
+      formData.append('badgeNumber', values.badgeNumber);
+      formData.append('stationId', values.stationId);
+      formData.append('idDocument', values.idDocument[0]);
+      return axios.post('/api/officer-applications', formData);
+    },
+    {
+      onSuccess: () => {
+        toast.success('Application submitted for review');
+        reset();
+        queryClient.invalidateQueries('myOfficerApplications');
+      },
+    }
+  );
+
+  if (isLoading) {
+    return (
+      <div className="flex justify-center items-center h-64">
+        <LoadingSpinner size="lg" text="Loading applications..." />
+      </div>
+    );
+  }
+
+  const applications = applicationsData?.applications || [];
+  const stations = (stationsData?.stations || []).filter((station) => station.isActive);
+  const hasPending = applications.some((application) => application.status === 'pending');
+  const submitError = applyMutation.error?.response?.data;
+
+  return (
+    <div className="max-w-2xl mx-auto space-y-6">
+      <div>
+        <h1 className="text-2xl font-bold text-gray-900">Become a Police Officer</h1>
+        <p className="mt-1 text-sm text-gray-500">
+          Officers are verified by an administrator before they can issue fines.
+        </p>
+      </div>
+
+      {isDriver() && !hasPending && (
+        <div className="card">
+          <div className="card-header">
+            <h3 className="text-lg font-medium text-gray-900">Apply</h3>
+          </div>
+          <div className="card-body">
+            <form onSubmit={handleSubmit((values) => applyMutation.mutate(values))} className="space-y-4">
+              <div className="grid grid-cols-1 gap-4 sm:grid-cols-2">
+                <div>
+                  <label className="block text-sm font-medium text-gray-700 mb-1">Badge number</label>
+                  <input
+                    type="text"
+                    className="form-input w-full"
+                    {...register('badgeNumber', {
+                      required: 'Badge number is required',
+                      maxLength: { value: 20, message: 'Max 20 characters' },
+                    })}
+                  />
+                  {errors.badgeNumber && (
+                    <p className="mt-1 text-sm text-red-600">{errors.badgeNumber.message}</p>
+                  )}
+                </div>
+                <div>
+                  <label className="block text-sm font-medium text-gray-700 mb-1">Station</label>
+                  <select
+                    className="form-select w-full"
+                    {...register('stationId', { required: 'Station is required' })}
+                  >
+                    <option value="">Select a station</option>
+                    {stations.map((station) => (
+                      <option key={station._id} value={station._id}>
+                        {station.name} ({station.code})
+                      </option>
+                    ))}
+                  </select>
+                  {errors.stationId && (
+                    <p className="mt-1 text-sm text-red-600">{errors.stationId.message}</p>
+                  )}
+                </div>
+              </div>
+
+              <div>
+                <label className="block text-sm font-medium text-gray-700 mb-1">Police ID (scan or photo)</label>
+                <input
+                  type="file"
+                  accept="image/jpeg,image/png,image/webp,application/pdf"
+                  className="block w-full text-sm text-gray-700"
+                  {...register('idDocument', {
+                    validate: (files) => files?.length > 0 || 'Your police ID is required',
+                  })}
+                />
+                {errors.idDocument && <p className="mt-1 text-sm text-red-600">{errors.idDocument.message}</p>}
+              </div>
+
+              {submitError && <div className="alert-danger">{submitError.message}</div>}
+
+              <div className="flex justify-end">
+                <button type="submit" className="btn-primary" disabled={applyMutation.isLoading}>
+                  <ShieldCheckIcon className="h-5 w-5 mr-2" />
+                  {applyMutation.isLoading ? 'Submitting...' : 'Submit Application'}
+                </button>
+              </div>
+            </form>
+          </div>
+        </div>
+      )}
+
+      <div className="card">
+        <div className="card-header">
+          <h3 className="text-lg font-medium text-gray-900">My Applications</h3>
+        </div>
+        <div className="card-body">
+          {applications.length === 0 ? (
+            <p className="text-sm text-gray-500">You have not applied yet.</p>
+          ) : (
+            <ul className="divide-y divide-gray-200">
+              {applications.map((application) => (
+                <li key={application._id} className="py-3">
+                  <div className="flex items-center justify-between">
+                    <div>
+                      <p className="text-sm font-medium text-gray-900">
+                        Badge {application.badgeNumber} · {application.station?.name}
+                      </p>
+                      <p className="text-xs text-gray-500">Submitted {formatDate(application.createdAt)}</p>
+                    </div>
+                    <span
+                      className={`inline-flex px-2 py-1 text-xs font-semibold rounded-full ${
+                        STATUS_STYLES[application.status]
+                      }`}
+                    >
+                      {application.status}
+                    </span>
+                  </div>
+                  {application.reviewedAt && (
+                    <p className="mt-1 text-xs text-gray-500">
+                      Reviewed {formatDate(application.reviewedAt)}
+                      {application.rejectionReason && `: ${application.rejectionReason}`}
+                    </p>
+                  )}
+                </li>
+              ))}
+            </ul>
+          )}
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default OfficerApplication;
@@ -0,0 +1,225 @@
+import React, { useState } from 'react';
+import { useQuery, useMutation, useQueryClient } from 'react-query';
+import { CheckCircleIcon, DocumentTextIcon, XCircleIcon } from '@heroicons/react/24/outline';
+import axios from 'axios';
+import toast from 'react-hot-toast';
+import LoadingSpinner from '../../components/UI/LoadingSpinner';
+
+const STATUSES = ['pending', 'approved', 'rejected'];
+
+const formatDate = (date) => {
+  return new Date(date).toLocaleDateString('en-LK', {
+    year: 'numeric',
+    month: 'short',
+    day: 'numeric',
+  });
+};
+
+const formatPerson = (person) => {
+  if (!person) return 'Unknown';
+  const name = [person.profile?.firstName, person.profile?.lastName].filter(Boolean).join(' ');
+  return name || person.username;
+};
+
+// Open a file served behind authentication in a new tab
+const openProtectedFile = async (url) => {
+  try {
+    const res = await axios.get(url, { responseType: 'blob' });
+    const objectUrl = URL.createObjectURL(res.data);
+    window.open(objectUrl, '_blank', 'noopener,noreferrer');
+    setTimeout(() => URL.revokeObjectURL(objectUrl), 60000);
+  } catch (err) {
+    toast.error('Failed to open file');
+  }
+};
+
+const OfficerApplications = () => {
+  const queryClient = useQueryClient();
+  const [status, setStatus] = useState('pending');
+  const [currentPage, setCurrentPage] = useState(1);
+  // Application being rejected, and the reason given to the applicant
+  const [rejectingId, setRejectingId] = useState(null);
+  const [reason, setReason] = useState('');
+
+  const { data, isLoading } = useQuery(
+    ['officerApplications', status, currentPage],
+    () => axios
+      .get('/api/officer-applications', { params: { status, page: currentPage, limit: 10 } })
+      .then((res) => res.data),
+    { keepPreviousData: true }
+  );
+
+  const reviewMutation = useMutation(
+    ({ id, decision, reason }) => axios.put(`/api/officer-applications/${id}/review`, { decision, reason }),
+    {
+      onSuccess: (res) => {
+        toast.success(res.data.message);
+        setRejectingId(null);
+        setReason('');
+        queryClient.invalidateQueries('officerApplications');
+        queryClient.invalidateQueries('users');
+      },
+      onError: (error) => {
+        toast.error(error.response?.data?.message || 'Failed to review application');
+      },
+    }
+  );
+
+  const applications = data?.applications || [];
+  const pagination = data?.pagination;
+
+  return (
+    <div className="space-y-6">
+      <div className="sm:flex sm:items-center sm:justify-between">
+        <div>
+          <h1 className="text-2xl font-bold text-gray-900">Officer Applications</h1>
+          <p className="mt-1 text-sm text-gray-500">
+            Verify users who have applied to become police officers
+          </p>
+        </div>
+        <select
+          className="form-select mt-4 sm:mt-0"
+          value={status}
+          onChange={(e) => {
+            setStatus(e.target.value);
+            setCurrentPage(1);
+          }}
+        >
+          {STATUSES.map((value) => (
+            <option key={value} value={value}>
+              {value.charAt(0).toUpperCase() + value.slice(1)}
+            </option>
+          ))}
+        </select>
+      </div>
+
+      {isLoading ? (
+        <div className="flex justify-center items-center h-64">
+          <LoadingSpinner size="lg" text="Loading applications..." />
+        </div>
+      ) : applications.length === 0 ? (
+        <div className="card">
+          <div className="card-body text-center text-sm text-gray-500">No {status} applications</div>
+        </div>
+      ) : (
+        <div className="space-y-4">
+          {applications.map((application) => (
+            <div key={application._id} className="card">
+              <div className="card-body space-y-3">
+                <div className="sm:flex sm:items-start sm:justify-between">
+                  <div>
+                    <p className="text-sm font-medium text-gray-900">
+                      {formatPerson(application.applicant)}
+                      <span className="ml-2 text-gray-500">{application.applicant?.email}</span>
+                    </p>
+                    <p className="text-sm text-gray-600">
+                      Badge {application.badgeNumber} · {application.station?.name} ({application.station?.code})
+                    </p>
+                    <p className="text-xs text-gray-500">Submitted {formatDate(application.createdAt)}</p>
+                    {application.reviewedAt && (
+                      <p className="text-xs text-gray-500">
+                        {application.status === 'approved' ? 'Approved' : 'Rejected'} by{' '}
+                        {formatPerson(application.reviewedBy)} on {formatDate(application.reviewedAt)}
+                        {application.rejectionReason && `: ${application.rejectionReason}`}
+                      </p>
+                    )}
+                  </div>
+                  <div className="mt-3 sm:mt-0 flex flex-wrap gap-2">
+                    <button
+                      type="button"
+                      className="btn-outline"
+                      onClick={() => openProtectedFile(`/api/officer-applications/${application._id}/document`)}
+                    >
+                      <DocumentTextIcon className="h-5 w-5 mr-2" />
+                      View ID
+                    </button>
+                    {application.status === 'pending' && (
+                      <>
+                        <button
+                          type="button"
+                          className="btn-success"
+                          disabled={reviewMutation.isLoading}
+                          onClick={() => reviewMutation.mutate({ id: application._id, decision: 'approved' })}
+                        >
+                          <CheckCircleIcon className="h-5 w-5 mr-2" />
+                          Approve
+                        </button>
+                        <button
+                          type="button"
+                          className="btn-danger"
+                          onClick={() => {
+                            setRejectingId(application._id);
+                            setReason('');
+                          }}
+                        >
+                          <XCircleIcon className="h-5 w-5 mr-2" />
+                          Reject
+                        </button>
+                      </>
+                    )}
+                  </div>
+                </div>
+
+                {rejectingId === application._id && (
+                  <form
+                    className="space-y-2"
+                    onSubmit={(e) => {
+                      e.preventDefault();
+                      reviewMutation.mutate({ id: application._id, decision: 'rejected', reason });
+                    }}
+                  >
+                    <label className="block text-sm font-medium text-gray-700">Reason for rejection</label>
+                    <textarea
+                      rows={2}
+                      maxLength={500}
+                      required
+                      className="form-textarea w-full"
+                      value={reason}
+                      onChange={(e) => setReason(e.target.value)}
+                    />
+                    <div className="flex justify-end gap-2">
+                      <button type="button" className="btn-outline" onClick={() => setRejectingId(null)}>
+                        Cancel
+                      </button>
+                      <button type="submit" className="btn-danger" disabled={reviewMutation.isLoading}>
+                        Reject Application
+                      </button>
+                    </div>
+                  </form>
+                )}
+              </div>
+            </div>
+          ))}
+        </div>
+      )}
+
+      {pagination && pagination.pages > 1 && (
+        <div className="flex items-center justify-between">
+          <p className="text-sm text-gray-700">
+            Page {pagination.current} of {pagination.pages}
+          </p>
+          <div className="flex gap-2">
+            <button
+              type="button"
+              className="btn-outline"
+              disabled={currentPage === 1}
+              onClick={() => setCurrentPage(currentPage - 1)}
+            >
+              Previous
+            </button>
+            <button
+              type="button"
+              className="btn-outline"
+              disabled={currentPage === pagination.pages}
+              onClick={() => setCurrentPage(currentPage + 1)}
+            >
+              Next
+            </button>
+          </div>
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default OfficerApplications;
@@ -0,0 +1,172 @@
+import React, { useState } from 'react';
+import { Link } from 'react-router-dom';
+import { useQuery } from 'react-query';
+import { BanknotesIcon, ExclamationTriangleIcon, PrinterIcon } from '@heroicons/react/24/outline';
+import axios from 'axios';
+import { useAuth } from '../../contexts/AuthContext';
+import LoadingSpinner from '../../components/UI/LoadingSpinner';
+
+const CashUp = () => {
+  const { hasPermission } = useAuth();
+  const [date, setDate] = useState(() => new Date().toLocaleDateString('en-CA'));
+
+  const { data, isLoading, error } = useQuery(
+    ['cashUp', date],
+    () => axios.get('/api/payments/counter/cash-up', { params: { date } }).then((res) => res.data),
+    { keepPreviousData: true }
+  );
+
+  const formatCurrency = (amount, currency = 'LKR') => {
+    return new Intl.NumberFormat('en-LK', {
+      style: 'currency',
+      currency: currency,
+    }).format(amount);
+  };
+
+  const formatTime = (date) => {
+    return new Date(date).toLocaleTimeString('en-LK', {
+      hour: '2-digit',
+      minute: '2-digit',
+    });
+  };
+
+  const formatMethod = (method) => {
+    switch (method) {
+      case 'cash':
+        return 'Cash';
+      case 'post_office':
+        return 'Post office';
+      case 'bank_transfer':
+        return 'Bank';
+      default:
+        return method;
+    }
+  };
+
+  const formatClerk = (clerk) => {
+    const name = [clerk.firstName, clerk.lastName].filter(Boolean).join(' ');
+    return name || clerk.username;
+  };
+
+  return (
+    <div className="space-y-6">
+      {/* Header */}
+      <div className="flex flex-wrap items-end justify-between gap-4">
+        <div>
+          <h1 className="text-2xl font-bold text-gray-900">Daily Cash-up</h1>
+          <p className="mt-1 text-sm text-gray-500">
+            {hasPermission('payments:view-cash-up') ? 'Counter payments recorded by each clerk' : 'Counter payments you recorded'}
+          </p>
+        </div>
+        <div className="flex items-end gap-3 print:hidden">
+          <div>
+            <label className="block text-sm font-medium text-gray-700 mb-1">Date</label>
+            <input
+              type="date"
+              className="form-input"
+              value={date}
+              max={new Date().toLocaleDateString('en-CA')}
+              onChange={(e) => setDate(e.target.value)}
+            />
+          </div>
+          <button type="button" className="btn-outline" onClick={() => window.print()}>
+            <PrinterIcon className="h-5 w-5 mr-2" />
+            Print
+          </button>
+        </div>
+      </div>
+
+      {isLoading ? (
+        <div className="flex justify-center items-center h-64">
+          <LoadingSpinner size="lg" text="Loading cash-up..." />
+        </div>
+      ) : error ? (
+        <div className="text-center py-12">
+          <div className="text-red-600 mb-4">
+            <ExclamationTriangleIcon className="mx-auto h-12 w-12" />
+          </div>
+          <h3 className="text-lg font-medium text-gray-900 mb-2">Error Loading Cash-up</h3>
+          <p className="text-gray-500">{error.response?.data?.message || 'Something went wrong'}</p>
+        </div>
+      ) : (
+        <>
+          {/* Totals */}
+          <div className="grid grid-cols-1 gap-5 sm:grid-cols-3">
+            <div className="card">
+              <div className="card-body">
+                <p className="text-sm text-gray-500">Payments</p>
+                <p className="text-2xl font-semibold text-gray-900">{data.totalPayments}</p>
+              </div>
+            </div>
+            <div className="card">
+              <div className="card-body">
+                <p className="text-sm text-gray-500">Total collected</p>
+                <p className="text-2xl font-semibold text-gray-900">{formatCurrency(data.totalAmount)}</p>
+              </div>
+            </div>
+            <div className="card">
+              <div className="card-body">
+                <p className="text-sm text-gray-500">Cash to hand over</p>
+                <p className="text-2xl font-semibold text-green-700">{formatCurrency(data.cashAmount)}</p>
+              </div>
+            </div>
+          </div>
+
+          {data.clerks.length === 0 ? (
+            <div className="text-center py-12">
+              <BanknotesIcon className="mx-auto h-12 w-12 text-gray-400" />
+              <h3 className="mt-2 text-sm font-medium text-gray-900">No counter payments</h3>
+              <p className="mt-1 text-sm text-gray-500">Nothing was recorded on this day.</p>
+            </div>
+          ) : (
+            data.clerks.map((entry) => (
+              <div key={entry.clerk._id} className="card">
+                <div className="card-header flex flex-wrap items-center justify-between gap-2">
+                  <h3 className="text-lg leading-6 font-medium text-gray-900">{formatClerk(entry.clerk)}</h3>
+                  <div className="text-sm text-gray-500">
+                    {entry.totalPayments} payments · {formatCurrency(entry.totalAmount)} total ·{' '}
+                    <span className="text-green-700 font-medium">{formatCurrency(entry.cashAmount)} cash</span>
+                  </div>
+                </div>
+                <div className="overflow-x-auto">
+                  <table className="min-w-full divide-y divide-gray-200">
+                    <thead className="bg-gray-50">
+                      <tr>
+                        <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Time</th>
+                        <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Fine</th>
+                        <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Receipt</th>
+                        <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Branch</th>
+                        <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Method</th>
+                        <th className="px-6 py-3 text-right text-xs font-medium text-gray-500 uppercase tracking-wider">Amount</th>
+                      </tr>
+                    </thead>
+                    <tbody className="bg-white divide-y divide-gray-200">
+                      {entry.payments.map((payment) => (
+                        <tr key={payment.fine}>
+                          <td className="px-6 py-4 whitespace-nowrap text-sm text-gray-500">{formatTime(payment.paidAt)}</td>
+                          <td className="px-6 py-4 whitespace-nowrap text-sm">
+                            <Link to={`/fines/${payment.fine}`} className="text-primary-600 hover:text-primary-800">
+                              {payment.fineId}
+                            </Link>
+                          </td>
+                          <td className="px-6 py-4 whitespace-nowrap text-sm text-gray-900">{payment.receiptBookNumber}</td>
+                          <td className="px-6 py-4 whitespace-nowrap text-sm text-gray-900">{payment.branch}</td>
+                          <td className="px-6 py-4 whitespace-nowrap text-sm text-gray-900">{formatMethod(payment.paymentMethod)}</td>
+                          <td className="px-6 py-4 whitespace-nowrap text-sm text-gray-900 text-right">
+                            {formatCurrency(payment.amount)}
+                          </td>
+                        </tr>
+                      ))}
+                    </tbody>
+                  </table>
+                </div>
+              </div>
+            ))
+          )}
+        </>
+      )}
+    </div>
+  );
+};
+
+export default CashUp;
@@ -0,0 +1,173 @@
+import React from 'react';
+import { useParams, Link } from 'react-router-dom';
+import { useQuery } from 'react-query';
+import {
+  ArrowLeftIcon,
+  CheckCircleIcon,
+  DocumentArrowDownIcon,
+  ExclamationTriangleIcon,
+  PrinterIcon,
+} from '@heroicons/react/24/outline';
+import axios from 'axios';
+import toast from 'react-hot-toast';
+import LoadingSpinner from '../../components/UI/LoadingSpinner';
+
+// Combined receipt for several fines paid together
+const CheckoutReceipt = () => {
+  const { id } = useParams();
+
+  const { data: receipt, isLoading, error } = useQuery(
+    ['checkoutReceipt', id],
+    () => axios.get(`/api/payments/checkout/${id}/receipt`).then((res) => res.data.receipt)
+  );
+
+  const formatCurrency = (amount, currency = 'LKR') => {
+    return new Intl.NumberFormat('en-LK', {
+      style: 'currency',
+      currency: currency,
+    }).format(amount);
+  };
+
+  const formatDateTime = (date) => {
+    return new Date(date).toLocaleString('en-LK', {
+      year: 'numeric',
+      month: 'short',
+      day: 'numeric',
+      hour: '2-digit',
+      minute: '2-digit',
+    });
+  };
+
+  if (isLoading) {
+    return (
+      <div className="flex justify-center items-center h-64">
+        <LoadingSpinner size="lg" text="Loading receipt..." />
+      </div>
+    );
+  }
+
+  if (error) {
+    return (
+      <div className="text-center py-12">
+        <div className="text-red-600 mb-4">
+          <ExclamationTriangleIcon className="mx-auto h-12 w-12" />
+        </div>
+        <h3 className="text-lg font-medium text-gray-900 mb-2">Error Loading Receipt</h3>
+        <p className="text-gray-500">{error.response?.data?.message || 'Something went wrong'}</p>
+        <Link to="/fines" className="btn-outline mt-4">Back to fines</Link>
+      </div>
+    );
+  }
+
+  const rows = [
+    ['Receipt number', receipt.receiptNumber],
+    ['Payment date', formatDateTime(receipt.paymentDate)],
+    ['Payment method', receipt.paymentMethod],
+    ['Transaction ID', receipt.transactionId],
+    ['Driver', receipt.driver?.name],
+    ['License number', receipt.driver?.licenseNumber],
+  ];
+
+  return (
+    <div className="max-w-2xl mx-auto space-y-6">
+      <div className="flex items-center justify-between print:hidden">
+        <Link to="/fines" className="inline-flex items-center text-sm text-gray-500 hover:text-gray-700">
+          <ArrowLeftIcon className="h-4 w-4 mr-1" />
+          Back to fines
+        </Link>
+        <div className="flex space-x-2">
+          <button type="button" className="btn-outline" onClick={() => window.print()}>
+            <PrinterIcon className="h-5 w-5 mr-2" />
+            Print
+          </button>
+          <button
+            type="button"
+            className="btn-primary"
+            onClick={() => downloadPdf(`/api/payments/checkout/${id}/receipt/pdf`, `${receipt.receiptNumber}.pdf`)}
+          >
+            <DocumentArrowDownIcon className="h-5 w-5 mr-2" />
+            Download PDF
+          </button>
+        </div>
+      </div>
+
+      <div className="card">
+        <div className="card-body">
+          <div className="text-center mb-6">
+            <CheckCircleIcon className="mx-auto h-12 w-12 text-green-500" />
+            <h1 className="mt-2 text-2xl font-bold text-gray-900">Payment Receipt</h1>
+            <p className="text-sm text-gray-500">Sri Lanka Police - Traffic Fine Payment</p>
+            <p className="mt-4 text-3xl font-bold text-gray-900">
+              {formatCurrency(receipt.amount, receipt.currency)}
+            </p>
+            <p className="text-xs text-gray-500">{receipt.fines.length} fines</p>
+          </div>
+
+          <dl className="divide-y divide-gray-200 text-sm">
+            {rows.map(([label, value]) => (
+              <div key={label} className="flex justify-between py-2">
+                <dt className="text-gray-500">{label}</dt>
+                <dd className="text-gray-900 text-right">{value || '—'}</dd>
+              </div>
+            ))}
+          </dl>
+
+          <h2 className="mt-6 mb-2 text-sm font-medium text-gray-900">Fines paid</h2>
+          <ul className="divide-y divide-gray-200 border-t border-b border-gray-200 text-sm">
+            {receipt.fines.map((fine) => (
+              <li key={fine.id} className="flex justify-between py-2">
+                <div>
+                  <Link to={`/fines/${fine.id}`} className="text-primary-600 hover:text-primary-800 print:text-gray-900">
+                    {fine.violation.name} ({fine.violation.code})
+                  </Link>
+                  <p className="text-xs text-gray-500">
+                    {fine.fineId} · {fine.vehicle.licensePlate} · issued {formatDateTime(fine.issuedDate)}
+                  </p>
+                  {fine.verificationUrl && (
+                    <a
+                      href={fine.verificationUrl}
+                      className="text-xs text-primary-600 hover:text-primary-800 print:hidden"
+                    >
+                      Verification link
+                    </a>
+                  )}
+                </div>
+                <span className="text-gray-900">{formatCurrency(fine.amount, receipt.currency)}</span>
+              </li>
+            ))}
+          </ul>
+
+          {receipt.receiptUrl && (
+            <a
+              href={receipt.receiptUrl}
+              target="_blank"
+              rel="noopener noreferrer"
+              className="mt-6 block text-center text-sm text-primary-600 hover:text-primary-800 print:hidden"
+            >
+              View card payment receipt
+            </a>
+          )}
+        </div>
+      </div>
+    </div>
+  );
+};
+
+// The official PDF receipt is served behind authentication, so it is fetched as a blob
+const downloadPdf = async (url, fileName) => {
+  try {
+    const res = await axios.get(url, { responseType: 'blob' });
+    const objectUrl = URL.createObjectURL(res.data);
+    const link = document.createElement('a');
+    link.href = objectUrl;
+    link.download = fileName;
+    document.body.appendChild(link);
+    link.click();
+    link.remove();
+    URL.revokeObjectURL(objectUrl);
+  } catch (err) {
+    toast.error('Failed to download receipt');
+  }
+};
+
+export default CheckoutReceipt;
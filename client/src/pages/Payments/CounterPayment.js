@@ -0,0 +1,237 @@
+import React from 'react';
+import { useParams, useNavigate, Link } from 'react-router-dom';
+import { useQuery, useMutation, useQueryClient } from 'react-query';
+import { useForm } from 'react-hook-form';
+import { ArrowLeftIcon, ExclamationTriangleIcon } from '@heroicons/react/24/outline';
+import axios from 'axios';
+import toast from 'react-hot-toast';
+import LoadingSpinner from '../../components/UI/LoadingSpinner';
+
+const PAYABLE_STATUSES = ['pending', 'overdue'];
+
+const PAYMENT_METHODS = [
+  { value: 'cash', label: 'Cash at counter' },
+  { value: 'post_office', label: 'Post office' },
+  { value: 'bank_transfer', label: 'Bank deposit / transfer' },
+];
+
+const CounterPayment = () => {
+  const { id } = useParams();
+  const navigate = useNavigate();
+  const queryClient = useQueryClient();
+
+  const { data: fine, isLoading, error } = useQuery(
+    ['fine', id],
+    () => axios.get(`/api/fines/${id}`).then((res) => res.data.fine)
+  );
+
+  const {
+    register,
+    handleSubmit,
+    watch,
+    formState: { errors },
+  } = useForm({ defaultValues: { paymentMethod: 'cash' } });
+
+  const paymentMethod = watch('paymentMethod');
+  const isSlipRequired = paymentMethod !== 'cash';
+
+  const recordMutation = useMutation(
+    (values) => {
+      const formData = new FormData();
+      formData.append('paymentMethod', values.paymentMethod);
+      formData.append('amountTendered', values.amountTendered);
+      formData.append('receiptBookNumber', values.receiptBookNumber);
+      formData.append('branch', values.branch);
+      if (values.notes) {
+        formData.append('notes', values.notes);
+      }
+      if (values.slip?.[0]) {
+        formData.append('slip', values.slip[0]);
+      }
+      return axios.post(`/api/payments/counter/fine/${id}`, formData);
+    },
+    {
+      onSuccess: () => {
+        toast.success('Payment recorded');
+        queryClient.invalidateQueries(['fine', id]);
+        queryClient.invalidateQueries('fines');
+        queryClient.invalidateQueries('cashUp');
+        navigate(`/fines/${id}`);
+      },
+    }
+  );
+
+  const formatCurrency = (amount, currency = 'LKR') => {
+    return new Intl.NumberFormat('en-LK', {
+      style: 'currency',
+      currency: currency,
+    }).format(amount);
+  };
+
+  if (isLoading) {
+    return (
+      <div className="flex justify-center items-center h-64">
+        <LoadingSpinner size="lg" text="Loading fine..." />
+      </div>
+    );
+  }
+
+  if (error) {
+    return (
+      <div className="text-center py-12">
+        <div className="text-red-600 mb-4">
+          <ExclamationTriangleIcon className="mx-auto h-12 w-12" />
+        </div>
+        <h3 className="text-lg font-medium text-gray-900 mb-2">Error Loading Fine</h3>
+        <p className="text-gray-500">{error.response?.data?.message || 'Something went wrong'}</p>
+      </div>
+    );
+  }
+
+  const submitError = recordMutation.error?.response?.data;
+
+  return (
+    <div className="max-w-2xl mx-auto space-y-6">
+      <Link to={`/fines/${id}`} className="inline-flex items-center text-sm text-gray-500 hover:text-gray-700">
+        <ArrowLeftIcon className="h-4 w-4 mr-1" />
+        Back to fine
+      </Link>
+
+      <div className="card">
+        <div className="card-header">
+          <h1 className="text-2xl font-bold text-gray-900">Record Counter Payment</h1>
+          <p className="text-sm text-gray-500">
+            Fine {fine.fineId} · {fine.violationId?.name} · {fine.vehicleInfo?.licensePlate}
+          </p>
+        </div>
+        <div className="card-body">
+          <div className="mb-6 p-4 bg-gray-50 rounded-lg">
+            <div className="flex justify-between items-center">
+              <span className="text-sm text-gray-600">
+                {fine.nextInstalment
+                  ? `Instalment ${fine.nextInstalment.number} of ${fine.instalmentPlan.instalments.length} due`
+                  : 'Amount due'}
+              </span>
+              <span className="text-2xl font-bold text-gray-900">{formatCurrency(fine.amountDueNow, fine.currency)}</span>
+            </div>
+            {fine.nextInstalment && (
+              <p className="mt-1 text-xs text-gray-500 text-right">
+                or {formatCurrency(fine.outstandingAmount, fine.currency)} to settle the fine in full
+              </p>
+            )}
+          </div>
+
+          {!PAYABLE_STATUSES.includes(fine.status) ? (
+            <div className="alert-warning">
+              A payment cannot be recorded for this fine. Current status: {fine.status}
+            </div>
+          ) : (
+            <form onSubmit={handleSubmit((values) => recordMutation.mutate(values))} className="space-y-4">
+              <div>
+                <label className="block text-sm font-medium text-gray-700 mb-1">Payment method</label>
+                <select className="form-select w-full" {...register('paymentMethod', { required: true })}>
+                  {PAYMENT_METHODS.map((method) => (
+                    <option key={method.value} value={method.value}>{method.label}</option>
+                  ))}
+                </select>
+              </div>
+
+              <div className="grid grid-cols-1 gap-4 sm:grid-cols-2">
+                <div>
+                  <label className="block text-sm font-medium text-gray-700 mb-1">Amount tendered</label>
+                  <input
+                    type="number"
+                    step="0.01"
+                    min="0"
+                    className="form-input w-full"
+                    {...register('amountTendered', {
+                      required: 'Amount tendered is required',
+                      min: { value: 0.01, message: 'Amount must be greater than zero' },
+                    })}
+                  />
+                  {errors.amountTendered && (
+                    <p className="mt-1 text-sm text-red-600">{errors.amountTendered.message}</p>
+                  )}
+                </div>
+                <div>
+                  <label className="block text-sm font-medium text-gray-700 mb-1">Receipt book number</label>
+                  <input
+                    type="text"
+                    className="form-input w-full"
+                    {...register('receiptBookNumber', {
+                      required: 'Receipt book number is required',
+                      maxLength: { value: 50, message: 'Max 50 characters' },
+                    })}
+                  />
+                  {errors.receiptBookNumber && (
+                    <p className="mt-1 text-sm text-red-600">{errors.receiptBookNumber.message}</p>
+                  )}
+                </div>
+              </div>
+
+              <div>
+                <label className="block text-sm font-medium text-gray-700 mb-1">Branch</label>
+                <input
+                  type="text"
+                  className="form-input w-full"
+                  placeholder="Police station, post office or bank branch"
+                  {...register('branch', {
+                    required: 'Branch is required',
+                    maxLength: { value: 100, message: 'Max 100 characters' },
+                  })}
+                />
+                {errors.branch && <p className="mt-1 text-sm text-red-600">{errors.branch.message}</p>}
+              </div>
+
+              <div>
+                <label className="block text-sm font-medium text-gray-700 mb-1">
+                  Payment slip {isSlipRequired ? '' : '(optional)'}
+                </label>
+                <input
+                  type="file"
+                  accept="image/jpeg,image/png,image/webp,application/pdf"
+                  className="block w-full text-sm text-gray-700"
+                  {...register('slip', {
+                    validate: (files) => !isSlipRequired || files?.length > 0 || 'A payment slip is required for this method',
+                  })}
+                />
+                {errors.slip && <p className="mt-1 text-sm text-red-600">{errors.slip.message}</p>}
+              </div>
+
+              <div>
+                <label className="block text-sm font-medium text-gray-700 mb-1">Notes (optional)</label>
+                <textarea
+                  rows={2}
+                  className="form-textarea w-full"
+                  {...register('notes', { maxLength: { value: 500, message: 'Max 500 characters' } })}
+                />
+                {errors.notes && <p className="mt-1 text-sm text-red-600">{errors.notes.message}</p>}
+              </div>
+
+              {submitError && (
+                <div className="alert-danger">
+                  {submitError.message}
+                  {submitError.details?.amountDue !== undefined && (
+                    <span>
+                      {' '}(due {formatCurrency(submitError.details.amountDue, fine.currency)}, tendered{' '}
+                      {formatCurrency(submitError.details.amountTendered, fine.currency)})
+                    </span>
+                  )}
+                </div>
+              )}
+
+              <div className="flex justify-end gap-3">
+                <Link to={`/fines/${id}`} className="btn-outline">Cancel</Link>
+                <button type="submit" className="btn-primary" disabled={recordMutation.isLoading}>
+                  {recordMutation.isLoading ? 'Recording...' : 'Record Payment'}
+                </button>
+              </div>
+            </form>
+          )}
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default CounterPayment;
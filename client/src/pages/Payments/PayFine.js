@@ -1,31 +1,336 @@
-import React from 'react';
-import { useParams } from 'react-router-dom';
+import React, { useEffect, useRef, useState } from 'react';
+import { useParams, useNavigate, useSearchParams, Link } from 'react-router-dom';
+import { useQuery, useMutation, useQueryClient } from 'react-query';
+import { Elements, useStripe } from '@stripe/react-stripe-js';
+import {
+  ArrowLeftIcon,
+  ExclamationTriangleIcon,
+  LockClosedIcon,
+} from '@heroicons/react/24/outline';
+import axios from 'axios';
+import toast from 'react-hot-toast';
+import LoadingSpinner from '../../components/UI/LoadingSpinner';
+import CheckoutForm from '../../components/Payments/CheckoutForm';
+import ConfirmationStatus from '../../components/Payments/ConfirmationStatus';
+
+const PAYABLE_STATUSES = ['pending', 'overdue'];
 
 const PayFine = () => {
   const { id } = useParams();
+  const navigate = useNavigate();
+  const queryClient = useQueryClient();
+  // Stripe instance loaded by the app-level <Elements> provider
+  const stripe = useStripe();
+  const [searchParams] = useSearchParams();
+  const redirectedIntentId = searchParams.get('payment_intent');
+  const redirectedProvider = searchParams.get('provider');
+  const confirmedIntentRef = useRef(null);
+  const [selectedProvider, setSelectedProvider] = useState(null);
+  // With an instalment plan the next instalment is paid unless the driver settles in full
+  const [payInFull, setPayInFull] = useState(false);
+
+  const { data: fine, isLoading, error } = useQuery(
+    ['fine', id],
+    () => axios.get(`/api/fines/${id}`).then((res) => res.data.fine)
+  );
+
+  const isPayable = !!fine && PAYABLE_STATUSES.includes(fine.status);
+
+  const { data: providers, isLoading: isProvidersLoading } = useQuery(
+    'paymentProviders',
+    () => axios.get('/api/payments/providers').then((res) => res.data.providers),
+    { enabled: isPayable && !redirectedIntentId }
+  );
+  const provider = providers?.find((p) => p.name === selectedProvider) || providers?.[0];
+
+  const startPayment = (providerName) =>
+    axios
+      .post('/api/payments/create-payment-intent', { fineId: id, provider: providerName, payInFull })
+      .then((res) => res.data);
+
+  // Card payments through Stripe Elements need an intent before the form renders.
+  // A new payment intent is created each time the page is opened.
+  const {
+    data: intent,
+    isLoading: isIntentLoading,
+    error: intentError,
+    refetch: retryIntent,
+  } = useQuery(
+    ['paymentIntent', id, provider?.name, payInFull],
+    () => startPayment(provider.name),
+    {
+      enabled: isPayable && !redirectedIntentId && provider?.flow === 'elements',
+      retry: false,
+      cacheTime: 0,
+      staleTime: Infinity,
+    }
+  );
+
+  const confirmMutation = useMutation(
+    ({ paymentIntentId, provider: providerName }) =>
+      axios.post('/api/payments/confirm-payment', { paymentIntentId, provider: providerName, fineId: id }),
+    {
+      onSuccess: () => {
+        toast.success('Payment successful');
+        queryClient.invalidateQueries(['fine', id]);
+        queryClient.invalidateQueries('fines');
+        navigate(`/fines/${id}/receipt`, { replace: true });
+      },
+    }
+  );
+
+  // Redirect gateways send the motorist away to pay; direct providers settle straight away
+  const startMutation = useMutation(() => startPayment(provider.name), {
+    onSuccess: (started) => {
+      if (started.flow === 'redirect') {
+        window.location.assign(started.redirectUrl);
+      } else {
+        confirmMutation.mutate({ paymentIntentId: started.paymentIntentId, provider: started.provider });
+      }
+    },
+  });
+
+  // Payment methods that redirect (e.g. 3D Secure) come back here with the intent in the URL
+  useEffect(() => {
+    if (!redirectedIntentId || confirmedIntentRef.current === redirectedIntentId) return;
+    confirmedIntentRef.current = redirectedIntentId;
+
+    if (searchParams.get('redirect_status') === 'failed') {
+      toast.error('Payment was not completed. Please try again.');
+      navigate(`/fines/${id}/pay`, { replace: true });
+      return;
+    }
+    confirmMutation.mutate({ paymentIntentId: redirectedIntentId, provider: redirectedProvider });
+  }, [redirectedIntentId, redirectedProvider, searchParams, confirmMutation, navigate, id]);
+
+  const formatCurrency = (amount, currency = 'LKR') => {
+    return new Intl.NumberFormat('en-LK', {
+      style: 'currency',
+      currency: currency,
+    }).format(amount);
+  };
+
+  const formatDate = (date) => {
+    return new Date(date).toLocaleDateString('en-LK', {
+      year: 'numeric',
+      month: 'short',
+      day: 'numeric',
+    });
+  };
+
+  if (isLoading) {
+    return (
+      <div className="flex justify-center items-center h-64">
+        <LoadingSpinner size="lg" text="Loading fine..." />
+      </div>
+    );
+  }
+
+  if (error) {
+    return (
+      <div className="text-center py-12">
+        <div className="text-red-600 mb-4">
+          <ExclamationTriangleIcon className="mx-auto h-12 w-12" />
+        </div>
+        <h3 className="text-lg font-medium text-gray-900 mb-2">Error Loading Fine</h3>
+        <p className="text-gray-500">{error.response?.data?.message || 'Something went wrong'}</p>
+      </div>
+    );
+  }
+
+  const confirmError = confirmMutation.error
+    && (confirmMutation.error.response?.data || { message: 'We could not confirm your payment.' });
 
   return (
-    <div className="max-w-2xl mx-auto">
-      <div className="bg-white shadow rounded-lg p-6">
-        <h1 className="text-2xl font-bold text-gray-900 mb-4">Pay Fine</h1>
-        <p className="text-gray-600 mb-6">Fine ID: {id}</p>
-        
-        <div className="bg-green-50 border border-green-200 rounded-lg p-4">
-          <h3 className="text-lg font-medium text-green-900 mb-2">Stripe Payment Integration</h3>
-          <p className="text-sm text-green-700 mb-4">
-            This page will integrate with Stripe Elements to provide secure payment processing:
-          </p>
-          <ul className="list-disc list-inside text-sm text-green-700 space-y-1">
-            <li>Fine details and amount display</li>
-            <li>Stripe Elements payment form</li>
-            <li>Payment confirmation and receipt</li>
-            <li>Payment status updates</li>
-            <li>Error handling and validation</li>
-          </ul>
+    <div className="max-w-2xl mx-auto space-y-6">
+      <Link to={`/fines/${id}`} className="inline-flex items-center text-sm text-gray-500 hover:text-gray-700">
+        <ArrowLeftIcon className="h-4 w-4 mr-1" />
+        Back to fine
+      </Link>
+
+      {/* Fine summary */}
+      <div className="card">
+        <div className="card-header">
+          <h1 className="text-2xl font-bold text-gray-900">Pay Fine</h1>
+          <p className="text-sm text-gray-500">Fine {fine.fineId}</p>
+        </div>
+        <div className="card-body space-y-2 text-sm">
+          <div className="flex justify-between">
+            <span className="text-gray-500">Violation</span>
+            <span className="text-gray-900">{fine.violationId?.name}</span>
+          </div>
+          <div className="flex justify-between">
+            <span className="text-gray-500">Vehicle</span>
+            <span className="text-gray-900">{fine.vehicleInfo?.licensePlate}</span>
+          </div>
+          <div className="flex justify-between">
+            <span className="text-gray-500">Due date</span>
+            <span className="text-gray-900">{formatDate(fine.dueDate)}</span>
+          </div>
+          {fine.penaltyAmount > 0 && (
+            <>
+              <div className="flex justify-between">
+                <span className="text-gray-500">Fine amount</span>
+                <span className="text-gray-900">{formatCurrency(fine.fineAmount - fine.penaltyAmount, fine.currency)}</span>
+              </div>
+              <div className="flex justify-between">
+                <span className="text-gray-500">Late payment surcharge</span>
+                <span className="text-red-600">{formatCurrency(fine.penaltyAmount, fine.currency)}</span>
+              </div>
+            </>
+          )}
+          {fine.amountPaid > 0 && (
+            <div className="flex justify-between">
+              <span className="text-gray-500">Paid so far</span>
+              <span className="text-gray-900">−{formatCurrency(fine.amountPaid, fine.currency)}</span>
+            </div>
+          )}
+          <div className="flex justify-between border-t border-gray-200 pt-2 text-base font-semibold">
+            <span className="text-gray-900">Total due</span>
+            <span className="text-gray-900">{formatCurrency(fine.outstandingAmount, fine.currency)}</span>
+          </div>
+          {fine.nextInstalment && (
+            <div className="flex justify-between text-base font-semibold text-primary-700">
+              <span>
+                Instalment {fine.nextInstalment.number} of {fine.instalmentPlan.instalments.length}
+              </span>
+              <span>{formatCurrency(fine.amountDueNow, fine.currency)}</span>
+            </div>
+          )}
+        </div>
+      </div>
+
+      {/* Payment */}
+      <div className="card">
+        <div className="card-body space-y-6">
+          {redirectedIntentId ? (
+            <ConfirmationStatus
+              isLoading={confirmMutation.isLoading}
+              error={confirmError}
+              onRetry={() => confirmMutation.mutate({ paymentIntentId: redirectedIntentId, provider: redirectedProvider })}
+            />
+          ) : fine.status === 'paid' ? (
+            <div className="text-center space-y-4">
+              <p className="text-gray-700">This fine has already been paid.</p>
+              <Link to={`/fines/${id}/receipt`} className="btn-primary">View Receipt</Link>
+            </div>
+          ) : !isPayable ? (
+            <div className="alert-warning">
+              This fine cannot be paid online. Current status: {fine.status}
+            </div>
+          ) : isProvidersLoading ? (
+            <div className="flex justify-center py-8">
+              <LoadingSpinner text="Loading payment options..." />
+            </div>
+          ) : !provider ? (
+            <div className="alert-warning">Online payments are currently unavailable.</div>
+          ) : (
+            <>
+              {fine.nextInstalment && (
+                <label className="flex items-center text-sm text-gray-700">
+                  <input
+                    type="checkbox"
+                    className="form-checkbox mr-2"
+                    checked={payInFull}
+                    onChange={(e) => setPayInFull(e.target.checked)}
+                    disabled={startMutation.isLoading || confirmMutation.isLoading}
+                  />
+                  Pay the full outstanding amount of {formatCurrency(fine.outstandingAmount, fine.currency)} now
+                </label>
+              )}
+
+              {providers.length > 1 && (
+                <fieldset>
+                  <legend className="text-sm font-medium text-gray-700 mb-2">Pay with</legend>
+                  <div className="grid grid-cols-1 gap-3 sm:grid-cols-2">
+                    {providers.map((option) => (
+                      <label
+                        key={option.name}
+                        className={`flex items-center p-3 border rounded-lg cursor-pointer ${
+                          option.name === provider.name ? 'border-primary-500 bg-primary-50' : 'border-gray-200'
+                        }`}
+                      >
+                        <input
+                          type="radio"
+                          name="provider"
+                          className="form-radio mr-3"
+                          checked={option.name === provider.name}
+                          onChange={() => setSelectedProvider(option.name)}
+                          disabled={startMutation.isLoading || confirmMutation.isLoading}
+                        />
+                        <span className="text-sm text-gray-900">{option.label}</span>
+                      </label>
+                    ))}
+                  </div>
+                </fieldset>
+              )}
+
+              {provider.flow === 'elements' ? (
+                isIntentLoading || !stripe ? (
+                  <div className="flex justify-center py-8">
+                    <LoadingSpinner text="Preparing secure payment..." />
+                  </div>
+                ) : intentError ? (
+                  <div className="space-y-4">
+                    <div className="alert-danger">
+                      {intentError.response?.data?.message || 'Unable to start the payment'}
+                    </div>
+                    <button type="button" className="btn-primary" onClick={() => retryIntent()}>
+                      Try again
+                    </button>
+                  </div>
+                ) : (
+                  intent && (
+                    <Elements stripe={stripe} options={{ clientSecret: intent.clientSecret }} key={intent.clientSecret}>
+                      <CheckoutForm
+                        returnUrl={`${window.location.origin}/fines/${id}/pay?provider=${provider.name}`}
+                        amountLabel={formatCurrency(intent.amount, intent.currency)}
+                        onSucceeded={(paymentIntentId) => confirmMutation.mutate({ paymentIntentId, provider: provider.name })}
+                        isConfirming={confirmMutation.isLoading}
+                        confirmError={confirmError}
+                      />
+                    </Elements>
+                  )
+                )
+              ) : confirmMutation.isLoading || confirmError ? (
+                <ConfirmationStatus
+                  isLoading={confirmMutation.isLoading}
+                  error={confirmError}
+                  onRetry={() => confirmMutation.mutate(confirmMutation.variables)}
+                />
+              ) : (
+                <div className="space-y-4">
+                  {startMutation.error && (
+                    <div className="alert-danger">
+                      {startMutation.error.response?.data?.message || 'Unable to start the payment'}
+                    </div>
+                  )}
+                  <button
+                    type="button"
+                    className="btn-success w-full"
+                    onClick={() => startMutation.mutate()}
+                    disabled={startMutation.isLoading}
+                  >
+                    <LockClosedIcon className="h-5 w-5 mr-2" />
+                    {startMutation.isLoading
+                      ? 'Starting payment...'
+                      : provider.flow === 'redirect'
+                        ? `Continue to ${provider.label}`
+                        : `Pay ${formatCurrency(payInFull ? fine.outstandingAmount : fine.amountDueNow, fine.currency)}`}
+                  </button>
+                  {provider.flow === 'redirect' && (
+                    <p className="text-xs text-gray-500 text-center">
+                      You will be redirected to {provider.label} to complete the payment.
+                    </p>
+                  )}
+                </div>
+              )}
+            </>
+          )}
         </div>
       </div>
     </div>
   );
 };
 
-export default PayFine;
\ No newline at end of file
+export default PayFine;
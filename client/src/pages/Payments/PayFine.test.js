@@ -0,0 +1,249 @@
+import React from 'react';
+import { fireEvent, render, screen, waitFor } from '@testing-library/react';
+import { MemoryRouter, Route, Routes } from 'react-router-dom';
+import { QueryClient, QueryClientProvider } from 'react-query';
+import axios from 'axios';
+import toast from 'react-hot-toast';
+import PayFine from './PayFine';
+
+jest.mock('axios', () => ({ get: jest.fn(), post: jest.fn() }));
+jest.mock('react-hot-toast', () => ({ success: jest.fn(), error: jest.fn() }));
+
+// Local stand-in for Stripe.js: the card form renders a placeholder and confirmPayment
+// resolves however the test sets it up
+const mockStripe = { confirmPayment: jest.fn() };
+jest.mock('@stripe/react-stripe-js', () => ({
+  Elements: ({ children }) => children,
+  PaymentElement: () => <div>Card details</div>,
+  useStripe: () => mockStripe,
+  useElements: () => ({}),
+}));
+
+const STRIPE = { name: 'stripe', label: 'Card', flow: 'elements' };
+const FAKE = { name: 'fake', label: 'Test payments', flow: 'direct' };
+const GATEWAY = { name: 'gateway', label: 'PayHere', flow: 'redirect' };
+
+const buildFine = (overrides = {}) => ({
+  _id: 'fine-1',
+  fineId: 'WP-COL-2026-000001',
+  status: 'pending',
+  fineAmount: 5000,
+  amountPaid: 0,
+  outstandingAmount: 5000,
+  amountDueNow: 5000,
+  currency: 'LKR',
+  dueDate: '2026-10-31T00:00:00.000Z',
+  violationId: { name: 'Speeding' },
+  vehicleInfo: { licensePlate: 'WP CAB-1234' },
+  ...overrides,
+});
+
+let postResults;
+
+const mockApi = ({ fine = buildFine(), providers = [STRIPE] } = {}) => {
+  axios.get.mockImplementation((url) => {
+    if (url === '/api/fines/fine-1') return Promise.resolve({ data: { fine } });
+    if (url === '/api/payments/providers') return Promise.resolve({ data: { providers } });
+    return Promise.reject(new Error(`Unexpected GET ${url}`));
+  });
+  // Each POST takes the next queued result for its URL, or the last one left
+  axios.post.mockImplementation((url, body) => {
+    const results = postResults[url] || [];
+    const result = results.length > 1 ? results.shift() : results[0];
+    if (!result) return Promise.reject(new Error(`Unexpected POST ${url}`));
+    return result.error ? Promise.reject(result.error) : Promise.resolve({ data: result.data(body) });
+  });
+};
+
+const intentCreated = { data: ({ provider }) => ({ clientSecret: `pi_1_secret_${provider}`, amount: 5000, currency: 'LKR', flow: 'elements' }) };
+const paymentConfirmed = { data: () => ({ message: 'Payment confirmed successfully' }) };
+const rejectedWith = (status, data) => ({ error: Object.assign(new Error(data.message), { response: { status, data } }) });
+
+const postsTo = (url) => axios.post.mock.calls.filter(([postedUrl]) => postedUrl === url).map(([, body]) => body);
+
+let queryClient;
+
+const renderPage = (path = '/fines/fine-1/pay') =>
+  render(
+    <QueryClientProvider client={queryClient}>
+      <MemoryRouter initialEntries={[path]}>
+        <Routes>
+          <Route path="/fines/:id/pay" element={<PayFine />} />
+          <Route path="/fines/:id/receipt" element={<div>Receipt page</div>} />
+        </Routes>
+      </MemoryRouter>
+    </QueryClientProvider>
+  );
+
+const payButton = () => screen.findByRole('button', { name: /Pay LKR|Try again – LKR/ });
+
+beforeEach(() => {
+  queryClient = new QueryClient({ defaultOptions: { queries: { retry: false } } });
+  postResults = {
+    '/api/payments/create-payment-intent': [intentCreated],
+    '/api/payments/confirm-payment': [paymentConfirmed],
+  };
+  mockStripe.confirmPayment.mockResolvedValue({ paymentIntent: { id: 'pi_1', status: 'succeeded' } });
+});
+
+afterEach(async () => {
+  await waitFor(() => expect(queryClient.isFetching()).toBe(0));
+  jest.clearAllMocks();
+});
+
+test('shows what is due and takes a card payment through to the receipt', async () => {
+  mockApi({ fine: buildFine({ fineAmount: 5500, penaltyAmount: 500, outstandingAmount: 5500, amountDueNow: 5500 }) });
+
+  renderPage();
+
+  expect(await screen.findByText('Fine WP-COL-2026-000001')).toBeInTheDocument();
+  expect(screen.getByText('Speeding')).toBeInTheDocument();
+  expect(screen.getByText('Late payment surcharge')).toBeInTheDocument();
+  expect(await screen.findByText('Card details')).toBeInTheDocument();
+  expect(postsTo('/api/payments/create-payment-intent')).toEqual([{ fineId: 'fine-1', provider: 'stripe', payInFull: false }]);
+
+  fireEvent.click(await payButton());
+
+  expect(await screen.findByText('Receipt page')).toBeInTheDocument();
+  expect(mockStripe.confirmPayment).toHaveBeenCalledWith(expect.objectContaining({
+    redirect: 'if_required',
+    confirmParams: { return_url: `${window.location.origin}/fines/fine-1/pay?provider=stripe` },
+  }));
+  expect(postsTo('/api/payments/confirm-payment')).toEqual([{ paymentIntentId: 'pi_1', provider: 'stripe', fineId: 'fine-1' }]);
+  expect(toast.success).toHaveBeenCalledWith('Payment successful');
+});
+
+test('lets the driver try again after the card is declined', async () => {
+  mockApi();
+  mockStripe.confirmPayment.mockResolvedValueOnce({ error: { message: 'Your card was declined.' } });
+
+  renderPage();
+  fireEvent.click(await payButton());
+
+  expect(await screen.findByText('Your card was declined.')).toBeInTheDocument();
+  expect(postsTo('/api/payments/confirm-payment')).toEqual([]);
+
+  fireEvent.click(await screen.findByRole('button', { name: /Try again – LKR/ }));
+
+  expect(await screen.findByText('Receipt page')).toBeInTheDocument();
+  expect(mockStripe.confirmPayment).toHaveBeenCalledTimes(2);
+});
+
+test('retries only the confirmation when the card was charged but recording it failed', async () => {
+  mockApi();
+  postResults['/api/payments/confirm-payment'] = [
+    rejectedWith(400, { message: 'Payment has not succeeded', paymentStatus: 'pending' }),
+    paymentConfirmed,
+  ];
+
+  renderPage();
+  fireEvent.click(await payButton());
+
+  expect(await screen.findByText('Your payment is still being processed. Check again in a moment.')).toBeInTheDocument();
+  fireEvent.click(screen.getByRole('button', { name: 'Check again' }));
+
+  expect(await screen.findByText('Receipt page')).toBeInTheDocument();
+  expect(mockStripe.confirmPayment).toHaveBeenCalledTimes(1);
+  expect(postsTo('/api/payments/confirm-payment')).toHaveLength(2);
+});
+
+test('offers to try again when the payment cannot be started', async () => {
+  mockApi();
+  postResults['/api/payments/create-payment-intent'] = [
+    rejectedWith(400, { message: 'Fine cannot be paid from status disputed' }),
+    intentCreated,
+  ];
+
+  renderPage();
+
+  expect(await screen.findByText('Fine cannot be paid from status disputed')).toBeInTheDocument();
+  fireEvent.click(screen.getByRole('button', { name: 'Try again' }));
+
+  expect(await screen.findByText('Card details')).toBeInTheDocument();
+});
+
+test('confirms a payment that comes back from a 3D Secure redirect', async () => {
+  mockApi();
+
+  renderPage('/fines/fine-1/pay?payment_intent=pi_3&redirect_status=succeeded&provider=stripe');
+
+  expect(await screen.findByText('Receipt page')).toBeInTheDocument();
+  expect(postsTo('/api/payments/confirm-payment')).toEqual([{ paymentIntentId: 'pi_3', provider: 'stripe', fineId: 'fine-1' }]);
+  expect(postsTo('/api/payments/create-payment-intent')).toEqual([]);
+});
+
+test('starts over when the redirect reports the payment failed', async () => {
+  mockApi();
+
+  renderPage('/fines/fine-1/pay?payment_intent=pi_3&redirect_status=failed&provider=stripe');
+
+  expect(await screen.findByText('Card details')).toBeInTheDocument();
+  expect(toast.error).toHaveBeenCalledWith('Payment was not completed. Please try again.');
+  expect(postsTo('/api/payments/confirm-payment')).toEqual([]);
+});
+
+test('settles a payment straight away with a direct provider', async () => {
+  mockApi({ providers: [STRIPE, FAKE] });
+  postResults['/api/payments/create-payment-intent'] = [
+    { data: ({ provider }) => ({ provider, paymentIntentId: `${provider}_intent_1`, flow: provider === 'fake' ? 'direct' : 'elements', clientSecret: 'secret' }) },
+  ];
+
+  renderPage();
+  fireEvent.click(await screen.findByRole('radio', { name: 'Test payments' }));
+  fireEvent.click(await screen.findByRole('button', { name: /Pay LKR/ }));
+
+  expect(await screen.findByText('Receipt page')).toBeInTheDocument();
+  expect(postsTo('/api/payments/confirm-payment')).toEqual([{ paymentIntentId: 'fake_intent_1', provider: 'fake', fineId: 'fine-1' }]);
+  expect(mockStripe.confirmPayment).not.toHaveBeenCalled();
+});
+
+test('sends the driver to a redirect gateway to pay', async () => {
+  const { location } = window;
+  delete window.location;
+  window.location = { ...location, origin: location.origin, assign: jest.fn() };
+  mockApi({ providers: [GATEWAY] });
+  postResults['/api/payments/create-payment-intent'] = [
+    { data: () => ({ flow: 'redirect', redirectUrl: 'https://sandbox.payhere.lk/pay/checkout/1' }) },
+  ];
+
+  try {
+    renderPage();
+    fireEvent.click(await screen.findByRole('button', { name: 'Continue to PayHere' }));
+
+    await waitFor(() => expect(window.location.assign).toHaveBeenCalledWith('https://sandbox.payhere.lk/pay/checkout/1'));
+    expect(postsTo('/api/payments/create-payment-intent')).toEqual([{ fineId: 'fine-1', provider: 'gateway', payInFull: false }]);
+  } finally {
+    window.location = location;
+  }
+});
+
+test('pays the next instalment unless the driver chooses to settle in full', async () => {
+  mockApi({
+    fine: buildFine({
+      amountDueNow: 2000,
+      nextInstalment: { number: 2 },
+      instalmentPlan: { instalments: [{}, {}, {}] },
+    }),
+  });
+
+  renderPage();
+
+  expect(await screen.findByText('Instalment 2 of 3')).toBeInTheDocument();
+  await screen.findByText('Card details');
+  fireEvent.click(screen.getByRole('checkbox', { name: /Pay the full outstanding amount/ }));
+
+  await waitFor(() => expect(postsTo('/api/payments/create-payment-intent')).toEqual([
+    { fineId: 'fine-1', provider: 'stripe', payInFull: false },
+    { fineId: 'fine-1', provider: 'stripe', payInFull: true },
+  ]));
+});
+
+test('does not offer to pay a fine that is already paid', async () => {
+  mockApi({ fine: buildFine({ status: 'paid', outstandingAmount: 0 }) });
+
+  renderPage();
+
+  expect(await screen.findByText('This fine has already been paid.')).toBeInTheDocument();
+  expect(screen.getByRole('link', { name: 'View Receipt' })).toHaveAttribute('href', '/fines/fine-1/receipt');
+  expect(axios.post).not.toHaveBeenCalled();
+});
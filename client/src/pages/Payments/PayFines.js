@@ -0,0 +1,319 @@
+import React, { useEffect, useMemo, useRef, useState } from 'react';
+import { useParams, useNavigate, useSearchParams, Link } from 'react-router-dom';
+import { useQuery, useQueries, useMutation, useQueryClient } from 'react-query';
+import { Elements, useStripe } from '@stripe/react-stripe-js';
+import {
+  ArrowLeftIcon,
+  ExclamationTriangleIcon,
+  LockClosedIcon,
+} from '@heroicons/react/24/outline';
+import axios from 'axios';
+import toast from 'react-hot-toast';
+import LoadingSpinner from '../../components/UI/LoadingSpinner';
+import CheckoutForm from '../../components/Payments/CheckoutForm';
+import ConfirmationStatus from '../../components/Payments/ConfirmationStatus';
+
+const PAYABLE_STATUSES = ['pending', 'overdue'];
+
+const formatCurrency = (amount, currency = 'LKR') => {
+  return new Intl.NumberFormat('en-LK', {
+    style: 'currency',
+    currency: currency,
+  }).format(amount);
+};
+
+// Pays several fines with one payment. Opened with `?fines=<id>,<id>` from the fines
+// list; providers that leave the page send the motorist back to /payments/checkout/:id.
+const PayFines = () => {
+  const { id: checkoutId } = useParams();
+  const navigate = useNavigate();
+  const queryClient = useQueryClient();
+  // Stripe instance loaded by the app-level <Elements> provider
+  const stripe = useStripe();
+  const [searchParams] = useSearchParams();
+  const redirectedIntentId = searchParams.get('payment_intent');
+  const confirmedCheckoutRef = useRef(null);
+  const [selectedProvider, setSelectedProvider] = useState(null);
+
+  const finesParam = searchParams.get('fines') || '';
+  const fineIds = useMemo(() => finesParam.split(',').filter(Boolean), [finesParam]);
+
+  const fineQueries = useQueries(
+    fineIds.map((fineId) => ({
+      queryKey: ['fine', fineId],
+      queryFn: () => axios.get(`/api/fines/${fineId}`).then((res) => res.data.fine),
+      enabled: !checkoutId,
+    }))
+  );
+  const isLoading = fineQueries.some((query) => query.isLoading);
+  const error = fineQueries.find((query) => query.error)?.error;
+  const fines = fineQueries.map((query) => query.data).filter(Boolean);
+
+  const isPayable = !checkoutId
+    && fineIds.length > 1
+    && fines.length === fineIds.length
+    && fines.every((fine) => PAYABLE_STATUSES.includes(fine.status));
+  const currency = fines[0]?.currency;
+  const totalAmount = fines.reduce((sum, fine) => sum + Math.round(fine.outstandingAmount * 100), 0) / 100;
+
+  const { data: providers, isLoading: isProvidersLoading } = useQuery(
+    'paymentProviders',
+    () => axios.get('/api/payments/providers').then((res) => res.data.providers),
+    { enabled: isPayable }
+  );
+  const provider = providers?.find((p) => p.name === selectedProvider) || providers?.[0];
+
+  const startCheckout = (providerName) =>
+    axios.post('/api/payments/checkout', { fineIds, provider: providerName }).then((res) => res.data);
+
+  // Card payments through Stripe Elements need an intent before the form renders.
+  // A new checkout is started each time the page is opened.
+  const {
+    data: intent,
+    isLoading: isIntentLoading,
+    error: intentError,
+    refetch: retryIntent,
+  } = useQuery(
+    ['checkoutIntent', finesParam, provider?.name],
+    () => startCheckout(provider.name),
+    {
+      enabled: isPayable && provider?.flow === 'elements',
+      retry: false,
+      cacheTime: 0,
+      staleTime: Infinity,
+    }
+  );
+
+  const confirmMutation = useMutation(
+    (id) => axios.post(`/api/payments/checkout/${id}/confirm`),
+    {
+      onSuccess: (res, id) => {
+        toast.success('Payment successful');
+        queryClient.invalidateQueries('fine');
+        queryClient.invalidateQueries('fines');
+        navigate(`/payments/checkout/${id}/receipt`, { replace: true });
+      },
+    }
+  );
+
+  // Redirect gateways send the motorist away to pay; direct providers settle straight away
+  const startMutation = useMutation(() => startCheckout(provider.name), {
+    onSuccess: (started) => {
+      if (started.flow === 'redirect') {
+        window.location.assign(started.redirectUrl);
+      } else {
+        confirmMutation.mutate(started.checkout.id);
+      }
+    },
+  });
+
+  // Payment methods that redirect (e.g. 3D Secure) come back with the checkout in the URL
+  useEffect(() => {
+    if (!checkoutId || confirmedCheckoutRef.current === checkoutId) return;
+    confirmedCheckoutRef.current = checkoutId;
+
+    if (searchParams.get('redirect_status') === 'failed') {
+      toast.error('Payment was not completed. Please try again.');
+      navigate('/fines', { replace: true });
+      return;
+    }
+    confirmMutation.mutate(checkoutId);
+  }, [checkoutId, searchParams, confirmMutation, navigate]);
+
+  const confirmError = confirmMutation.error
+    && (confirmMutation.error.response?.data || { message: 'We could not confirm your payment.' });
+
+  if (checkoutId) {
+    return (
+      <div className="max-w-2xl mx-auto space-y-6">
+        <div className="card">
+          <div className="card-header">
+            <h1 className="text-2xl font-bold text-gray-900">Pay Fines</h1>
+            {redirectedIntentId && <p className="text-sm text-gray-500">Payment {redirectedIntentId}</p>}
+          </div>
+          <div className="card-body">
+            <ConfirmationStatus
+              isLoading={confirmMutation.isLoading}
+              error={confirmError}
+              onRetry={() => confirmMutation.mutate(checkoutId)}
+            />
+          </div>
+        </div>
+      </div>
+    );
+  }
+
+  if (isLoading) {
+    return (
+      <div className="flex justify-center items-center h-64">
+        <LoadingSpinner size="lg" text="Loading fines..." />
+      </div>
+    );
+  }
+
+  if (error) {
+    return (
+      <div className="text-center py-12">
+        <div className="text-red-600 mb-4">
+          <ExclamationTriangleIcon className="mx-auto h-12 w-12" />
+        </div>
+        <h3 className="text-lg font-medium text-gray-900 mb-2">Error Loading Fines</h3>
+        <p className="text-gray-500">{error.response?.data?.message || 'Something went wrong'}</p>
+      </div>
+    );
+  }
+
+  const unpayable = fines.filter((fine) => !PAYABLE_STATUSES.includes(fine.status));
+  const hasMixedCurrencies = fines.some((fine) => fine.currency !== currency);
+
+  return (
+    <div className="max-w-2xl mx-auto space-y-6">
+      <Link to="/fines" className="inline-flex items-center text-sm text-gray-500 hover:text-gray-700">
+        <ArrowLeftIcon className="h-4 w-4 mr-1" />
+        Back to fines
+      </Link>
+
+      {/* Selected fines */}
+      <div className="card">
+        <div className="card-header">
+          <h1 className="text-2xl font-bold text-gray-900">Pay Fines</h1>
+          <p className="text-sm text-gray-500">{fines.length} fines in one payment</p>
+        </div>
+        <div className="card-body space-y-2 text-sm">
+          {fines.map((fine) => (
+            <div key={fine._id} className="flex justify-between">
+              <span className="text-gray-500">
+                {fine.violationId?.name} – {fine.vehicleInfo?.licensePlate}
+                {!PAYABLE_STATUSES.includes(fine.status) && (
+                  <span className="ml-2 text-red-600">({fine.status})</span>
+                )}
+              </span>
+              <span className="text-gray-900">{formatCurrency(fine.outstandingAmount, fine.currency)}</span>
+            </div>
+          ))}
+          <div className="flex justify-between border-t border-gray-200 pt-2 text-base font-semibold">
+            <span className="text-gray-900">Total due</span>
+            <span className="text-gray-900">{hasMixedCurrencies ? '—' : formatCurrency(totalAmount, currency)}</span>
+          </div>
+          {fines.some((fine) => fine.nextInstalment) && (
+            <p className="text-xs text-gray-500">
+              Fines on an instalment plan are paid off in full.
+            </p>
+          )}
+        </div>
+      </div>
+
+      {/* Payment */}
+      <div className="card">
+        <div className="card-body space-y-6">
+          {fineIds.length < 2 ? (
+            <div className="alert-warning">Select at least two fines to pay them together.</div>
+          ) : unpayable.length > 0 ? (
+            <div className="alert-warning">
+              Some of these fines can no longer be paid online. Go back and change your selection.
+            </div>
+          ) : hasMixedCurrencies ? (
+            <div className="alert-warning">Fines in different currencies must be paid separately.</div>
+          ) : isProvidersLoading ? (
+            <div className="flex justify-center py-8">
+              <LoadingSpinner text="Loading payment options..." />
+            </div>
+          ) : !provider ? (
+            <div className="alert-warning">Online payments are currently unavailable.</div>
+          ) : (
+            <>
+              {providers.length > 1 && (
+                <fieldset>
+                  <legend className="text-sm font-medium text-gray-700 mb-2">Pay with</legend>
+                  <div className="grid grid-cols-1 gap-3 sm:grid-cols-2">
+                    {providers.map((option) => (
+                      <label
+                        key={option.name}
+                        className={`flex items-center p-3 border rounded-lg cursor-pointer ${
+                          option.name === provider.name ? 'border-primary-500 bg-primary-50' : 'border-gray-200'
+                        }`}
+                      >
+                        <input
+                          type="radio"
+                          name="provider"
+                          className="form-radio mr-3"
+                          checked={option.name === provider.name}
+                          onChange={() => setSelectedProvider(option.name)}
+                          disabled={startMutation.isLoading || confirmMutation.isLoading}
+                        />
+                        <span className="text-sm text-gray-900">{option.label}</span>
+                      </label>
+                    ))}
+                  </div>
+                </fieldset>
+              )}
+
+              {provider.flow === 'elements' ? (
+                isIntentLoading || !stripe ? (
+                  <div className="flex justify-center py-8">
+                    <LoadingSpinner text="Preparing secure payment..." />
+                  </div>
+                ) : intentError ? (
+                  <div className="space-y-4">
+                    <div className="alert-danger">
+                      {intentError.response?.data?.message || 'Unable to start the payment'}
+                    </div>
+                    <button type="button" className="btn-primary" onClick={() => retryIntent()}>
+                      Try again
+                    </button>
+                  </div>
+                ) : (
+                  intent && (
+                    <Elements stripe={stripe} options={{ clientSecret: intent.clientSecret }} key={intent.clientSecret}>
+                      <CheckoutForm
+                        returnUrl={`${window.location.origin}/payments/checkout/${intent.checkout.id}?provider=${provider.name}`}
+                        amountLabel={formatCurrency(intent.amount, intent.currency)}
+                        onSucceeded={() => confirmMutation.mutate(intent.checkout.id)}
+                        isConfirming={confirmMutation.isLoading}
+                        confirmError={confirmError}
+                      />
+                    </Elements>
+                  )
+                )
+              ) : confirmMutation.isLoading || confirmError ? (
+                <ConfirmationStatus
+                  isLoading={confirmMutation.isLoading}
+                  error={confirmError}
+                  onRetry={() => confirmMutation.mutate(confirmMutation.variables)}
+                />
+              ) : (
+                <div className="space-y-4">
+                  {startMutation.error && (
+                    <div className="alert-danger">
+                      {startMutation.error.response?.data?.message || 'Unable to start the payment'}
+                    </div>
+                  )}
+                  <button
+                    type="button"
+                    className="btn-success w-full"
+                    onClick={() => startMutation.mutate()}
+                    disabled={startMutation.isLoading}
+                  >
+                    <LockClosedIcon className="h-5 w-5 mr-2" />
+                    {startMutation.isLoading
+                      ? 'Starting payment...'
+                      : provider.flow === 'redirect'
+                        ? `Continue to ${provider.label}`
+                        : `Pay ${formatCurrency(totalAmount, currency)}`}
+                  </button>
+                  {provider.flow === 'redirect' && (
+                    <p className="text-xs text-gray-500 text-center">
+                      You will be redirected to {provider.label} to complete the payment.
+                    </p>
+                  )}
+                </div>
+              )}
+            </>
+          )}
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default PayFines;
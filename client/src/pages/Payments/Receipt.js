@@ -0,0 +1,179 @@
+import React from 'react';
+import { useParams, Link } from 'react-router-dom';
+import { useQuery } from 'react-query';
+import {
+  ArrowLeftIcon,
+  CheckCircleIcon,
+  DocumentArrowDownIcon,
+  ExclamationTriangleIcon,
+  PrinterIcon,
+} from '@heroicons/react/24/outline';
+import axios from 'axios';
+import toast from 'react-hot-toast';
+import LoadingSpinner from '../../components/UI/LoadingSpinner';
+
+const Receipt = () => {
+  const { id } = useParams();
+
+  const { data: receipt, isLoading, error } = useQuery(
+    ['receipt', id],
+    () => axios.get(`/api/payments/fine/${id}/receipt`).then((res) => res.data.receipt)
+  );
+
+  const formatCurrency = (amount, currency = 'LKR') => {
+    return new Intl.NumberFormat('en-LK', {
+      style: 'currency',
+      currency: currency,
+    }).format(amount);
+  };
+
+  const formatDateTime = (date) => {
+    return new Date(date).toLocaleString('en-LK', {
+      year: 'numeric',
+      month: 'short',
+      day: 'numeric',
+      hour: '2-digit',
+      minute: '2-digit',
+    });
+  };
+
+  if (isLoading) {
+    return (
+      <div className="flex justify-center items-center h-64">
+        <LoadingSpinner size="lg" text="Loading receipt..." />
+      </div>
+    );
+  }
+
+  if (error) {
+    return (
+      <div className="text-center py-12">
+        <div className="text-red-600 mb-4">
+          <ExclamationTriangleIcon className="mx-auto h-12 w-12" />
+        </div>
+        <h3 className="text-lg font-medium text-gray-900 mb-2">Error Loading Receipt</h3>
+        <p className="text-gray-500">{error.response?.data?.message || 'Something went wrong'}</p>
+        <Link to={`/fines/${id}`} className="btn-outline mt-4">Back to fine</Link>
+      </div>
+    );
+  }
+
+  const rows = [
+    ['Receipt number', receipt.receiptNumber],
+    ['Fine ID', receipt.fineId],
+    ['Payment date', formatDateTime(receipt.paymentDate)],
+    ['Payment method', receipt.paymentMethod],
+    ['Transaction ID', receipt.transactionId],
+    ...(receipt.outstandingAmount > 0
+      ? [
+          ['Paid so far', formatCurrency(receipt.amountPaid, receipt.currency)],
+          ['Outstanding', formatCurrency(receipt.outstandingAmount, receipt.currency)],
+        ]
+      : []),
+    ...(receipt.counter
+      ? [
+          ['Receipt book number', receipt.counter.receiptBookNumber],
+          ['Branch', receipt.counter.branch],
+        ]
+      : []),
+    ['Driver', receipt.driver?.name],
+    ['License number', receipt.driver?.licenseNumber],
+    ['Vehicle', receipt.vehicle && `${receipt.vehicle.licensePlate} (${receipt.vehicle.type})`],
+    ['Violation', receipt.violation && `${receipt.violation.name} (${receipt.violation.code})`],
+    ['Issued by', receipt.issuedBy && `${receipt.issuedBy.name}${receipt.issuedBy.badgeNumber ? ` – ${receipt.issuedBy.badgeNumber}` : ''}`],
+    ['Issued on', formatDateTime(receipt.issuedDate)],
+  ];
+
+  return (
+    <div className="max-w-2xl mx-auto space-y-6">
+      <div className="flex items-center justify-between print:hidden">
+        <Link to={`/fines/${id}`} className="inline-flex items-center text-sm text-gray-500 hover:text-gray-700">
+          <ArrowLeftIcon className="h-4 w-4 mr-1" />
+          Back to fine
+        </Link>
+        <div className="flex space-x-2">
+          <button type="button" className="btn-outline" onClick={() => window.print()}>
+            <PrinterIcon className="h-5 w-5 mr-2" />
+            Print
+          </button>
+          <button
+            type="button"
+            className="btn-primary"
+            onClick={() => downloadPdf(`/api/payments/fine/${id}/receipt/pdf`, `${receipt.receiptNumber}.pdf`)}
+          >
+            <DocumentArrowDownIcon className="h-5 w-5 mr-2" />
+            Download PDF
+          </button>
+        </div>
+      </div>
+
+      <div className="card">
+        <div className="card-body">
+          <div className="text-center mb-6">
+            <CheckCircleIcon className="mx-auto h-12 w-12 text-green-500" />
+            <h1 className="mt-2 text-2xl font-bold text-gray-900">Payment Receipt</h1>
+            <p className="text-sm text-gray-500">Sri Lanka Police - Traffic Fine Payment</p>
+            <p className="mt-4 text-3xl font-bold text-gray-900">
+              {formatCurrency(receipt.amount, receipt.currency)}
+            </p>
+            {receipt.penaltyAmount > 0 && (
+              <p className="text-xs text-gray-500">
+                {formatCurrency(receipt.amount - receipt.penaltyAmount, receipt.currency)} fine
+                {' + '}
+                {formatCurrency(receipt.penaltyAmount, receipt.currency)} late payment surcharge
+              </p>
+            )}
+          </div>
+
+          <dl className="divide-y divide-gray-200 text-sm">
+            {rows.map(([label, value]) => (
+              <div key={label} className="flex justify-between py-2">
+                <dt className="text-gray-500">{label}</dt>
+                <dd className="text-gray-900 text-right">{value || '—'}</dd>
+              </div>
+            ))}
+          </dl>
+
+          {receipt.receiptUrl && (
+            <a
+              href={receipt.receiptUrl}
+              target="_blank"
+              rel="noopener noreferrer"
+              className="mt-6 block text-center text-sm text-primary-600 hover:text-primary-800 print:hidden"
+            >
+              View card payment receipt
+            </a>
+          )}
+
+          {receipt.verificationUrl && (
+            <p className="mt-4 text-center text-xs text-gray-500 break-all">
+              Verify this payment at{' '}
+              <a href={receipt.verificationUrl} className="text-primary-600 hover:text-primary-800 print:text-gray-900">
+                {receipt.verificationUrl}
+              </a>
+            </p>
+          )}
+        </div>
+      </div>
+    </div>
+  );
+};
+
+// The official PDF receipt is served behind authentication, so it is fetched as a blob
+const downloadPdf = async (url, fileName) => {
+  try {
+    const res = await axios.get(url, { responseType: 'blob' });
+    const objectUrl = URL.createObjectURL(res.data);
+    const link = document.createElement('a');
+    link.href = objectUrl;
+    link.download = fileName;
+    document.body.appendChild(link);
+    link.click();
+    link.remove();
+    URL.revokeObjectURL(objectUrl);
+  } catch (err) {
+    toast.error('Failed to download receipt');
+  }
+};
+
+export default Receipt;
@@ -1,9 +1,20 @@
 import React, { useState } from 'react';
 import { useForm } from 'react-hook-form';
+import { useMutation, useQuery, useQueryClient } from 'react-query';
+import axios from 'axios';
 import { useAuth } from '../../contexts/AuthContext';
 import LoadingSpinner from '../../components/UI/LoadingSpinner';
 import toast from 'react-hot-toast';
 
+const VEHICLE_TYPES = ['Car', 'Motorcycle', 'Bus', 'Truck', 'Van', 'Three-Wheeler', 'Other'];
+
+// Tell the driver about fines issued before they registered their license or vehicle
+const announceClaimedFines = (claimedFines = []) => {
+  if (claimedFines.length > 0) {
+    toast.success(`${claimedFines.length} earlier fine(s) added to your account: ${claimedFines.join(', ')}`);
+  }
+};
+
 const Profile = () => {
   const { user, updateUser, changePassword } = useAuth();
   const [activeTab, setActiveTab] = useState('profile');
@@ -20,6 +31,7 @@ const Profile = () => {
       lastName: user?.profile?.lastName || '',
       phoneNumber: user?.profile?.phoneNumber || '',
       licenseNumber: user?.profile?.licenseNumber || '',
+      nic: user?.profile?.nic || '',
       badgeNumber: user?.profile?.badgeNumber || '',
     }
   });
@@ -34,15 +46,48 @@ const Profile = () => {
 
   const newPassword = watch('newPassword');
 
+  const isDriverUser = user?.role === 'driver';
+
+  const { data: pointsData, isLoading: pointsLoading } = useQuery(
+    ['demeritPoints', user?._id],
+    () => axios.get(`/api/points/driver/${user._id}`).then((res) => res.data),
+    { enabled: isDriverUser && activeTab === 'points' }
+  );
+
+  const { data: pointsHistoryData, isLoading: pointsHistoryLoading } = useQuery(
+    ['demeritPointsHistory', user?._id],
+    () => axios.get(`/api/points/driver/${user._id}/history`).then((res) => res.data),
+    { enabled: isDriverUser && activeTab === 'points' }
+  );
+
+  const getPointStatusColor = (status) => {
+    switch (status) {
+      case 'active':
+        return 'bg-red-100 text-red-800';
+      case 'reversed':
+        return 'bg-green-100 text-green-800';
+      default:
+        return 'bg-gray-100 text-gray-800';
+    }
+  };
+
+  const formatDate = (date) => {
+    return new Date(date).toLocaleDateString('en-LK', {
+      year: 'numeric',
+      month: 'short',
+      day: 'numeric',
+    });
+  };
+
   const onProfileSubmit = async (data) => {
     setIsUpdating(true);
     try {
-      // Here you would typically make an API call to update the user profile
-      // For now, we'll just update the local user state
-      updateUser({ profile: { ...user.profile, ...data } });
+      const res = await axios.put(`/api/users/${user._id}`, data);
+      updateUser({ profile: res.data.user.profile });
       toast.success('Profile updated successfully');
+      announceClaimedFines(res.data.claimedFines);
     } catch (error) {
-      toast.error('Failed to update profile');
+      toast.error(error.response?.data?.message || 'Failed to update profile');
     } finally {
       setIsUpdating(false);
     }
@@ -65,6 +110,16 @@ const Profile = () => {
         return 'bg-purple-100 text-purple-800';
       case 'police_officer':
         return 'bg-green-100 text-green-800';
+      case 'station_commander':
+        return 'bg-teal-100 text-teal-800';
+      case 'clerk':
+        return 'bg-yellow-100 text-yellow-800';
+      case 'finance_clerk':
+        return 'bg-orange-100 text-orange-800';
+      case 'dispute_reviewer':
+        return 'bg-indigo-100 text-indigo-800';
+      case 'auditor':
+        return 'bg-pink-100 text-pink-800';
       case 'driver':
         return 'bg-blue-100 text-blue-800';
       default:
@@ -76,6 +131,16 @@ const Profile = () => {
     switch (role) {
       case 'police_officer':
         return 'Police Officer';
+      case 'station_commander':
+        return 'Station Commander';
+      case 'clerk':
+        return 'Payment Clerk';
+      case 'finance_clerk':
+        return 'Finance Clerk';
+      case 'dispute_reviewer':
+        return 'Dispute Reviewer';
+      case 'auditor':
+        return 'Auditor';
       case 'admin':
         return 'Administrator';
       case 'driver':
@@ -132,6 +197,30 @@ const Profile = () => {
             >
               Security
             </button>
+            {isDriverUser && (
+              <button
+                onClick={() => setActiveTab('points')}
+                className={`py-4 px-1 border-b-2 font-medium text-sm ${
+                  activeTab === 'points'
+                    ? 'border-primary-500 text-primary-600'
+                    : 'border-transparent text-gray-500 hover:text-gray-700 hover:border-gray-300'
+                }`}
+              >
+                Demerit Points
+              </button>
+            )}
+            {isDriverUser && (
+              <button
+                onClick={() => setActiveTab('vehicles')}
+                className={`py-4 px-1 border-b-2 font-medium text-sm ${
+                  activeTab === 'vehicles'
+                    ? 'border-primary-500 text-primary-600'
+                    : 'border-transparent text-gray-500 hover:text-gray-700 hover:border-gray-300'
+                }`}
+              >
+                My Vehicles
+              </button>
+            )}
           </nav>
         </div>
 
@@ -192,15 +281,51 @@ const Profile = () => {
                       License Number
                     </label>
                     <input
-                      {...registerProfile('licenseNumber')}
+                      {...registerProfile('licenseNumber', {
+                        pattern: {
+                          value: /^\s*(?:[A-Za-z][\s-]*\d{7}|\d{5,8})\s*$/,
+                          message: 'Enter a license number such as B1234567, or an older 5 to 8 digit number',
+                        },
+                      })}
+                      type="text"
+                      className="form-input mt-1"
+                      placeholder="e.g. B1234567"
+                    />
+                    {profileErrors.licenseNumber && (
+                      <p className="mt-1 text-sm text-red-600">{profileErrors.licenseNumber.message}</p>
+                    )}
+                  </div>
+                )}
+
+                {user?.role === 'driver' && (
+                  <div>
+                    <label htmlFor="nic" className="block text-sm font-medium text-gray-700">
+                      NIC Number
+                    </label>
+                    <input
+                      {...registerProfile('nic', {
+                        pattern: {
+                          value: /^\s*(?:\d{9}[VvXx]|\d{12})\s*$/,
+                          message: 'Enter an old (851234567V) or new (198512345678) NIC number',
+                        },
+                      })}
                       type="text"
                       className="form-input mt-1"
-                      placeholder="Enter your license number"
+                      placeholder="e.g. 198512345678"
                     />
+                    {profileErrors.nic && (
+                      <p className="mt-1 text-sm text-red-600">{profileErrors.nic.message}</p>
+                    )}
+                    {user?.profile?.birthYear && (
+                      <p className="mt-1 text-xs text-gray-500">
+                        Born {user.profile.birthYear}
+                        {user.profile.gender && ` · ${user.profile.gender === 'female' ? 'Female' : 'Male'}`}
+                      </p>
+                    )}
                   </div>
                 )}
 
-                {user?.role === 'police_officer' && (
+                {['police_officer', 'station_commander'].includes(user?.role) && (
                   <div>
                     <label htmlFor="badgeNumber" className="block text-sm font-medium text-gray-700">
                       Badge Number
@@ -317,10 +442,177 @@ const Profile = () => {
               </div>
             </form>
           )}
+
+          {activeTab === 'points' && isDriverUser && (
+            <div className="space-y-6">
+              {pointsLoading ? (
+                <LoadingSpinner size="md" />
+              ) : (
+                <div className="grid grid-cols-1 gap-4 sm:grid-cols-3">
+                  <div className="text-center">
+                    <div className="text-2xl font-bold text-gray-900">{pointsData?.totalPoints || 0}</div>
+                    <div className="text-sm text-gray-500">Active Points</div>
+                  </div>
+                  <div className="text-center">
+                    <div className="text-2xl font-bold text-gray-900">{pointsData?.threshold || 0}</div>
+                    <div className="text-sm text-gray-500">Suspension Threshold</div>
+                  </div>
+                  <div className="text-center">
+                    <div className={`text-2xl font-bold ${pointsData?.isSuspended ? 'text-red-600' : 'text-green-600'}`}>
+                      {pointsData?.isSuspended ? 'Suspended' : 'Valid'}
+                    </div>
+                    <div className="text-sm text-gray-500">License Status</div>
+                  </div>
+                </div>
+              )}
+              {pointsData?.windowDays && (
+                <p className="text-sm text-gray-500">
+                  Points expire {pointsData.windowDays} days after they are awarded.
+                </p>
+              )}
+
+              <div className="border-t border-gray-200 pt-6">
+                <h3 className="text-lg font-medium text-gray-900 mb-4">Point History</h3>
+                {pointsHistoryLoading ? (
+                  <LoadingSpinner size="md" />
+                ) : (pointsHistoryData?.history || []).length === 0 ? (
+                  <p className="text-sm text-gray-500">No demerit points on your record.</p>
+                ) : (
+                  <div className="overflow-x-auto">
+                    <table className="min-w-full divide-y divide-gray-200">
+                      <thead className="bg-gray-50">
+                        <tr>
+                          <th className="px-4 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Violation</th>
+                          <th className="px-4 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Points</th>
+                          <th className="px-4 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Awarded</th>
+                          <th className="px-4 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Expires</th>
+                          <th className="px-4 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Status</th>
+                        </tr>
+                      </thead>
+                      <tbody className="bg-white divide-y divide-gray-200">
+                        {pointsHistoryData.history.map((entry) => (
+                          <tr key={entry._id}>
+                            <td className="px-4 py-3 text-sm text-gray-900">
+                              {entry.violationId?.name || 'Unknown Violation'}
+                              {entry.fine?.vehicleInfo?.licensePlate && (
+                                <div className="text-xs text-gray-500">{entry.fine.vehicleInfo.licensePlate}</div>
+                              )}
+                            </td>
+                            <td className="px-4 py-3 text-sm font-medium text-gray-900">{entry.points}</td>
+                            <td className="px-4 py-3 text-sm text-gray-500">{formatDate(entry.awardedAt)}</td>
+                            <td className="px-4 py-3 text-sm text-gray-500">{formatDate(entry.expiresAt)}</td>
+                            <td className="px-4 py-3">
+                              <span className={`inline-flex px-2 py-1 text-xs font-semibold rounded-full capitalize ${getPointStatusColor(entry.status)}`}>
+                                {entry.status}
+                              </span>
+                            </td>
+                          </tr>
+                        ))}
+                      </tbody>
+                    </table>
+                  </div>
+                )}
+              </div>
+            </div>
+          )}
+
+          {activeTab === 'vehicles' && isDriverUser && <MyVehicles userId={user._id} />}
         </div>
       </div>
     </div>
   );
 };
 
+// Vehicles the driver owns; adding a plate claims the fines issued against it
+const MyVehicles = ({ userId }) => {
+  const queryClient = useQueryClient();
+  const {
+    register,
+    handleSubmit,
+    reset,
+    formState: { errors },
+  } = useForm({ defaultValues: { plate: '', vehicleType: '' } });
+
+  const { data, isLoading } = useQuery(
+    ['myVehicles', userId],
+    () => axios.get(`/api/vehicles/owner/${userId}`).then((res) => res.data)
+  );
+
+  const addMutation = useMutation(
+    (values) => axios.post('/api/vehicles/mine', values).then((res) => res.data),
+    {
+      onSuccess: (result) => {
+        toast.success(result.message);
+        announceClaimedFines(result.claimedFines);
+        reset();
+        queryClient.invalidateQueries('myVehicles');
+        queryClient.invalidateQueries('fines');
+      },
+      onError: (error) => {
+        toast.error(error.response?.data?.message || 'Failed to add vehicle');
+      },
+    }
+  );
+
+  const vehicles = data?.vehicles || [];
+
+  return (
+    <div className="space-y-6">
+      {isLoading ? (
+        <LoadingSpinner size="md" />
+      ) : vehicles.length === 0 ? (
+        <p className="text-sm text-gray-500">No vehicles on your profile.</p>
+      ) : (
+        <ul className="divide-y divide-gray-200">
+          {vehicles.map((vehicle) => (
+            <li key={vehicle._id} className="py-3">
+              <p className="text-sm font-medium text-gray-900">{vehicle.plate}</p>
+              <p className="text-xs text-gray-500">
+                {[vehicle.vehicleType, vehicle.make, vehicle.model, vehicle.color].filter(Boolean).join(' · ')}
+              </p>
+            </li>
+          ))}
+        </ul>
+      )}
+
+      <form
+        onSubmit={handleSubmit((values) => addMutation.mutate(values))}
+        className="border-t border-gray-200 pt-6 space-y-4"
+      >
+        <h3 className="text-lg font-medium text-gray-900">Add a Vehicle</h3>
+        <p className="text-sm text-gray-500">
+          Fines issued against the plate without a license number are added to your account.
+        </p>
+        <div className="grid grid-cols-1 gap-4 sm:grid-cols-2">
+          <div>
+            <label className="block text-sm font-medium text-gray-700">License plate</label>
+            <input
+              type="text"
+              placeholder="e.g. WP CAB-1234"
+              className="form-input mt-1"
+              {...register('plate', { required: 'License plate is required' })}
+            />
+            {errors.plate && <p className="mt-1 text-sm text-red-600">{errors.plate.message}</p>}
+          </div>
+          <div>
+            <label className="block text-sm font-medium text-gray-700">Vehicle type</label>
+            <select className="form-select mt-1 w-full" {...register('vehicleType', { required: 'Vehicle type is required' })}>
+              <option value="">Select a type</option>
+              {VEHICLE_TYPES.map((type) => (
+                <option key={type} value={type}>{type}</option>
+              ))}
+            </select>
+            {errors.vehicleType && <p className="mt-1 text-sm text-red-600">{errors.vehicleType.message}</p>}
+          </div>
+        </div>
+        <div className="flex justify-end">
+          <button type="submit" className="btn-primary" disabled={addMutation.isLoading}>
+            {addMutation.isLoading ? <LoadingSpinner size="sm" /> : 'Add Vehicle'}
+          </button>
+        </div>
+      </form>
+    </div>
+  );
+};
+
 export default Profile;
\ No newline at end of file
@@ -0,0 +1,223 @@
+import React, { useState } from 'react';
+import { useQuery, useMutation, useQueryClient } from 'react-query';
+import { CheckCircleIcon, XCircleIcon } from '@heroicons/react/24/outline';
+import axios from 'axios';
+import toast from 'react-hot-toast';
+import LoadingSpinner from '../../components/UI/LoadingSpinner';
+
+const STATUSES = [
+  { value: 'pending', label: 'Pending' },
+  { value: 'awarded_to_claimant', label: 'Awarded to claimant' },
+  { value: 'kept_by_holder', label: 'Kept by holder' },
+];
+
+const SOURCE_LABELS = {
+  registration: 'Registration',
+  profile_update: 'Profile update',
+  backfill: 'Duplicate found during clean-up',
+};
+
+const formatDate = (date) => {
+  return new Date(date).toLocaleDateString('en-LK', {
+    year: 'numeric',
+    month: 'short',
+    day: 'numeric',
+  });
+};
+
+const formatPerson = (person) => {
+  if (!person) return 'Unknown';
+  const name = [person.profile?.firstName, person.profile?.lastName].filter(Boolean).join(' ');
+  return name || person.username;
+};
+
+const PersonDetails = ({ title, person }) => (
+  <div className="text-sm">
+    <p className="text-xs font-medium uppercase text-gray-500">{title}</p>
+    <p className="font-medium text-gray-900">{formatPerson(person)}</p>
+    <p className="text-gray-600">{person?.email}</p>
+    {person?.profile?.phoneNumber && <p className="text-gray-600">{person.profile.phoneNumber}</p>}
+    {person?.createdAt && <p className="text-xs text-gray-500">Account created {formatDate(person.createdAt)}</p>}
+  </div>
+);
+
+const LicenseConflicts = () => {
+  const queryClient = useQueryClient();
+  const [status, setStatus] = useState('pending');
+  const [currentPage, setCurrentPage] = useState(1);
+  // Conflict being decided in the holder's favour, and the note sent to the claimant
+  const [rejectingId, setRejectingId] = useState(null);
+  const [note, setNote] = useState('');
+
+  const { data, isLoading } = useQuery(
+    ['licenseConflicts', status, currentPage],
+    () => axios
+      .get('/api/license-conflicts', { params: { status, page: currentPage, limit: 10 } })
+      .then((res) => res.data),
+    { keepPreviousData: true }
+  );
+
+  const resolveMutation = useMutation(
+    ({ id, decision, note }) => axios.put(`/api/license-conflicts/${id}/resolve`, { decision, note }),
+    {
+      onSuccess: (res) => {
+        toast.success(res.data.message);
+        setRejectingId(null);
+        setNote('');
+        queryClient.invalidateQueries('licenseConflicts');
+        queryClient.invalidateQueries('users');
+      },
+      onError: (error) => {
+        toast.error(error.response?.data?.message || 'Failed to resolve conflict');
+      },
+    }
+  );
+
+  const conflicts = data?.conflicts || [];
+  const pagination = data?.pagination;
+
+  return (
+    <div className="space-y-6">
+      <div className="sm:flex sm:items-center sm:justify-between">
+        <div>
+          <h1 className="text-2xl font-bold text-gray-900">License Conflicts</h1>
+          <p className="mt-1 text-sm text-gray-500">
+            Decide which account a license number claimed by more than one user belongs to
+          </p>
+        </div>
+        <select
+          className="form-select mt-4 sm:mt-0"
+          value={status}
+          onChange={(e) => {
+            setStatus(e.target.value);
+            setCurrentPage(1);
+          }}
+        >
+          {STATUSES.map(({ value, label }) => (
+            <option key={value} value={value}>
+              {label}
+            </option>
+          ))}
+        </select>
+      </div>
+
+      {isLoading ? (
+        <div className="flex justify-center items-center h-64">
+          <LoadingSpinner size="lg" text="Loading conflicts..." />
+        </div>
+      ) : conflicts.length === 0 ? (
+        <div className="card">
+          <div className="card-body text-center text-sm text-gray-500">No license conflicts</div>
+        </div>
+      ) : (
+        <div className="space-y-4">
+          {conflicts.map((conflict) => (
+            <div key={conflict._id} className="card">
+              <div className="card-body space-y-3">
+                <div className="sm:flex sm:items-start sm:justify-between">
+                  <div>
+                    <p className="text-lg font-medium text-gray-900">{conflict.licenseNumber}</p>
+                    <p className="text-xs text-gray-500">
+                      {SOURCE_LABELS[conflict.source]} · raised {formatDate(conflict.createdAt)}
+                    </p>
+                    {conflict.resolvedAt && (
+                      <p className="text-xs text-gray-500">
+                        Resolved by {formatPerson(conflict.resolvedBy)} on {formatDate(conflict.resolvedAt)}
+                        {conflict.resolutionNote && `: ${conflict.resolutionNote}`}
+                      </p>
+                    )}
+                  </div>
+                  {conflict.status === 'pending' && (
+                    <div className="mt-3 sm:mt-0 flex flex-wrap gap-2">
+                      <button
+                        type="button"
+                        className="btn-success"
+                        disabled={resolveMutation.isLoading}
+                        onClick={() => resolveMutation.mutate({ id: conflict._id, decision: 'awarded_to_claimant' })}
+                      >
+                        <CheckCircleIcon className="h-5 w-5 mr-2" />
+                        Award to Claimant
+                      </button>
+                      <button
+                        type="button"
+                        className="btn-danger"
+                        onClick={() => {
+                          setRejectingId(conflict._id);
+                          setNote('');
+                        }}
+                      >
+                        <XCircleIcon className="h-5 w-5 mr-2" />
+                        Keep with Holder
+                      </button>
+                    </div>
+                  )}
+                </div>
+
+                <div className="grid grid-cols-1 gap-4 sm:grid-cols-2">
+                  <PersonDetails title="Claimant" person={conflict.claimant} />
+                  <PersonDetails title="Holder" person={conflict.holder} />
+                </div>
+
+                {rejectingId === conflict._id && (
+                  <form
+                    className="space-y-2"
+                    onSubmit={(e) => {
+                      e.preventDefault();
+                      resolveMutation.mutate({ id: conflict._id, decision: 'kept_by_holder', note });
+                    }}
+                  >
+                    <label className="block text-sm font-medium text-gray-700">Note to the claimant</label>
+                    <textarea
+                      rows={2}
+                      maxLength={500}
+                      required
+                      className="form-textarea w-full"
+                      value={note}
+                      onChange={(e) => setNote(e.target.value)}
+                    />
+                    <div className="flex justify-end gap-2">
+                      <button type="button" className="btn-outline" onClick={() => setRejectingId(null)}>
+                        Cancel
+                      </button>
+                      <button type="submit" className="btn-danger" disabled={resolveMutation.isLoading}>
+                        Reject Claim
+                      </button>
+                    </div>
+                  </form>
+                )}
+              </div>
+            </div>
+          ))}
+        </div>
+      )}
+
+      {pagination && pagination.pages > 1 && (
+        <div className="flex items-center justify-between">
+          <p className="text-sm text-gray-700">
+            Page {pagination.current} of {pagination.pages}
+          </p>
+          <div className="flex gap-2">
+            <button
+              type="button"
+              className="btn-outline"
+              disabled={currentPage === 1}
+              onClick={() => setCurrentPage(currentPage - 1)}
+            >
+              Previous
+            </button>
+            <button
+              type="button"
+              className="btn-outline"
+              disabled={currentPage === pagination.pages}
+              onClick={() => setCurrentPage(currentPage + 1)}
+            >
+              Next
+            </button>
+          </div>
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default LicenseConflicts;
@@ -19,6 +19,16 @@ const Users = () => {
         return 'bg-purple-100 text-purple-800';
       case 'police_officer':
         return 'bg-green-100 text-green-800';
+      case 'station_commander':
+        return 'bg-teal-100 text-teal-800';
+      case 'clerk':
+        return 'bg-yellow-100 text-yellow-800';
+      case 'finance_clerk':
+        return 'bg-orange-100 text-orange-800';
+      case 'dispute_reviewer':
+        return 'bg-indigo-100 text-indigo-800';
+      case 'auditor':
+        return 'bg-pink-100 text-pink-800';
       case 'driver':
         return 'bg-blue-100 text-blue-800';
       default:
@@ -30,6 +40,16 @@ const Users = () => {
     switch (role) {
       case 'police_officer':
         return 'Police Officer';
+      case 'station_commander':
+        return 'Station Commander';
+      case 'clerk':
+        return 'Payment Clerk';
+      case 'finance_clerk':
+        return 'Finance Clerk';
+      case 'dispute_reviewer':
+        return 'Dispute Reviewer';
+      case 'auditor':
+        return 'Auditor';
       case 'admin':
         return 'Administrator';
       case 'driver':
@@ -141,6 +161,12 @@ const Users = () => {
                               Badge: {user.profile.badgeNumber}
                             </div>
                           )}
+                          {user.station && (
+                            <div className="text-xs text-gray-400">
+                              Station: {user.station.name} ({user.station.code})
+                              {user.commandLevel && ` · ${user.commandLevel} commander`}
+                            </div>
+                          )}
                         </div>
                       </div>
                     </td>
@@ -0,0 +1,139 @@
+import React, { useState } from 'react';
+import { Link } from 'react-router-dom';
+import { useQuery } from 'react-query';
+import { useForm } from 'react-hook-form';
+import { ExclamationTriangleIcon, MagnifyingGlassIcon } from '@heroicons/react/24/outline';
+import axios from 'axios';
+import LoadingSpinner from '../../components/UI/LoadingSpinner';
+
+const STATUS_LABELS = {
+  pending: 'Not paid',
+  overdue: 'Overdue',
+  disputed: 'Disputed',
+  paid: 'Paid',
+  partially_refunded: 'Paid',
+  refunded: 'Refunded',
+  cancelled: 'Cancelled',
+};
+
+// Public page for fines issued without a registered driver, such as camera
+// detections; the plate and fine number on the notice work without logging in
+const LookupFine = () => {
+  const [search, setSearch] = useState(null);
+  const {
+    register,
+    handleSubmit,
+    formState: { errors },
+  } = useForm();
+
+  const { data: fine, isFetching, error } = useQuery(
+    ['fineLookup', search],
+    () => axios.get('/api/verify/lookup', { params: search }).then((res) => res.data.fine),
+    { enabled: !!search, retry: false }
+  );
+
+  return (
+    <div className="min-h-screen flex items-center justify-center bg-gray-50 py-12 px-4 sm:px-6 lg:px-8">
+      <div className="max-w-md w-full">
+        <div className="text-center mb-6">
+          <h1 className="text-2xl font-bold text-gray-900">Look Up a Fine</h1>
+          <p className="text-sm text-gray-500">Enter the vehicle plate and the fine number from your notice</p>
+        </div>
+
+        <div className="card">
+          <div className="card-body space-y-6">
+            <form onSubmit={handleSubmit(setSearch)} className="space-y-4">
+              <div>
+                <label className="block text-sm font-medium text-gray-700 mb-1">License plate</label>
+                <input
+                  type="text"
+                  placeholder="e.g. WP CAB-1234"
+                  className="form-input w-full"
+                  {...register('plate', { required: 'License plate is required' })}
+                />
+                {errors.plate && <p className="mt-1 text-sm text-red-600">{errors.plate.message}</p>}
+              </div>
+              <div>
+                <label className="block text-sm font-medium text-gray-700 mb-1">Fine number</label>
+                <input
+                  type="text"
+                  className="form-input w-full"
+                  {...register('reference', { required: 'Fine number is required' })}
+                />
+                {errors.reference && <p className="mt-1 text-sm text-red-600">{errors.reference.message}</p>}
+              </div>
+              <button type="submit" className="btn-primary w-full" disabled={isFetching}>
+                <MagnifyingGlassIcon className="h-5 w-5 mr-2" />
+                Look Up
+              </button>
+            </form>
+
+            {isFetching ? (
+              <div className="flex justify-center py-4">
+                <LoadingSpinner text="Looking up fine..." />
+              </div>
+            ) : error ? (
+              <div className="text-center">
+                <ExclamationTriangleIcon className="mx-auto h-10 w-10 text-red-600" />
+                <p className="mt-2 text-sm text-gray-500">
+                  {error.response?.data?.message || 'Something went wrong'}
+                </p>
+              </div>
+            ) : fine ? (
+              <LookupResult fine={fine} />
+            ) : null}
+          </div>
+        </div>
+
+        <p className="mt-6 text-center text-sm text-gray-500">
+          <Link to="/register" className="text-primary-600 hover:text-primary-800">
+            Register
+          </Link>{' '}
+          with your license number, or add your vehicle to your profile, to pay your fines online
+        </p>
+      </div>
+    </div>
+  );
+};
+
+const LookupResult = ({ fine }) => {
+  const rows = [
+    ['Fine number', fine.reference],
+    ['Status', STATUS_LABELS[fine.status] || fine.status],
+    ['Vehicle', fine.licensePlate],
+    ['Violation', fine.violation && `${fine.violation.name} (${fine.violation.code})`],
+    ['City', fine.city],
+    ['Issued on', formatDate(fine.issuedOn)],
+    ['Due date', formatDate(fine.dueDate)],
+    ['Amount', formatCurrency(fine.amount, fine.currency)],
+    ['Outstanding', formatCurrency(fine.outstandingAmount, fine.currency)],
+  ];
+
+  return (
+    <dl className="divide-y divide-gray-200 text-sm">
+      {rows.map(([label, value]) => (
+        <div key={label} className="flex justify-between py-2">
+          <dt className="text-gray-500">{label}</dt>
+          <dd className="text-gray-900 text-right">{value || '—'}</dd>
+        </div>
+      ))}
+    </dl>
+  );
+};
+
+const formatCurrency = (amount, currency = 'LKR') => {
+  return new Intl.NumberFormat('en-LK', {
+    style: 'currency',
+    currency: currency,
+  }).format(amount);
+};
+
+const formatDate = (date) => {
+  return date && new Date(date).toLocaleDateString('en-LK', {
+    year: 'numeric',
+    month: 'short',
+    day: 'numeric',
+  });
+};
+
+export default LookupFine;
@@ -0,0 +1,114 @@
+import React from 'react';
+import { useParams, Link } from 'react-router-dom';
+import { useQuery } from 'react-query';
+import {
+  CheckCircleIcon,
+  ExclamationTriangleIcon,
+  XCircleIcon,
+} from '@heroicons/react/24/outline';
+import axios from 'axios';
+import LoadingSpinner from '../../components/UI/LoadingSpinner';
+
+const STATUS_DISPLAY = {
+  paid: { label: 'Paid', icon: CheckCircleIcon, className: 'text-green-500' },
+  unpaid: { label: 'Not paid', icon: XCircleIcon, className: 'text-red-500' },
+  refunded: { label: 'Refunded', icon: ExclamationTriangleIcon, className: 'text-yellow-500' },
+  cancelled: { label: 'Cancelled', icon: ExclamationTriangleIcon, className: 'text-gray-400' },
+};
+
+// Public page opened from the QR code on a receipt; works without logging in
+const VerifyFine = () => {
+  const { code } = useParams();
+
+  const { data: verification, isLoading, error } = useQuery(
+    ['verification', code],
+    () => axios.get(`/api/verify/${encodeURIComponent(code)}`).then((res) => res.data.verification),
+    { retry: false }
+  );
+
+  return (
+    <div className="min-h-screen flex items-center justify-center bg-gray-50 py-12 px-4 sm:px-6 lg:px-8">
+      <div className="max-w-md w-full">
+        <div className="text-center mb-6">
+          <h1 className="text-2xl font-bold text-gray-900">Fine Verification</h1>
+          <p className="text-sm text-gray-500">Sri Lanka Police - Traffic Fine Payment</p>
+        </div>
+
+        <div className="card">
+          <div className="card-body">
+            {isLoading ? (
+              <div className="flex justify-center py-8">
+                <LoadingSpinner size="lg" text="Verifying..." />
+              </div>
+            ) : error ? (
+              <div className="text-center py-6">
+                <ExclamationTriangleIcon className="mx-auto h-12 w-12 text-red-600" />
+                <h2 className="mt-2 text-lg font-medium text-gray-900">Could not verify</h2>
+                <p className="text-sm text-gray-500">
+                  {error.response?.data?.message || 'Something went wrong'}
+                </p>
+              </div>
+            ) : (
+              <VerificationResult verification={verification} />
+            )}
+          </div>
+        </div>
+
+        <p className="mt-6 text-center text-sm text-gray-500">
+          <Link to="/login" className="text-primary-600 hover:text-primary-800">
+            Sign in
+          </Link>{' '}
+          to view or pay your fines
+        </p>
+      </div>
+    </div>
+  );
+};
+
+const VerificationResult = ({ verification }) => {
+  const display = STATUS_DISPLAY[verification.status] || STATUS_DISPLAY.unpaid;
+  const StatusIcon = display.icon;
+
+  const rows = [
+    ['Reference', verification.reference],
+    ['Amount', formatCurrency(verification.amount, verification.currency)],
+    ['Violation code', verification.violationCode],
+    ['Issued on', formatDate(verification.issuedOn)],
+    ...(verification.paid ? [['Paid on', formatDate(verification.paidAt)]] : []),
+    ['Checked at', new Date(verification.verifiedAt).toLocaleString('en-LK')],
+  ];
+
+  return (
+    <>
+      <div className="text-center mb-6">
+        <StatusIcon className={`mx-auto h-12 w-12 ${display.className}`} />
+        <p className="mt-2 text-xl font-semibold text-gray-900">{display.label}</p>
+      </div>
+      <dl className="divide-y divide-gray-200 text-sm">
+        {rows.map(([label, value]) => (
+          <div key={label} className="flex justify-between py-2">
+            <dt className="text-gray-500">{label}</dt>
+            <dd className="text-gray-900 text-right">{value || '—'}</dd>
+          </div>
+        ))}
+      </dl>
+    </>
+  );
+};
+
+const formatCurrency = (amount, currency = 'LKR') => {
+  return new Intl.NumberFormat('en-LK', {
+    style: 'currency',
+    currency: currency,
+  }).format(amount);
+};
+
+const formatDate = (date) => {
+  return date && new Date(date).toLocaleDateString('en-LK', {
+    year: 'numeric',
+    month: 'short',
+    day: 'numeric',
+  });
+};
+
+export default VerifyFine;
@@ -0,0 +1,55 @@
+/* eslint-disable no-restricted-globals */
+
+// Service worker built by react-scripts (InjectManifest) for production builds. It
+// precaches the app so officers can open it without a connection, and keeps the last
+// copy of the API responses they need to issue fines offline.
+
+import { clientsClaim } from 'workbox-core';
+import { ExpirationPlugin } from 'workbox-expiration';
+import { precacheAndRoute, createHandlerBoundToURL } from 'workbox-precaching';
+import { registerRoute } from 'workbox-routing';
+import { NetworkFirst } from 'workbox-strategies';
+import { CacheableResponsePlugin } from 'workbox-cacheable-response';
+
+// Cleared by the app on logout (see AuthContext)
+const API_CACHE = 'api-responses';
+
+// The violation catalogue and the signed-in user, so the app starts and the fine form
+// fills in while offline
+const OFFLINE_API_PATHS = ['/api/violations', '/api/auth/me'];
+
+clientsClaim();
+
+precacheAndRoute(self.__WB_MANIFEST);
+
+// Serve index.html for page navigations so client-side routes load offline
+const fileExtensionRegexp = new RegExp('/[^/?]+\\.[^/]+$');
+registerRoute(
+  ({ request, url }) => {
+    if (request.mode !== 'navigate') return false;
+    if (url.pathname.startsWith('/_') || url.pathname.startsWith('/api/')) return false;
+    if (url.pathname.match(fileExtensionRegexp)) return false;
+    return true;
+  },
+  createHandlerBoundToURL(process.env.PUBLIC_URL + '/index.html')
+);
+
+// Always ask the server first; the cached copy is only used when it cannot be reached
+registerRoute(
+  ({ url }) => url.origin === self.location.origin && OFFLINE_API_PATHS.includes(url.pathname),
+  new NetworkFirst({
+    cacheName: API_CACHE,
+    networkTimeoutSeconds: 5,
+    plugins: [
+      new CacheableResponsePlugin({ statuses: [200] }),
+      new ExpirationPlugin({ maxEntries: 20, maxAgeSeconds: 7 * 24 * 60 * 60 }),
+    ],
+  })
+);
+
+// Lets the page activate a new version straight away
+self.addEventListener('message', (event) => {
+  if (event.data && event.data.type === 'SKIP_WAITING') {
+    self.skipWaiting();
+  }
+});
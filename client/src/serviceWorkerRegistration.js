@@ -0,0 +1,48 @@
+// Registers the service worker in src/service-worker.js. It is only built for production,
+// so development servers always load the app fresh.
+
+export function register(config = {}) {
+  if (process.env.NODE_ENV !== 'production' || !('serviceWorker' in navigator)) {
+    return;
+  }
+
+  // The service worker won't work if PUBLIC_URL is on a different origin, e.g. a CDN
+  const publicUrl = new URL(process.env.PUBLIC_URL, window.location.href);
+  if (publicUrl.origin !== window.location.origin) {
+    return;
+  }
+
+  window.addEventListener('load', () => {
+    const swUrl = `${process.env.PUBLIC_URL}/service-worker.js`;
+
+    navigator.serviceWorker
+      .register(swUrl)
+      .then((registration) => {
+        registration.onupdatefound = () => {
+          const installingWorker = registration.installing;
+          if (!installingWorker) return;
+
+          installingWorker.onstatechange = () => {
+            if (installingWorker.state !== 'installed') return;
+            // With a controller already in place this is an update, used after all tabs close
+            if (navigator.serviceWorker.controller) {
+              config.onUpdate?.(registration);
+            } else {
+              config.onSuccess?.(registration);
+            }
+          };
+        };
+      })
+      .catch((error) => {
+        console.error('Service worker registration failed:', error);
+      });
+  });
+}
+
+export function unregister() {
+  if ('serviceWorker' in navigator) {
+    navigator.serviceWorker.ready
+      .then((registration) => registration.unregister())
+      .catch((error) => console.error(error.message));
+  }
+}
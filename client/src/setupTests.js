@@ -0,0 +1,7 @@
+import '@testing-library/jest-dom';
+import { act } from '@testing-library/react';
+import { notifyManager } from 'react-query';
+
+// React Query notifies components on a timer; wrap those updates in act so tests see
+// them without warnings
+notifyManager.setNotifyFunction((notify) => act(notify));
@@ -0,0 +1,33 @@
+const express = require('express');
+const jwt = require('jsonwebtoken');
+const User = require('../../models/User');
+const Role = require('../../models/Role');
+const errorHandler = require('../../middleware/errorHandler');
+const { mockQuery } = require('./fixtures');
+
+process.env.JWT_SECRET = process.env.JWT_SECRET || 'test-secret';
+
+// Express app with one router mounted the way index.js mounts it
+const createApp = (mountPath, router) => {
+  const app = express();
+  app.use(express.json());
+  app.use(mountPath, router);
+  app.use(errorHandler);
+  return app;
+};
+
+// Let the real authenticateToken find these users, with the default role permissions.
+// User.findById resolves to null for anyone else.
+const signIn = (...users) => {
+  const byId = new Map(users.map(user => [user._id.toString(), user]));
+  jest.spyOn(User, 'findById').mockImplementation((id) => mockQuery(byId.get(String(id)) || null));
+  jest.spyOn(Role, 'find').mockReturnValue(mockQuery([]));
+};
+
+const authHeader = (user) => `Bearer ${jwt.sign({ userId: user._id.toString() }, process.env.JWT_SECRET)}`;
+
+module.exports = {
+  createApp,
+  signIn,
+  authHeader
+};
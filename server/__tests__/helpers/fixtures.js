@@ -0,0 +1,92 @@
+const mongoose = require('mongoose');
+const Fine = require('../../models/Fine');
+const User = require('../../models/User');
+const Station = require('../../models/Station');
+
+// Documents built in memory for tests; nothing here talks to MongoDB
+
+const objectId = () => new mongoose.Types.ObjectId();
+
+// Stand-in for a Mongoose query: chainable like one and resolving to `result`. With
+// `project`, a document result is narrowed to the fields passed to select(), the way
+// MongoDB would return it, so routes that forget a field see it missing.
+const mockQuery = (result, { project = false } = {}) => {
+  let value = result;
+  const query = {
+    then: (resolve, reject) => Promise.resolve(value).then(resolve, reject),
+    catch: (reject) => Promise.resolve(value).catch(reject),
+    exec: () => Promise.resolve(value)
+  };
+  ['populate', 'sort', 'skip', 'limit', 'lean', 'session'].forEach(method => {
+    query[method] = () => query;
+  });
+  query.select = (fields) => {
+    if (project && value instanceof mongoose.Document && typeof fields === 'string') {
+      const object = value.toObject();
+      const picked = { _id: object._id };
+      fields.split(/\s+/).filter(Boolean).forEach(field => {
+        picked[field] = object[field];
+      });
+      value = value.constructor.hydrate(picked);
+    }
+    return query;
+  };
+  return query;
+};
+
+const buildStation = (overrides = {}) => new Station({
+  name: 'Colombo Fort',
+  code: 'COL',
+  division: objectId(),
+  province: objectId(),
+  ...overrides
+});
+
+// User with a role from services/permissions; station roles get a populated station
+const buildUser = (role = 'driver', overrides = {}) => new User({
+  username: `${role}${Math.floor(Math.random() * 1e6)}`,
+  email: `${role}@police.lk`,
+  password: 'password123',
+  role,
+  profile: { firstName: 'Test', lastName: role },
+  ...overrides
+});
+
+// Fine with save and addNote stubbed so instance methods can run without a database
+const buildFine = (overrides = {}) => {
+  const fine = new Fine({
+    fineId: 'WP-COL-2026-000001',
+    policeOfficer: objectId(),
+    violationId: objectId(),
+    fineAmount: 5000,
+    status: 'pending',
+    ...overrides
+  });
+  jest.spyOn(fine, 'save').mockResolvedValue(fine);
+  jest.spyOn(fine, 'addNote').mockImplementation(function(content, addedBy) {
+    this.notes.push({ content, addedBy });
+    return Promise.resolve(this);
+  });
+  return fine;
+};
+
+// Fine paid in full by `paymentMethod`
+const buildPaidFine = (overrides = {}) => buildFine({
+  status: 'paid',
+  paymentInfo: {
+    paidAt: new Date(),
+    paidAmount: overrides.fineAmount || 5000,
+    refundedAmount: 0,
+    paymentMethod: 'stripe'
+  },
+  ...overrides
+});
+
+module.exports = {
+  objectId,
+  mockQuery,
+  buildStation,
+  buildUser,
+  buildFine,
+  buildPaidFine
+};
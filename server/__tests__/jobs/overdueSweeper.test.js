@@ -0,0 +1,175 @@
+jest.mock('../../services/notifications', () => ({
+  notify: jest.fn().mockResolvedValue([])
+}));
+
+const Fine = require('../../models/Fine');
+const Transaction = require('../../models/Transaction');
+const { notify } = require('../../services/notifications');
+const { parsePenaltySchedule, sweepOverdueFines } = require('../../jobs/overdueSweeper');
+const { objectId, buildFine } = require('../helpers/fixtures');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const now = new Date('2026-06-30T00:00:00.000Z');
+
+const buildPastDueFine = (daysOverdue, overrides = {}) => buildFine({
+  driverId: objectId(),
+  dueDate: new Date(now.getTime() - daysOverdue * DAY_MS),
+  ...overrides
+});
+
+// Fine.find(...).cursor() yields the pending fines for the overdue pass and the
+// overdue fines for the penalty pass
+const mockFines = ({ pending = [], overdue = [] }) => jest.spyOn(Fine, 'find').mockImplementation((filter) => ({
+  cursor: () => (filter.status === 'pending' ? pending : overdue)
+}));
+
+const mockLedger = () => jest.spyOn(Transaction, 'findOneAndUpdate')
+  .mockImplementation((filter, update) => Promise.resolve({ _id: objectId(), ...filter, ...update.$setOnInsert }));
+
+beforeEach(() => {
+  jest.spyOn(console, 'log').mockImplementation(() => {});
+  jest.spyOn(console, 'error').mockImplementation(() => {});
+});
+
+afterEach(() => {
+  jest.restoreAllMocks();
+  jest.clearAllMocks();
+});
+
+describe('parsePenaltySchedule', () => {
+  it('reads days overdue and percent of the base amount for each tier', () => {
+    expect(parsePenaltySchedule('14:10, 30:25')).toEqual([
+      { days: 14, percent: 10 },
+      { days: 30, percent: 25 }
+    ]);
+  });
+
+  it('drops tiers that are malformed, zero or negative', () => {
+    expect(parsePenaltySchedule('14:10,abc,30:,0:5,7:-5,60:50')).toEqual([
+      { days: 14, percent: 10 },
+      { days: 60, percent: 50 }
+    ]);
+  });
+
+  it.each([[''], [undefined], [' , ']])('turns %p into an empty schedule', (value) => {
+    expect(parsePenaltySchedule(value)).toEqual([]);
+  });
+});
+
+describe('sweepOverdueFines', () => {
+  it('moves past-due fines to overdue and warns the driver about surcharges', async () => {
+    const fine = buildPastDueFine(1);
+    mockFines({ pending: [fine] });
+
+    const result = await sweepOverdueFines(now);
+
+    expect(Fine.find).toHaveBeenCalledWith({ status: 'pending', dueDate: { $lt: now } });
+    expect(result).toEqual({ markedOverdue: 1, penalised: 0, failed: 0 });
+    expect(fine.status).toBe('overdue');
+    expect(notify).toHaveBeenCalledWith([fine.driverId], expect.objectContaining({
+      type: 'fine_overdue',
+      message: expect.stringMatching(/is now overdue\. Late payment surcharges may apply\.$/)
+    }));
+  });
+
+  it('tells the driver the plan of a fine with a missed instalment has ended', async () => {
+    const fine = buildPastDueFine(1, { fineAmount: 3000 });
+    fine.approveInstalmentPlan({
+      dueDates: [-1, 29, 59].map(days => new Date(now.getTime() + days * DAY_MS)),
+      frequency: 'monthly',
+      approvedBy: objectId()
+    });
+    mockFines({ pending: [fine] });
+
+    await sweepOverdueFines(now);
+
+    expect(fine.status).toBe('overdue');
+    expect(notify).toHaveBeenCalledWith([fine.driverId], expect.objectContaining({
+      type: 'instalment_missed',
+      message: expect.stringContaining('remaining LKR 3,000 is now overdue')
+    }));
+  });
+
+  it('charges the surcharge of the tier reached in the ledger and the amount history', async () => {
+    const fine = buildPastDueFine(20, { status: 'overdue', baseAmount: 5000 });
+    mockFines({ overdue: [fine] });
+    mockLedger();
+
+    const result = await sweepOverdueFines(now);
+
+    expect(result).toEqual({ markedOverdue: 0, penalised: 1, failed: 0 });
+    expect(fine.fineAmount).toBe(5500);
+    expect(fine.amountHistory[fine.amountHistory.length - 1]).toEqual(expect.objectContaining({ type: 'penalty', amount: 500 }));
+    expect(Transaction.findOneAndUpdate).toHaveBeenCalledWith(
+      { type: 'adjustment', reference: `penalty:${fine._id}:0` },
+      { $setOnInsert: expect.objectContaining({ fine: fine._id, amount: 500 }) },
+      { upsert: true, new: true }
+    );
+    expect(Transaction.findOneAndUpdate.mock.invocationCallOrder[0]).toBeLessThan(fine.save.mock.invocationCallOrder[0]);
+    expect(notify).toHaveBeenCalledWith([fine.driverId], expect.objectContaining({ type: 'late_penalty' }));
+  });
+
+  it('records the same ledger entry again when the fine could not be saved', async () => {
+    const fine = buildPastDueFine(20, { status: 'overdue', baseAmount: 5000 });
+    fine.save.mockRejectedValueOnce(new Error('Write conflict'));
+    const retried = Fine.hydrate(fine.toObject({ depopulate: true }));
+    retried.fineAmount = 5000;
+    retried.amountHistory = [];
+    retried.penaltyTierDays = 0;
+    jest.spyOn(retried, 'save').mockResolvedValue(retried);
+    mockLedger();
+
+    mockFines({ overdue: [fine] });
+    const failed = await sweepOverdueFines(now);
+    mockFines({ overdue: [retried] });
+    const succeeded = await sweepOverdueFines(now);
+
+    expect(failed).toEqual({ markedOverdue: 0, penalised: 0, failed: 1 });
+    expect(succeeded).toEqual({ markedOverdue: 0, penalised: 1, failed: 0 });
+    const [first, second] = Transaction.findOneAndUpdate.mock.calls;
+    expect(second[0]).toEqual(first[0]);
+    expect(notify).toHaveBeenCalledTimes(1);
+  });
+
+  it('does not charge a tier again', async () => {
+    const fine = buildPastDueFine(20, { status: 'overdue', baseAmount: 5000, penaltyTierDays: 14 });
+    mockFines({ overdue: [fine] });
+    mockLedger();
+
+    const result = await sweepOverdueFines(now);
+
+    expect(result.penalised).toBe(0);
+    expect(Transaction.findOneAndUpdate).not.toHaveBeenCalled();
+  });
+});
+
+describe('sweepOverdueFines without a penalty schedule', () => {
+  const originalSchedule = process.env.LATE_PENALTY_SCHEDULE;
+
+  afterEach(() => {
+    process.env.LATE_PENALTY_SCHEDULE = originalSchedule;
+    if (originalSchedule === undefined) delete process.env.LATE_PENALTY_SCHEDULE;
+  });
+
+  it('does not mention surcharges or look for fines to surcharge', async () => {
+    process.env.LATE_PENALTY_SCHEDULE = '';
+    let sweep;
+    let FineModel;
+    let notifyDriver;
+    jest.isolateModules(() => {
+      sweep = require('../../jobs/overdueSweeper').sweepOverdueFines;
+      FineModel = require('../../models/Fine');
+      notifyDriver = require('../../services/notifications').notify;
+    });
+    const fine = FineModel.hydrate(buildPastDueFine(1).toObject({ depopulate: true }));
+    jest.spyOn(fine, 'save').mockResolvedValue(fine);
+    const find = jest.spyOn(FineModel, 'find').mockImplementation(() => ({ cursor: () => [fine] }));
+
+    await sweep(now);
+
+    expect(find).toHaveBeenCalledTimes(1);
+    expect(notifyDriver).toHaveBeenCalledWith([fine.driverId], expect.objectContaining({
+      message: expect.stringMatching(/is now overdue\.$/)
+    }));
+  });
+});
@@ -0,0 +1,55 @@
+const Fine = require('../../models/Fine');
+const { InvalidStatusTransitionError } = require('../../utils/errors');
+const { buildFine } = require('../helpers/fixtures');
+
+describe('Fine status transitions', () => {
+  it.each([
+    ['pending', 'paid'],
+    ['pending', 'disputed'],
+    ['pending', 'cancelled'],
+    ['pending', 'overdue'],
+    ['overdue', 'paid'],
+    ['disputed', 'pending'],
+    ['paid', 'partially_refunded'],
+    ['partially_refunded', 'partially_refunded'],
+    ['partially_refunded', 'refunded']
+  ])('allows %s -> %s', (from, to) => {
+    expect(Fine.canTransition(from, to)).toBe(true);
+  });
+
+  it.each([
+    ['paid', 'pending'],
+    ['paid', 'cancelled'],
+    ['overdue', 'pending'],
+    ['cancelled', 'pending'],
+    ['refunded', 'paid'],
+    ['pending', 'refunded']
+  ])('rejects %s -> %s', (from, to) => {
+    expect(Fine.canTransition(from, to)).toBe(false);
+  });
+
+  it('rejects transitions from unknown statuses', () => {
+    expect(Fine.canTransition('archived', 'paid')).toBe(false);
+  });
+
+  it('changes the status of the fine on an allowed transition', () => {
+    const fine = buildFine({ status: 'pending' });
+
+    fine.transitionTo('overdue');
+
+    expect(fine.status).toBe('overdue');
+  });
+
+  it('throws and keeps the status on an illegal transition', () => {
+    const fine = buildFine({ status: 'paid' });
+
+    expect(() => fine.transitionTo('pending')).toThrow(InvalidStatusTransitionError);
+    expect(fine.status).toBe('paid');
+  });
+
+  it('refuses to mark a cancelled fine as paid', () => {
+    const fine = buildFine({ status: 'cancelled' });
+
+    expect(() => fine.markAsPaid({ method: 'cash', paidAmount: 5000 })).toThrow(InvalidStatusTransitionError);
+  });
+});
@@ -0,0 +1,81 @@
+const { objectId, buildFine } = require('../helpers/fixtures');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const buildFineWithPlan = (fineAmount, instalments) => {
+  const fine = buildFine({ fineAmount });
+  const now = Date.now();
+  fine.approveInstalmentPlan({
+    dueDates: Array.from({ length: instalments }, (value, index) => new Date(now + (index + 1) * 30 * DAY_MS)),
+    frequency: 'monthly',
+    approvedBy: objectId()
+  });
+  return fine;
+};
+
+const statuses = (fine) => fine.instalmentPlan.instalments.map(instalment => instalment.status);
+
+describe('fine.approveInstalmentPlan', () => {
+  it('splits the outstanding amount evenly with the remainder on the last instalment', () => {
+    const fine = buildFineWithPlan(1000, 3);
+
+    expect(fine.instalmentPlan.instalments.map(instalment => instalment.amount)).toEqual([333.33, 333.33, 333.34]);
+    expect(fine.dueDate).toEqual(fine.instalmentPlan.instalments[0].dueDate);
+  });
+});
+
+describe('fine.allocateInstalments', () => {
+  it('pays off instalments in order and moves the due date to the next one', () => {
+    const fine = buildFineWithPlan(3000, 3);
+    fine.paymentInfo.paidAmount = 1000;
+
+    fine.allocateInstalments();
+
+    expect(statuses(fine)).toEqual(['paid', 'pending', 'pending']);
+    expect(fine.dueDate).toEqual(fine.instalmentPlan.instalments[1].dueDate);
+    expect(fine.nextInstalment.number).toBe(2);
+  });
+
+  it('leaves a part-paid instalment pending with the rest of it due now', () => {
+    const fine = buildFineWithPlan(3000, 3);
+    fine.paymentInfo.paidAmount = 1500;
+
+    fine.allocateInstalments();
+
+    expect(statuses(fine)).toEqual(['paid', 'pending', 'pending']);
+    expect(fine.amountDueNow).toBe(500);
+  });
+
+  it('completes the plan once everything is paid', () => {
+    const fine = buildFineWithPlan(3000, 3);
+    fine.paymentInfo.paidAmount = 3000;
+
+    fine.allocateInstalments();
+
+    expect(statuses(fine)).toEqual(['paid', 'paid', 'paid']);
+    expect(fine.instalmentPlan.status).toBe('completed');
+    expect(fine.instalmentPlan.endedAt).toBeInstanceOf(Date);
+  });
+
+  it('reopens instalments when the amount paid goes down', () => {
+    const fine = buildFineWithPlan(3000, 3);
+    fine.paymentInfo.paidAmount = 2000;
+    fine.allocateInstalments();
+
+    fine.paymentInfo.paidAmount = 1000;
+    fine.allocateInstalments();
+
+    expect(statuses(fine)).toEqual(['paid', 'pending', 'pending']);
+    expect(fine.instalmentPlan.instalments[1].paidAt).toBeUndefined();
+  });
+
+  it('ignores fines without an active plan', () => {
+    const fine = buildFineWithPlan(3000, 3);
+    fine.instalmentPlan.status = 'defaulted';
+    fine.paymentInfo.paidAmount = 3000;
+
+    fine.allocateInstalments();
+
+    expect(statuses(fine)).toEqual(['pending', 'pending', 'pending']);
+  });
+});
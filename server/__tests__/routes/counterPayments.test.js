@@ -0,0 +1,160 @@
+jest.mock('../../services/demeritPoints', () => ({
+  creditForFine: jest.fn().mockResolvedValue(null)
+}));
+jest.mock('../../services/numbering', () => ({
+  nextReceiptNumber: jest.fn().mockResolvedValue('RCP-WP-COL-2026-000001')
+}));
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const uploadDir = fs.mkdtempSync(path.join(os.tmpdir(), 'counter-payments-'));
+process.env.UPLOAD_DIR = uploadDir;
+
+const request = require('supertest');
+const Fine = require('../../models/Fine');
+const Transaction = require('../../models/Transaction');
+const counterPaymentRoutes = require('../../routes/counterPayments');
+const { creditForFine } = require('../../services/demeritPoints');
+const { objectId, mockQuery, buildStation, buildUser, buildFine } = require('../helpers/fixtures');
+const { createApp, signIn, authHeader } = require('../helpers/app');
+
+const app = createApp('/api/payments/counter', counterPaymentRoutes);
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const colombo = buildStation({ code: 'COL' });
+const kandy = buildStation({ code: 'KDY' });
+const clerk = buildUser('clerk', { station: colombo });
+const commander = buildUser('police_officer', { commandLevel: 'station', station: colombo });
+
+const buildFineAt = (station, overrides = {}) => buildFine({
+  station: station._id,
+  division: station.division,
+  province: station.province,
+  ...overrides
+});
+
+const payAtCounter = (fine, user, fields, slip) => {
+  const req = request(app)
+    .post(`/api/payments/counter/fine/${fine._id}`)
+    .set('Authorization', authHeader(user));
+  Object.entries({ receiptBookNumber: 'RB-100', branch: 'Colombo Fort', ...fields })
+    .forEach(([name, value]) => req.field(name, String(value)));
+  return slip ? req.attach('slip', slip, { filename: 'slip.pdf', contentType: 'application/pdf' }) : req;
+};
+
+const storedSlips = (fine) => {
+  const dir = path.join(uploadDir, 'payments', fine._id.toString());
+  return fs.existsSync(dir) ? fs.readdirSync(dir) : [];
+};
+
+// The ledger of the fine holds what was tendered once the payment is captured
+const mockLedger = () => {
+  let paid = 0;
+  jest.spyOn(Transaction, 'exists').mockResolvedValue(null);
+  jest.spyOn(Transaction, 'findOne').mockResolvedValue(null);
+  jest.spyOn(Transaction, 'findOneAndUpdate').mockImplementation((filter, update) => {
+    paid += update.$set.amount;
+    return Promise.resolve({ _id: objectId(), ...update.$set });
+  });
+  jest.spyOn(Transaction, 'getBalance').mockImplementation(() => Promise.resolve({ paid, refunded: 0 }));
+};
+
+beforeEach(() => {
+  signIn(clerk, commander);
+  mockLedger();
+  jest.spyOn(console, 'error').mockImplementation(() => {});
+});
+
+afterEach(() => {
+  jest.restoreAllMocks();
+  jest.clearAllMocks();
+});
+
+afterAll(() => {
+  fs.rmSync(uploadDir, { recursive: true, force: true });
+});
+
+describe('POST /api/payments/counter/fine/:fineId', () => {
+  it('settles the fine with the cash tendered and confirms its points', async () => {
+    const fine = buildFineAt(kandy);
+    jest.spyOn(Fine, 'findById').mockReturnValue(mockQuery(fine));
+
+    const res = await payAtCounter(fine, clerk, { paymentMethod: 'cash', amountTendered: 5000 });
+
+    expect(res.status).toBe(201);
+    expect(res.body.fine.status).toBe('paid');
+    expect(creditForFine).toHaveBeenCalledWith(fine, 'confirmed');
+    expect(fine.addNote).toHaveBeenCalledWith(expect.stringContaining('RB-100'), clerk._id);
+  });
+
+  it('keeps the points provisional while instalments are still to be paid', async () => {
+    const fine = buildFineAt(kandy, { fineAmount: 3000 });
+    fine.approveInstalmentPlan({
+      dueDates: [1, 2, 3].map(month => new Date(Date.now() + month * 30 * DAY_MS)),
+      frequency: 'monthly',
+      approvedBy: objectId()
+    });
+    jest.spyOn(Fine, 'findById').mockReturnValue(mockQuery(fine));
+
+    const res = await payAtCounter(fine, clerk, { paymentMethod: 'cash', amountTendered: 1000 });
+
+    expect(res.status).toBe(201);
+    expect(fine.status).not.toBe('paid');
+    expect(fine.paymentInfo.paidAmount).toBe(1000);
+    expect(creditForFine).not.toHaveBeenCalled();
+  });
+
+  it('stores the slip of a bank transfer', async () => {
+    const fine = buildFineAt(kandy);
+    jest.spyOn(Fine, 'findById').mockReturnValue(mockQuery(fine));
+
+    const res = await payAtCounter(fine, clerk, { paymentMethod: 'bank_transfer', amountTendered: 5000 }, Buffer.from('%PDF-1.4'));
+
+    expect(res.status).toBe(201);
+    expect(storedSlips(fine)).toHaveLength(1);
+  });
+
+  it('checks the commander\'s jurisdiction before reading the slip', async () => {
+    const fine = buildFineAt(kandy);
+    jest.spyOn(Fine, 'findById').mockReturnValue(mockQuery(fine));
+
+    const res = await payAtCounter(fine, commander, { paymentMethod: 'bank_transfer', amountTendered: 5000 }, Buffer.from('%PDF-1.4'));
+
+    expect(res.status).toBe(403);
+    expect(storedSlips(fine)).toHaveLength(0);
+    expect(Transaction.findOneAndUpdate).not.toHaveBeenCalled();
+  });
+
+  it('rejects amounts that neither cover the next instalment nor settle the fine', async () => {
+    const fine = buildFineAt(colombo);
+    jest.spyOn(Fine, 'findById').mockReturnValue(mockQuery(fine));
+
+    const res = await payAtCounter(fine, commander, { paymentMethod: 'cash', amountTendered: 4000 });
+
+    expect(res.status).toBe(400);
+    expect(res.body.error).toBe('UNDERPAYMENT');
+  });
+
+  it('rejects a receipt book number already used at the branch', async () => {
+    const fine = buildFineAt(colombo);
+    jest.spyOn(Fine, 'findById').mockReturnValue(mockQuery(fine));
+    Transaction.exists.mockResolvedValue({ _id: objectId() });
+
+    const res = await payAtCounter(fine, clerk, { paymentMethod: 'cash', amountTendered: 5000 });
+
+    expect(res.status).toBe(409);
+    expect(res.body.error).toBe('DUPLICATE_RECEIPT');
+  });
+
+  it('returns 404 for an unknown fine', async () => {
+    const fine = buildFineAt(colombo);
+    jest.spyOn(Fine, 'findById').mockReturnValue(mockQuery(null));
+
+    const res = await payAtCounter(fine, clerk, { paymentMethod: 'cash', amountTendered: 5000 });
+
+    expect(res.status).toBe(404);
+  });
+});
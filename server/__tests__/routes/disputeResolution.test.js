@@ -0,0 +1,161 @@
+jest.mock('../../services/demeritPoints', () => ({
+  creditForFine: jest.fn().mockResolvedValue(null),
+  reverseForFine: jest.fn().mockResolvedValue(null)
+}));
+jest.mock('../../services/notifications', () => ({
+  notify: jest.fn().mockResolvedValue([])
+}));
+
+const request = require('supertest');
+const Fine = require('../../models/Fine');
+const Transaction = require('../../models/Transaction');
+const disputeRoutes = require('../../routes/disputes');
+const { creditForFine, reverseForFine } = require('../../services/demeritPoints');
+const { notify } = require('../../services/notifications');
+const { objectId, mockQuery, buildUser, buildFine } = require('../helpers/fixtures');
+const { createApp, signIn, authHeader } = require('../helpers/app');
+
+const app = createApp('/api/disputes', disputeRoutes);
+
+const reviewer = buildUser('dispute_reviewer');
+const auditor = buildUser('auditor');
+
+const buildDisputedFine = (paid = 0) => {
+  const fine = buildFine({
+    driverId: objectId(),
+    status: 'disputed',
+    disputeInfo: { isDisputed: true, disputeStatus: 'pending', disputeReason: 'I was not driving' },
+    paymentInfo: { paidAmount: paid, refundedAmount: 0 }
+  });
+  jest.spyOn(Fine, 'findById').mockReturnValue(mockQuery(fine));
+  return fine;
+};
+
+// The fine's ledger holds `paid` in card payments
+const mockLedger = (paid = 0) => {
+  jest.spyOn(Transaction, 'create').mockImplementation((fields) => Promise.resolve({ _id: objectId(), ...fields }));
+  jest.spyOn(Transaction, 'getBalance').mockResolvedValue({ paid, refunded: 0 });
+  jest.spyOn(Transaction, 'findOne').mockReturnValue(mockQuery({
+    _id: objectId(),
+    type: 'payment',
+    method: 'stripe',
+    amount: paid,
+    reference: 'pi_instalment_2',
+    transactionId: 'ch_2'
+  }));
+};
+
+const resolve = (fine, body, user = reviewer) => request(app)
+  .put(`/api/disputes/fine/${fine._id}/resolve`)
+  .set('Authorization', authHeader(user))
+  .send({ resolution: 'Speed camera was miscalibrated', ...body });
+
+beforeEach(() => {
+  signIn(reviewer, auditor);
+});
+
+afterEach(() => {
+  jest.restoreAllMocks();
+  jest.clearAllMocks();
+});
+
+describe('PUT /api/disputes/fine/:fineId/resolve', () => {
+  it('reduces an unpaid fine and reopens it for payment', async () => {
+    const fine = buildDisputedFine();
+    mockLedger();
+
+    const res = await resolve(fine, { decision: 'approved', outcome: 'reduce', reducedAmount: 2000 });
+
+    expect(res.status).toBe(200);
+    expect(fine.status).toBe('pending');
+    expect(fine.fineAmount).toBe(2000);
+    expect(fine.outstandingAmount).toBe(2000);
+    expect(Transaction.create).toHaveBeenCalledWith(expect.objectContaining({ type: 'adjustment', amount: -3000 }));
+    expect(reverseForFine).toHaveBeenCalledWith(fine, expect.objectContaining({ reversedBy: reviewer._id }));
+  });
+
+  it('marks a fine as paid when what was paid already covers the reduced amount', async () => {
+    const fine = buildDisputedFine(2000);
+    mockLedger(2000);
+
+    const res = await resolve(fine, { decision: 'approved', outcome: 'reduce', reducedAmount: 2000 });
+
+    expect(res.status).toBe(200);
+    expect(fine.status).toBe('paid');
+    expect(fine.paymentInfo.paidAt).toBeInstanceOf(Date);
+    expect(fine.paymentInfo.paymentMethod).toBe('stripe');
+    expect(fine.paymentInfo.paymentId).toBe('pi_instalment_2');
+    expect(fine.paymentInfo.overpaidAmount).toBe(0);
+    expect(fine.addNote).not.toHaveBeenCalled();
+    expect(notify).toHaveBeenCalledWith(expect.any(Array), expect.objectContaining({
+      message: expect.stringContaining('which you have already paid')
+    }));
+  });
+
+  it('flags what was paid beyond the reduced amount for refund', async () => {
+    const fine = buildDisputedFine(3000);
+    mockLedger(3000);
+
+    const res = await resolve(fine, { decision: 'approved', outcome: 'reduce', reducedAmount: 2500 });
+
+    expect(res.status).toBe(200);
+    expect(fine.status).toBe('paid');
+    expect(fine.paymentInfo.overpaidAmount).toBe(500);
+    expect(fine.refundableAmount).toBe(3000);
+    expect(fine.addNote).toHaveBeenCalledWith(expect.stringContaining('Overpaid by LKR 500'), reviewer._id);
+    expect(notify).toHaveBeenCalledWith(expect.any(Array), expect.objectContaining({
+      message: expect.stringContaining('LKR 500 more than that, which will be refunded')
+    }));
+  });
+
+  it('keeps a part-paid fine open for the rest of the reduced amount', async () => {
+    const fine = buildDisputedFine(1000);
+    mockLedger(1000);
+
+    const res = await resolve(fine, { decision: 'approved', outcome: 'reduce', reducedAmount: 2500 });
+
+    expect(res.status).toBe(200);
+    expect(fine.status).toBe('pending');
+    expect(fine.outstandingAmount).toBe(1500);
+    expect(fine.paymentInfo.overpaidAmount).toBe(0);
+  });
+
+  it('cancels the fine and reverses its points', async () => {
+    const fine = buildDisputedFine();
+
+    const res = await resolve(fine, { decision: 'approved', outcome: 'cancel' });
+
+    expect(res.status).toBe(200);
+    expect(fine.status).toBe('cancelled');
+    expect(reverseForFine).toHaveBeenCalled();
+  });
+
+  it('confirms the points of a fine whose dispute is rejected', async () => {
+    const fine = buildDisputedFine();
+
+    const res = await resolve(fine, { decision: 'rejected' });
+
+    expect(res.status).toBe(200);
+    expect(fine.status).toBe('pending');
+    expect(fine.disputeInfo.disputeStatus).toBe('rejected');
+    expect(creditForFine).toHaveBeenCalledWith(fine, 'confirmed');
+  });
+
+  it('rejects a reduction that does not lower the fine', async () => {
+    const fine = buildDisputedFine();
+
+    const res = await resolve(fine, { decision: 'approved', outcome: 'reduce', reducedAmount: 5000 });
+
+    expect(res.status).toBe(400);
+    expect(fine.save).not.toHaveBeenCalled();
+  });
+
+  it('needs the disputes:resolve permission', async () => {
+    const fine = buildDisputedFine();
+
+    const res = await resolve(fine, { decision: 'rejected' }, auditor);
+
+    expect(res.status).toBe(403);
+    expect(res.body.error).toBe('INSUFFICIENT_PERMISSIONS');
+  });
+});
@@ -0,0 +1,190 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const uploadDir = fs.mkdtempSync(path.join(os.tmpdir(), 'evidence-'));
+process.env.UPLOAD_DIR = uploadDir;
+
+const request = require('supertest');
+const sharp = require('sharp');
+const Fine = require('../../models/Fine');
+const evidenceRoutes = require('../../routes/evidence');
+const { mockQuery, buildStation, buildUser, buildFine } = require('../helpers/fixtures');
+const { createApp, signIn, authHeader } = require('../helpers/app');
+
+const app = createApp('/api/fines/:id/evidence', evidenceRoutes);
+
+const colombo = buildStation({ code: 'COL' });
+const kandy = buildStation({ code: 'KDY' });
+
+// Fine issued at `station` with one stored photo
+const buildFineWithPhoto = (station) => {
+  const fine = buildFine({
+    station: station._id,
+    division: station.division,
+    province: station.province
+  });
+  const evidence = fine.evidence.create({
+    type: 'photo',
+    url: 'pending',
+    storageKey: `fines/${fine._id}/photo.jpg`,
+    originalName: 'photo.jpg',
+    mimeType: 'image/jpeg'
+  });
+  fine.evidence.push(evidence);
+  fs.mkdirSync(path.join(uploadDir, 'fines', fine._id.toString()), { recursive: true });
+  fs.writeFileSync(path.join(uploadDir, evidence.storageKey), 'jpeg bytes');
+  return { fine, evidence };
+};
+
+// Fine.findById returns only the fields the route selects
+const mockFine = (fine) => {
+  jest.spyOn(Fine, 'findById').mockReturnValue(mockQuery(fine, { project: true }));
+};
+
+const download = (fine, evidence, user) => request(app)
+  .get(`/api/fines/${fine._id}/evidence/${evidence._id}/download`)
+  .set('Authorization', authHeader(user));
+
+afterEach(() => {
+  jest.restoreAllMocks();
+});
+
+afterAll(() => {
+  fs.rmSync(uploadDir, { recursive: true, force: true });
+});
+
+describe('GET /api/fines/:id/evidence/:evidenceId/download', () => {
+  const divisionCommander = buildUser('station_commander', { commandLevel: 'division', station: colombo });
+
+  it('lets a commander download evidence of a fine in their jurisdiction', async () => {
+    const { fine, evidence } = buildFineWithPhoto(colombo);
+    signIn(divisionCommander);
+    mockFine(fine);
+
+    const res = await download(fine, evidence, divisionCommander);
+
+    expect(res.status).toBe(200);
+    expect(res.headers['content-type']).toBe('image/jpeg');
+    expect(res.body.toString()).toBe('jpeg bytes');
+  });
+
+  it('refuses a commander evidence of a fine outside their jurisdiction', async () => {
+    const { fine, evidence } = buildFineWithPhoto(kandy);
+    signIn(divisionCommander);
+    mockFine(fine);
+
+    const res = await download(fine, evidence, divisionCommander);
+
+    expect(res.status).toBe(403);
+  });
+
+  it('lets drivers download evidence of their own fines only', async () => {
+    const driver = buildUser('driver');
+    const { fine, evidence } = buildFineWithPhoto(colombo);
+    fine.driverId = driver._id;
+    const other = buildFineWithPhoto(colombo);
+    signIn(driver);
+
+    mockFine(fine);
+    expect((await download(fine, evidence, driver)).status).toBe(200);
+
+    mockFine(other.fine);
+    expect((await download(other.fine, other.evidence, driver)).status).toBe(403);
+  });
+});
+
+describe('POST /api/fines/:id/evidence', () => {
+  const officer = buildUser('police_officer', { station: colombo });
+  const driver = buildUser('driver');
+
+  const upload = (fine, user, files) => {
+    const req = request(app)
+      .post(`/api/fines/${fine._id}/evidence`)
+      .set('Authorization', authHeader(user))
+      .field('description', 'Taken at the scene');
+    files.forEach(({ buffer, name, type }) => req.attach('files', buffer, { filename: name, contentType: type }));
+    return req;
+  };
+
+  const storedFiles = (fine) => {
+    const dir = path.join(uploadDir, 'fines', fine._id.toString());
+    return fs.existsSync(dir) ? fs.readdirSync(dir) : [];
+  };
+
+  let photo;
+
+  beforeAll(async () => {
+    photo = await sharp({ create: { width: 640, height: 480, channels: 3, background: '#336699' } }).jpeg().toBuffer();
+  });
+
+  beforeEach(() => {
+    signIn(officer, driver);
+  });
+
+  it('stores photos with a thumbnail and records them on the fine', async () => {
+    const fine = buildFine({ station: colombo._id, division: colombo.division, province: colombo.province });
+    mockFine(fine);
+
+    const res = await upload(fine, officer, [{ buffer: photo, name: 'scene.jpg', type: 'image/jpeg' }]);
+
+    expect(res.status).toBe(201);
+    expect(res.body.evidence).toHaveLength(1);
+    const [evidence] = fine.evidence;
+    expect(evidence).toEqual(expect.objectContaining({ type: 'photo', originalName: 'scene.jpg', description: 'Taken at the scene' }));
+    expect(evidence.thumbnailUrl).toBe(`${evidence.url}?variant=thumbnail`);
+    expect(storedFiles(fine)).toHaveLength(2);
+    expect(fine.save).toHaveBeenCalled();
+  });
+
+  it('stores photos sharp cannot read without a thumbnail', async () => {
+    const fine = buildFine();
+    mockFine(fine);
+
+    const res = await upload(fine, officer, [{ buffer: Buffer.from('not a jpeg'), name: 'broken.jpg', type: 'image/jpeg' }]);
+
+    expect(res.status).toBe(201);
+    expect(fine.evidence[0].thumbnailKey).toBeUndefined();
+    expect(storedFiles(fine)).toHaveLength(1);
+  });
+
+  it('rejects file types that are not evidence', async () => {
+    const fine = buildFine();
+    mockFine(fine);
+
+    const res = await upload(fine, officer, [{ buffer: Buffer.from('MZ'), name: 'run.exe', type: 'application/x-msdownload' }]);
+
+    expect(res.status).toBe(400);
+    expect(res.body.error).toBe('UNSUPPORTED_FILE_TYPE');
+    expect(storedFiles(fine)).toHaveLength(0);
+  });
+
+  it('checks access to the fine before reading the upload', async () => {
+    const fine = buildFine({ driverId: buildUser('driver')._id });
+    mockFine(fine);
+
+    const res = await upload(fine, driver, [{ buffer: photo, name: 'scene.jpg', type: 'image/jpeg' }]);
+
+    expect(res.status).toBe(403);
+    expect(storedFiles(fine)).toHaveLength(0);
+    expect(fine.save).not.toHaveBeenCalled();
+  });
+});
+
+describe('evidence file names', () => {
+  const admin = buildUser('admin');
+
+  it('downloads files with Sinhala names under their UTF-8 name and an ASCII fallback', async () => {
+    const { fine, evidence } = buildFineWithPhoto(colombo);
+    evidence.originalName = 'අනතුර "1".jpg';
+    signIn(admin);
+    mockFine(fine);
+
+    const res = await download(fine, evidence, admin).query({ download: 'true' });
+
+    expect(res.status).toBe(200);
+    expect(res.headers['content-disposition']).toBe(
+      `attachment; filename="_____ 1.jpg"; filename*=UTF-8''${encodeURIComponent('අනතුර "1".jpg')}`
+    );
+  });
+});
@@ -0,0 +1,283 @@
+jest.mock('../../services/demeritPoints', () => ({
+  creditForFine: jest.fn().mockResolvedValue(null),
+  reverseForFine: jest.fn().mockResolvedValue(null)
+}));
+
+const request = require('supertest');
+const Fine = require('../../models/Fine');
+const Counter = require('../../models/Counter');
+const Station = require('../../models/Station');
+const User = require('../../models/User');
+const Vehicle = require('../../models/Vehicle');
+const { TrafficViolation } = require('../../models/TrafficViolation');
+const fineRoutes = require('../../routes/fines');
+const { creditForFine } = require('../../services/demeritPoints');
+const { objectId, mockQuery, buildStation, buildUser } = require('../helpers/fixtures');
+const { createApp, signIn, authHeader } = require('../helpers/app');
+
+const app = createApp('/api/fines', fineRoutes);
+
+const station = buildStation({ code: 'COL' });
+const officer = buildUser('police_officer', { station });
+const clerk = buildUser('clerk', { station });
+
+const IDEMPOTENCY_KEY = '3f2b8c1e-9d4a-4e6b-a7c5-0b1d2e3f4a5b';
+const violationId = objectId();
+
+const payload = (overrides = {}) => ({
+  violationId: violationId.toString(),
+  violationMessage: 'Speeding in a school zone',
+  location: { googleLocation: { lat: 6.9271, lng: 79.8612 }, city: 'Colombo' },
+  vehicleInfo: { licensePlate: 'wp cab 1234', vehicleType: 'Car' },
+  ...overrides
+});
+
+const createFine = (body, key = IDEMPOTENCY_KEY, user = officer) => {
+  const req = request(app)
+    .post('/api/fines')
+    .set('Authorization', authHeader(user))
+    .send(body);
+  return key ? req.set('Idempotency-Key', key) : req;
+};
+
+// Fine.findOne(...).populate(...) resolving to `fine`
+const mockReplayLookup = (...fines) => {
+  const lookup = jest.spyOn(Fine, 'findOne');
+  fines.forEach(fine => lookup.mockReturnValueOnce(mockQuery(fine)));
+  return lookup;
+};
+
+let save;
+
+beforeEach(() => {
+  signIn(officer, clerk);
+  jest.spyOn(Station, 'findById').mockReturnValue(mockQuery({
+    _id: station._id,
+    code: station.code,
+    division: station.division,
+    province: { _id: station.province, code: 'WP' }
+  }));
+  jest.spyOn(Counter, 'findOneAndUpdate').mockResolvedValue({ seq: 1 });
+  jest.spyOn(Vehicle, 'findOneAndUpdate').mockImplementation((filter, update) => Promise.resolve(
+    Vehicle.hydrate({ _id: objectId(), ...update.$setOnInsert })
+  ));
+  jest.spyOn(TrafficViolation, 'findById').mockResolvedValue({
+    _id: violationId,
+    fineAmount: 3000,
+    currency: 'LKR',
+    isActive: true
+  });
+  save = jest.spyOn(Fine.prototype, 'save').mockImplementation(function() {
+    return Promise.resolve(this);
+  });
+  jest.spyOn(Fine.prototype, 'populate').mockImplementation(function() {
+    return Promise.resolve(this);
+  });
+  jest.spyOn(console, 'error').mockImplementation(() => {});
+});
+
+afterEach(() => {
+  jest.restoreAllMocks();
+  jest.clearAllMocks();
+});
+
+describe('POST /api/fines', () => {
+  it('creates the fine with the idempotency key and the time it was issued', async () => {
+    mockReplayLookup(null);
+    const issuedAt = new Date(Date.now() - 2 * 60 * 60 * 1000);
+
+    const res = await createFine(payload({ issuedAt: issuedAt.toISOString() }));
+
+    expect(res.status).toBe(201);
+    expect(save).toHaveBeenCalledTimes(1);
+    expect(res.body.fine).toEqual(expect.objectContaining({
+      fineId: `WP-COL-${issuedAt.getFullYear()}-000001`,
+      idempotencyKey: IDEMPOTENCY_KEY,
+      issuedAt: issuedAt.toISOString(),
+      fineAmount: 3000
+    }));
+    expect(res.body.fine.vehicleInfo.licensePlate).toBe('WP CAB-1234');
+    expect(new Date(res.body.fine.dueDate) - issuedAt).toBe(30 * 24 * 60 * 60 * 1000);
+  });
+
+  it('returns the fine already created for a key sent again', async () => {
+    const existing = { _id: objectId().toString(), fineId: 'WP-COL-2026-000001' };
+    const lookup = mockReplayLookup(existing);
+
+    const res = await createFine(payload());
+
+    expect(res.status).toBe(200);
+    expect(res.body).toEqual({ message: 'Fine already created', fine: existing, replayed: true });
+    expect(lookup).toHaveBeenCalledWith({ policeOfficer: officer._id, idempotencyKey: IDEMPOTENCY_KEY });
+    expect(save).not.toHaveBeenCalled();
+  });
+
+  it('returns the fine created by a request that won the race on the key', async () => {
+    const existing = { _id: objectId().toString(), fineId: 'WP-COL-2026-000001' };
+    mockReplayLookup(null, existing);
+    save.mockRejectedValue(Object.assign(new Error('E11000 duplicate key'), {
+      code: 11000,
+      keyPattern: { policeOfficer: 1, idempotencyKey: 1 },
+      keyValue: { idempotencyKey: IDEMPOTENCY_KEY }
+    }));
+
+    const res = await createFine(payload());
+
+    expect(res.status).toBe(200);
+    expect(res.body.replayed).toBe(true);
+    expect(res.body.fine).toEqual(existing);
+  });
+
+  it('does not look for a replay without a key', async () => {
+    const lookup = jest.spyOn(Fine, 'findOne');
+
+    const res = await createFine(payload(), null);
+
+    expect(res.status).toBe(201);
+    expect(lookup).not.toHaveBeenCalled();
+  });
+
+  it('rejects malformed keys', async () => {
+    const res = await createFine(payload(), 'short');
+
+    expect(res.status).toBe(400);
+    expect(res.body.message).toBe('Validation failed');
+    expect(save).not.toHaveBeenCalled();
+  });
+
+  it('rejects fines issued longer ago than an officer can stay offline', async () => {
+    mockReplayLookup(null);
+    const issuedAt = new Date(Date.now() - 30 * 24 * 60 * 60 * 1000);
+
+    const res = await createFine(payload({ issuedAt: issuedAt.toISOString() }));
+
+    expect(res.status).toBe(400);
+    expect(res.body.error).toBe('INVALID_ISSUED_AT');
+  });
+
+  it('stamps the fine with the officer\'s station', async () => {
+    mockReplayLookup(null);
+
+    const res = await createFine(payload());
+
+    expect(res.status).toBe(201);
+    expect(res.body.fine.station).toBe(station._id.toString());
+    expect(res.body.fine.division).toBe(station.division.toString());
+    expect(Counter.findOneAndUpdate).toHaveBeenCalledWith(
+      { _id: `fine:WP-COL-${new Date().getFullYear()}` },
+      { $inc: { seq: 1 } },
+      { upsert: true, new: true }
+    );
+  });
+
+  it('needs the fines:create permission', async () => {
+    const res = await createFine(payload(), IDEMPOTENCY_KEY, clerk);
+
+    expect(res.status).toBe(403);
+    expect(res.body.error).toBe('INSUFFICIENT_PERMISSIONS');
+    expect(save).not.toHaveBeenCalled();
+  });
+
+  it('starts every new fine pending, whatever else the request sends', async () => {
+    mockReplayLookup(null);
+
+    const res = await createFine(payload({
+      status: 'paid',
+      paymentInfo: { paidAt: new Date().toISOString(), paidAmount: 3000, paymentMethod: 'cash' },
+      disputeInfo: { isDisputed: true },
+      amountHistory: [{ type: 'reduction', amount: -3000, balance: 0 }],
+      baseAmount: 1,
+      penaltyTierDays: 365,
+      dueDate: '2099-01-01T00:00:00.000Z'
+    }));
+
+    expect(res.status).toBe(201);
+    const { fine } = res.body;
+    expect(fine.status).toBe('pending');
+    expect(fine.paymentInfo.paidAt).toBeUndefined();
+    expect(fine.paymentInfo.paidAmount).toBeUndefined();
+    expect(fine.disputeInfo.isDisputed).toBe(false);
+    expect(fine.amountHistory).toEqual([]);
+    expect(fine.baseAmount).toBeUndefined();
+    expect(fine.penaltyTierDays).toBe(0);
+    expect(fine.dueDate).not.toBe('2099-01-01T00:00:00.000Z');
+  });
+});
+
+describe('POST /api/fines without a registered driver', () => {
+  const driver = buildUser('driver', { profile: { firstName: 'Nimal', lastName: 'Perera', licenseNumber: 'B1234567' } });
+
+  // The vehicle registry already knows the plate, registered to `owner`
+  const mockRegisteredVehicle = (owner) => Vehicle.findOneAndUpdate.mockImplementation((filter) => Promise.resolve(
+    Vehicle.hydrate({ _id: objectId(), plate: 'WP CAB-1234', registrationNumber: filter.registrationNumber, provinceCode: 'WP', vehicleType: 'Car', owner })
+  ));
+
+  beforeEach(() => {
+    mockReplayLookup(null);
+    jest.spyOn(User, 'findOne').mockResolvedValue(null);
+  });
+
+  it('issues the fine against the plate and leaves the driver unresolved', async () => {
+    const res = await createFine(payload());
+
+    expect(res.status).toBe(201);
+    expect(res.body.fine.driverId).toBeUndefined();
+    expect(res.body.fine.vehicleInfo.licensePlate).toBe('WP CAB-1234');
+    expect(res.body.fine.vehicle).toBeDefined();
+    expect(Vehicle.findOneAndUpdate).toHaveBeenCalledWith(
+      { registrationNumber: 'CAB-1234' },
+      expect.objectContaining({ $setOnInsert: expect.objectContaining({ plate: 'WP CAB-1234', vehicleType: 'Car' }) }),
+      expect.any(Object)
+    );
+    expect(creditForFine).not.toHaveBeenCalled();
+  });
+
+  it('keeps an unregistered license number for the driver to claim later', async () => {
+    const res = await createFine(payload({ driverLicenseNumber: 'b 1234567' }));
+
+    expect(res.status).toBe(201);
+    expect(res.body.fine.driverId).toBeUndefined();
+    expect(res.body.fine.driverLicenseNumber).toBe('B1234567');
+    expect(User.findOne).toHaveBeenCalledWith({ role: 'driver', 'profile.licenseNumber': 'B1234567' });
+  });
+
+  it('gives the fine to the registered driver holding the license number', async () => {
+    User.findOne.mockResolvedValue(driver);
+
+    const res = await createFine(payload({ driverLicenseNumber: 'B1234567' }));
+
+    expect(res.status).toBe(201);
+    expect(res.body.fine.driverId).toBe(driver._id.toString());
+    expect(res.body.fine.driverLicenseNumber).toBeUndefined();
+    expect(creditForFine).toHaveBeenCalledWith(expect.objectContaining({ driverId: driver._id }), 'issued');
+  });
+
+  it('gives a plate-only fine to the driver who owns the vehicle', async () => {
+    mockRegisteredVehicle(driver._id);
+    User.findOne.mockResolvedValue(driver);
+
+    const res = await createFine(payload());
+
+    expect(res.status).toBe(201);
+    expect(res.body.fine.driverId).toBe(driver._id.toString());
+    expect(User.findOne).toHaveBeenCalledWith({ _id: driver._id, role: 'driver' });
+  });
+
+  it('does not give a fine with an unregistered license number to the vehicle\'s owner', async () => {
+    mockRegisteredVehicle(driver._id);
+
+    const res = await createFine(payload({ driverLicenseNumber: 'B7654321' }));
+
+    expect(res.status).toBe(201);
+    expect(res.body.fine.driverId).toBeUndefined();
+    expect(res.body.fine.driverLicenseNumber).toBe('B7654321');
+  });
+
+  it('rejects plates that are not Sri Lankan plates', async () => {
+    const res = await createFine(payload({ vehicleInfo: { licensePlate: 'ABC', vehicleType: 'Car' } }));
+
+    expect(res.status).toBe(400);
+    expect(res.body.error).toBe('INVALID_LICENSE_PLATE');
+    expect(save).not.toHaveBeenCalled();
+  });
+});
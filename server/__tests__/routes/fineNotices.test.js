@@ -0,0 +1,83 @@
+jest.mock('../../services/documents', () => ({
+  renderFineNoticePdf: jest.fn().mockResolvedValue(Buffer.from('%PDF-1.3'))
+}));
+
+const request = require('supertest');
+const Fine = require('../../models/Fine');
+const fineRoutes = require('../../routes/fines');
+const { renderFineNoticePdf } = require('../../services/documents');
+const { objectId, mockQuery, buildStation, buildUser, buildFine } = require('../helpers/fixtures');
+const { createApp, signIn, authHeader } = require('../helpers/app');
+
+const app = createApp('/api/fines', fineRoutes);
+
+const colombo = buildStation({ code: 'COL' });
+const kandy = buildStation({ code: 'KDY' });
+const commander = buildUser('station_commander', { commandLevel: 'station', station: colombo });
+const driver = buildUser('driver');
+
+const buildFineAt = (station, overrides = {}) => buildFine({
+  station: station._id,
+  division: station.division,
+  province: station.province,
+  ...overrides
+});
+
+const getNotice = (fine, user, query = {}) => request(app)
+  .get(`/api/fines/${fine._id}/notice/pdf`)
+  .query(query)
+  .set('Authorization', authHeader(user));
+
+beforeEach(() => {
+  signIn(commander, driver);
+});
+
+afterEach(() => {
+  jest.restoreAllMocks();
+  jest.clearAllMocks();
+});
+
+describe('GET /api/fines/:id/notice/pdf', () => {
+  it('sends the notice of a fine as an inline PDF', async () => {
+    const fine = buildFineAt(colombo);
+    jest.spyOn(Fine, 'findById').mockReturnValue(mockQuery(fine));
+
+    const res = await getNotice(fine, commander);
+
+    expect(res.status).toBe(200);
+    expect(res.headers['content-type']).toBe('application/pdf');
+    expect(res.headers['content-disposition']).toBe('inline; filename="notice-WP-COL-2026-000001.pdf"');
+    expect(renderFineNoticePdf).toHaveBeenCalledWith(fine);
+  });
+
+  it('sends it as an attachment when downloaded', async () => {
+    const fine = buildFineAt(kandy, { driverId: driver._id });
+    jest.spyOn(Fine, 'findById').mockReturnValue(mockQuery(fine));
+
+    const res = await getNotice(fine, driver, { download: 'true' });
+
+    expect(res.status).toBe(200);
+    expect(res.headers['content-disposition']).toBe('attachment; filename="notice-WP-COL-2026-000001.pdf"');
+  });
+
+  it.each([
+    ['a commander, for a fine of another station', () => commander, () => buildFineAt(kandy)],
+    ['a driver, for someone else\'s fine', () => driver, () => buildFineAt(colombo, { driverId: objectId() })]
+  ])('is refused to %s', async (label, getUser, getFine) => {
+    const fine = getFine();
+    jest.spyOn(Fine, 'findById').mockReturnValue(mockQuery(fine));
+
+    const res = await getNotice(fine, getUser());
+
+    expect(res.status).toBe(403);
+    expect(renderFineNoticePdf).not.toHaveBeenCalled();
+  });
+
+  it('reports a fine that does not exist', async () => {
+    jest.spyOn(Fine, 'findById').mockReturnValue(mockQuery(null));
+
+    const res = await getNotice(buildFine(), commander);
+
+    expect(res.status).toBe(404);
+  });
+});
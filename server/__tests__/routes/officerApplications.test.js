@@ -0,0 +1,251 @@
+jest.mock('../../services/notifications', () => ({
+  notify: jest.fn().mockResolvedValue([])
+}));
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const uploadDir = fs.mkdtempSync(path.join(os.tmpdir(), 'officer-applications-'));
+process.env.UPLOAD_DIR = uploadDir;
+
+const request = require('supertest');
+const OfficerApplication = require('../../models/OfficerApplication');
+const Station = require('../../models/Station');
+const User = require('../../models/User');
+const officerApplicationRoutes = require('../../routes/officerApplications');
+const { notify } = require('../../services/notifications');
+const { buildStation, buildUser } = require('../helpers/fixtures');
+const { createApp, signIn, authHeader } = require('../helpers/app');
+
+const app = createApp('/api/officer-applications', officerApplicationRoutes);
+
+const colombo = buildStation({ code: 'COL', isActive: true });
+const admin = buildUser('admin');
+const officer = buildUser('police_officer', { station: colombo });
+
+let applicant;
+
+const buildApplicant = () => {
+  const user = buildUser('driver');
+  jest.spyOn(user, 'save').mockResolvedValue(user);
+  return user;
+};
+
+const buildApplication = (overrides = {}) => {
+  const application = new OfficerApplication({
+    applicant: applicant._id,
+    badgeNumber: 'PC-1024',
+    station: colombo._id,
+    idDocument: { key: `officer-applications/${applicant._id}/id.pdf`, mimeType: 'application/pdf' },
+    ...overrides
+  });
+  jest.spyOn(application, 'save').mockResolvedValue(application);
+  jest.spyOn(application, 'populate').mockResolvedValue(application);
+  jest.spyOn(OfficerApplication, 'findById').mockResolvedValue(application);
+  return application;
+};
+
+const storedDocuments = (user) => {
+  const dir = path.join(uploadDir, 'officer-applications', user._id.toString());
+  return fs.existsSync(dir) ? fs.readdirSync(dir) : [];
+};
+
+const apply = (user, { withDocument = true, ...fields } = {}) => {
+  const req = request(app)
+    .post('/api/officer-applications')
+    .set('Authorization', authHeader(user));
+  Object.entries({ badgeNumber: 'PC-1024', stationId: colombo._id.toString(), ...fields })
+    .forEach(([name, value]) => req.field(name, value));
+  return withDocument
+    ? req.attach('idDocument', Buffer.from('%PDF-1.3'), { filename: 'Police-ID.PDF', contentType: 'application/pdf' })
+    : req;
+};
+
+const review = (application, body, user = admin) => request(app)
+  .put(`/api/officer-applications/${application._id}/review`)
+  .set('Authorization', authHeader(user))
+  .send(body);
+
+beforeEach(() => {
+  applicant = buildApplicant();
+  signIn(applicant, admin, officer);
+  jest.spyOn(Station, 'findById').mockResolvedValue(colombo);
+  jest.spyOn(OfficerApplication, 'exists').mockResolvedValue(null);
+  jest.spyOn(User, 'exists').mockResolvedValue(null);
+  jest.spyOn(OfficerApplication, 'create').mockImplementation((fields) => {
+    const application = new OfficerApplication(fields);
+    jest.spyOn(application, 'populate').mockResolvedValue(application);
+    return Promise.resolve(application);
+  });
+  jest.spyOn(console, 'error').mockImplementation(() => {});
+});
+
+afterEach(() => {
+  jest.restoreAllMocks();
+  jest.clearAllMocks();
+});
+
+afterAll(() => {
+  fs.rmSync(uploadDir, { recursive: true, force: true });
+});
+
+describe('POST /api/officer-applications', () => {
+  it('queues the application with the stored ID document', async () => {
+    const res = await apply(applicant);
+
+    expect(res.status).toBe(201);
+    expect(res.body.application).toEqual(expect.objectContaining({
+      status: 'pending',
+      badgeNumber: 'PC-1024',
+      idDocument: expect.objectContaining({ mimeType: 'application/pdf', originalName: 'Police-ID.PDF' })
+    }));
+    expect(res.body.application.idDocument.key).toMatch(new RegExp(`^officer-applications/${applicant._id}/[\\w-]+\\.pdf$`));
+    expect(storedDocuments(applicant)).toHaveLength(1);
+  });
+
+  it('needs an ID document', async () => {
+    const res = await apply(applicant, { withDocument: false });
+
+    expect(res.status).toBe(400);
+    expect(res.body.error).toBe('ID_DOCUMENT_REQUIRED');
+  });
+
+  it('is only open to drivers', async () => {
+    const res = await apply(officer);
+
+    expect(res.status).toBe(400);
+    expect(res.body.error).toBe('NOT_ELIGIBLE');
+    expect(storedDocuments(officer)).toHaveLength(0);
+  });
+
+  it('refuses a second application while one is pending', async () => {
+    OfficerApplication.exists.mockResolvedValue({ _id: applicant._id });
+
+    const res = await apply(applicant);
+
+    expect(res.status).toBe(409);
+    expect(res.body.error).toBe('APPLICATION_PENDING');
+  });
+
+  it('refuses a badge number another officer holds', async () => {
+    User.exists.mockResolvedValue({ _id: officer._id });
+
+    const res = await apply(applicant);
+
+    expect(res.status).toBe(409);
+    expect(res.body.error).toBe('BADGE_IN_USE');
+    expect(User.exists).toHaveBeenCalledWith(expect.objectContaining({ 'profile.badgeNumber': 'PC-1024' }));
+  });
+
+  it('removes the stored ID document when the application cannot be saved', async () => {
+    OfficerApplication.create.mockRejectedValue(new Error('Write conflict'));
+
+    const res = await apply(applicant);
+
+    expect(res.status).toBe(500);
+    expect(storedDocuments(applicant)).toHaveLength(0);
+  });
+});
+
+describe('PUT /api/officer-applications/:id/review', () => {
+  it('makes an approved applicant an officer and keeps a record of who approved it', async () => {
+    const application = buildApplication();
+
+    const res = await review(application, { decision: 'approved' });
+
+    expect(res.status).toBe(200);
+    expect(application.status).toBe('approved');
+    expect(application.reviewedBy).toEqual(admin._id);
+    expect(application.reviewedAt).toBeInstanceOf(Date);
+    expect(applicant.role).toBe('police_officer');
+    expect(applicant.station).toEqual(colombo._id);
+    expect(applicant.profile.badgeNumber).toBe('PC-1024');
+    expect(applicant.roleHistory[0]).toEqual(expect.objectContaining({
+      role: 'police_officer',
+      previousRole: 'driver',
+      changedBy: admin._id,
+      changedAt: expect.any(Date),
+      application: application._id
+    }));
+    expect(applicant.save).toHaveBeenCalledTimes(1);
+    expect(notify).toHaveBeenCalledWith([applicant], expect.objectContaining({ type: 'officer_application_approved' }));
+  });
+
+  it('rejects an application with a reason and leaves the applicant a driver', async () => {
+    const application = buildApplication();
+
+    const res = await review(application, { decision: 'rejected', reason: 'Badge number does not match the ID' });
+
+    expect(res.status).toBe(200);
+    expect(application.status).toBe('rejected');
+    expect(application.rejectionReason).toBe('Badge number does not match the ID');
+    expect(applicant.role).toBe('driver');
+    expect(applicant.save).not.toHaveBeenCalled();
+    expect(notify).toHaveBeenCalledWith([applicant], expect.objectContaining({
+      type: 'officer_application_rejected',
+      message: expect.stringContaining('Badge number does not match the ID')
+    }));
+  });
+
+  it('needs a reason to reject', async () => {
+    const application = buildApplication();
+
+    const res = await review(application, { decision: 'rejected' });
+
+    expect(res.status).toBe(400);
+    expect(application.save).not.toHaveBeenCalled();
+  });
+
+  it('does not review an application twice', async () => {
+    const application = buildApplication({ status: 'rejected' });
+
+    const res = await review(application, { decision: 'approved' });
+
+    expect(res.status).toBe(400);
+    expect(res.body.error).toBe('APPLICATION_NOT_PENDING');
+    expect(applicant.role).toBe('driver');
+  });
+
+  it('needs the officers:verify permission', async () => {
+    const application = buildApplication();
+
+    const res = await review(application, { decision: 'approved' }, officer);
+
+    expect(res.status).toBe(403);
+    expect(res.body.error).toBe('INSUFFICIENT_PERMISSIONS');
+    expect(application.status).toBe('pending');
+  });
+});
+
+describe('GET /api/officer-applications/:id/document', () => {
+  beforeEach(() => {
+    const key = `officer-applications/${applicant._id}/id.pdf`;
+    fs.mkdirSync(path.dirname(path.join(uploadDir, key)), { recursive: true });
+    fs.writeFileSync(path.join(uploadDir, key), '%PDF-1.3');
+  });
+
+  it.each([
+    ['the applicant', () => applicant],
+    ['a reviewer', () => admin]
+  ])('is shown to %s', async (label, getUser) => {
+    const application = buildApplication();
+
+    const res = await request(app)
+      .get(`/api/officer-applications/${application._id}/document`)
+      .set('Authorization', authHeader(getUser()));
+
+    expect(res.status).toBe(200);
+    expect(res.headers['content-type']).toBe('application/pdf');
+  });
+
+  it('is refused to anyone else', async () => {
+    const application = buildApplication();
+
+    const res = await request(app)
+      .get(`/api/officer-applications/${application._id}/document`)
+      .set('Authorization', authHeader(officer));
+
+    expect(res.status).toBe(403);
+  });
+});
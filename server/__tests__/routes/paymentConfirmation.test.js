@@ -0,0 +1,106 @@
+const mockProvider = { name: 'stripe', label: 'Card', confirm: jest.fn() };
+
+jest.mock('../../services/payments', () => ({
+  ...jest.requireActual('../../services/payments'),
+  getProvider: jest.fn(() => mockProvider),
+  isProviderEnabled: jest.fn(() => true),
+  getDefaultProviderName: jest.fn(() => 'stripe')
+}));
+jest.mock('../../services/ledger', () => ({
+  ...jest.requireActual('../../services/ledger'),
+  recordPayment: jest.fn(),
+  recordPaymentFailure: jest.fn().mockResolvedValue(null)
+}));
+jest.mock('../../services/demeritPoints', () => ({
+  creditForFine: jest.fn().mockResolvedValue(null)
+}));
+
+const request = require('supertest');
+const Fine = require('../../models/Fine');
+const Transaction = require('../../models/Transaction');
+const paymentRoutes = require('../../routes/payments');
+const { recordPayment } = require('../../services/ledger');
+const { creditForFine } = require('../../services/demeritPoints');
+const { objectId, mockQuery, buildUser, buildFine } = require('../helpers/fixtures');
+const { createApp, signIn, authHeader } = require('../helpers/app');
+
+const app = createApp('/api/payments', paymentRoutes);
+
+const driver = buildUser('driver');
+
+const confirm = (fine, paymentIntentId = 'pi_instalment_1') => request(app)
+  .post('/api/payments/confirm-payment')
+  .set('Authorization', authHeader(driver))
+  .send({ paymentIntentId, fineId: fine._id.toString() });
+
+let fine;
+
+beforeEach(() => {
+  fine = buildFine({ driverId: driver._id, paymentInfo: { paidAmount: 0, refundedAmount: 0 } });
+  signIn(driver);
+  jest.spyOn(Fine, 'findById').mockReturnValue(mockQuery(fine));
+  jest.spyOn(Transaction, 'exists').mockResolvedValue(null);
+  mockProvider.confirm.mockResolvedValue({
+    intentId: 'pi_instalment_1',
+    status: 'succeeded',
+    fineId: fine._id.toString(),
+    amount: 2000,
+    transactionId: 'ch_1'
+  });
+});
+
+afterEach(() => {
+  jest.restoreAllMocks();
+  jest.clearAllMocks();
+});
+
+describe('POST /api/payments/confirm-payment', () => {
+  it('captures the payment and notes it on the fine', async () => {
+    recordPayment.mockImplementation(async (paidFine, { amount }) => {
+      paidFine.paymentInfo.paidAmount = amount;
+    });
+
+    const res = await confirm(fine);
+
+    expect(res.status).toBe(200);
+    expect(res.body.message).toBe('Payment confirmed successfully');
+    expect(recordPayment).toHaveBeenCalledWith(fine, expect.objectContaining({ reference: 'pi_instalment_1', amount: 2000 }));
+    expect(fine.addNote).toHaveBeenCalledTimes(1);
+    expect(res.body.fine.outstandingAmount).toBe(3000);
+    expect(creditForFine).not.toHaveBeenCalled();
+  });
+
+  it('leaves an instalment the webhook already captured alone', async () => {
+    fine.paymentInfo.paidAmount = 2000;
+    Transaction.exists.mockResolvedValue({ _id: objectId() });
+
+    const res = await confirm(fine);
+
+    expect(res.status).toBe(200);
+    expect(res.body.message).toBe('Payment already confirmed');
+    expect(res.body.fine).toEqual(expect.objectContaining({ status: 'pending', amountPaid: 2000, outstandingAmount: 3000 }));
+    expect(Transaction.exists).toHaveBeenCalledWith({ type: 'payment', reference: 'pi_instalment_1', status: 'succeeded' });
+    expect(recordPayment).not.toHaveBeenCalled();
+    expect(fine.addNote).not.toHaveBeenCalled();
+  });
+
+  it('rejects a payment made for another fine', async () => {
+    mockProvider.confirm.mockResolvedValue({ status: 'succeeded', fineId: objectId().toString(), amount: 2000 });
+
+    const res = await confirm(fine);
+
+    expect(res.status).toBe(400);
+    expect(res.body.message).toBe('Payment intent does not match the fine');
+    expect(recordPayment).not.toHaveBeenCalled();
+  });
+
+  it('does not capture a payment that has not succeeded', async () => {
+    mockProvider.confirm.mockResolvedValue({ status: 'requires_action', fineId: fine._id.toString() });
+
+    const res = await confirm(fine);
+
+    expect(res.status).toBe(400);
+    expect(res.body.paymentStatus).toBe('requires_action');
+    expect(recordPayment).not.toHaveBeenCalled();
+  });
+});
@@ -0,0 +1,133 @@
+jest.mock('../../services/documents', () => ({
+  renderReceiptPdf: jest.fn().mockResolvedValue(Buffer.from('%PDF-1.3'))
+}));
+
+const request = require('supertest');
+const Fine = require('../../models/Fine');
+const Transaction = require('../../models/Transaction');
+const paymentRoutes = require('../../routes/payments');
+const { renderReceiptPdf } = require('../../services/documents');
+const { objectId, mockQuery, buildStation, buildUser, buildPaidFine } = require('../helpers/fixtures');
+const { createApp, signIn, authHeader } = require('../helpers/app');
+
+const app = createApp('/api/payments', paymentRoutes);
+
+const colombo = buildStation({ code: 'COL' });
+const kandy = buildStation({ code: 'KDY' });
+const commander = buildUser('station_commander', { commandLevel: 'station', station: colombo });
+const driver = buildUser('driver');
+const auditor = buildUser('auditor');
+
+const buildFineAt = (station, overrides = {}) => buildPaidFine({
+  station: station._id,
+  division: station.division,
+  province: station.province,
+  ...overrides
+});
+
+const getReceipt = (fine, user) => request(app)
+  .get(`/api/payments/fine/${fine._id}/receipt`)
+  .set('Authorization', authHeader(user));
+
+beforeEach(() => {
+  signIn(commander, driver, auditor);
+  jest.spyOn(Transaction, 'findByFine').mockImplementation((fineId) => mockQuery([{
+    _id: objectId(),
+    fine: fineId,
+    type: 'payment',
+    status: 'succeeded',
+    method: 'stripe',
+    amount: 5000,
+    reference: 'pi_1',
+    receiptNumber: 'RCP-WP-COL-2026-000001',
+    settledAt: new Date()
+  }]));
+});
+
+afterEach(() => {
+  jest.restoreAllMocks();
+  jest.clearAllMocks();
+});
+
+describe('GET /api/payments/fine/:fineId/receipt', () => {
+  it.each([
+    ['a commander, for a fine of their station', () => commander, () => buildFineAt(colombo)],
+    ['the driver, for their own fine', () => driver, () => buildFineAt(kandy, { driverId: driver._id })],
+    ['staff without a command', () => auditor, () => buildFineAt(kandy)]
+  ])('is shown to %s', async (label, getUser, getFine) => {
+    const fine = getFine();
+    jest.spyOn(Fine, 'findById').mockReturnValue(mockQuery(fine));
+
+    const res = await getReceipt(fine, getUser());
+
+    expect(res.status).toBe(200);
+    expect(res.body.receipt.receiptNumber).toBe('RCP-WP-COL-2026-000001');
+  });
+
+  it.each([
+    ['a commander, for a fine of another station', () => commander, () => buildFineAt(kandy)],
+    ['a driver, for someone else\'s fine', () => driver, () => buildFineAt(colombo, { driverId: objectId() })]
+  ])('is refused to %s', async (label, getUser, getFine) => {
+    const fine = getFine();
+    jest.spyOn(Fine, 'findById').mockReturnValue(mockQuery(fine));
+
+    const res = await getReceipt(fine, getUser());
+
+    expect(res.status).toBe(403);
+    expect(Transaction.findByFine).not.toHaveBeenCalled();
+  });
+});
+
+describe('GET /api/payments/fine/:fineId/receipt/pdf', () => {
+  const getReceiptPdf = (fine, user, query = {}) => request(app)
+    .get(`/api/payments/fine/${fine._id}/receipt/pdf`)
+    .query(query)
+    .set('Authorization', authHeader(user));
+
+  it('sends the receipt as an inline PDF named after its number', async () => {
+    const fine = buildFineAt(kandy, { driverId: driver._id });
+    jest.spyOn(Fine, 'findById').mockReturnValue(mockQuery(fine));
+
+    const res = await getReceiptPdf(fine, driver);
+
+    expect(res.status).toBe(200);
+    expect(res.headers['content-type']).toBe('application/pdf');
+    expect(res.headers['content-disposition']).toBe('inline; filename="RCP-WP-COL-2026-000001.pdf"');
+    expect(renderReceiptPdf).toHaveBeenCalledWith(expect.objectContaining({
+      fineId: fine.fineId,
+      receiptNumber: 'RCP-WP-COL-2026-000001',
+      verificationUrl: expect.stringContaining('/verify/')
+    }));
+  });
+
+  it('sends it as an attachment when downloaded', async () => {
+    const fine = buildFineAt(kandy, { driverId: driver._id });
+    jest.spyOn(Fine, 'findById').mockReturnValue(mockQuery(fine));
+
+    const res = await getReceiptPdf(fine, driver, { download: 'true' });
+
+    expect(res.headers['content-disposition']).toBe('attachment; filename="RCP-WP-COL-2026-000001.pdf"');
+  });
+
+  it('has no receipt for a fine nothing has been paid on', async () => {
+    const fine = buildFineAt(kandy, { driverId: driver._id, status: 'pending' });
+    jest.spyOn(Fine, 'findById').mockReturnValue(mockQuery(fine));
+    Transaction.findByFine.mockReturnValue(mockQuery([]));
+
+    const res = await getReceiptPdf(fine, driver);
+
+    expect(res.status).toBe(400);
+    expect(res.body.message).toBe('Fine has not been paid yet');
+    expect(renderReceiptPdf).not.toHaveBeenCalled();
+  });
+
+  it('is refused to a driver, for someone else\'s fine', async () => {
+    const fine = buildFineAt(kandy, { driverId: objectId() });
+    jest.spyOn(Fine, 'findById').mockReturnValue(mockQuery(fine));
+
+    const res = await getReceiptPdf(fine, driver);
+
+    expect(res.status).toBe(403);
+    expect(renderReceiptPdf).not.toHaveBeenCalled();
+  });
+});
@@ -0,0 +1,140 @@
+const mockProvider = { refund: jest.fn() };
+
+jest.mock('../../services/payments', () => ({
+  ...jest.requireActual('../../services/payments'),
+  getProvider: jest.fn(() => mockProvider)
+}));
+jest.mock('../../services/ledger', () => ({
+  ...jest.requireActual('../../services/ledger'),
+  getRefundablePayments: jest.fn(),
+  recordRefund: jest.fn().mockResolvedValue({})
+}));
+jest.mock('../../services/notifications', () => ({
+  notify: jest.fn().mockResolvedValue([])
+}));
+
+const request = require('supertest');
+const Fine = require('../../models/Fine');
+const paymentRoutes = require('../../routes/payments');
+const { getProvider } = require('../../services/payments');
+const { getRefundablePayments, recordRefund } = require('../../services/ledger');
+const { objectId, mockQuery, buildUser, buildPaidFine } = require('../helpers/fixtures');
+const { createApp, signIn, authHeader } = require('../helpers/app');
+
+const app = createApp('/api/payments', paymentRoutes);
+
+const financeClerk = buildUser('finance_clerk');
+const clerk = buildUser('clerk');
+
+const buildPayment = (fine, method, amount, reference) => ({
+  _id: objectId(),
+  fine: fine._id,
+  method,
+  amount,
+  reference
+});
+
+const refund = (fine, body, user = financeClerk) => request(app)
+  .post(`/api/payments/fine/${fine._id}/refund`)
+  .set('Authorization', authHeader(user))
+  .send({ reason: 'Issued in error', ...body });
+
+let fine;
+
+beforeEach(() => {
+  fine = buildPaidFine({ driverId: objectId() });
+  signIn(financeClerk, clerk);
+  jest.spyOn(Fine, 'findById').mockReturnValue(mockQuery(fine));
+  jest.spyOn(console, 'error').mockImplementation(() => {});
+});
+
+afterEach(() => {
+  jest.restoreAllMocks();
+  jest.clearAllMocks();
+});
+
+describe('POST /api/payments/fine/:fineId/refund', () => {
+  it('refunds each payment through its own provider, newest first', async () => {
+    const card = buildPayment(fine, 'stripe', 2000, 'pi_card');
+    const cash = buildPayment(fine, 'cash', 3000, 'CASH-1');
+    getRefundablePayments.mockResolvedValue([
+      { payment: card, refunded: 0, refundable: 2000 },
+      { payment: cash, refunded: 0, refundable: 3000 }
+    ]);
+    mockProvider.refund.mockResolvedValue({ refundId: 're_1', status: 'succeeded', amount: 2000 });
+
+    const res = await refund(fine, { amount: 4000 });
+
+    expect(res.status).toBe(200);
+    expect(getProvider).toHaveBeenCalledWith('stripe');
+    expect(mockProvider.refund).toHaveBeenCalledTimes(1);
+    expect(mockProvider.refund).toHaveBeenCalledWith(expect.objectContaining({ intentId: 'pi_card', amount: 2000 }));
+    expect(recordRefund).toHaveBeenCalledWith(fine, expect.objectContaining({ refundId: 're_1', amount: 2000, refundOf: card._id }));
+    expect(recordRefund).toHaveBeenCalledWith(fine, expect.objectContaining({ amount: 2000, method: 'cash', refundOf: cash._id }));
+    expect(res.body.amount).toBe(4000);
+    expect(res.body.refunds).toHaveLength(2);
+  });
+
+  it('refunds the intent of a checkout payment rather than its ledger reference', async () => {
+    const payment = buildPayment(fine, 'stripe', 5000, `pi_checkout:${fine._id}`);
+    getRefundablePayments.mockResolvedValue([{ payment, refunded: 0, refundable: 5000 }]);
+    mockProvider.refund.mockResolvedValue({ refundId: 're_2', status: 'pending', amount: 5000 });
+
+    const res = await refund(fine);
+
+    expect(res.status).toBe(200);
+    expect(res.body.message).toBe('Refund requested');
+    expect(mockProvider.refund).toHaveBeenCalledWith(expect.objectContaining({ intentId: 'pi_checkout', amount: 5000 }));
+  });
+
+  it('reports a partial refund when a later provider fails', async () => {
+    const cash = buildPayment(fine, 'cash', 2000, 'CASH-1');
+    const card = buildPayment(fine, 'stripe', 3000, 'pi_card');
+    getRefundablePayments.mockResolvedValue([
+      { payment: cash, refunded: 0, refundable: 2000 },
+      { payment: card, refunded: 0, refundable: 3000 }
+    ]);
+    mockProvider.refund.mockRejectedValue(new Error('Provider unavailable'));
+
+    const res = await refund(fine);
+
+    expect(res.status).toBe(502);
+    expect(res.body.error).toBe('REFUND_INCOMPLETE');
+    expect(res.body.amount).toBe(2000);
+    expect(recordRefund).toHaveBeenCalledTimes(1);
+  });
+
+  it('rejects refunds above what can still be refunded', async () => {
+    const res = await refund(fine, { amount: 6000 });
+
+    expect(res.status).toBe(400);
+    expect(res.body.error).toBe('REFUND_EXCEEDS_PAYMENT');
+    expect(getRefundablePayments).not.toHaveBeenCalled();
+  });
+
+  it('rejects fines without a captured payment left to refund', async () => {
+    getRefundablePayments.mockResolvedValue([]);
+
+    const res = await refund(fine);
+
+    expect(res.status).toBe(400);
+    expect(res.body.error).toBe('NO_REFUNDABLE_PAYMENT');
+  });
+
+  it('rejects fines that are not paid', async () => {
+    fine.status = 'pending';
+
+    const res = await refund(fine);
+
+    expect(res.status).toBe(400);
+    expect(res.body.error).toBe('INVALID_STATUS_TRANSITION');
+  });
+
+  it('needs the payments:refund permission', async () => {
+    const res = await refund(fine, {}, clerk);
+
+    expect(res.status).toBe(403);
+    expect(res.body.error).toBe('INSUFFICIENT_PERMISSIONS');
+    expect(getRefundablePayments).not.toHaveBeenCalled();
+  });
+});
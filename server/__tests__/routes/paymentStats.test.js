@@ -0,0 +1,91 @@
+const request = require('supertest');
+const Transaction = require('../../models/Transaction');
+const paymentRoutes = require('../../routes/payments');
+const { objectId, buildStation, buildUser } = require('../helpers/fixtures');
+const { createApp, signIn, authHeader } = require('../helpers/app');
+
+const app = createApp('/api/payments', paymentRoutes);
+
+const colombo = buildStation({ code: 'COL' });
+const driver = buildUser('driver');
+const commander = buildUser('station_commander', { commandLevel: 'division', station: colombo });
+const clerk = buildUser('clerk', { station: colombo });
+const auditor = buildUser('auditor');
+const reviewer = buildUser('dispute_reviewer');
+const admin = buildUser('admin');
+
+const getStats = (user, query = {}) => request(app)
+  .get('/api/payments/stats')
+  .query(query)
+  .set('Authorization', authHeader(user));
+
+// Pipeline of the captured payment totals, the first aggregate the route runs
+const totalsPipeline = () => Transaction.aggregate.mock.calls[0][0];
+const stage = (pipeline, name) => pipeline.find(step => step[name]);
+
+beforeEach(() => {
+  signIn(driver, commander, clerk, auditor, reviewer, admin);
+  jest.spyOn(Transaction, 'aggregate').mockImplementation((pipeline) => Promise.resolve(
+    stage(pipeline, '$group')?.$group.finesPaid
+      ? [{ totalPayments: 3, finesPaid: [objectId(), objectId()], totalAmount: 7500, avgAmount: 2500 }]
+      : []
+  ));
+});
+
+afterEach(() => {
+  jest.restoreAllMocks();
+});
+
+describe('GET /api/payments/stats', () => {
+  it('counts each fine paid once by its ID when fines are looked up', async () => {
+    const res = await getStats(driver);
+
+    expect(res.status).toBe(200);
+    expect(res.body).toEqual(expect.objectContaining({ totalPayments: 3, finesPaid: 2, totalAmount: 7500 }));
+    const pipeline = totalsPipeline();
+    expect(stage(pipeline, '$lookup')).toBeDefined();
+    expect(pipeline).toContainEqual({ $match: { $and: [{ 'fine.driverId': driver._id }] } });
+    expect(stage(pipeline, '$group').$group.finesPaid).toEqual({ $addToSet: '$fine._id' });
+  });
+
+  it('counts fines by the ledger\'s fine ID when they are not looked up', async () => {
+    const res = await getStats(admin);
+
+    expect(res.status).toBe(200);
+    const pipeline = totalsPipeline();
+    expect(stage(pipeline, '$lookup')).toBeUndefined();
+    expect(stage(pipeline, '$group').$group.finesPaid).toEqual({ $addToSet: '$fine' });
+  });
+
+  it('limits commanders to the fines of their jurisdiction', async () => {
+    await getStats(commander);
+
+    expect(totalsPipeline()).toContainEqual({ $match: { $and: [{ 'fine.division': colombo.division }] } });
+  });
+
+  it('shows staff with reports:view every fine', async () => {
+    const res = await getStats(auditor);
+
+    expect(res.status).toBe(200);
+    const [{ $match }] = totalsPipeline();
+    expect($match.recordedBy).toBeUndefined();
+    expect(stage(totalsPipeline(), '$lookup')).toBeUndefined();
+  });
+
+  it('limits clerks to the payments they recorded', async () => {
+    const res = await getStats(clerk);
+
+    expect(res.status).toBe(200);
+    Transaction.aggregate.mock.calls.forEach(([[{ $match }]]) => {
+      expect($match.recordedBy).toEqual(clerk._id);
+    });
+  });
+
+  it('refuses staff without a payments or reports permission', async () => {
+    const res = await getStats(reviewer);
+
+    expect(res.status).toBe(403);
+    expect(res.body.error).toBe('INSUFFICIENT_PERMISSIONS');
+    expect(Transaction.aggregate).not.toHaveBeenCalled();
+  });
+});
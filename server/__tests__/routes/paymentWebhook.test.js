@@ -0,0 +1,87 @@
+const mockProvider = { name: 'gateway', label: 'Hosted gateway', verifyWebhook: jest.fn() };
+
+jest.mock('../../services/payments', () => ({
+  ...jest.requireActual('../../services/payments'),
+  getProvider: jest.fn(() => mockProvider),
+  isProviderEnabled: jest.fn((name) => name === 'gateway')
+}));
+jest.mock('../../services/paymentEvents', () => ({
+  ...jest.requireActual('../../services/paymentEvents'),
+  recordEvent: jest.fn(),
+  processEvent: jest.fn()
+}));
+
+const express = require('express');
+const request = require('supertest');
+const paymentRoutes = require('../../routes/payments');
+const { recordEvent, processEvent } = require('../../services/paymentEvents');
+
+// Webhooks are verified against the raw body, as index.js mounts them
+const app = express();
+app.use('/api/payments/webhook', express.raw({ type: '*/*' }));
+app.use('/api/payments', paymentRoutes);
+
+const event = { id: 'pi_1:paid', type: 'payment.succeeded', payment: { intentId: 'pi_1', status: 'succeeded' } };
+
+const deliver = (provider = 'gateway') => request(app)
+  .post(`/api/payments/webhook/${provider}`)
+  .set('Content-Type', 'application/json')
+  .send(JSON.stringify({ intentId: 'pi_1', status: 'paid' }));
+
+beforeEach(() => {
+  mockProvider.verifyWebhook.mockResolvedValue(event);
+  recordEvent.mockResolvedValue({ _id: 'stored', eventId: event.id });
+  processEvent.mockResolvedValue({ status: 'processed' });
+  jest.spyOn(console, 'error').mockImplementation(() => {});
+});
+
+afterEach(() => {
+  jest.restoreAllMocks();
+  jest.clearAllMocks();
+});
+
+describe('POST /api/payments/webhook/:provider', () => {
+  it('stores the verified event before processing it', async () => {
+    const res = await deliver();
+
+    expect(res.status).toBe(200);
+    expect(res.body).toEqual({ received: true });
+    expect(mockProvider.verifyWebhook).toHaveBeenCalledWith(expect.objectContaining({ rawBody: expect.any(Buffer) }));
+    expect(recordEvent).toHaveBeenCalledWith('gateway', event);
+    expect(processEvent).toHaveBeenCalledWith({ _id: 'stored', eventId: event.id });
+  });
+
+  it('acknowledges a stored event even when processing fails', async () => {
+    processEvent.mockRejectedValue(new Error('Fine not found'));
+
+    const res = await deliver();
+
+    expect(res.status).toBe(200);
+  });
+
+  it('asks the provider to redeliver when the event cannot be stored', async () => {
+    recordEvent.mockRejectedValue(new Error('Connection lost'));
+
+    const res = await deliver();
+
+    expect(res.status).toBe(500);
+    expect(processEvent).not.toHaveBeenCalled();
+  });
+
+  it('rejects a webhook that fails verification', async () => {
+    mockProvider.verifyWebhook.mockRejectedValue(new Error('Invalid signature'));
+
+    const res = await deliver();
+
+    expect(res.status).toBe(400);
+    expect(res.text).toBe('Webhook Error: Invalid signature');
+    expect(recordEvent).not.toHaveBeenCalled();
+  });
+
+  it('refuses providers that are not enabled', async () => {
+    const res = await deliver('paypal');
+
+    expect(res.status).toBe(404);
+    expect(mockProvider.verifyWebhook).not.toHaveBeenCalled();
+  });
+});
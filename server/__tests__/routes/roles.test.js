@@ -0,0 +1,86 @@
+const request = require('supertest');
+const Role = require('../../models/Role');
+const roleRoutes = require('../../routes/roles');
+const { buildUser } = require('../helpers/fixtures');
+const { createApp, signIn, authHeader } = require('../helpers/app');
+
+const app = createApp('/api/roles', roleRoutes);
+
+const admin = buildUser('admin');
+const commander = buildUser('station_commander');
+
+const setPermissions = (role, permissions, user = admin) => request(app)
+  .put(`/api/roles/${role}/permissions`)
+  .set('Authorization', authHeader(user))
+  .send({ permissions });
+
+beforeEach(() => {
+  signIn(admin, commander);
+  jest.spyOn(Role, 'findOneAndUpdate').mockResolvedValue({});
+  jest.spyOn(Role, 'deleteOne').mockResolvedValue({ deletedCount: 1 });
+});
+
+afterEach(() => {
+  jest.restoreAllMocks();
+});
+
+describe('GET /api/roles', () => {
+  it('lists the roles and every permission that can be granted', async () => {
+    const res = await request(app).get('/api/roles').set('Authorization', authHeader(admin));
+
+    expect(res.status).toBe(200);
+    expect(res.body.roles).toHaveLength(8);
+    expect(res.body.permissions).toContainEqual({ key: 'payments:refund', description: 'Refund payments' });
+  });
+
+  it('needs the roles:manage permission', async () => {
+    const res = await request(app).get('/api/roles').set('Authorization', authHeader(commander));
+
+    expect(res.status).toBe(403);
+    expect(res.body.error).toBe('INSUFFICIENT_PERMISSIONS');
+  });
+});
+
+describe('PUT /api/roles/:role/permissions', () => {
+  it('replaces the permissions of a role', async () => {
+    const res = await setPermissions('clerk', ['payments:record-cash', 'payments:view-cash-up']);
+
+    expect(res.status).toBe(200);
+    expect(Role.findOneAndUpdate).toHaveBeenCalledWith(
+      { name: 'clerk' },
+      { $set: { permissions: ['payments:record-cash', 'payments:view-cash-up'], updatedBy: admin._id } },
+      expect.any(Object)
+    );
+  });
+
+  it('rejects permissions that do not exist', async () => {
+    const res = await setPermissions('clerk', ['payments:everything']);
+
+    expect(res.status).toBe(400);
+    expect(res.body.errors[0].msg).toBe('Unknown permission');
+    expect(Role.findOneAndUpdate).not.toHaveBeenCalled();
+  });
+
+  it('does not change the admin role', async () => {
+    const res = await setPermissions('admin', []);
+
+    expect(res.status).toBe(400);
+    expect(res.body.error).toBe('ROLE_NOT_EDITABLE');
+  });
+
+  it('rejects unknown roles', async () => {
+    const res = await setPermissions('superuser', []);
+
+    expect(res.status).toBe(400);
+  });
+});
+
+describe('DELETE /api/roles/:role/permissions', () => {
+  it('restores the default permissions', async () => {
+    const res = await request(app).delete('/api/roles/clerk/permissions').set('Authorization', authHeader(admin));
+
+    expect(res.status).toBe(200);
+    expect(Role.deleteOne).toHaveBeenCalledWith({ name: 'clerk' });
+    expect(res.body.role).toEqual(expect.objectContaining({ name: 'clerk', permissions: ['payments:record-cash'] }));
+  });
+});
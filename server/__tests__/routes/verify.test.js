@@ -0,0 +1,178 @@
+const request = require('supertest');
+const Fine = require('../../models/Fine');
+const Vehicle = require('../../models/Vehicle');
+const { TrafficViolation } = require('../../models/TrafficViolation');
+const verifyRoutes = require('../../routes/verify');
+const { createVerificationCode } = require('../../services/verification');
+const { objectId, mockQuery, buildFine, buildPaidFine } = require('../helpers/fixtures');
+const { createApp } = require('../helpers/app');
+
+const app = createApp('/api/verify', verifyRoutes);
+
+const verify = (code, target = app) => request(target).get(`/api/verify/${encodeURIComponent(code)}`);
+
+// Fine.findOne resolves `fine` for its own fine number and null for any other
+const mockFines = (fine) => jest.spyOn(Fine, 'findOne').mockImplementation(({ fineId }) => mockQuery(
+  fine && fine.fineId === fineId ? fine : null
+));
+
+const speeding = new TrafficViolation({ name: 'Speeding', code: 'SPD-01' });
+
+afterEach(() => {
+  jest.restoreAllMocks();
+});
+
+describe('GET /api/verify/:code', () => {
+  it('confirms a paid fine with nothing that identifies the driver', async () => {
+    const fine = buildPaidFine({
+      driverId: objectId(),
+      driverLicenseNumber: 'B1234567',
+      vehicleInfo: { licensePlate: 'WP CAB-1234' },
+      violationId: speeding
+    });
+    mockFines(fine);
+
+    const res = await verify(createVerificationCode(fine.fineId));
+
+    expect(res.status).toBe(200);
+    expect(res.body.verification).toEqual({
+      reference: fine.fineId,
+      status: 'paid',
+      paid: true,
+      amount: 5000,
+      currency: 'LKR',
+      paidAt: fine.paymentInfo.paidAt.toISOString(),
+      issuedOn: fine.createdAt.toISOString(),
+      violationCode: 'SPD-01',
+      verifiedAt: expect.any(String)
+    });
+    expect(JSON.stringify(res.body)).not.toMatch(/B1234567|CAB-1234/);
+  });
+
+  it('reports an unpaid fine without a payment date', async () => {
+    mockFines(buildFine({ status: 'overdue' }));
+
+    const res = await verify(createVerificationCode('WP-COL-2026-000001'));
+
+    expect(res.status).toBe(200);
+    expect(res.body.verification).toEqual(expect.objectContaining({ status: 'unpaid', paid: false }));
+    expect(res.body.verification.paidAt).toBeUndefined();
+  });
+
+  it.each([
+    ['a forged code', () => 'WP-COL-2026-000001.forgedsignature1'],
+    ['a signed code of a fine that does not exist', () => createVerificationCode('WP-COL-2026-999999')]
+  ])('does not recognise %s', async (label, getCode) => {
+    mockFines(buildPaidFine());
+
+    const res = await verify(getCode());
+
+    expect(res.status).toBe(404);
+    expect(res.body.error).toBe('INVALID_VERIFICATION_CODE');
+  });
+
+  it('does not look up fines for codes it did not sign', async () => {
+    mockFines(null);
+
+    await verify('WP-COL-2026-000001.forgedsignature1');
+
+    expect(Fine.findOne).not.toHaveBeenCalled();
+  });
+});
+
+describe('GET /api/verify/lookup', () => {
+  const vehicleId = objectId();
+
+  const lookup = (plate, reference) => request(app)
+    .get('/api/verify/lookup')
+    .query({ plate, reference });
+
+  beforeEach(() => {
+    jest.spyOn(Vehicle, 'findOne').mockImplementation(({ registrationNumber }) => mockQuery(
+      registrationNumber === 'CAB-1234' ? { _id: vehicleId } : null
+    ));
+  });
+
+  it('finds an unclaimed fine by plate and fine number without identifying anyone', async () => {
+    const fine = buildFine({
+      vehicle: vehicleId,
+      driverLicenseNumber: 'B1234567',
+      vehicleInfo: { licensePlate: 'WP CAB-1234', vehicleType: 'Car' },
+      location: { address: '12 Galle Road', city: 'Colombo' },
+      violationId: speeding
+    });
+    jest.spyOn(Fine, 'findOne').mockReturnValue(mockQuery(fine));
+
+    const res = await lookup('wp cab 1234', 'wp-col-2026-000001');
+
+    expect(res.status).toBe(200);
+    expect(res.body.fine).toEqual(expect.objectContaining({
+      reference: 'WP-COL-2026-000001',
+      status: 'pending',
+      amount: 5000,
+      outstandingAmount: 5000,
+      licensePlate: 'WP CAB-1234',
+      city: 'Colombo',
+      violation: { name: 'Speeding', code: 'SPD-01' }
+    }));
+    expect(JSON.stringify(res.body)).not.toMatch(/B1234567|Galle Road/);
+    expect(Fine.findOne).toHaveBeenCalledWith({
+      fineId: { $in: ['wp-col-2026-000001', 'WP-COL-2026-000001'] },
+      vehicle: vehicleId,
+      driverId: null
+    });
+  });
+
+  it.each([
+    ['a plate the registry does not know', 'WP KA-9999'],
+    ['something that is not a plate', 'not a plate']
+  ])('does not find fines for %s', async (label, plate) => {
+    jest.spyOn(Fine, 'findOne');
+
+    const res = await lookup(plate, 'WP-COL-2026-000001');
+
+    expect(res.status).toBe(404);
+    expect(res.body.error).toBe('FINE_NOT_FOUND');
+    expect(Fine.findOne).not.toHaveBeenCalled();
+  });
+
+  it('does not find a fine with another fine number or a driver', async () => {
+    jest.spyOn(Fine, 'findOne').mockReturnValue(mockQuery(null));
+
+    const res = await lookup('WP CAB-1234', 'WP-COL-2026-000002');
+
+    expect(res.status).toBe(404);
+    expect(res.body.error).toBe('FINE_NOT_FOUND');
+  });
+
+  it('needs both the plate and the fine number', async () => {
+    const res = await lookup('WP CAB-1234', '');
+
+    expect(res.status).toBe(400);
+  });
+});
+
+describe('verification rate limit', () => {
+  const originalMax = process.env.VERIFY_RATE_LIMIT_MAX;
+
+  afterEach(() => {
+    process.env.VERIFY_RATE_LIMIT_MAX = originalMax;
+    if (originalMax === undefined) delete process.env.VERIFY_RATE_LIMIT_MAX;
+  });
+
+  it('limits lookups separately with VERIFY_RATE_LIMIT_MAX', async () => {
+    process.env.VERIFY_RATE_LIMIT_MAX = '2';
+    let limitedApp;
+    jest.isolateModules(() => {
+      limitedApp = createApp('/api/verify', require('../../routes/verify'));
+    });
+
+    const statuses = [];
+    for (let attempt = 0; attempt < 3; attempt += 1) {
+      const res = await verify('WP-COL-2026-000001.forgedsignature1', limitedApp);
+      statuses.push(res.status);
+    }
+
+    expect(statuses).toEqual([404, 404, 429]);
+  });
+});
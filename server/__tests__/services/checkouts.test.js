@@ -0,0 +1,193 @@
+jest.mock('../../services/ledger', () => ({
+  ...jest.requireActual('../../services/ledger'),
+  recordPayment: jest.fn(async (fine) => {
+    fine.status = 'paid';
+  })
+}));
+jest.mock('../../services/demeritPoints', () => ({
+  creditForFine: jest.fn().mockResolvedValue(null)
+}));
+jest.mock('../../services/notifications', () => ({
+  notify: jest.fn().mockResolvedValue([])
+}));
+jest.mock('../../services/numbering', () => ({
+  nextReceiptNumber: jest.fn().mockResolvedValue('RCP-WP-COL-2026-000042')
+}));
+
+const Fine = require('../../models/Fine');
+const Transaction = require('../../models/Transaction');
+const Checkout = require('../../models/Checkout');
+const { recordPayment } = require('../../services/ledger');
+const { notify } = require('../../services/notifications');
+const { findUnpayableFines, settleCheckout } = require('../../services/checkouts');
+const { objectId, buildFine } = require('../helpers/fixtures');
+
+const driverId = objectId();
+
+// One of the driver's fines of LKR 2,500
+const buildDriverFine = (fineId, status = 'pending') => buildFine({ fineId, status, driverId, fineAmount: 2500 });
+
+const buildCheckout = (fines) => {
+  const checkout = new Checkout({
+    driver: driverId,
+    fines: fines.map(fine => ({ fine: fine._id, amount: 2500 })),
+    totalAmount: 2500 * fines.length,
+    provider: 'stripe',
+    intentId: 'pi_checkout'
+  });
+  jest.spyOn(checkout, 'save').mockResolvedValue(checkout);
+  return checkout;
+};
+
+const paymentFor = (checkout) => ({
+  intentId: checkout.intentId,
+  status: 'succeeded',
+  fineId: checkout._id.toString(),
+  amount: checkout.totalAmount,
+  transactionId: 'ch_1'
+});
+
+const provider = { name: 'stripe', label: 'Card', refund: jest.fn() };
+
+// Fine.find resolves to the fines; the ledger has captured payments for `capturedFines`
+const mockFines = (fines, capturedFines = []) => {
+  jest.spyOn(Fine, 'find').mockResolvedValue(fines);
+  jest.spyOn(Transaction, 'find').mockReturnValue({
+    distinct: () => Promise.resolve(capturedFines.map(fine => fine._id))
+  });
+};
+
+afterEach(() => {
+  jest.restoreAllMocks();
+  jest.clearAllMocks();
+});
+
+describe('settleCheckout', () => {
+  it('captures the payment against every fine with one receipt number', async () => {
+    const fines = [buildDriverFine('WP-COL-2026-000001'), buildDriverFine('WP-COL-2026-000002')];
+    const checkout = buildCheckout(fines);
+    mockFines(fines);
+
+    await settleCheckout(checkout, paymentFor(checkout), provider);
+
+    expect(recordPayment).toHaveBeenCalledTimes(2);
+    fines.forEach(fine => {
+      expect(recordPayment).toHaveBeenCalledWith(fine, expect.objectContaining({
+        reference: `pi_checkout:${fine._id}`,
+        paymentId: 'pi_checkout',
+        amount: 2500,
+        receiptNumber: 'RCP-WP-COL-2026-000042'
+      }));
+    });
+    expect(checkout.status).toBe('paid');
+    expect(checkout.receiptNumber).toBe('RCP-WP-COL-2026-000042');
+    expect(provider.refund).not.toHaveBeenCalled();
+  });
+
+  it('completes a settlement that was interrupted without adding notes twice', async () => {
+    const captured = buildDriverFine('WP-COL-2026-000001', 'paid');
+    const remaining = buildDriverFine('WP-COL-2026-000002');
+    const checkout = buildCheckout([captured, remaining]);
+    checkout.receiptNumber = 'RCP-WP-COL-2026-000007';
+    captured.notes.push({ content: 'Payment completed via Card together with 1 other fine(s), receipt RCP-WP-COL-2026-000007' });
+    mockFines([captured, remaining], [captured]);
+
+    await settleCheckout(checkout, paymentFor(checkout), provider);
+
+    expect(recordPayment).toHaveBeenCalledWith(remaining, expect.objectContaining({ receiptNumber: 'RCP-WP-COL-2026-000007' }));
+    expect(captured.addNote).not.toHaveBeenCalled();
+    expect(remaining.addNote).toHaveBeenCalledTimes(1);
+    expect(checkout.status).toBe('paid');
+  });
+
+  it('refunds the whole payment when a fine can no longer be paid', async () => {
+    const fines = [buildDriverFine('WP-COL-2026-000001'), buildDriverFine('WP-COL-2026-000002', 'cancelled')];
+    const checkout = buildCheckout(fines);
+    mockFines(fines);
+    const claimed = buildCheckout(fines);
+    claimed.status = 'refunded';
+    jest.spyOn(Checkout, 'findOneAndUpdate').mockResolvedValue(claimed);
+    provider.refund.mockResolvedValue({ refundId: 're_1', status: 'succeeded', amount: 5000 });
+
+    const result = await settleCheckout(checkout, paymentFor(checkout), provider);
+
+    expect(recordPayment).not.toHaveBeenCalled();
+    expect(provider.refund).toHaveBeenCalledWith({ intentId: 'pi_checkout', transactionId: 'ch_1', amount: 5000 });
+    expect(result.refundId).toBe('re_1');
+    expect(notify).toHaveBeenCalledWith([driverId], expect.objectContaining({ type: 'payment_refunded' }));
+  });
+
+  it('refunds the whole payment when a late penalty changed what a fine owes', async () => {
+    const fines = [buildDriverFine('WP-COL-2026-000001'), buildDriverFine('WP-COL-2026-000002')];
+    const checkout = buildCheckout(fines);
+    fines[1].status = 'overdue';
+    fines[1].fineAmount = 2750;
+    mockFines(fines);
+    const claimed = buildCheckout(fines);
+    claimed.status = 'refunded';
+    jest.spyOn(Checkout, 'findOneAndUpdate').mockResolvedValue(claimed);
+    provider.refund.mockResolvedValue({ refundId: 're_2', status: 'succeeded', amount: 5000 });
+
+    await settleCheckout(checkout, paymentFor(checkout), provider);
+
+    expect(recordPayment).not.toHaveBeenCalled();
+    expect(provider.refund).toHaveBeenCalledWith(expect.objectContaining({ amount: 5000 }));
+    expect(Checkout.findOneAndUpdate).toHaveBeenCalledWith(
+      expect.anything(),
+      { $set: { status: 'refunded', failureReason: expect.stringContaining('WP-COL-2026-000002 (now LKR 2750.00 instead of LKR 2500.00)') } },
+      { new: true }
+    );
+  });
+
+  it('lists fines whose amount changed as no longer payable', async () => {
+    const fines = [buildDriverFine('WP-COL-2026-000001'), buildDriverFine('WP-COL-2026-000002')];
+    const checkout = buildCheckout(fines);
+    fines[0].fineAmount = 2750;
+    mockFines(fines);
+
+    await expect(findUnpayableFines(checkout)).resolves.toEqual([fines[0]]);
+  });
+
+  it('releases the checkout when the refund fails so a retry can refund it', async () => {
+    const fines = [buildDriverFine('WP-COL-2026-000001', 'cancelled')];
+    const checkout = buildCheckout(fines);
+    mockFines(fines);
+    jest.spyOn(Checkout, 'findOneAndUpdate').mockResolvedValue(buildCheckout(fines));
+    jest.spyOn(Checkout, 'updateOne').mockResolvedValue({ modifiedCount: 1 });
+    provider.refund.mockRejectedValue(new Error('Provider unavailable'));
+
+    await expect(settleCheckout(checkout, paymentFor(checkout), provider)).rejects.toThrow('Provider unavailable');
+    expect(Checkout.updateOne).toHaveBeenCalledWith({ _id: checkout._id }, { $set: { status: 'pending' } });
+    expect(notify).not.toHaveBeenCalled();
+  });
+
+  it('does not refund a checkout that is already part settled', async () => {
+    const captured = buildDriverFine('WP-COL-2026-000001', 'paid');
+    const cancelled = buildDriverFine('WP-COL-2026-000002', 'cancelled');
+    const checkout = buildCheckout([captured, cancelled]);
+    mockFines([captured, cancelled], [captured]);
+
+    await expect(settleCheckout(checkout, paymentFor(checkout), provider)).rejects.toThrow(/needs a manual refund/);
+    expect(provider.refund).not.toHaveBeenCalled();
+    expect(recordPayment).not.toHaveBeenCalled();
+  });
+
+  it('rejects a payment for a different amount', async () => {
+    const fines = [buildDriverFine('WP-COL-2026-000001')];
+    const checkout = buildCheckout(fines);
+
+    await expect(settleCheckout(checkout, { ...paymentFor(checkout), amount: 100 }, provider)).rejects.toThrow(/does not match/);
+  });
+
+  it.each(['paid', 'refunded'])('leaves a %s checkout alone', async (status) => {
+    const fines = [buildDriverFine('WP-COL-2026-000001')];
+    const checkout = buildCheckout(fines);
+    checkout.status = status;
+    jest.spyOn(Fine, 'find');
+
+    await settleCheckout(checkout, paymentFor(checkout), provider);
+
+    expect(Fine.find).not.toHaveBeenCalled();
+    expect(recordPayment).not.toHaveBeenCalled();
+  });
+});
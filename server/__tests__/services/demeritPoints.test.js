@@ -0,0 +1,207 @@
+jest.mock('../../services/notifications', () => ({
+  notify: jest.fn().mockResolvedValue([])
+}));
+
+const DemeritPoint = require('../../models/DemeritPoint');
+const User = require('../../models/User');
+const { TrafficViolation } = require('../../models/TrafficViolation');
+const { notify } = require('../../services/notifications');
+const {
+  SUSPENSION_THRESHOLD,
+  refreshLicenseStatus,
+  liftExpiredSuspensions,
+  creditForFine,
+  reverseForFine
+} = require('../../services/demeritPoints');
+const { refreshExpiredDemeritPoints } = require('../../jobs/demeritExpiry');
+const { objectId, buildUser, buildFine } = require('../helpers/fixtures');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+let entries;
+
+const buildEntry = (driver, points, overrides = {}) => {
+  const entry = new DemeritPoint({
+    driverId: driver._id,
+    fine: objectId(),
+    violationId: objectId(),
+    points,
+    awardedAt: new Date(),
+    expiresAt: new Date(Date.now() + 365 * DAY_MS),
+    ...overrides
+  });
+  jest.spyOn(entry, 'save').mockResolvedValue(entry);
+  entries.push(entry);
+  return entry;
+};
+
+const buildDriver = (overrides = {}) => {
+  const driver = buildUser('driver', overrides);
+  jest.spyOn(driver, 'save').mockResolvedValue(driver);
+  return driver;
+};
+
+const buildSuspendedDriver = () => buildDriver({
+  licenseStatus: { isSuspended: true, suspendedAt: new Date(Date.now() - 30 * DAY_MS), suspensionReason: '24 demerit points (threshold 24)' }
+});
+
+// DemeritPoint.aggregate totals the in-memory entries the way getActiveTotal's pipeline does
+const mockLedger = (...drivers) => {
+  entries = [];
+  const byId = new Map(drivers.map(driver => [driver._id.toString(), driver]));
+  jest.spyOn(User, 'findById').mockImplementation((id) => Promise.resolve(byId.get(String(id)) || null));
+  jest.spyOn(DemeritPoint, 'aggregate').mockImplementation(([{ $match }]) => {
+    const total = entries
+      .filter(entry => entry.driverId.equals($match.driverId) && !entry.reversedAt && entry.expiresAt > $match.expiresAt.$gt)
+      .reduce((sum, entry) => sum + entry.points, 0);
+    return Promise.resolve(total ? [{ _id: null, total }] : []);
+  });
+};
+
+afterEach(() => {
+  jest.restoreAllMocks();
+  jest.clearAllMocks();
+});
+
+describe('refreshLicenseStatus', () => {
+  it('suspends the license once active points reach the threshold', async () => {
+    const driver = buildDriver();
+    mockLedger(driver);
+    buildEntry(driver, 10);
+    buildEntry(driver, SUSPENSION_THRESHOLD - 10);
+
+    const status = await refreshLicenseStatus(driver._id);
+
+    expect(status).toEqual({ totalPoints: SUSPENSION_THRESHOLD, isSuspended: true });
+    expect(driver.licenseStatus.suspendedAt).toBeInstanceOf(Date);
+    expect(driver.save).toHaveBeenCalledTimes(1);
+    expect(notify).toHaveBeenCalledWith([driver._id], expect.objectContaining({ type: 'license_suspended' }));
+  });
+
+  it('leaves a driver below the threshold alone', async () => {
+    const driver = buildDriver();
+    mockLedger(driver);
+    buildEntry(driver, SUSPENSION_THRESHOLD - 1);
+
+    const status = await refreshLicenseStatus(driver._id);
+
+    expect(status.isSuspended).toBe(false);
+    expect(driver.save).not.toHaveBeenCalled();
+    expect(notify).not.toHaveBeenCalled();
+  });
+
+  it('does not count expired points', async () => {
+    const driver = buildDriver();
+    mockLedger(driver);
+    buildEntry(driver, 10);
+    buildEntry(driver, SUSPENSION_THRESHOLD, { expiresAt: new Date(Date.now() - DAY_MS) });
+
+    const status = await refreshLicenseStatus(driver._id);
+
+    expect(status).toEqual({ totalPoints: 10, isSuspended: false });
+  });
+});
+
+describe('liftExpiredSuspensions', () => {
+  const mockSuspended = (...drivers) => jest.spyOn(User, 'find').mockReturnValue({
+    select: () => ({ cursor: () => drivers })
+  });
+
+  it('reinstates suspended drivers whose points expired and notifies them', async () => {
+    const expired = buildSuspendedDriver();
+    const stillSuspended = buildSuspendedDriver();
+    mockLedger(expired, stillSuspended);
+    buildEntry(expired, 10);
+    buildEntry(expired, SUSPENSION_THRESHOLD - 10, { expiresAt: new Date(Date.now() - DAY_MS) });
+    buildEntry(stillSuspended, SUSPENSION_THRESHOLD);
+    mockSuspended(expired, stillSuspended);
+
+    const result = await liftExpiredSuspensions();
+
+    expect(User.find).toHaveBeenCalledWith({ 'licenseStatus.isSuspended': true });
+    expect(result).toEqual({ checked: 2, reinstated: 1, failed: 0 });
+    expect(expired.licenseStatus.isSuspended).toBe(false);
+    expect(expired.licenseStatus.liftedAt).toBeInstanceOf(Date);
+    expect(stillSuspended.licenseStatus.isSuspended).toBe(true);
+    expect(notify).toHaveBeenCalledTimes(1);
+    expect(notify).toHaveBeenCalledWith([expired._id], expect.objectContaining({ type: 'license_reinstated' }));
+  });
+
+  it('carries on with other drivers when one fails', async () => {
+    const failing = buildSuspendedDriver();
+    const expired = buildSuspendedDriver();
+    mockLedger(failing, expired);
+    failing.save.mockRejectedValue(new Error('Write conflict'));
+    mockSuspended(failing, expired);
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+
+    const result = await liftExpiredSuspensions();
+
+    expect(result).toEqual({ checked: 2, reinstated: 1, failed: 1 });
+    expect(expired.licenseStatus.isSuspended).toBe(false);
+  });
+
+  it('runs from the scheduled job', async () => {
+    mockSuspended();
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+
+    await expect(refreshExpiredDemeritPoints()).resolves.toEqual({ checked: 0, reinstated: 0, failed: 0 });
+  });
+});
+
+describe('creditForFine', () => {
+  it('credits the violation\'s points once and suspends a driver who reaches the threshold', async () => {
+    const driver = buildDriver();
+    mockLedger(driver);
+    buildEntry(driver, SUSPENSION_THRESHOLD - 4);
+    const fine = buildFine({ driverId: driver._id });
+    jest.spyOn(TrafficViolation, 'findById').mockResolvedValue({ _id: fine.violationId, points: 4 });
+    jest.spyOn(DemeritPoint, 'findOne').mockResolvedValue(null);
+    jest.spyOn(DemeritPoint, 'create').mockImplementation((fields) => Promise.resolve(buildEntry(driver, fields.points, fields)));
+
+    const entry = await creditForFine(fine, 'issued');
+
+    expect(entry.points).toBe(4);
+    expect(entry.expiresAt - entry.awardedAt).toBe(730 * DAY_MS);
+    expect(driver.licenseStatus.isSuspended).toBe(true);
+  });
+
+  it('returns the existing entry for a fine already credited', async () => {
+    const driver = buildDriver();
+    mockLedger(driver);
+    const existing = buildEntry(driver, 4);
+    jest.spyOn(DemeritPoint, 'findOne').mockResolvedValue(existing);
+    jest.spyOn(DemeritPoint, 'create');
+
+    await expect(creditForFine(buildFine({ driverId: driver._id }), 'issued')).resolves.toBe(existing);
+    expect(DemeritPoint.create).not.toHaveBeenCalled();
+  });
+});
+
+describe('reverseForFine', () => {
+  it('reverses the fine\'s points and reinstates the driver', async () => {
+    const driver = buildSuspendedDriver();
+    mockLedger(driver);
+    buildEntry(driver, 10);
+    const entry = buildEntry(driver, SUSPENSION_THRESHOLD - 10);
+    jest.spyOn(DemeritPoint, 'findOne').mockResolvedValue(entry);
+    const reviewerId = objectId();
+
+    await reverseForFine(buildFine({ driverId: driver._id }), { reason: 'Dispute approved', reversedBy: reviewerId });
+
+    expect(entry.reversedAt).toBeInstanceOf(Date);
+    expect(entry.reversalReason).toBe('Dispute approved');
+    expect(entry.reversedBy).toEqual(reviewerId);
+    expect(driver.licenseStatus.isSuspended).toBe(false);
+    expect(notify).toHaveBeenCalledWith([driver._id], expect.objectContaining({ type: 'license_reinstated' }));
+  });
+
+  it('does nothing for a fine without active points', async () => {
+    const driver = buildSuspendedDriver();
+    mockLedger(driver);
+    jest.spyOn(DemeritPoint, 'findOne').mockResolvedValue(null);
+
+    await expect(reverseForFine(buildFine({ driverId: driver._id }))).resolves.toBeNull();
+    expect(driver.save).not.toHaveBeenCalled();
+  });
+});
@@ -0,0 +1,116 @@
+const QRCode = require('qrcode');
+const { renderReceiptPdf, renderFineNoticePdf } = require('../../services/documents');
+const { buildUser, buildFine } = require('../helpers/fixtures');
+
+// Fonts are embedded with a subset prefix, e.g. /BaseFont /EZZZZZ+NotoSansSinhala-Regular
+const fontsOf = (pdf) => (pdf.toString('latin1').match(/\/BaseFont \/(?:[A-Z]{6}\+)?[\w-]+/g) || [])
+  .map(entry => entry.replace(/^\/BaseFont \/(?:[A-Z]{6}\+)?/, ''));
+const pageCount = (pdf) => pdf.toString('latin1').match(/\/Type \/Page\b/g).length;
+
+const buildNoticeFine = (driverOverrides = {}) => buildFine({
+  driverId: buildUser('driver', { profile: { firstName: 'Nimal', lastName: 'Perera', licenseNumber: 'B1234567' }, ...driverOverrides }),
+  policeOfficer: buildUser('police_officer', { profile: { firstName: 'Kamal', lastName: 'Silva', badgeNumber: 'PC-1024' } }),
+  violationId: { name: 'Speeding', code: 'SPD-01' },
+  vehicleInfo: { licensePlate: 'WP CAB-1234', vehicleType: 'car' },
+  location: { address: 'Galle Road', city: 'Colombo' },
+  dueDate: new Date('2026-11-18T00:00:00Z')
+});
+
+const fineReceipt = {
+  fineId: 'WP-COL-2026-000001',
+  receiptNumber: 'RCP-WP-COL-2026-000001',
+  paymentDate: new Date('2026-10-19T08:30:00Z'),
+  paymentMethod: 'stripe',
+  transactionId: 'ch_1',
+  currency: 'LKR',
+  amount: 5000,
+  amountPaid: 5000,
+  refundedAmount: 0,
+  outstandingAmount: 0,
+  driver: { name: 'Nimal Perera', licenseNumber: 'B1234567' },
+  violation: { name: 'Speeding', code: 'SPD-01' },
+  vehicle: { licensePlate: 'WP CAB-1234', type: 'car' },
+  issuedBy: { name: 'Kamal Silva', badgeNumber: 'PC-1024' },
+  issuedDate: new Date('2026-10-01T10:00:00Z'),
+  verificationUrl: 'http://localhost:3000/verify/abc'
+};
+
+const checkoutReceipt = (fineCount) => ({
+  receiptNumber: 'RCP-CHK-2026-000001',
+  paymentDate: new Date('2026-10-19T08:30:00Z'),
+  paymentMethod: 'gateway',
+  transactionId: 'TXN-1',
+  currency: 'LKR',
+  amount: fineCount * 2500,
+  driver: { name: 'Nimal Perera', licenseNumber: 'B1234567' },
+  fines: Array.from({ length: fineCount }, (_, index) => ({
+    fineId: `WP-COL-2026-${String(index + 1).padStart(6, '0')}`,
+    amount: 2500,
+    violation: { name: 'Parking', code: 'PRK-02' },
+    vehicle: { licensePlate: 'WP CAB-1234' }
+  }))
+});
+
+beforeEach(() => {
+  jest.spyOn(QRCode, 'toBuffer');
+});
+
+afterEach(() => {
+  jest.restoreAllMocks();
+});
+
+describe('renderReceiptPdf', () => {
+  it('renders the receipt of a fine with a QR code of its verification page', async () => {
+    const pdf = await renderReceiptPdf(fineReceipt);
+
+    expect(pdf.toString('latin1', 0, 5)).toBe('%PDF-');
+    expect(QRCode.toBuffer).toHaveBeenCalledWith(fineReceipt.verificationUrl, expect.any(Object));
+    expect(fontsOf(pdf)).toEqual(expect.arrayContaining(['Helvetica', 'NotoSansSinhala-Regular', 'NotoSansSinhala-Bold']));
+  });
+
+  it('lists every fine of a checkout, running onto further pages', async () => {
+    const short = await renderReceiptPdf(checkoutReceipt(2));
+    const long = await renderReceiptPdf(checkoutReceipt(30));
+
+    expect(pageCount(short)).toBe(1);
+    expect(pageCount(long)).toBeGreaterThan(1);
+    expect(QRCode.toBuffer).toHaveBeenCalledWith('RCP-CHK-2026-000001', expect.any(Object));
+  });
+});
+
+describe('renderFineNoticePdf', () => {
+  it('renders the notice with a QR code of the fine number', async () => {
+    const pdf = await renderFineNoticePdf(buildNoticeFine());
+
+    expect(pdf.toString('latin1', 0, 5)).toBe('%PDF-');
+    expect(pageCount(pdf)).toBe(1);
+    expect(QRCode.toBuffer).toHaveBeenCalledWith('WP-COL-2026-000001', expect.any(Object));
+  });
+
+  it('prints names written in Tamil with the Tamil font', async () => {
+    const pdf = await renderFineNoticePdf(buildNoticeFine({ profile: { firstName: 'முருகன்', lastName: 'செல்வம்' } }));
+
+    expect(fontsOf(pdf)).toContain('NotoSansTamil-Regular');
+  });
+
+  const originalLanguages = process.env.DOCUMENT_LANGUAGES;
+
+  afterEach(() => {
+    process.env.DOCUMENT_LANGUAGES = originalLanguages;
+    if (originalLanguages === undefined) delete process.env.DOCUMENT_LANGUAGES;
+  });
+
+  it('adds the Tamil labels when DOCUMENT_LANGUAGES enables them', async () => {
+    process.env.DOCUMENT_LANGUAGES = 'si,ta';
+    let render;
+    jest.isolateModules(() => {
+      ({ renderFineNoticePdf: render } = require('../../services/documents'));
+    });
+
+    const withTamil = await render(buildNoticeFine());
+    const withoutTamil = await renderFineNoticePdf(buildNoticeFine());
+
+    expect(fontsOf(withTamil)).toEqual(expect.arrayContaining(['NotoSansTamil-Regular', 'NotoSansTamil-Bold']));
+    expect(fontsOf(withoutTamil)).not.toContain('NotoSansTamil-Regular');
+  });
+});
@@ -0,0 +1,160 @@
+jest.mock('../../services/demeritPoints', () => ({
+  creditForFine: jest.fn().mockResolvedValue(null),
+  transferForFine: jest.fn().mockResolvedValue(null)
+}));
+jest.mock('../../services/notifications', () => ({
+  notify: jest.fn().mockResolvedValue([])
+}));
+
+const Fine = require('../../models/Fine');
+const Vehicle = require('../../models/Vehicle');
+const { creditForFine, transferForFine } = require('../../services/demeritPoints');
+const { notify } = require('../../services/notifications');
+const { claimFines, reassignFines, claimFinesForDriver } = require('../../services/fineClaims');
+const { objectId, mockQuery, buildUser, buildFine } = require('../helpers/fixtures');
+
+const claimant = buildUser('driver');
+const holder = buildUser('driver');
+const holderId = holder._id;
+const resolverId = buildUser('admin')._id;
+
+// Fine written against the license number and claimed by the holder
+const buildHolderFine = (fineId, status = 'pending') => buildFine({
+  fineId,
+  status,
+  driverId: holderId,
+  driverLicenseNumber: 'B1234567'
+});
+
+afterEach(() => {
+  jest.restoreAllMocks();
+  jest.clearAllMocks();
+});
+
+describe('reassignFines', () => {
+  it('moves the holder\'s fines on the license number to the claimant with their points', async () => {
+    const pending = buildHolderFine('WP-COL-2026-000001');
+    const paid = buildHolderFine('WP-COL-2026-000002', 'paid');
+    jest.spyOn(Fine, 'find').mockResolvedValue([pending, paid]);
+    jest.spyOn(Fine, 'updateOne').mockResolvedValue({ modifiedCount: 1 });
+
+    const reassigned = await reassignFines(claimant, { licenseNumber: 'b 1234567', fromDriverIds: [holderId] }, resolverId);
+
+    expect(Fine.find).toHaveBeenCalledWith({ driverId: { $in: [holderId] }, driverLicenseNumber: 'B1234567' });
+    expect(Fine.updateOne).toHaveBeenCalledWith(
+      { _id: pending._id, driverId: holderId },
+      { $set: { driverId: claimant._id, claimedAt: expect.any(Date) } }
+    );
+    expect(reassigned).toEqual([pending, paid]);
+    expect(pending.driverId).toEqual(claimant._id);
+    expect(transferForFine).toHaveBeenCalledWith(pending, holderId);
+    expect(creditForFine).toHaveBeenCalledWith(paid, 'confirmed');
+    expect(creditForFine).not.toHaveBeenCalledWith(pending, 'confirmed');
+    expect(pending.addNote).toHaveBeenCalledWith(expect.stringContaining('B1234567'), resolverId);
+    expect(notify).toHaveBeenCalledWith([claimant._id], expect.objectContaining({ type: 'fines_claimed' }));
+  });
+
+  it('skips fines that changed hands in the meantime', async () => {
+    const fine = buildHolderFine('WP-COL-2026-000001');
+    jest.spyOn(Fine, 'find').mockResolvedValue([fine]);
+    jest.spyOn(Fine, 'updateOne').mockResolvedValue({ modifiedCount: 0 });
+
+    const reassigned = await reassignFines(claimant, { licenseNumber: 'B1234567', fromDriverIds: [holderId] }, resolverId);
+
+    expect(reassigned).toEqual([]);
+    expect(transferForFine).not.toHaveBeenCalled();
+    expect(notify).not.toHaveBeenCalled();
+  });
+
+  it('does nothing without previous holders', async () => {
+    jest.spyOn(Fine, 'find');
+
+    await expect(reassignFines(claimant, { licenseNumber: 'B1234567', fromDriverIds: [] })).resolves.toEqual([]);
+    expect(Fine.find).not.toHaveBeenCalled();
+  });
+});
+
+describe('claimFines', () => {
+  const vehicleId = objectId();
+
+  // Unresolved fine written against a license number, or against the plate only
+  const buildUnresolvedFine = (fineId, overrides = {}) => buildFine({
+    fineId,
+    vehicle: vehicleId,
+    vehicleInfo: { licensePlate: 'WP CAB-1234', vehicleType: 'Car' },
+    ...overrides
+  });
+
+  beforeEach(() => {
+    jest.spyOn(Fine, 'updateOne').mockResolvedValue({ modifiedCount: 1 });
+  });
+
+  it('claims fines written against the driver\'s license number and credits their points', async () => {
+    const pending = buildUnresolvedFine('WP-COL-2026-000001', { driverLicenseNumber: 'B1234567' });
+    const paid = buildUnresolvedFine('WP-COL-2026-000002', { driverLicenseNumber: 'B1234567', status: 'paid' });
+    jest.spyOn(Fine, 'find').mockResolvedValue([pending, paid]);
+
+    const claimed = await claimFines(claimant, { licenseNumber: 'b-1234567' });
+
+    expect(Fine.find).toHaveBeenCalledWith({ driverId: null, $or: [{ driverLicenseNumber: 'B1234567' }] });
+    expect(Fine.updateOne).toHaveBeenCalledWith(
+      { _id: pending._id, driverId: null },
+      { $set: { driverId: claimant._id, claimedAt: expect.any(Date) } }
+    );
+    expect(claimed).toEqual([pending, paid]);
+    expect(pending.driverId).toEqual(claimant._id);
+    expect(pending.addNote).toHaveBeenCalledWith('Claimed by driver with license number B1234567', claimant._id);
+    expect(creditForFine).toHaveBeenCalledWith(pending, 'issued');
+    expect(creditForFine).toHaveBeenCalledWith(paid, 'confirmed');
+    expect(creditForFine).not.toHaveBeenCalledWith(pending, 'confirmed');
+    expect(notify).toHaveBeenCalledWith([claimant._id], expect.objectContaining({
+      type: 'fines_claimed',
+      message: expect.stringContaining('WP-COL-2026-000001, WP-COL-2026-000002')
+    }));
+  });
+
+  it('claims plate-only fines of the driver\'s vehicles but not those naming another license', async () => {
+    const fine = buildUnresolvedFine('WP-COL-2026-000003');
+    jest.spyOn(Fine, 'find').mockResolvedValue([fine]);
+
+    const claimed = await claimFines(claimant, { vehicleIds: [vehicleId] });
+
+    expect(Fine.find).toHaveBeenCalledWith({ driverId: null, $or: [{ vehicle: { $in: [vehicleId] }, driverLicenseNumber: null }] });
+    expect(claimed).toEqual([fine]);
+    expect(fine.addNote).toHaveBeenCalledWith('Claimed by registered owner of WP CAB-1234', claimant._id);
+    expect(notify).toHaveBeenCalledWith([claimant._id], expect.objectContaining({ fine }));
+  });
+
+  it('skips fines another request claimed first', async () => {
+    jest.spyOn(Fine, 'find').mockResolvedValue([buildUnresolvedFine('WP-COL-2026-000001', { driverLicenseNumber: 'B1234567' })]);
+    Fine.updateOne.mockResolvedValue({ modifiedCount: 0 });
+
+    await expect(claimFines(claimant, { licenseNumber: 'B1234567' })).resolves.toEqual([]);
+    expect(creditForFine).not.toHaveBeenCalled();
+    expect(notify).not.toHaveBeenCalled();
+  });
+
+  it.each([
+    ['a user who is not a driver', () => buildUser('police_officer'), { licenseNumber: 'B1234567' }],
+    ['a driver without a license or vehicles', () => claimant, { vehicleIds: [] }]
+  ])('does nothing for %s', async (label, getUser, details) => {
+    jest.spyOn(Fine, 'find');
+
+    await expect(claimFines(getUser(), details)).resolves.toEqual([]);
+    expect(Fine.find).not.toHaveBeenCalled();
+  });
+
+  it('claims everything matching the license and vehicles of a driver who registers', async () => {
+    const driver = buildUser('driver', { profile: { firstName: 'Nimal', lastName: 'Perera', licenseNumber: 'B1234567' } });
+    jest.spyOn(Vehicle, 'find').mockReturnValue(mockQuery([{ _id: vehicleId }]));
+    jest.spyOn(Fine, 'find').mockResolvedValue([]);
+
+    await claimFinesForDriver(driver);
+
+    expect(Vehicle.find).toHaveBeenCalledWith({ owner: driver._id });
+    expect(Fine.find).toHaveBeenCalledWith({
+      driverId: null,
+      $or: [{ driverLicenseNumber: 'B1234567' }, { vehicle: { $in: [vehicleId] }, driverLicenseNumber: null }]
+    });
+  });
+});
@@ -0,0 +1,191 @@
+jest.mock('../../services/numbering', () => ({
+  nextReceiptNumber: jest.fn().mockResolvedValue('RCP-WP-COL-2026-000001')
+}));
+
+const Transaction = require('../../models/Transaction');
+const { recordPayment, getPaymentIntentId, getRefundablePayments } = require('../../services/ledger');
+const { objectId, buildFine } = require('../helpers/fixtures');
+
+// Transaction.find(...).lean() resolving to the given ledger rows
+const mockLedger = (rows) => {
+  jest.spyOn(Transaction, 'find').mockReturnValue({
+    lean: () => Promise.resolve(rows)
+  });
+};
+
+afterEach(() => {
+  jest.restoreAllMocks();
+});
+
+describe('Transaction.getBalance', () => {
+  it('totals succeeded payments, refunds and adjustments in cents', async () => {
+    mockLedger([
+      { type: 'payment', status: 'succeeded', amount: 1000.1 },
+      { type: 'payment', status: 'succeeded', amount: 2000.2 },
+      { type: 'payment', status: 'pending', amount: 500 },
+      { type: 'refund', status: 'succeeded', amount: 300.3 },
+      { type: 'refund', status: 'pending', amount: 100 },
+      { type: 'adjustment', status: 'succeeded', amount: 250 }
+    ]);
+
+    await expect(Transaction.getBalance(objectId())).resolves.toEqual({
+      paid: 3000.3,
+      refunded: 400.3,
+      adjusted: 250
+    });
+  });
+
+  it('leaves failed transactions out of the query', async () => {
+    mockLedger([]);
+    const fineId = objectId();
+
+    await Transaction.getBalance(fineId);
+
+    expect(Transaction.find).toHaveBeenCalledWith({ fine: fineId, status: { $ne: 'failed' } });
+  });
+});
+
+describe('fine.applyBalance', () => {
+  it('stores the totals without changing the status of an unrefunded fine', () => {
+    const fine = buildFine();
+
+    fine.applyBalance({ paid: 2000, refunded: 0 });
+
+    expect(fine.paymentInfo.paidAmount).toBe(2000);
+    expect(fine.outstandingAmount).toBe(3000);
+    expect(fine.status).toBe('pending');
+  });
+
+  it('moves a paid fine to partially refunded and then refunded', () => {
+    const fine = buildFine({ status: 'paid' });
+
+    fine.applyBalance({ paid: 5000, refunded: 1000 });
+    expect(fine.status).toBe('partially_refunded');
+
+    fine.applyBalance({ paid: 5000, refunded: 5000 });
+    expect(fine.status).toBe('refunded');
+  });
+
+  it('never moves a refunded fine back when a refund fails later', () => {
+    const fine = buildFine({ status: 'refunded' });
+
+    fine.applyBalance({ paid: 5000, refunded: 1000 });
+
+    expect(fine.status).toBe('refunded');
+  });
+});
+
+describe('recordPayment', () => {
+  const captured = (fine, amount) => ({
+    _id: objectId(),
+    fine: fine._id,
+    type: 'payment',
+    status: 'succeeded',
+    amount
+  });
+
+  it('marks the fine as paid once nothing is left to pay', async () => {
+    const fine = buildFine();
+    jest.spyOn(Transaction, 'findOne').mockResolvedValue(null);
+    jest.spyOn(Transaction, 'findOneAndUpdate').mockResolvedValue(captured(fine, 5000));
+    mockLedger([{ type: 'payment', status: 'succeeded', amount: 5000 }]);
+
+    await recordPayment(fine, { method: 'card', reference: 'pi_1', amount: 5000 });
+
+    expect(Transaction.findOneAndUpdate).toHaveBeenCalledWith(
+      { type: 'payment', reference: 'pi_1' },
+      expect.objectContaining({
+        $set: expect.objectContaining({ status: 'succeeded', amount: 5000, receiptNumber: 'RCP-WP-COL-2026-000001' })
+      }),
+      { upsert: true, new: true }
+    );
+    expect(fine.status).toBe('paid');
+    expect(fine.paymentInfo.paymentId).toBe('pi_1');
+  });
+
+  it('keeps a part-paid fine pending', async () => {
+    const fine = buildFine();
+    jest.spyOn(Transaction, 'findOne').mockResolvedValue(null);
+    jest.spyOn(Transaction, 'findOneAndUpdate').mockResolvedValue(captured(fine, 2000));
+    mockLedger([{ type: 'payment', status: 'succeeded', amount: 2000 }]);
+
+    await recordPayment(fine, { method: 'cash', reference: 'CASH-1', amount: 2000 });
+
+    expect(fine.status).toBe('pending');
+    expect(fine.outstandingAmount).toBe(3000);
+    expect(fine.save).toHaveBeenCalled();
+  });
+
+  it('does not capture the same reference twice but still brings the fine up to date', async () => {
+    const fine = buildFine();
+    const existing = captured(fine, 5000);
+    jest.spyOn(Transaction, 'findOne').mockResolvedValue(existing);
+    jest.spyOn(Transaction, 'findOneAndUpdate');
+    mockLedger([{ type: 'payment', status: 'succeeded', amount: 5000 }]);
+
+    const transaction = await recordPayment(fine, { method: 'card', reference: 'pi_1', amount: 5000 });
+
+    expect(transaction).toBe(existing);
+    expect(Transaction.findOneAndUpdate).not.toHaveBeenCalled();
+    expect(fine.status).toBe('paid');
+  });
+});
+
+describe('getPaymentIntentId', () => {
+  const fineId = objectId();
+
+  it('uses the stored provider intent', () => {
+    expect(getPaymentIntentId({ fine: fineId, reference: `cs_1:${fineId}`, paymentId: 'pi_1' })).toBe('pi_1');
+  });
+
+  it('strips the fine from checkout references recorded before the intent was stored', () => {
+    expect(getPaymentIntentId({ fine: fineId, reference: `pi_2:${fineId}` })).toBe('pi_2');
+  });
+
+  it('uses the reference of a payment for one fine', () => {
+    expect(getPaymentIntentId({ fine: fineId, reference: 'pi_3' })).toBe('pi_3');
+  });
+});
+
+describe('getRefundablePayments', () => {
+  const fine = { _id: objectId() };
+  const newer = { _id: objectId(), amount: 2000, method: 'stripe' };
+  const older = { _id: objectId(), amount: 3000, method: 'cash' };
+
+  // Payments are queried with .sort() and refunds with .lean()
+  const mockTransactions = (refunds) => {
+    jest.spyOn(Transaction, 'find').mockImplementation((query) => (query.type === 'payment'
+      ? { sort: () => Promise.resolve([newer, older]) }
+      : { lean: () => Promise.resolve(refunds) }));
+  };
+
+  it('sets linked refunds against their own payment', async () => {
+    mockTransactions([{ amount: 500, refundOf: older._id }]);
+
+    const payments = await getRefundablePayments(fine);
+
+    expect(payments.map(({ refunded, refundable }) => ({ refunded, refundable }))).toEqual([
+      { refunded: 0, refundable: 2000 },
+      { refunded: 500, refundable: 2500 }
+    ]);
+  });
+
+  it('sets unlinked refunds against the newest payments first', async () => {
+    mockTransactions([{ amount: 2500 }]);
+
+    const payments = await getRefundablePayments(fine);
+
+    expect(payments.map(({ payment, refundable }) => [payment, refundable])).toEqual([
+      [newer, 0],
+      [older, 2500]
+    ]);
+  });
+
+  it('leaves failed refunds out of the query', async () => {
+    mockTransactions([]);
+
+    await getRefundablePayments(fine);
+
+    expect(Transaction.find).toHaveBeenCalledWith({ fine: fine._id, type: 'refund', status: { $ne: 'failed' } });
+  });
+});
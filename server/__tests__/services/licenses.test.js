@@ -0,0 +1,41 @@
+const { normalizeLicenseNumber, isValidLicenseNumber, validateLicenseNumber } = require('../../services/licenses');
+
+describe('normalizeLicenseNumber', () => {
+  it('stores license numbers upper case without spaces or hyphens', () => {
+    expect(normalizeLicenseNumber(' b 123-4567 ')).toBe('B1234567');
+  });
+
+  it('turns missing values into an empty string', () => {
+    expect(normalizeLicenseNumber(undefined)).toBe('');
+    expect(normalizeLicenseNumber(null)).toBe('');
+  });
+});
+
+describe('isValidLicenseNumber', () => {
+  it.each([
+    ['B1234567'],
+    ['b 1234567'],
+    ['12345'],
+    ['12345678']
+  ])('accepts %p', (value) => {
+    expect(isValidLicenseNumber(value)).toBe(true);
+  });
+
+  it.each([
+    [''],
+    ['1234'],
+    ['123456789'],
+    ['B123456'],
+    ['BB1234567'],
+    ['B12345678']
+  ])('rejects %p', (value) => {
+    expect(isValidLicenseNumber(value)).toBe(false);
+  });
+});
+
+describe('validateLicenseNumber', () => {
+  it('passes valid numbers and throws the validation message for others', () => {
+    expect(validateLicenseNumber('B1234567')).toBe(true);
+    expect(() => validateLicenseNumber('B12')).toThrow(/letter followed by 7 digits/);
+  });
+});
@@ -0,0 +1,82 @@
+const { normalizeNic, parseNic, validateNic, findNicMismatches, nicProfileUpdate } = require('../../services/nic');
+
+describe('normalizeNic', () => {
+  it('stores NIC numbers upper case without spaces or hyphens', () => {
+    expect(normalizeNic(' 851234567v ')).toBe('851234567V');
+    expect(normalizeNic('1985-1230-4567')).toBe('198512304567');
+  });
+});
+
+describe('parseNic', () => {
+  it('reads the birth year and gender of an old card', () => {
+    expect(parseNic('851234567V')).toEqual({
+      nic: '851234567V',
+      canonical: '198512304567',
+      birthYear: 1985,
+      gender: 'male'
+    });
+  });
+
+  it('reads a new card', () => {
+    expect(parseNic('199062304567')).toEqual({
+      nic: '199062304567',
+      canonical: '199062304567',
+      birthYear: 1990,
+      gender: 'female'
+    });
+  });
+
+  it('gives the old and new card of one person the same canonical number', () => {
+    expect(parseNic('856234567x').canonical).toBe(parseNic('198562304567').canonical);
+  });
+
+  it('takes 500 off the day of the year for women', () => {
+    expect(parseNic('855014567V').gender).toBe('female');
+    expect(parseNic('853664567V').gender).toBe('male');
+  });
+
+  it.each([
+    [''],
+    ['85123456V'],
+    ['851234567A'],
+    ['850004567V'],
+    ['853674567V'],
+    ['855004567V'],
+    ['188512304567'],
+    [`${new Date().getFullYear() + 1}12304567`]
+  ])('returns null for %p', (value) => {
+    expect(parseNic(value)).toBeNull();
+  });
+});
+
+describe('validateNic', () => {
+  it('passes valid numbers and throws the validation message for others', () => {
+    expect(validateNic('851234567V')).toBe(true);
+    expect(() => validateNic('12345')).toThrow(/9 digits followed by V or X/);
+  });
+});
+
+describe('findNicMismatches', () => {
+  const parsed = parseNic('851234567V');
+
+  it('lists the fields that disagree with the NIC number', () => {
+    expect(findNicMismatches(parsed, { birthYear: 1986, gender: 'female' })).toEqual(['birthYear', 'gender']);
+  });
+
+  it('accepts matching and missing fields', () => {
+    expect(findNicMismatches(parsed, { birthYear: '1985', gender: 'male' })).toEqual([]);
+    expect(findNicMismatches(parsed, { birthYear: '' })).toEqual([]);
+    expect(findNicMismatches(parsed)).toEqual([]);
+  });
+});
+
+describe('nicProfileUpdate', () => {
+  it('sets the number and what it encodes on the profile', () => {
+    expect(nicProfileUpdate(parseNic('851234567V'))).toEqual({
+      'profile.nic': '851234567V',
+      'profile.nicCanonical': '198512304567',
+      'profile.birthYear': 1985,
+      'profile.gender': 'male'
+    });
+  });
+});
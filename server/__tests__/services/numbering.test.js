@@ -0,0 +1,42 @@
+const Counter = require('../../models/Counter');
+const { nextFineNumber, nextReceiptNumber } = require('../../services/numbering');
+const { buildFine } = require('../helpers/fixtures');
+
+const station = { code: 'COL', province: { code: 'WP' } };
+
+beforeEach(() => {
+  jest.spyOn(Counter, 'next').mockResolvedValue(42);
+});
+
+afterEach(() => {
+  jest.restoreAllMocks();
+});
+
+describe('nextFineNumber', () => {
+  it('numbers the fine per station and year', async () => {
+    await expect(nextFineNumber({}, station, new Date(2026, 5, 1))).resolves.toBe('WP-COL-2026-000042');
+    expect(Counter.next).toHaveBeenCalledWith('fine:WP-COL-2026');
+  });
+
+  it('uses the year the fine was issued in, not the year it reached the server', async () => {
+    jest.useFakeTimers({ now: new Date(2027, 0, 1, 8, 0) });
+    try {
+      await expect(nextFineNumber({}, station, new Date(2026, 11, 31, 23, 30))).resolves.toBe('WP-COL-2026-000042');
+    } finally {
+      jest.useRealTimers();
+    }
+  });
+
+  it('falls back to the location\'s province for fines issued without a station', async () => {
+    await expect(nextFineNumber({ province: 'Central Province' }, null, new Date(2026, 5, 1))).resolves.toBe('CP-HQ-2026-000042');
+  });
+});
+
+describe('nextReceiptNumber', () => {
+  it('numbers receipts in the year they are issued, from the fine number\'s station', async () => {
+    const fine = buildFine({ fineId: 'WP-COL-2025-000007' });
+
+    await expect(nextReceiptNumber(fine)).resolves.toBe(`RCP-WP-COL-${new Date().getFullYear()}-000042`);
+    expect(Counter.next).toHaveBeenCalledWith(`receipt:WP-COL-${new Date().getFullYear()}`);
+  });
+});
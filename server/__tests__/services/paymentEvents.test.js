@@ -0,0 +1,187 @@
+const mockProvider = { name: 'stripe', label: 'Card (Stripe)' };
+
+jest.mock('../../services/payments', () => ({
+  ...jest.requireActual('../../services/payments'),
+  getProvider: jest.fn(() => mockProvider)
+}));
+jest.mock('../../services/ledger', () => ({
+  ...jest.requireActual('../../services/ledger'),
+  recordPayment: jest.fn(async (fine) => {
+    fine.status = 'paid';
+  }),
+  recordPaymentFailure: jest.fn().mockResolvedValue(null)
+}));
+jest.mock('../../services/demeritPoints', () => ({
+  creditForFine: jest.fn().mockResolvedValue(null)
+}));
+
+const PaymentEvent = require('../../models/PaymentEvent');
+const Transaction = require('../../models/Transaction');
+const Checkout = require('../../models/Checkout');
+const Fine = require('../../models/Fine');
+const { recordPayment } = require('../../services/ledger');
+const { creditForFine } = require('../../services/demeritPoints');
+const { MAX_ATTEMPTS, recordEvent, processEvent, retryPaymentEvents } = require('../../services/paymentEvents');
+const { objectId, buildFine } = require('../helpers/fixtures');
+
+const MINUTE_MS = 60 * 1000;
+
+let fine;
+
+const succeeded = () => ({
+  id: 'evt_1',
+  type: 'payment.succeeded',
+  payment: { intentId: 'pi_1', status: 'succeeded', fineId: fine._id.toString(), amount: 5000, transactionId: 'ch_1' }
+});
+
+const buildEvent = (event = succeeded(), overrides = {}) => {
+  const paymentEvent = new PaymentEvent({
+    provider: 'stripe',
+    eventId: event.id,
+    type: event.type,
+    data: { payment: event.payment },
+    ...overrides
+  });
+  jest.spyOn(paymentEvent, 'save').mockResolvedValue(paymentEvent);
+  return paymentEvent;
+};
+
+// The atomic claim hands out the event with its attempt counted
+const mockClaim = (paymentEvent) => jest.spyOn(PaymentEvent, 'findOneAndUpdate').mockImplementation(() => {
+  paymentEvent.status = 'processing';
+  paymentEvent.attempts += 1;
+  return Promise.resolve(paymentEvent);
+});
+
+beforeEach(() => {
+  fine = buildFine({ driverId: objectId() });
+  jest.spyOn(Fine, 'findById').mockResolvedValue(fine);
+  jest.spyOn(Checkout, 'findOne').mockResolvedValue(null);
+  jest.spyOn(Transaction, 'exists').mockResolvedValue(null);
+  jest.spyOn(console, 'log').mockImplementation(() => {});
+  jest.spyOn(console, 'error').mockImplementation(() => {});
+});
+
+afterEach(() => {
+  jest.restoreAllMocks();
+  jest.clearAllMocks();
+});
+
+describe('recordEvent', () => {
+  it('stores the normalised event', async () => {
+    jest.spyOn(PaymentEvent, 'create').mockImplementation((fields) => Promise.resolve(fields));
+
+    await recordEvent('stripe', { ...succeeded(), providerType: 'payment_intent.succeeded' });
+
+    expect(PaymentEvent.create).toHaveBeenCalledWith(expect.objectContaining({
+      provider: 'stripe',
+      eventId: 'evt_1',
+      type: 'payment.succeeded',
+      providerType: 'payment_intent.succeeded'
+    }));
+  });
+
+  it('returns the stored copy of a redelivered event', async () => {
+    const stored = buildEvent();
+    jest.spyOn(PaymentEvent, 'create').mockRejectedValue(Object.assign(new Error('E11000 duplicate key'), { code: 11000 }));
+    jest.spyOn(PaymentEvent, 'findOne').mockResolvedValue(stored);
+
+    await expect(recordEvent('stripe', succeeded())).resolves.toBe(stored);
+    expect(PaymentEvent.findOne).toHaveBeenCalledWith({ provider: 'stripe', eventId: 'evt_1' });
+  });
+});
+
+describe('processEvent', () => {
+  it('captures the payment and marks the event processed', async () => {
+    const paymentEvent = buildEvent();
+    mockClaim(paymentEvent);
+
+    const processed = await processEvent(paymentEvent);
+
+    expect(processed.status).toBe('processed');
+    expect(processed.fine).toEqual(fine._id);
+    expect(processed.processedAt).toBeInstanceOf(Date);
+    expect(recordPayment).toHaveBeenCalledWith(fine, expect.objectContaining({ reference: 'pi_1', amount: 5000 }));
+    expect(creditForFine).toHaveBeenCalledWith(fine, 'confirmed');
+  });
+
+  it('does not capture a payment confirm-payment already captured', async () => {
+    const paymentEvent = buildEvent();
+    mockClaim(paymentEvent);
+    Transaction.exists.mockResolvedValue({ _id: objectId() });
+
+    const processed = await processEvent(paymentEvent);
+
+    expect(processed.status).toBe('processed');
+    expect(recordPayment).not.toHaveBeenCalled();
+  });
+
+  it('leaves an event another delivery or the retry job has claimed', async () => {
+    const paymentEvent = buildEvent(succeeded(), { status: 'processed' });
+    jest.spyOn(PaymentEvent, 'findOneAndUpdate').mockResolvedValue(null);
+    jest.spyOn(PaymentEvent, 'findById').mockResolvedValue(paymentEvent);
+
+    await expect(processEvent(paymentEvent)).resolves.toBe(paymentEvent);
+    expect(recordPayment).not.toHaveBeenCalled();
+  });
+
+  it('only claims events with automatic attempts left unless an admin forces a replay', async () => {
+    const paymentEvent = buildEvent();
+    mockClaim(paymentEvent);
+    const adminId = objectId();
+
+    await processEvent(paymentEvent);
+    await processEvent(paymentEvent, { force: true, replayedBy: adminId });
+
+    const [[automatic], [replay, replayUpdate]] = PaymentEvent.findOneAndUpdate.mock.calls;
+    expect(automatic.attempts).toEqual({ $lt: MAX_ATTEMPTS });
+    expect(replay.attempts).toBeUndefined();
+    expect(replayUpdate.$set.replayedBy).toEqual(adminId);
+  });
+
+  it('fails the event and schedules a retry with backoff', async () => {
+    const paymentEvent = buildEvent(succeeded(), { attempts: 2 });
+    mockClaim(paymentEvent);
+    fine.status = 'disputed';
+    const before = Date.now();
+
+    const processed = await processEvent(paymentEvent);
+
+    expect(processed.status).toBe('failed');
+    expect(processed.lastError).toBe(`Fine ${fine.fineId} cannot be paid from status disputed`);
+    expect(processed.nextAttemptAt - before).toBeGreaterThanOrEqual(4 * MINUTE_MS);
+    expect(processed.nextAttemptAt - before).toBeLessThan(5 * MINUTE_MS);
+    expect(processed.lockedAt).toBeUndefined();
+  });
+
+  it('stops retrying after the last automatic attempt', async () => {
+    const paymentEvent = buildEvent(succeeded(), { attempts: MAX_ATTEMPTS - 1 });
+    mockClaim(paymentEvent);
+    Fine.findById.mockResolvedValue(null);
+
+    const processed = await processEvent(paymentEvent);
+
+    expect(processed.status).toBe('failed');
+    expect(processed.nextAttemptAt).toBeUndefined();
+  });
+
+  it('ignores event types it has no handler for', async () => {
+    const paymentEvent = buildEvent({ id: 'evt_2', type: 'unhandled' });
+    mockClaim(paymentEvent);
+
+    await expect(processEvent(paymentEvent)).resolves.toEqual(expect.objectContaining({ status: 'ignored' }));
+  });
+});
+
+describe('retryPaymentEvents', () => {
+  it('processes every event due for another attempt and counts the outcomes', async () => {
+    const due = buildEvent();
+    const failing = buildEvent({ ...succeeded(), id: 'evt_2' });
+    jest.spyOn(PaymentEvent, 'findDueForRetry').mockResolvedValue([due, failing]);
+    jest.spyOn(PaymentEvent, 'findOneAndUpdate').mockImplementation(({ _id }) => Promise.resolve(_id === due._id ? due : failing));
+    Fine.findById.mockResolvedValueOnce(fine).mockResolvedValueOnce(null);
+
+    await expect(retryPaymentEvents()).resolves.toEqual({ processed: 1, failed: 1 });
+    expect(PaymentEvent.findDueForRetry).toHaveBeenCalledWith(expect.objectContaining({ maxAttempts: MAX_ATTEMPTS }));
+  });
+});
@@ -0,0 +1,179 @@
+const crypto = require('crypto');
+const {
+  PROVIDER_NAMES,
+  getProvider,
+  getEnabledProviderNames,
+  getDefaultProviderName
+} = require('../../services/payments');
+const createGatewayProvider = require('../../services/payments/gatewayProvider');
+const createFakeProvider = require('../../services/payments/fakeProvider');
+const { objectId } = require('../helpers/fixtures');
+
+const SECRET = 'gateway-secret';
+
+// Signature the gateway puts on its messages: HMAC-SHA256 of the sorted key=value pairs
+const signed = (fields) => {
+  const payload = Object.keys(fields).sort().map(key => `${key}=${fields[key]}`).join('&');
+  return { ...fields, signature: crypto.createHmac('sha256', SECRET).update(payload).digest('hex') };
+};
+
+const buildGateway = (overrides = {}) => createGatewayProvider({
+  label: 'LankaPay',
+  merchantId: 'M-100',
+  secret: SECRET,
+  checkoutUrl: 'https://pay.example.lk/checkout',
+  statusUrl: 'https://pay.example.lk/status',
+  refundUrl: 'https://pay.example.lk/refund',
+  callbackUrl: 'https://fines.example.lk/api/payments/webhook/gateway',
+  ...overrides
+});
+
+const formBody = (fields) => ({
+  rawBody: Buffer.from(new URLSearchParams(fields).toString()),
+  headers: { 'content-type': 'application/x-www-form-urlencoded' }
+});
+
+describe('provider registry', () => {
+  const env = { ...process.env };
+
+  afterEach(() => {
+    process.env = { ...env };
+  });
+
+  it('enables the providers listed in PAYMENT_PROVIDERS in order, ignoring unknown ones', () => {
+    process.env.PAYMENT_PROVIDERS = 'gateway, paypal ,stripe';
+
+    expect(getEnabledProviderNames()).toEqual(['gateway', 'stripe']);
+    expect(getDefaultProviderName()).toBe('gateway');
+  });
+
+  it('never offers the fake provider in production', () => {
+    process.env.PAYMENT_PROVIDERS = 'fake,stripe';
+    process.env.NODE_ENV = 'production';
+
+    expect(getEnabledProviderNames()).toEqual(['stripe']);
+  });
+
+  it('defaults to Stripe', () => {
+    delete process.env.PAYMENT_PROVIDERS;
+
+    expect(getEnabledProviderNames()).toEqual(['stripe']);
+  });
+
+  it('creates each provider once and rejects unknown names', () => {
+    expect(PROVIDER_NAMES).toEqual(['stripe', 'gateway', 'fake']);
+    expect(getProvider('fake')).toBe(getProvider('fake'));
+    expect(() => getProvider('paypal')).toThrow('Unknown payment provider: paypal');
+  });
+});
+
+describe('gateway provider', () => {
+  const fineId = objectId().toString();
+
+  afterEach(() => {
+    delete global.fetch;
+  });
+
+  it('sends the motorist to a signed checkout that returns with the order ID', async () => {
+    const gateway = buildGateway();
+
+    const intent = await gateway.createIntent({
+      fineId,
+      amount: 5000,
+      currency: 'LKR',
+      description: 'Fine WP-COL-2026-000001',
+      returnUrl: 'https://fines.example.lk/fines/1/pay'
+    });
+
+    expect(intent.intentId).toMatch(new RegExp(`^${fineId}_[0-9a-f]{16}$`));
+    const fields = Object.fromEntries(new URL(intent.redirectUrl).searchParams);
+    expect(fields).toEqual(expect.objectContaining({ merchantId: 'M-100', orderId: intent.intentId, amount: '5000.00' }));
+    expect(new URL(fields.returnUrl).searchParams.get('payment_intent')).toBe(intent.intentId);
+    const { signature, ...unsigned } = fields;
+    expect(signature).toBe(signed(unsigned).signature);
+  });
+
+  it('refuses to start a payment without a checkout URL or merchant', async () => {
+    const gateway = buildGateway({ merchantId: undefined });
+
+    await expect(gateway.createIntent({ fineId, amount: 1, currency: 'LKR', returnUrl: 'https://fines.example.lk' }))
+      .rejects.toMatchObject({ name: 'PaymentProviderError', statusCode: 502 });
+  });
+
+  it.each([
+    ['SUCCESS', 'succeeded', 'payment.succeeded'],
+    ['declined', 'failed', 'payment.failed'],
+    ['processing', 'pending', 'unhandled']
+  ])('maps a %s callback to a %s payment', async (gatewayStatus, status, type) => {
+    const orderId = `${fineId}_abc`;
+
+    const event = await buildGateway().verifyWebhook(formBody(signed({
+      orderId, status: gatewayStatus, amount: '5000.00', currency: 'LKR', transactionId: 'T-1'
+    })));
+
+    expect(event).toEqual({
+      id: `${orderId}:${gatewayStatus}`,
+      type,
+      providerType: gatewayStatus,
+      payment: expect.objectContaining({ intentId: orderId, status, fineId, amount: 5000, transactionId: 'T-1' })
+    });
+  });
+
+  it('reports refunds with the total refunded so far', async () => {
+    const event = await buildGateway().verifyWebhook(formBody(signed({
+      orderId: `${fineId}_abc`, status: 'partially_refunded', refundId: 'R-1', refundedAmount: '1500.00'
+    })));
+
+    expect(event.type).toBe('payment.refunded');
+    expect(event.id).toBe(`${fineId}_abc:partially_refunded:R-1`);
+    expect(event.refund).toEqual({ refundId: 'R-1', amountRefunded: 1500 });
+  });
+
+  it('rejects callbacks that were not signed with the merchant secret', async () => {
+    const fields = signed({ orderId: `${fineId}_abc`, status: 'success', amount: '5000.00' });
+
+    await expect(buildGateway().verifyWebhook(formBody({ ...fields, amount: '1.00' })))
+      .rejects.toThrow('Invalid gateway signature');
+  });
+
+  it('confirms payments through the signed status API', async () => {
+    global.fetch = jest.fn().mockResolvedValue({
+      ok: true,
+      json: () => Promise.resolve(signed({ orderId: `${fineId}_abc`, status: 'paid', amount: '5000.00' }))
+    });
+
+    const payment = await buildGateway().confirm(`${fineId}_abc`);
+
+    expect(payment.status).toBe('succeeded');
+    const [url, { body }] = global.fetch.mock.calls[0];
+    expect(url).toBe('https://pay.example.lk/status');
+    expect(Object.fromEntries(body)).toEqual(signed({ merchantId: 'M-100', orderId: `${fineId}_abc` }));
+  });
+
+  it('fails when the gateway answers with an error', async () => {
+    global.fetch = jest.fn().mockResolvedValue({ ok: false, status: 503 });
+
+    await expect(buildGateway().refund({ intentId: `${fineId}_abc`, amount: 100 }))
+      .rejects.toThrow('Payment gateway responded with 503');
+  });
+});
+
+describe('fake provider', () => {
+  it('settles intents with the configured outcome when they are confirmed', async () => {
+    const provider = createFakeProvider({ outcome: 'failed' });
+    const { intentId } = await provider.createIntent({ fineId: 'f1', amount: 5000, currency: 'LKR' });
+
+    await expect(provider.confirm(intentId)).resolves.toEqual(expect.objectContaining({ status: 'failed', fineId: 'f1', amount: 5000 }));
+    await expect(provider.confirm('fake_pi_unknown')).resolves.toEqual(expect.objectContaining({ status: 'failed', providerStatus: 'not_found' }));
+  });
+
+  it('keeps the refunds it made', async () => {
+    const provider = createFakeProvider();
+    const { intentId } = await provider.createIntent({ fineId: 'f1', amount: 5000, currency: 'LKR' });
+
+    const refund = await provider.refund({ intentId });
+
+    expect(refund).toEqual(expect.objectContaining({ status: 'succeeded', amount: 5000 }));
+    expect(provider.getRefunds()).toEqual([expect.objectContaining({ intentId, amount: 5000 })]);
+  });
+});
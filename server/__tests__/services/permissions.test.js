@@ -0,0 +1,104 @@
+const Role = require('../../models/Role');
+const {
+  PERMISSIONS,
+  ROLES,
+  DEFAULT_ROLE_PERMISSIONS,
+  getPermissions,
+  listRoles,
+  setRolePermissions,
+  resetRolePermissions
+} = require('../../services/permissions');
+const { mockQuery, objectId } = require('../helpers/fixtures');
+
+const mockOverrides = (roles) => jest.spyOn(Role, 'find').mockReturnValue(mockQuery(roles));
+
+beforeEach(async () => {
+  // Clears the cached overrides left by the previous test
+  jest.spyOn(Role, 'deleteOne').mockResolvedValue({ deletedCount: 0 });
+  await resetRolePermissions('clerk');
+});
+
+afterEach(() => {
+  jest.restoreAllMocks();
+});
+
+describe('DEFAULT_ROLE_PERMISSIONS', () => {
+  it('only grants permissions that exist', () => {
+    Object.values(DEFAULT_ROLE_PERMISSIONS).flat().forEach(permission => {
+      expect(PERMISSIONS).toHaveProperty([permission]);
+    });
+  });
+
+  it('has defaults for every role but admin', () => {
+    expect(Object.keys(DEFAULT_ROLE_PERMISSIONS).sort()).toEqual(ROLES.filter(role => role !== 'admin').sort());
+  });
+
+  it('keeps money and disputes with the roles that handle them', () => {
+    expect(DEFAULT_ROLE_PERMISSIONS.clerk).toEqual(['payments:record-cash']);
+    expect(DEFAULT_ROLE_PERMISSIONS.finance_clerk).toContain('payments:refund');
+    expect(DEFAULT_ROLE_PERMISSIONS.auditor).not.toContain('payments:refund');
+    expect(DEFAULT_ROLE_PERMISSIONS.dispute_reviewer).toContain('disputes:resolve');
+    expect(DEFAULT_ROLE_PERMISSIONS.driver).toEqual([]);
+  });
+});
+
+describe('getPermissions', () => {
+  it('gives admins every permission whatever is stored', async () => {
+    mockOverrides([{ name: 'admin', permissions: [] }]);
+
+    await expect(getPermissions('admin')).resolves.toEqual(Object.keys(PERMISSIONS));
+  });
+
+  it('uses the defaults of roles an admin has not changed', async () => {
+    mockOverrides([]);
+
+    await expect(getPermissions('auditor')).resolves.toEqual(DEFAULT_ROLE_PERMISSIONS.auditor);
+    await expect(getPermissions('unknown')).resolves.toEqual([]);
+  });
+
+  it('uses the permissions an admin stored for a role', async () => {
+    mockOverrides([{ name: 'clerk', permissions: ['payments:record-cash', 'payments:view-cash-up'] }]);
+
+    await expect(getPermissions('clerk')).resolves.toEqual(['payments:record-cash', 'payments:view-cash-up']);
+  });
+
+  it('reads stored permissions once while they are cached', async () => {
+    mockOverrides([]);
+
+    await getPermissions('clerk');
+    await getPermissions('auditor');
+
+    expect(Role.find).toHaveBeenCalledTimes(1);
+  });
+});
+
+describe('setRolePermissions', () => {
+  it('stores each permission once and takes effect straight away', async () => {
+    mockOverrides([]);
+    await getPermissions('clerk');
+    jest.spyOn(Role, 'findOneAndUpdate').mockResolvedValue({});
+    const adminId = objectId();
+
+    await setRolePermissions('clerk', ['payments:refund', 'payments:refund'], adminId);
+    Role.find.mockReturnValue(mockQuery([{ name: 'clerk', permissions: ['payments:refund'] }]));
+
+    expect(Role.findOneAndUpdate).toHaveBeenCalledWith(
+      { name: 'clerk' },
+      { $set: { permissions: ['payments:refund'], updatedBy: adminId } },
+      { upsert: true, new: true, runValidators: true }
+    );
+    await expect(getPermissions('clerk')).resolves.toEqual(['payments:refund']);
+  });
+});
+
+describe('listRoles', () => {
+  it('lists every role with whether it was changed and can be changed', async () => {
+    mockOverrides([{ name: 'clerk', permissions: [] }]);
+
+    const roles = await listRoles();
+
+    expect(roles.map(role => role.name)).toEqual(ROLES);
+    expect(roles.find(role => role.name === 'clerk')).toEqual({ name: 'clerk', permissions: [], isCustomised: true, isEditable: true });
+    expect(roles.find(role => role.name === 'admin')).toEqual(expect.objectContaining({ isCustomised: false, isEditable: false }));
+  });
+});
@@ -0,0 +1,131 @@
+const mockProvider = { name: 'stripe', label: 'Card (Stripe)' };
+
+jest.mock('../../services/payments', () => ({
+  ...jest.requireActual('../../services/payments'),
+  getProvider: jest.fn(() => mockProvider)
+}));
+jest.mock('../../services/ledger', () => ({
+  ...jest.requireActual('../../services/ledger'),
+  recordRefund: jest.fn().mockResolvedValue({}),
+  getRefundablePayments: jest.fn()
+}));
+
+const PaymentEvent = require('../../models/PaymentEvent');
+const Transaction = require('../../models/Transaction');
+const Checkout = require('../../models/Checkout');
+const Fine = require('../../models/Fine');
+const { recordRefund, getRefundablePayments } = require('../../services/ledger');
+const { processEvent } = require('../../services/paymentEvents');
+const { objectId, buildPaidFine } = require('../helpers/fixtures');
+
+const fine = buildPaidFine({ fineAmount: 5000 });
+const payment = { _id: objectId(), fine: fine._id, type: 'payment', status: 'succeeded', amount: 5000, reference: 'pi_1' };
+
+const buildEvent = (refund) => {
+  const paymentEvent = new PaymentEvent({
+    provider: 'stripe',
+    eventId: 'evt_1',
+    type: 'payment.refunded',
+    data: { payment: { intentId: 'pi_1', transactionId: 'ch_1' }, refund }
+  });
+  jest.spyOn(paymentEvent, 'save').mockResolvedValue(paymentEvent);
+  jest.spyOn(PaymentEvent, 'findOneAndUpdate').mockResolvedValue(paymentEvent);
+  return paymentEvent;
+};
+
+// Transaction.findOne finds the recorded refunds by reference and the captured payment
+const mockLedger = (recordedRefunds = []) => {
+  jest.spyOn(Transaction, 'findOne').mockImplementation((filter) => Promise.resolve(
+    filter.type === 'refund' ? recordedRefunds.find(refund => refund.reference === filter.reference) || null : payment
+  ));
+  jest.spyOn(Fine, 'findById').mockResolvedValue(fine);
+  jest.spyOn(Checkout, 'exists').mockResolvedValue(null);
+};
+
+beforeEach(() => {
+  jest.spyOn(console, 'log').mockImplementation(() => {});
+  jest.spyOn(console, 'error').mockImplementation(() => {});
+});
+
+afterEach(() => {
+  jest.restoreAllMocks();
+  jest.clearAllMocks();
+});
+
+describe('payment.refunded events listing every refund', () => {
+  it('records refunds made in the provider\'s dashboard against the payment', async () => {
+    mockLedger();
+    const paymentEvent = buildEvent({
+      refunds: [
+        { refundId: 're_1', amount: 2000, status: 'succeeded' },
+        { refundId: 're_2', amount: 1000, status: 'failed' }
+      ]
+    });
+
+    const processed = await processEvent(paymentEvent);
+
+    expect(processed.status).toBe('processed');
+    expect(processed.fine).toEqual(fine._id);
+    expect(recordRefund).toHaveBeenCalledTimes(1);
+    expect(recordRefund).toHaveBeenCalledWith(fine, expect.objectContaining({
+      refundId: 're_1',
+      amount: 2000,
+      status: 'succeeded',
+      method: 'stripe',
+      refundOf: payment._id
+    }));
+  });
+
+  it('updates refunds issued through the refund endpoint once they settle', async () => {
+    mockLedger([{ reference: 're_1', fine: fine._id, status: 'pending' }]);
+    const paymentEvent = buildEvent({ refunds: [{ refundId: 're_1', amount: 2000, status: 'succeeded' }] });
+
+    await processEvent(paymentEvent);
+
+    expect(recordRefund).toHaveBeenCalledWith(fine, { refundId: 're_1', status: 'succeeded' });
+  });
+
+  it('leaves refunds that are already up to date alone', async () => {
+    mockLedger([{ reference: 're_1', fine: fine._id, status: 'succeeded' }]);
+    const paymentEvent = buildEvent({ refunds: [{ refundId: 're_1', amount: 2000, status: 'succeeded' }] });
+
+    await processEvent(paymentEvent);
+
+    expect(recordRefund).not.toHaveBeenCalled();
+  });
+
+  it('fails dashboard refunds of a checkout payment shared by several fines', async () => {
+    mockLedger();
+    Checkout.exists.mockResolvedValue({ _id: objectId() });
+    const paymentEvent = buildEvent({ refunds: [{ refundId: 're_1', amount: 2000, status: 'succeeded' }] });
+
+    const processed = await processEvent(paymentEvent);
+
+    expect(processed.status).toBe('failed');
+    expect(processed.lastError).toMatch(/must be issued per fine/);
+    expect(recordRefund).not.toHaveBeenCalled();
+  });
+});
+
+describe('payment.refunded events with the total refunded', () => {
+  it('records only the part of the total not in the ledger yet', async () => {
+    mockLedger();
+    getRefundablePayments.mockResolvedValue([{ payment, refunded: 1000, refundable: 4000 }]);
+    const paymentEvent = buildEvent({ refundId: 'R-2', amountRefunded: 1500 });
+
+    await processEvent(paymentEvent);
+
+    expect(recordRefund).toHaveBeenCalledWith(fine, expect.objectContaining({ refundId: 'R-2', amount: 500, refundOf: payment._id }));
+  });
+
+  it('does nothing when the ledger already holds the total', async () => {
+    mockLedger();
+    getRefundablePayments.mockResolvedValue([{ payment, refunded: 1500, refundable: 3500 }]);
+    const paymentEvent = buildEvent({ refundId: 'R-2', amountRefunded: 1500 });
+
+    const processed = await processEvent(paymentEvent);
+
+    expect(processed.status).toBe('processed');
+    expect(recordRefund).not.toHaveBeenCalled();
+  });
+});
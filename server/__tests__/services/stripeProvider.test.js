@@ -0,0 +1,99 @@
+const mockRefunds = { create: jest.fn(), list: jest.fn() };
+
+// The real SDK, so webhook signatures are checked as in production, with its refunds
+// API replaced
+jest.mock('stripe', () => {
+  const Stripe = jest.requireActual('stripe');
+  return jest.fn((...args) => Object.assign(Stripe(...args), { refunds: mockRefunds }));
+});
+
+const Stripe = jest.requireActual('stripe');
+const createStripeProvider = require('../../services/payments/stripeProvider');
+
+const WEBHOOK_SECRET = 'whsec_test';
+const stripe = Stripe('sk_test_123');
+const provider = createStripeProvider({ secretKey: 'sk_test_123', webhookSecret: WEBHOOK_SECRET });
+
+// Webhook delivery of `object` as a Stripe event of `type`, signed like Stripe signs it
+const delivery = (type, object, secret = WEBHOOK_SECRET) => {
+  const rawBody = JSON.stringify({ id: 'evt_1', object: 'event', type, data: { object } });
+  return {
+    rawBody: Buffer.from(rawBody),
+    headers: { 'stripe-signature': stripe.webhooks.generateTestHeaderString({ payload: rawBody, secret }) }
+  };
+};
+
+afterEach(() => {
+  jest.clearAllMocks();
+});
+
+describe('stripe provider refunds', () => {
+  it('refunds in cents and maps the refund status', async () => {
+    mockRefunds.create.mockResolvedValue({ id: 're_1', amount: 150050, status: 'pending' });
+
+    await expect(provider.refund({ intentId: 'pi_1', amount: 1500.5 })).resolves.toEqual({ refundId: 're_1', amount: 1500.5, status: 'pending' });
+    expect(mockRefunds.create).toHaveBeenCalledWith({ payment_intent: 'pi_1', amount: 150050 });
+  });
+
+  it('refunds everything left when no amount is given', async () => {
+    mockRefunds.create.mockResolvedValue({ id: 're_2', amount: 500000, status: 'canceled' });
+
+    await expect(provider.refund({ intentId: 'pi_1' })).resolves.toEqual(expect.objectContaining({ status: 'failed' }));
+    expect(mockRefunds.create).toHaveBeenCalledWith({ payment_intent: 'pi_1' });
+  });
+
+  it('lists every refund of the payment for refund webhooks', async () => {
+    mockRefunds.list.mockResolvedValue({
+      data: [
+        { id: 're_1', amount: 200000, status: 'succeeded' },
+        { id: 're_2', amount: 100000, status: 'failed' }
+      ]
+    });
+
+    const event = await provider.verifyWebhook(delivery('charge.refunded', { id: 'ch_1', object: 'charge', payment_intent: 'pi_1' }));
+
+    expect(mockRefunds.list).toHaveBeenCalledWith({ payment_intent: 'pi_1', limit: 100 });
+    expect(event).toEqual({
+      id: 'evt_1',
+      type: 'payment.refunded',
+      payment: { intentId: 'pi_1', transactionId: 'ch_1' },
+      refund: {
+        refunds: [
+          { refundId: 're_1', amount: 2000, status: 'succeeded' },
+          { refundId: 're_2', amount: 1000, status: 'failed' }
+        ]
+      }
+    });
+  });
+});
+
+describe('stripe provider webhooks', () => {
+  it('maps a succeeded payment intent', async () => {
+    const event = await provider.verifyWebhook(delivery('payment_intent.succeeded', {
+      id: 'pi_1',
+      object: 'payment_intent',
+      status: 'succeeded',
+      amount: 500000,
+      currency: 'lkr',
+      metadata: { fineId: 'fine_1' },
+      latest_charge: 'ch_1'
+    }));
+
+    expect(event).toEqual({
+      id: 'evt_1',
+      type: 'payment.succeeded',
+      payment: expect.objectContaining({ intentId: 'pi_1', status: 'succeeded', fineId: 'fine_1', amount: 5000, currency: 'LKR', transactionId: 'ch_1' })
+    });
+  });
+
+  it('leaves other events unhandled', async () => {
+    const event = await provider.verifyWebhook(delivery('customer.created', { id: 'cus_1' }));
+
+    expect(event).toEqual({ id: 'evt_1', type: 'unhandled', providerType: 'customer.created' });
+  });
+
+  it('rejects events not signed with the webhook secret', async () => {
+    await expect(provider.verifyWebhook(delivery('payment_intent.succeeded', { id: 'pi_1' }, 'whsec_other')))
+      .rejects.toThrow(/signature/i);
+  });
+});
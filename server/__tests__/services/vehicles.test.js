@@ -0,0 +1,84 @@
+const Vehicle = require('../../models/Vehicle');
+const { normalizePlate, findOrCreateVehicle } = require('../../services/vehicles');
+
+describe('normalizePlate', () => {
+  it.each([
+    ['wp cab 1234', { plate: 'WP CAB-1234', registrationNumber: 'CAB-1234', provinceCode: 'WP' }],
+    ['WP-CAB-1234', { plate: 'WP CAB-1234', registrationNumber: 'CAB-1234', provinceCode: 'WP' }],
+    ['wpcab1234', { plate: 'WP CAB-1234', registrationNumber: 'CAB-1234', provinceCode: 'WP' }],
+    ['  sg  ka 4321 ', { plate: 'SG KA-4321', registrationNumber: 'KA-4321', provinceCode: 'SG' }]
+  ])('reads the province and letter series of %p', (value, expected) => {
+    expect(normalizePlate(value)).toEqual(expected);
+  });
+
+  it('leaves out the province when the plate has none', () => {
+    expect(normalizePlate('cab-1234')).toEqual({ plate: 'CAB-1234', registrationNumber: 'CAB-1234', provinceCode: undefined });
+  });
+
+  it('gives the same registration number with and without the province', () => {
+    expect(normalizePlate('WP CAB 1234').registrationNumber).toBe(normalizePlate('CAB1234').registrationNumber);
+  });
+
+  it.each([
+    ['19-1234'],
+    ['19 1234'],
+    ['19 ශ්‍රී 1234'],
+    ['19 Sri 1234']
+  ])('reads the old numeric series %p', (value) => {
+    expect(normalizePlate(value)).toEqual({ plate: '19-1234', registrationNumber: '19-1234' });
+  });
+
+  it.each([
+    [''],
+    [null],
+    ['CAB'],
+    ['XX CAB 1234'],
+    ['C 1234'],
+    ['1234-1234'],
+    ['CAB 12345']
+  ])('returns null for %p', (value) => {
+    expect(normalizePlate(value)).toBeNull();
+  });
+});
+
+describe('findOrCreateVehicle', () => {
+  // Vehicle.findOneAndUpdate upserting into `existing`, or a new vehicle when there is none
+  const mockRegistry = (existing) => {
+    jest.spyOn(Vehicle, 'findOneAndUpdate').mockImplementation((filter, update) => {
+      const vehicle = Vehicle.hydrate(existing || update.$setOnInsert);
+      jest.spyOn(vehicle, 'save').mockResolvedValue(vehicle);
+      return Promise.resolve(vehicle);
+    });
+  };
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  it('registers a plate the first time a fine is written against it', async () => {
+    mockRegistry(null);
+
+    const vehicle = await findOrCreateVehicle(normalizePlate('wp cab 1234'), { vehicleType: 'Car' });
+
+    expect(Vehicle.findOneAndUpdate).toHaveBeenCalledWith(
+      { registrationNumber: 'CAB-1234' },
+      { $setOnInsert: { plate: 'WP CAB-1234', registrationNumber: 'CAB-1234', provinceCode: 'WP', vehicleType: 'Car' } },
+      { upsert: true, new: true, runValidators: true }
+    );
+    expect(vehicle.plate).toBe('WP CAB-1234');
+    expect(vehicle.save).not.toHaveBeenCalled();
+  });
+
+  it('fills in the province and details a vehicle was registered without', async () => {
+    mockRegistry({ plate: 'CAB-1234', registrationNumber: 'CAB-1234', vehicleType: 'Car', make: 'Toyota' });
+
+    const vehicle = await findOrCreateVehicle(normalizePlate('WP CAB 1234'), { vehicleType: 'Van', make: 'Nissan', color: 'White' });
+
+    expect(vehicle.plate).toBe('WP CAB-1234');
+    expect(vehicle.provinceCode).toBe('WP');
+    expect(vehicle.make).toBe('Toyota');
+    expect(vehicle.color).toBe('White');
+    expect(vehicle.vehicleType).toBe('Car');
+    expect(vehicle.save).toHaveBeenCalledTimes(1);
+  });
+});
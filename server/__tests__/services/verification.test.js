@@ -0,0 +1,51 @@
+const { createVerificationCode, readVerificationCode, getVerificationUrl } = require('../../services/verification');
+
+process.env.VERIFICATION_SECRET = process.env.VERIFICATION_SECRET || 'test-verification-secret';
+
+describe('verification codes', () => {
+  it('read back to the fine number they were created for', () => {
+    const code = createVerificationCode('WP-COL-2026-000001');
+
+    expect(code).toMatch(/^WP-COL-2026-000001\.[\w-]{16}$/);
+    expect(readVerificationCode(code)).toBe('WP-COL-2026-000001');
+  });
+
+  it.each([
+    ['another fine number with a copied signature', () => `WP-COL-2026-000002.${createVerificationCode('WP-COL-2026-000001').split('.')[1]}`],
+    ['a shortened signature', () => createVerificationCode('WP-COL-2026-000001').slice(0, -1)],
+    ['a bare fine number', () => 'WP-COL-2026-000001'],
+    ['a code without a fine number', () => '.abc'],
+    ['nothing', () => undefined]
+  ])('are refused for %s', (label, getCode) => {
+    expect(readVerificationCode(getCode())).toBeNull();
+  });
+
+  it('depend on the verification secret', () => {
+    const original = process.env.VERIFICATION_SECRET;
+    const code = createVerificationCode('WP-COL-2026-000001');
+    process.env.VERIFICATION_SECRET = 'rotated-secret';
+
+    try {
+      expect(readVerificationCode(code)).toBeNull();
+    } finally {
+      process.env.VERIFICATION_SECRET = original;
+    }
+  });
+});
+
+describe('getVerificationUrl', () => {
+  const originalBaseUrl = process.env.VERIFICATION_BASE_URL;
+
+  afterEach(() => {
+    process.env.VERIFICATION_BASE_URL = originalBaseUrl;
+    if (originalBaseUrl === undefined) delete process.env.VERIFICATION_BASE_URL;
+  });
+
+  it('links the public verification page with a signed code', () => {
+    process.env.VERIFICATION_BASE_URL = 'https://fines.police.lk';
+
+    const url = getVerificationUrl({ fineId: 'WP-COL-2026-000001' });
+
+    expect(url).toBe(`https://fines.police.lk/verify/${createVerificationCode('WP-COL-2026-000001')}`);
+  });
+});
@@ -11,10 +11,24 @@ const userRoutes = require('./routes/users');
 const fineRoutes = require('./routes/fines');
 const violationRoutes = require('./routes/violations');
 const paymentRoutes = require('./routes/payments');
+const disputeRoutes = require('./routes/disputes');
+const notificationRoutes = require('./routes/notifications');
+const pointRoutes = require('./routes/points');
+const verifyRoutes = require('./routes/verify');
+const stationRoutes = require('./routes/stations');
+const roleRoutes = require('./routes/roles');
+const officerApplicationRoutes = require('./routes/officerApplications');
+const vehicleRoutes = require('./routes/vehicles');
+const licenseConflictRoutes = require('./routes/licenseConflicts');
 
 // Import middleware
 const errorHandler = require('./middleware/errorHandler');
 
+// Import background jobs
+const { startOverdueSweeper } = require('./jobs/overdueSweeper');
+const { startPaymentEventRetry } = require('./jobs/paymentEventRetry');
+const { startDemeritExpiry } = require('./jobs/demeritExpiry');
+
 const app = express();
 
 // Trust proxy for rate limiting (fixes X-Forwarded-For header issue)
@@ -33,10 +47,14 @@ const limiter = rateLimit({
   max: 100, // limit each IP to 100 requests per windowMs
   standardHeaders: true,
   legacyHeaders: false,
+  // Public verification lookups have their own limiter
+  skip: (req) => req.path.startsWith('/api/verify'),
 });
 app.use(limiter);
 
 // Body parsing middleware
+// Payment webhooks keep the raw body so providers can verify their signatures
+app.use('/api/payments/webhook', express.raw({ type: '*/*' }));
 app.use(express.json({ limit: '10mb' }));
 app.use(express.urlencoded({ extended: true }));
 
@@ -45,7 +63,14 @@ mongoose.connect(process.env.MONGODB_URI || 'mongodb://localhost:27017/police-fi
   useNewUrlParser: true,
   useUnifiedTopology: true,
 })
-.then(() => console.log('MongoDB connected successfully'))
+.then(() => {
+  console.log('MongoDB connected successfully');
+  if (process.env.NODE_ENV !== 'test') {
+    startOverdueSweeper();
+    startPaymentEventRetry();
+    startDemeritExpiry();
+  }
+})
 .catch(err => console.error('MongoDB connection error:', err));
 
 // API routes
@@ -54,6 +79,15 @@ app.use('/api/users', userRoutes);
 app.use('/api/fines', fineRoutes);
 app.use('/api/violations', violationRoutes);
 app.use('/api/payments', paymentRoutes);
+app.use('/api/disputes', disputeRoutes);
+app.use('/api/notifications', notificationRoutes);
+app.use('/api/points', pointRoutes);
+app.use('/api/verify', verifyRoutes);
+app.use('/api/stations', stationRoutes);
+app.use('/api/roles', roleRoutes);
+app.use('/api/officer-applications', officerApplicationRoutes);
+app.use('/api/vehicles', vehicleRoutes);
+app.use('/api/license-conflicts', licenseConflictRoutes);
 
 // Swagger documentation
 if (process.env.NODE_ENV !== 'production') {
@@ -0,0 +1,43 @@
+const { liftExpiredSuspensions } = require('../services/demeritPoints');
+
+// How often suspended drivers are checked for expired points; 0 disables the job
+const EXPIRY_INTERVAL_MINUTES = parseInt(process.env.DEMERIT_EXPIRY_INTERVAL_MINUTES ?? '60');
+
+let isRunning = false;
+
+// Reinstate drivers whose points have dropped below the threshold as entries expired
+const refreshExpiredDemeritPoints = async () => {
+  if (isRunning) return null;
+  isRunning = true;
+
+  try {
+    const result = await liftExpiredSuspensions();
+    if (result.reinstated || result.failed) {
+      console.log('Demerit point expiry completed:', result);
+    }
+    return result;
+  } finally {
+    isRunning = false;
+  }
+};
+
+// Start the expiry job on an interval inside the server process
+const startDemeritExpiry = () => {
+  if (!EXPIRY_INTERVAL_MINUTES || EXPIRY_INTERVAL_MINUTES <= 0) {
+    console.log('Demerit point expiry disabled');
+    return null;
+  }
+
+  const run = () => refreshExpiredDemeritPoints().catch(error => console.error('Demerit point expiry error:', error));
+
+  run();
+  const timer = setInterval(run, EXPIRY_INTERVAL_MINUTES * 60 * 1000);
+  timer.unref();
+  console.log(`Demerit point expiry running every ${EXPIRY_INTERVAL_MINUTES} minutes`);
+  return timer;
+};
+
+module.exports = {
+  refreshExpiredDemeritPoints,
+  startDemeritExpiry
+};
@@ -0,0 +1,129 @@
+const Fine = require('../models/Fine');
+const { notify } = require('../services/notifications');
+const { recordAdjustment } = require('../services/ledger');
+
+// How often the sweeper runs; 0 disables it
+const SWEEP_INTERVAL_MINUTES = parseInt(process.env.OVERDUE_SWEEP_INTERVAL_MINUTES ?? '60');
+
+// Parse a surcharge schedule such as "14:10,30:25" (days overdue:percent of base amount)
+const parsePenaltySchedule = (value) => {
+  return (value || '')
+    .split(',')
+    .map(tier => tier.trim())
+    .filter(Boolean)
+    .map(tier => {
+      const [days, percent] = tier.split(':').map(Number);
+      return { days, percent };
+    })
+    .filter(tier => Number.isFinite(tier.days) && tier.days > 0 && Number.isFinite(tier.percent) && tier.percent > 0);
+};
+
+const PENALTY_SCHEDULE = parsePenaltySchedule(process.env.LATE_PENALTY_SCHEDULE ?? '14:10,30:25');
+
+// Drivers are only warned about surcharges when a schedule is configured
+const SURCHARGE_WARNING = PENALTY_SCHEDULE.length > 0 ? ' Late payment surcharges may apply.' : '';
+
+let isSweeping = false;
+
+// Move past-due pending fines to overdue and apply late-payment surcharges
+const sweepOverdueFines = async (now = new Date()) => {
+  if (isSweeping) return null;
+  isSweeping = true;
+
+  const result = { markedOverdue: 0, penalised: 0, failed: 0 };
+
+  try {
+    const pastDueCursor = Fine.findOverdue(now).cursor();
+    for await (const fine of pastDueCursor) {
+      try {
+        const missedInstalment = fine.nextInstalment;
+        fine.transitionTo('overdue');
+        await fine.save();
+        result.markedOverdue += 1;
+
+        // A missed instalment ends the plan and makes the whole remaining balance overdue
+        await notify([fine.driverId], missedInstalment ? {
+          type: 'instalment_missed',
+          title: 'Instalment missed',
+          message: `Instalment ${missedInstalment.number} of fine ${fine.fineId} was due on ${missedInstalment.dueDate.toDateString()}. The instalment plan has ended and the remaining ${fine.currency} ${fine.outstandingAmount.toLocaleString('en-US')} is now overdue.${SURCHARGE_WARNING}`,
+          fine
+        } : {
+          type: 'fine_overdue',
+          title: 'Fine overdue',
+          message: `Fine ${fine.fineId} was due on ${fine.dueDate.toDateString()} and is now overdue.${SURCHARGE_WARNING}`,
+          fine
+        });
+      } catch (error) {
+        result.failed += 1;
+        console.error(`Overdue sweep failed for fine ${fine._id}:`, error);
+      }
+    }
+
+    if (PENALTY_SCHEDULE.length > 0) {
+      const firstTierDays = Math.min(...PENALTY_SCHEDULE.map(tier => tier.days));
+      const penaltyCursor = Fine.find({
+        status: 'overdue',
+        dueDate: { $lt: new Date(now.getTime() - firstTierDays * 24 * 60 * 60 * 1000) }
+      }).cursor();
+
+      for await (const fine of penaltyCursor) {
+        try {
+          const penalty = fine.applyLatePenalty(PENALTY_SCHEDULE, now);
+          if (!fine.isModified()) continue;
+
+          // The ledger entry goes first and is keyed by the amount history entry it
+          // matches, so a failed save is retried without charging the penalty twice
+          if (penalty) {
+            await recordAdjustment(fine, {
+              amount: penalty.amount,
+              reason: penalty.reason,
+              reference: `penalty:${fine._id}:${fine.amountHistory.length - 1}`
+            });
+          }
+          await fine.save();
+          if (penalty) {
+            result.penalised += 1;
+            await notify([fine.driverId], {
+              type: 'late_penalty',
+              title: 'Late payment surcharge applied',
+              message: `A ${fine.currency} ${penalty.amount.toLocaleString('en-US')} surcharge was added to fine ${fine.fineId}. New amount: ${fine.formattedFineAmount}.`,
+              fine
+            });
+          }
+        } catch (error) {
+          result.failed += 1;
+          console.error(`Late penalty failed for fine ${fine._id}:`, error);
+        }
+      }
+    }
+
+    if (result.markedOverdue || result.penalised || result.failed) {
+      console.log('Overdue sweep completed:', result);
+    }
+    return result;
+  } finally {
+    isSweeping = false;
+  }
+};
+
+// Start the sweeper on an interval inside the server process
+const startOverdueSweeper = () => {
+  if (!SWEEP_INTERVAL_MINUTES || SWEEP_INTERVAL_MINUTES <= 0) {
+    console.log('Overdue sweeper disabled');
+    return null;
+  }
+
+  const run = () => sweepOverdueFines().catch(error => console.error('Overdue sweep error:', error));
+
+  run();
+  const timer = setInterval(run, SWEEP_INTERVAL_MINUTES * 60 * 1000);
+  timer.unref();
+  console.log(`Overdue sweeper running every ${SWEEP_INTERVAL_MINUTES} minutes`);
+  return timer;
+};
+
+module.exports = {
+  parsePenaltySchedule,
+  sweepOverdueFines,
+  startOverdueSweeper
+};
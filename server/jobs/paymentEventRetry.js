@@ -0,0 +1,43 @@
+const { retryPaymentEvents } = require('../services/paymentEvents');
+
+// How often failed payment events are retried; 0 disables retries
+const RETRY_INTERVAL_MINUTES = parseInt(process.env.PAYMENT_EVENT_RETRY_INTERVAL_MINUTES ?? '5');
+
+let isRetrying = false;
+
+// Retry payment webhook events that failed or were interrupted
+const retryFailedPaymentEvents = async () => {
+  if (isRetrying) return null;
+  isRetrying = true;
+
+  try {
+    const result = await retryPaymentEvents();
+    if (result.processed || result.failed) {
+      console.log('Payment event retry completed:', result);
+    }
+    return result;
+  } finally {
+    isRetrying = false;
+  }
+};
+
+// Start the retry job on an interval inside the server process
+const startPaymentEventRetry = () => {
+  if (!RETRY_INTERVAL_MINUTES || RETRY_INTERVAL_MINUTES <= 0) {
+    console.log('Payment event retry disabled');
+    return null;
+  }
+
+  const run = () => retryFailedPaymentEvents().catch(error => console.error('Payment event retry error:', error));
+
+  run();
+  const timer = setInterval(run, RETRY_INTERVAL_MINUTES * 60 * 1000);
+  timer.unref();
+  console.log(`Payment event retry running every ${RETRY_INTERVAL_MINUTES} minutes`);
+  return timer;
+};
+
+module.exports = {
+  retryFailedPaymentEvents,
+  startPaymentEventRetry
+};
@@ -1,5 +1,6 @@
 const jwt = require('jsonwebtoken');
 const User = require('../models/User');
+const { getPermissions } = require('../services/permissions');
 
 // Middleware to verify JWT token
 const authenticateToken = async (req, res, next) => {
@@ -17,8 +18,10 @@ const authenticateToken = async (req, res, next) => {
     // Verify token
     const decoded = jwt.verify(token, process.env.JWT_SECRET);
     
-    // Find user and attach to request
-    const user = await User.findById(decoded.userId).select('-password');
+    // Find user and attach to request, with the station that sets a commander's jurisdiction
+    const user = await User.findById(decoded.userId)
+      .select('-password')
+      .populate('station', 'name code division province');
     if (!user) {
       return res.status(401).json({ 
         message: 'Invalid token - user not found',
@@ -34,6 +37,7 @@ const authenticateToken = async (req, res, next) => {
     }
 
     req.user = user;
+    req.permissions = await getPermissions(user.role);
     next();
   } catch (error) {
     if (error.name === 'JsonWebTokenError') {
@@ -78,20 +82,38 @@ const authorizeRoles = (...roles) => {
   };
 };
 
-// Middleware to check if user is admin
-const requireAdmin = authorizeRoles('admin');
+// Check whether the authenticated user's role has been granted a permission
+const hasPermission = (req, permission) => !!req.permissions && req.permissions.includes(permission);
 
-// Middleware to check if user is police officer or admin
-const requirePoliceOrAdmin = authorizeRoles('police_officer', 'admin');
+// Middleware to check that the user has at least one of the given permissions
+const requirePermission = (...permissions) => {
+  return (req, res, next) => {
+    if (!req.user) {
+      return res.status(401).json({ 
+        message: 'Authentication required',
+        error: 'NOT_AUTHENTICATED'
+      });
+    }
 
-// Middleware to check if user can access driver data (driver themselves, police, or admin)
+    if (!permissions.some(permission => hasPermission(req, permission))) {
+      return res.status(403).json({ 
+        message: `Access denied. Required permission: ${permissions.join(' or ')}`,
+        error: 'INSUFFICIENT_PERMISSIONS'
+      });
+    }
+
+    next();
+  };
+};
+
+// Middleware to check if user can access driver data (driver themselves, or staff with drivers:view)
 const canAccessDriverData = async (req, res, next) => {
   try {
     const { driverId } = req.params;
     const currentUser = req.user;
 
-    // Admin and police officers can access any driver data
-    if (currentUser.role === 'admin' || currentUser.role === 'police_officer') {
+    // Staff allowed to view drivers can access any driver data
+    if (hasPermission(req, 'drivers:view')) {
       return next();
     }
 
@@ -145,7 +167,7 @@ const validateResourceOwnership = (resourceModel, resourceIdParam = 'id') => {
 
       if (resourceModel.modelName === 'Fine') {
         // For fines: drivers can access their own fines, police can access fines they created
-        if (currentUser.role === 'driver' && resource.driverId.toString() === currentUser._id.toString()) {
+        if (currentUser.role === 'driver' && resource.driverId?.toString() === currentUser._id.toString()) {
           hasAccess = true;
         } else if (currentUser.role === 'police_officer' && resource.policeOfficer.toString() === currentUser._id.toString()) {
           hasAccess = true;
@@ -176,6 +198,39 @@ const validateResourceOwnership = (resourceModel, resourceIdParam = 'id') => {
   };
 };
 
+const idOf = (value) => value && value._id ? value._id : value;
+
+// Station, division or province a commander commands. Expects the user's station to
+// be populated, as authenticateToken does.
+const getCommandUnit = (user) => user.station && (
+  user.commandLevel === 'station' ? idOf(user.station) : user.station[user.commandLevel]
+);
+
+// Fine filter limiting a commander to their jurisdiction, e.g. `{ division: <id> }`, or
+// null for users who are not commanders. `prefix` is prepended to the field, for
+// pipelines where the fine is nested. A commander without a station matches no fines.
+const getJurisdiction = (user, prefix = '') => {
+  if (!user.commandLevel) {
+    return null;
+  }
+  return { [`${prefix}${user.commandLevel}`]: getCommandUnit(user) || { $in: [] } };
+};
+
+// Check whether a user may view a fine: drivers only see their own fines, commanders
+// the fines of their jurisdiction, other police officers and admins any fine
+const canAccessFine = (user, fine) => {
+  if (user.role !== 'driver') {
+    if (!user.commandLevel) {
+      return true;
+    }
+    const unit = getCommandUnit(user);
+    const fineUnit = idOf(fine[user.commandLevel]);
+    return !!unit && !!fineUnit && fineUnit.toString() === unit.toString();
+  }
+  const driverId = idOf(fine.driverId);
+  return !!driverId && driverId.toString() === user._id.toString();
+};
+
 // Optional authentication middleware (doesn't fail if no token)
 const optionalAuth = async (req, res, next) => {
   try {
@@ -200,9 +255,11 @@ const optionalAuth = async (req, res, next) => {
 module.exports = {
   authenticateToken,
   authorizeRoles,
-  requireAdmin,
-  requirePoliceOrAdmin,
+  hasPermission,
+  requirePermission,
   canAccessDriverData,
   validateResourceOwnership,
+  getJurisdiction,
+  canAccessFine,
   optionalAuth
 };
\ No newline at end of file
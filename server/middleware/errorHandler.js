@@ -24,6 +24,20 @@ const errorHandler = (err, req, res, next) => {
       statusCode: 400,
       error: 'DUPLICATE_FIELD'
     };
+    // Lost a race for a license or NIC number that was free when it was checked
+    if (field === 'profile.licenseNumber') {
+      error = {
+        message: 'License number is already registered to another account',
+        statusCode: 409,
+        error: 'LICENSE_IN_USE'
+      };
+    } else if (field === 'profile.nicCanonical') {
+      error = {
+        message: 'NIC number is already registered to another account',
+        statusCode: 409,
+        error: 'NIC_IN_USE'
+      };
+    }
   }
 
   // Mongoose validation error
@@ -55,6 +69,15 @@ const errorHandler = (err, req, res, next) => {
     };
   }
 
+  // Multer upload errors
+  if (err.name === 'MulterError') {
+    error = {
+      message: err.code === 'LIMIT_FILE_SIZE' ? 'File is too large' : err.message,
+      statusCode: 400,
+      error: err.code === 'LIMIT_FILE_SIZE' ? 'FILE_TOO_LARGE' : 'UPLOAD_ERROR'
+    };
+  }
+
   // Stripe errors
   if (err.type && err.type.startsWith('Stripe')) {
     const message = 'Payment processing error';
@@ -70,6 +93,7 @@ const errorHandler = (err, req, res, next) => {
     success: false,
     message: error.message || 'Server Error',
     error: error.error || 'SERVER_ERROR',
+    ...(error.details && { details: error.details }),
     ...(process.env.NODE_ENV === 'development' && { stack: err.stack })
   });
 };
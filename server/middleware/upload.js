@@ -0,0 +1,55 @@
+const multer = require('multer');
+const { UnsupportedFileTypeError } = require('../utils/errors');
+
+// Accepted evidence MIME types and the evidence type each maps to
+const EVIDENCE_MIME_TYPES = {
+  'image/jpeg': 'photo',
+  'image/png': 'photo',
+  'image/webp': 'photo',
+  'video/mp4': 'video',
+  'video/quicktime': 'video',
+  'application/pdf': 'document'
+};
+
+const MAX_FILE_SIZE_MB = parseInt(process.env.EVIDENCE_MAX_FILE_SIZE_MB) || 25;
+const MAX_FILES = 10;
+
+// Multipart upload kept in memory and handed to the storage adapter by the route, so
+// thumbnails can be generated from the same buffer. Files of other types are rejected.
+const createUpload = ({ mimeTypes, maxSizeMb = MAX_FILE_SIZE_MB, maxFiles = 1 }) => multer({
+  storage: multer.memoryStorage(),
+  limits: {
+    fileSize: maxSizeMb * 1024 * 1024,
+    files: maxFiles
+  },
+  fileFilter: (req, file, cb) => {
+    if (!mimeTypes.includes(file.mimetype)) {
+      return cb(new UnsupportedFileTypeError(file.mimetype, mimeTypes));
+    }
+    cb(null, true);
+  }
+});
+
+// Photos, videos and documents attached to a fine
+const evidenceUpload = createUpload({ mimeTypes: Object.keys(EVIDENCE_MIME_TYPES), maxFiles: MAX_FILES });
+
+// Scanned or photographed bank and post office payment slips
+const PAYMENT_SLIP_MIME_TYPES = ['image/jpeg', 'image/png', 'image/webp', 'application/pdf'];
+
+const paymentSlipUpload = createUpload({ mimeTypes: PAYMENT_SLIP_MIME_TYPES });
+
+// Scanned or photographed police ID cards attached to officer applications
+const ID_DOCUMENT_MIME_TYPES = ['image/jpeg', 'image/png', 'image/webp', 'application/pdf'];
+
+const idDocumentUpload = createUpload({ mimeTypes: ID_DOCUMENT_MIME_TYPES });
+
+module.exports = {
+  createUpload,
+  EVIDENCE_MIME_TYPES,
+  MAX_FILES,
+  evidenceUpload,
+  PAYMENT_SLIP_MIME_TYPES,
+  paymentSlipUpload,
+  ID_DOCUMENT_MIME_TYPES,
+  idDocumentUpload
+};
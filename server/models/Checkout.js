@@ -0,0 +1,74 @@
+const mongoose = require('mongoose');
+const { PROVIDER_NAMES } = require('../services/payments');
+
+// Several fines of one driver paid with a single payment intent. Each fine gets its
+// own payment row in the ledger, referenced as `<intentId>:<fine ID>`.
+const checkoutSchema = new mongoose.Schema({
+  driver: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: [true, 'Driver is required']
+  },
+  fines: [{
+    _id: false,
+    fine: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Fine',
+      required: true
+    },
+    // Outstanding amount of the fine when the checkout was started
+    amount: {
+      type: Number,
+      required: true
+    }
+  }],
+  totalAmount: {
+    type: Number,
+    required: [true, 'Total amount is required']
+  },
+  currency: {
+    type: String,
+    default: 'LKR',
+    uppercase: true,
+    enum: ['LKR', 'USD', 'EUR']
+  },
+  provider: {
+    type: String,
+    enum: PROVIDER_NAMES
+  },
+  intentId: String,
+  status: {
+    type: String,
+    enum: ['pending', 'paid', 'failed', 'refunded'],
+    default: 'pending'
+  },
+  transactionId: String,
+  receiptUrl: String,
+  // Issued when the payment is captured and shared by the payments of every fine
+  receiptNumber: String,
+  failureReason: String,
+  paidAt: Date,
+  // Set when the payment went through but a fine could no longer be paid
+  refundId: String,
+  refundedAt: Date
+}, {
+  timestamps: true,
+  toJSON: { virtuals: true },
+  toObject: { virtuals: true }
+});
+
+checkoutSchema.index({ intentId: 1 }, { unique: true, sparse: true });
+checkoutSchema.index({ driver: 1, createdAt: -1 });
+checkoutSchema.index({ receiptNumber: 1 }, { sparse: true });
+
+// Instance method to get the ledger reference of the payment for one of the fines
+checkoutSchema.methods.referenceFor = function(fineId) {
+  return `${this.intentId}:${fineId}`;
+};
+
+// Static method to find the checkout paid with a provider intent, if any
+checkoutSchema.statics.findByIntent = function(intentId) {
+  return this.findOne({ intentId });
+};
+
+module.exports = mongoose.model('Checkout', checkoutSchema);
@@ -0,0 +1,28 @@
+const mongoose = require('mongoose');
+
+// Named sequences for human-readable document numbers, e.g. `fine:WP-COL-2026`.
+// Numbers come from an atomic increment, so concurrent requests never share one.
+const counterSchema = new mongoose.Schema({
+  _id: {
+    type: String,
+    required: true
+  },
+  seq: {
+    type: Number,
+    default: 0
+  }
+}, {
+  timestamps: true
+});
+
+// Static method to take the next number of a sequence, starting it at 1
+counterSchema.statics.next = async function(key) {
+  const counter = await this.findOneAndUpdate(
+    { _id: key },
+    { $inc: { seq: 1 } },
+    { upsert: true, new: true }
+  );
+  return counter.seq;
+};
+
+module.exports = mongoose.model('Counter', counterSchema);
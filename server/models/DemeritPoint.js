@@ -0,0 +1,75 @@
+const mongoose = require('mongoose');
+
+const demeritPointSchema = new mongoose.Schema({
+  driverId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: [true, 'Driver ID is required']
+  },
+  fine: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Fine',
+    required: [true, 'Fine is required']
+  },
+  violationId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'TrafficViolation',
+    required: [true, 'Violation ID is required']
+  },
+  points: {
+    type: Number,
+    required: [true, 'Points are required'],
+    min: [1, 'Points must be at least 1'],
+    max: [10, 'Points cannot exceed 10']
+  },
+  awardedAt: {
+    type: Date,
+    default: Date.now
+  },
+  expiresAt: {
+    type: Date,
+    required: [true, 'Expiry date is required']
+  },
+  reversedAt: Date,
+  reversalReason: String,
+  reversedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }
+}, {
+  timestamps: true
+});
+
+// One ledger entry per fine so crediting is idempotent
+demeritPointSchema.index({ fine: 1 }, { unique: true });
+demeritPointSchema.index({ driverId: 1, expiresAt: 1 });
+demeritPointSchema.index({ driverId: 1, awardedAt: -1 });
+
+// Virtual for ledger entry status
+demeritPointSchema.virtual('status').get(function() {
+  if (this.reversedAt) return 'reversed';
+  if (this.expiresAt <= new Date()) return 'expired';
+  return 'active';
+});
+
+// Static method to total a driver's points that are neither reversed nor expired
+demeritPointSchema.statics.getActiveTotal = async function(driverId, now = new Date()) {
+  const result = await this.aggregate([
+    {
+      $match: {
+        driverId: new mongoose.Types.ObjectId(driverId),
+        reversedAt: null,
+        expiresAt: { $gt: now }
+      }
+    },
+    { $group: { _id: null, total: { $sum: '$points' } } }
+  ]);
+  return result[0]?.total || 0;
+};
+
+// Ensure virtual fields are serialized
+demeritPointSchema.set('toJSON', {
+  virtuals: true
+});
+
+module.exports = mongoose.model('DemeritPoint', demeritPointSchema);
@@ -0,0 +1,34 @@
+const mongoose = require('mongoose');
+
+// Police division: a group of stations within a province
+const divisionSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: [true, 'Division name is required'],
+    trim: true,
+    maxlength: [100, 'Division name cannot exceed 100 characters']
+  },
+  code: {
+    type: String,
+    required: [true, 'Division code is required'],
+    unique: true,
+    uppercase: true,
+    trim: true,
+    match: [/^[A-Z0-9-]+$/, 'Division code must contain only uppercase letters, numbers, and hyphens']
+  },
+  province: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Province',
+    required: [true, 'Province is required']
+  },
+  isActive: {
+    type: Boolean,
+    default: true
+  }
+}, {
+  timestamps: true
+});
+
+divisionSchema.index({ province: 1, name: 1 });
+
+module.exports = mongoose.model('Division', divisionSchema);
@@ -1,18 +1,56 @@
 const mongoose = require('mongoose');
 const { v4: uuidv4 } = require('uuid');
+const { InvalidStatusTransitionError } = require('../utils/errors');
+const { PROVIDER_NAMES } = require('../services/payments');
+
+// Allowed fine status transitions. Statuses mapping to an empty list are terminal.
+const STATUS_TRANSITIONS = {
+  pending: ['paid', 'disputed', 'cancelled', 'overdue'],
+  overdue: ['paid', 'disputed', 'cancelled'],
+  disputed: ['pending', 'overdue', 'cancelled'],
+  paid: ['refunded', 'partially_refunded'],
+  // A partially refunded fine can take further partial refunds
+  partially_refunded: ['partially_refunded', 'refunded'],
+  cancelled: [],
+  refunded: []
+};
+
+// Days a driver has to pay a fine
+const DUE_PERIOD_DAYS = 30;
 
 const fineSchema = new mongoose.Schema({
+  // Fine number such as WP-COL-2026-000123, issued by services/numbering when the fine
+  // is created. Fines from before sequential numbering keep a UUID.
   fineId: {
     type: String,
     default: uuidv4,
     unique: true,
     required: true
   },
+  // Left empty for fines issued against a plate or an unregistered license until the
+  // driver registers or adds the license or plate to their profile
   driverId: {
     type: mongoose.Schema.Types.ObjectId,
-    ref: 'User',
-    required: [true, 'Driver ID is required']
+    ref: 'User'
+  },
+  // License number written on the fine when the driver has no account yet
+  driverLicenseNumber: {
+    type: String,
+    trim: true,
+    uppercase: true,
+    maxlength: [20, 'License number cannot exceed 20 characters']
+  },
+  claimedAt: Date,
+  // Key the issuing device sent with the fine, so a fine queued offline and sent again
+  // when the connection returns is only created once
+  idempotencyKey: {
+    type: String,
+    trim: true,
+    maxlength: [64, 'Idempotency key cannot exceed 64 characters']
   },
+  // When the officer issued the fine, which is earlier than createdAt for fines queued
+  // offline. Fines from before offline issuing only have createdAt.
+  issuedAt: Date,
   policeOfficer: {
     type: mongoose.Schema.Types.ObjectId,
     ref: 'User',
@@ -23,11 +61,57 @@ const fineSchema = new mongoose.Schema({
     ref: 'TrafficViolation',
     required: [true, 'Violation ID is required']
   },
+  // Issuing station, with its division and province at the time the fine was issued
+  station: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Station'
+  },
+  division: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Division'
+  },
+  province: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Province'
+  },
   fineAmount: {
     type: Number,
     required: [true, 'Fine amount is required'],
     min: [0, 'Fine amount cannot be negative']
   },
+  baseAmount: {
+    type: Number,
+    min: [0, 'Base amount cannot be negative']
+  },
+  // Highest late-penalty tier (in days overdue) applied so far
+  penaltyTierDays: {
+    type: Number,
+    default: 0
+  },
+  amountHistory: [{
+    type: {
+      type: String,
+      enum: ['issued', 'penalty', 'reduction'],
+      required: true
+    },
+    amount: {
+      type: Number,
+      required: true
+    },
+    balance: {
+      type: Number,
+      required: true
+    },
+    reason: String,
+    recordedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    },
+    recordedAt: {
+      type: Date,
+      default: Date.now
+    }
+  }],
   currency: {
     type: String,
     required: [true, 'Currency is required'],
@@ -72,6 +156,11 @@ const fineSchema = new mongoose.Schema({
       maxlength: [50, 'Province cannot exceed 50 characters']
     }
   },
+  // Registry entry of the vehicle, linked by its normalised plate
+  vehicle: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Vehicle'
+  },
   vehicleInfo: {
     licensePlate: {
       type: String,
@@ -90,18 +179,84 @@ const fineSchema = new mongoose.Schema({
   },
   status: {
     type: String,
-    enum: ['pending', 'paid', 'disputed', 'cancelled', 'overdue'],
+    enum: Object.keys(STATUS_TRANSITIONS),
     default: 'pending'
   },
   paymentInfo: {
     paymentId: String,
     paymentMethod: {
       type: String,
-      enum: ['stripe', 'bank_transfer', 'cash', 'other']
+      enum: [...PROVIDER_NAMES, 'bank_transfer', 'cash', 'post_office', 'other']
     },
     paidAt: Date,
     transactionId: String,
-    receiptUrl: String
+    receiptUrl: String,
+    // Set for payments recorded at a police station or post office counter
+    counter: {
+      receiptBookNumber: String,
+      branch: String,
+      amountTendered: Number,
+      slipKey: String,
+      slipMimeType: String,
+      recordedBy: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User'
+      }
+    },
+    // Totals derived from the fine's transaction ledger (see Transaction)
+    paidAmount: Number,
+    refundedAmount: {
+      type: Number,
+      default: 0
+    },
+    // Paid beyond the fine amount and not yet refunded, e.g. after a dispute reduced a
+    // part-paid fine. Set from the ledger like the totals above.
+    overpaidAmount: {
+      type: Number,
+      default: 0
+    }
+  },
+  // Set when an admin lets the driver pay the outstanding amount in instalments
+  instalmentPlan: {
+    status: {
+      type: String,
+      enum: ['active', 'completed', 'defaulted', 'cancelled']
+    },
+    frequency: {
+      type: String,
+      enum: ['weekly', 'fortnightly', 'monthly', 'custom']
+    },
+    instalments: [{
+      number: {
+        type: Number,
+        required: true
+      },
+      amount: {
+        type: Number,
+        required: true,
+        min: [0.01, 'Instalment amount must be positive']
+      },
+      dueDate: {
+        type: Date,
+        required: true
+      },
+      status: {
+        type: String,
+        enum: ['pending', 'paid', 'missed'],
+        default: 'pending'
+      },
+      paidAt: Date
+    }],
+    reason: {
+      type: String,
+      maxlength: [500, 'Reason cannot exceed 500 characters']
+    },
+    approvedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    },
+    approvedAt: Date,
+    endedAt: Date
   },
   tags: [{
     type: String,
@@ -118,7 +273,18 @@ const fineSchema = new mongoose.Schema({
       type: String,
       required: true
     },
+    thumbnailUrl: String,
     description: String,
+    // Set for files uploaded through the evidence endpoint
+    storageKey: String,
+    thumbnailKey: String,
+    originalName: String,
+    mimeType: String,
+    size: Number,
+    uploadedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    },
     uploadedAt: {
       type: Date,
       default: Date.now
@@ -128,8 +294,10 @@ const fineSchema = new mongoose.Schema({
     type: Date,
     required: true,
     default: function() {
-      // Default due date is 30 days from creation
-      return new Date(Date.now() + 30 * 24 * 60 * 60 * 1000);
+      // Due a set number of days after the officer issued the fine, which for fines
+      // queued offline is earlier than creation
+      const issuedAt = this.issuedAt || new Date();
+      return new Date(issuedAt.getTime() + DUE_PERIOD_DAYS * 24 * 60 * 60 * 1000);
     }
   },
   disputeInfo: {
@@ -145,11 +313,51 @@ const fineSchema = new mongoose.Schema({
       default: 'pending'
     },
     disputeResolution: String,
+    disputedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    },
+    previousStatus: {
+      type: String,
+      enum: ['pending', 'overdue']
+    },
+    originalAmount: Number,
+    attachments: [{
+      url: {
+        type: String,
+        required: true
+      },
+      description: {
+        type: String,
+        maxlength: [200, 'Attachment description cannot exceed 200 characters']
+      },
+      uploadedAt: {
+        type: Date,
+        default: Date.now
+      }
+    }],
     resolvedBy: {
       type: mongoose.Schema.Types.ObjectId,
       ref: 'User'
     },
-    resolvedAt: Date
+    resolvedAt: Date,
+    history: [{
+      action: {
+        type: String,
+        enum: ['opened', 'approved', 'rejected'],
+        required: true
+      },
+      comment: String,
+      performedBy: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+        required: true
+      },
+      performedAt: {
+        type: Date,
+        default: Date.now
+      }
+    }]
   },
   notes: [{
     content: {
@@ -182,15 +390,25 @@ const fineSchema = new mongoose.Schema({
 // Indexes for better query performance
 fineSchema.index({ fineId: 1 });
 fineSchema.index({ driverId: 1 });
+fineSchema.index({ driverLicenseNumber: 1 }, { sparse: true });
 fineSchema.index({ policeOfficer: 1 });
 fineSchema.index({ status: 1 });
 fineSchema.index({ createdAt: -1 });
 fineSchema.index({ dueDate: 1 });
 fineSchema.index({ 'vehicleInfo.licensePlate': 1 });
+fineSchema.index({ vehicle: 1, createdAt: -1 });
+fineSchema.index({ station: 1, createdAt: -1 });
+fineSchema.index({ division: 1, createdAt: -1 });
+fineSchema.index({ province: 1, createdAt: -1 });
 
 // Compound indexes
 fineSchema.index({ driverId: 1, status: 1 });
 fineSchema.index({ policeOfficer: 1, createdAt: -1 });
+fineSchema.index(
+  { policeOfficer: 1, idempotencyKey: 1 },
+  { unique: true, partialFilterExpression: { idempotencyKey: { $type: 'string' } } }
+);
+fineSchema.index({ 'disputeInfo.disputeStatus': 1, status: 1 });
 
 // Virtual for formatted fine amount
 fineSchema.virtual('formattedFineAmount').get(function() {
@@ -200,6 +418,15 @@ fineSchema.virtual('formattedFineAmount').get(function() {
   return `${currency} ${safeAmount.toLocaleString('en-US')}`;
 });
 
+// Virtual for late penalties currently added on top of the base amount
+// (a dispute reduction resets the base and waives earlier penalties)
+fineSchema.virtual('penaltyAmount').get(function() {
+  return (this.amountHistory || []).reduce((total, entry) => {
+    if (entry.type === 'reduction') return 0;
+    return entry.type === 'penalty' ? total + entry.amount : total;
+  }, 0);
+});
+
 // Virtual for overdue status
 fineSchema.virtual('isOverdue').get(function() {
   return this.status === 'pending' && new Date() > this.dueDate;
@@ -213,6 +440,48 @@ fineSchema.virtual('daysUntilDue').get(function() {
   return Math.ceil(diffTime / (1000 * 60 * 60 * 24));
 });
 
+// Virtual for the amount paid so far (fines paid before the ledger existed were paid in full)
+fineSchema.virtual('amountPaid').get(function() {
+  return this.paymentInfo?.paidAmount ?? (this.paymentInfo?.paidAt ? this.fineAmount : 0);
+});
+
+// Virtual for what the driver still owes
+fineSchema.virtual('outstandingAmount').get(function() {
+  if (!['pending', 'overdue', 'disputed'].includes(this.status)) {
+    return 0;
+  }
+  return Math.max(0, Math.round((this.fineAmount - this.amountPaid) * 100) / 100);
+});
+
+// Virtual for the next unpaid instalment of an active instalment plan
+fineSchema.virtual('nextInstalment').get(function() {
+  if (this.instalmentPlan?.status !== 'active') {
+    return null;
+  }
+  return this.instalmentPlan.instalments.find(instalment => instalment.status !== 'paid') || null;
+});
+
+// Virtual for the amount to pay now: the rest of the next instalment while a plan
+// is active, otherwise everything outstanding
+fineSchema.virtual('amountDueNow').get(function() {
+  const next = this.nextInstalment;
+  if (!next) {
+    return this.outstandingAmount;
+  }
+  const laterCents = this.instalmentPlan.instalments
+    .filter(instalment => instalment.number > next.number)
+    .reduce((sum, instalment) => sum + Math.round(instalment.amount * 100), 0);
+  return Math.max(0, Math.round(this.outstandingAmount * 100) - laterCents) / 100;
+});
+
+// Virtual for the part of the payment that can still be refunded
+fineSchema.virtual('refundableAmount').get(function() {
+  if (!this.paymentInfo?.paidAt) {
+    return 0;
+  }
+  return Math.max(0, Math.round((this.amountPaid - (this.paymentInfo.refundedAmount || 0)) * 100) / 100);
+});
+
 // Static method to find fines by driver
 fineSchema.statics.findByDriver = function(driverId) {
   return this.find({ driverId }).populate('violationId policeOfficer', 'name code username profile.firstName profile.lastName');
@@ -224,16 +493,36 @@ fineSchema.statics.findByOfficer = function(officerId) {
 };
 
 // Static method to find overdue fines
-fineSchema.statics.findOverdue = function() {
+fineSchema.statics.findOverdue = function(now = new Date()) {
   return this.find({
     status: 'pending',
-    dueDate: { $lt: new Date() }
-  }).populate('driverId violationId');
+    dueDate: { $lt: now }
+  });
+};
+
+// Static method to check whether a status transition is allowed
+fineSchema.statics.canTransition = function(from, to) {
+  return (STATUS_TRANSITIONS[from] || []).includes(to);
+};
+
+// Instance method to check whether the fine can move to a status
+fineSchema.methods.canTransitionTo = function(status) {
+  return this.constructor.canTransition(this.status, status);
+};
+
+// Instance method to change status, throwing on illegal transitions.
+// Does not save so callers can combine it with other changes.
+fineSchema.methods.transitionTo = function(status) {
+  if (!this.canTransitionTo(status)) {
+    throw new InvalidStatusTransitionError(this.status, status);
+  }
+  this.status = status;
+  return this;
 };
 
 // Instance method to mark as paid
 fineSchema.methods.markAsPaid = function(paymentInfo) {
-  this.status = 'paid';
+  this.transitionTo('paid');
   this.paymentInfo = {
     ...this.paymentInfo,
     ...paymentInfo,
@@ -242,6 +531,94 @@ fineSchema.methods.markAsPaid = function(paymentInfo) {
   return this.save();
 };
 
+// Instance method to store the totals of the fine's transaction ledger and move a
+// paid fine to refunded or partially refunded. Does not save.
+fineSchema.methods.applyBalance = function({ paid, refunded }) {
+  this.paymentInfo.paidAmount = paid;
+  this.paymentInfo.refundedAmount = refunded;
+  this.paymentInfo.overpaidAmount = Math.max(0, Math.round((paid - refunded - this.fineAmount) * 100)) / 100;
+  this.allocateInstalments();
+
+  if (refunded > 0) {
+    const isFullRefund = Math.round(refunded * 100) >= Math.round(paid * 100);
+    const status = isFullRefund ? 'refunded' : 'partially_refunded';
+    // A refund that later fails never moves the fine back towards paid
+    if (status !== this.status && this.canTransitionTo(status)) {
+      this.transitionTo(status);
+    }
+  }
+  return this;
+};
+
+// Instance method to approve an instalment plan for the outstanding amount with one
+// instalment per due date. The amount is split evenly with any remainder on the last
+// instalment, and the fine falls due with each instalment in turn. Does not save.
+fineSchema.methods.approveInstalmentPlan = function({ dueDates, frequency, reason, approvedBy }) {
+  const totalCents = Math.round(this.outstandingAmount * 100);
+  const instalmentCents = Math.floor(totalCents / dueDates.length);
+  const lastCents = totalCents - instalmentCents * (dueDates.length - 1);
+
+  this.instalmentPlan = {
+    status: 'active',
+    frequency,
+    reason,
+    approvedBy,
+    approvedAt: new Date(),
+    instalments: dueDates.map((dueDate, index) => ({
+      number: index + 1,
+      amount: (index === dueDates.length - 1 ? lastCents : instalmentCents) / 100,
+      dueDate
+    }))
+  };
+  this.dueDate = dueDates[0];
+  return this;
+};
+
+// Instance method to mark the instalments covered by payments as paid. Instalments are
+// paid off in order, so whatever is still outstanding belongs to the last ones. The fine's
+// due date moves to the next unpaid instalment. Does not save.
+fineSchema.methods.allocateInstalments = function(now = new Date()) {
+  const plan = this.instalmentPlan;
+  if (plan?.status !== 'active') {
+    return this;
+  }
+
+  let unpaidCents = Math.round(Math.max(0, this.fineAmount - this.amountPaid) * 100);
+  [...plan.instalments].reverse().forEach(instalment => {
+    if (unpaidCents > 0) {
+      unpaidCents -= Math.round(instalment.amount * 100);
+      instalment.status = 'pending';
+      instalment.paidAt = undefined;
+    } else if (instalment.status !== 'paid') {
+      instalment.status = 'paid';
+      instalment.paidAt = now;
+    }
+  });
+
+  const next = plan.instalments.find(instalment => instalment.status !== 'paid');
+  if (next) {
+    this.dueDate = next.dueDate;
+  } else {
+    plan.status = 'completed';
+    plan.endedAt = now;
+  }
+  return this;
+};
+
+// Instance method to end an active plan after a missed instalment. Instalments past
+// their due date are marked missed and the whole remaining balance falls due. Does not save.
+fineSchema.methods.defaultInstalmentPlan = function(now = new Date()) {
+  const plan = this.instalmentPlan;
+  plan.status = 'defaulted';
+  plan.endedAt = now;
+  plan.instalments.forEach(instalment => {
+    if (instalment.status === 'pending' && instalment.dueDate < now) {
+      instalment.status = 'missed';
+    }
+  });
+  return this;
+};
+
 // Instance method to add note
 fineSchema.methods.addNote = function(content, addedBy) {
   this.notes.push({
@@ -252,6 +629,118 @@ fineSchema.methods.addNote = function(content, addedBy) {
   return this.save();
 };
 
+// Instance method to open a dispute on a pending or overdue fine
+fineSchema.methods.openDispute = function({ reason, attachments = [], disputedBy }) {
+  if (!this.canTransitionTo('disputed')) {
+    throw new InvalidStatusTransitionError(this.status, 'disputed');
+  }
+  this.disputeInfo.isDisputed = true;
+  this.disputeInfo.disputeReason = reason;
+  this.disputeInfo.disputeDate = new Date();
+  this.disputeInfo.disputeStatus = 'pending';
+  this.disputeInfo.disputedBy = disputedBy;
+  this.disputeInfo.previousStatus = this.status;
+  this.disputeInfo.disputeResolution = undefined;
+  this.disputeInfo.resolvedBy = undefined;
+  this.disputeInfo.resolvedAt = undefined;
+  attachments.forEach(attachment => this.disputeInfo.attachments.push(attachment));
+  this.disputeInfo.history.push({
+    action: 'opened',
+    comment: reason,
+    performedBy: disputedBy
+  });
+  this.transitionTo('disputed');
+  return this.save();
+};
+
+// Instance method to resolve a pending dispute.
+// Approving either cancels the fine or reduces it to `reducedAmount`;
+// rejecting puts the fine back in play with a fresh due date.
+fineSchema.methods.resolveDispute = function({ decision, resolution, outcome, reducedAmount, newDueDate, resolvedBy }) {
+  this.disputeInfo.disputeStatus = decision;
+  this.disputeInfo.disputeResolution = resolution;
+  this.disputeInfo.resolvedBy = resolvedBy;
+  this.disputeInfo.resolvedAt = new Date();
+  this.disputeInfo.history.push({
+    action: decision,
+    comment: resolution,
+    performedBy: resolvedBy
+  });
+
+  if (decision === 'approved' && outcome === 'cancel') {
+    this.transitionTo('cancelled');
+  } else {
+    if (decision === 'approved') {
+      this.disputeInfo.originalAmount = this.fineAmount;
+      this.amountHistory.push({
+        type: 'reduction',
+        amount: reducedAmount - this.fineAmount,
+        balance: reducedAmount,
+        reason: resolution,
+        recordedBy: resolvedBy
+      });
+      // The reduced amount becomes the new base; earlier penalties are waived
+      this.fineAmount = reducedAmount;
+      this.baseAmount = reducedAmount;
+      this.penaltyTierDays = 0;
+    }
+    this.dueDate = newDueDate;
+    this.transitionTo(newDueDate < new Date() ? 'overdue' : 'pending');
+  }
+
+  return this.save();
+};
+
+// Instance method to apply the late-payment surcharge for how long the fine is overdue.
+// `schedule` is a list of { days, percent } tiers; the highest tier reached sets the
+// total surcharge as a percentage of the base amount. Does not save.
+fineSchema.methods.applyLatePenalty = function(schedule, now = new Date()) {
+  if (this.status !== 'overdue') return null;
+
+  const daysOverdue = Math.floor((now - this.dueDate) / (1000 * 60 * 60 * 24));
+  const tier = schedule
+    .filter(t => daysOverdue >= t.days)
+    .sort((a, b) => b.days - a.days)[0];
+
+  if (!tier || tier.days <= this.penaltyTierDays) return null;
+
+  const baseAmount = this.baseAmount ?? this.fineAmount;
+  const targetPenalty = Math.round(baseAmount * tier.percent) / 100;
+  const penalty = Math.round((targetPenalty - this.penaltyAmount) * 100) / 100;
+
+  this.penaltyTierDays = tier.days;
+  if (penalty <= 0) return null;
+
+  this.fineAmount = Math.round((this.fineAmount + penalty) * 100) / 100;
+  const entry = {
+    type: 'penalty',
+    amount: penalty,
+    balance: this.fineAmount,
+    reason: `${tier.percent}% late payment surcharge after ${tier.days} days overdue`
+  };
+  this.amountHistory.push(entry);
+  return entry;
+};
+
+// Pre-save middleware to record the issued amount on new fines
+fineSchema.pre('save', function(next) {
+  if (this.isNew && this.amountHistory.length === 0) {
+    this.baseAmount = this.fineAmount;
+    this.amountHistory.push({
+      type: 'issued',
+      amount: this.fineAmount,
+      balance: this.fineAmount,
+      recordedBy: this.policeOfficer
+    });
+  }
+  next();
+});
+
+// Remember the persisted status so saves can be checked against the transition table
+fineSchema.post('init', function() {
+  this.$locals.persistedStatus = this.status;
+});
+
 // Pre-save middleware to update status if overdue
 fineSchema.pre('save', function(next) {
   if (this.status === 'pending' && new Date() > this.dueDate) {
@@ -260,6 +749,28 @@ fineSchema.pre('save', function(next) {
   next();
 });
 
+// Pre-save middleware to end an active instalment plan once the fine is overdue
+fineSchema.pre('save', function(next) {
+  if (this.status === 'overdue' && this.instalmentPlan?.status === 'active') {
+    this.defaultInstalmentPlan();
+  }
+  next();
+});
+
+// Pre-save middleware to reject status changes that bypassed transitionTo
+fineSchema.pre('save', function(next) {
+  const persistedStatus = this.$locals.persistedStatus;
+  if (!this.isNew && this.isModified('status') && persistedStatus !== this.status &&
+      !this.constructor.canTransition(persistedStatus, this.status)) {
+    return next(new InvalidStatusTransitionError(persistedStatus, this.status));
+  }
+  next();
+});
+
+fineSchema.post('save', function() {
+  this.$locals.persistedStatus = this.status;
+});
+
 // Ensure virtual fields are serialized
 fineSchema.set('toJSON', {
   virtuals: true
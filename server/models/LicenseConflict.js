@@ -0,0 +1,78 @@
+const mongoose = require('mongoose');
+
+// A user's claim to a license number that is already on another account. The claimant
+// does not get the license number until an admin decides who it belongs to.
+const licenseConflictSchema = new mongoose.Schema({
+  licenseNumber: {
+    type: String,
+    required: [true, 'License number is required'],
+    uppercase: true,
+    trim: true
+  },
+  claimant: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: [true, 'Claimant is required']
+  },
+  // Account holding the license number when the conflict was raised
+  holder: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: [true, 'Holder is required']
+  },
+  source: {
+    type: String,
+    enum: ['registration', 'profile_update', 'backfill'],
+    required: true
+  },
+  status: {
+    type: String,
+    enum: ['pending', 'awarded_to_claimant', 'kept_by_holder'],
+    default: 'pending'
+  },
+  resolvedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  resolvedAt: Date,
+  resolutionNote: {
+    type: String,
+    trim: true,
+    maxlength: [500, 'Resolution note cannot exceed 500 characters']
+  }
+}, {
+  timestamps: true
+});
+
+// A claimant has at most one open claim per license number
+licenseConflictSchema.index(
+  { claimant: 1, licenseNumber: 1 },
+  { unique: true, partialFilterExpression: { status: 'pending' } }
+);
+licenseConflictSchema.index({ status: 1, createdAt: 1 });
+
+// Open a conflict, or return the claimant's open one for the same license number
+licenseConflictSchema.statics.raise = async function({ licenseNumber, claimant, holder, source }) {
+  const existing = await this.findOne({ licenseNumber, claimant, status: 'pending' });
+  if (existing) return existing;
+
+  try {
+    return await this.create({ licenseNumber, claimant, holder, source });
+  } catch (error) {
+    if (error.code === 11000) {
+      return this.findOne({ licenseNumber, claimant, status: 'pending' });
+    }
+    throw error;
+  }
+};
+
+// Instance method to record the admin's decision
+licenseConflictSchema.methods.resolve = function(status, { resolvedBy, note }) {
+  this.status = status;
+  this.resolvedBy = resolvedBy;
+  this.resolvedAt = new Date();
+  this.resolutionNote = note;
+  return this.save();
+};
+
+module.exports = mongoose.model('LicenseConflict', licenseConflictSchema);
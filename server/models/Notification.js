@@ -0,0 +1,78 @@
+const mongoose = require('mongoose');
+
+const notificationSchema = new mongoose.Schema({
+  recipient: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: [true, 'Recipient is required']
+  },
+  type: {
+    type: String,
+    required: [true, 'Notification type is required'],
+    enum: [
+      'dispute_opened',
+      'dispute_approved',
+      'dispute_rejected',
+      'fine_overdue',
+      'late_penalty',
+      'license_suspended',
+      'license_reinstated',
+      'payment_refunded',
+      'instalment_plan_approved',
+      'instalment_plan_cancelled',
+      'instalment_missed',
+      'officer_application_approved',
+      'officer_application_rejected',
+      'fines_claimed',
+      'license_conflict_resolved'
+    ]
+  },
+  title: {
+    type: String,
+    required: [true, 'Title is required'],
+    trim: true,
+    maxlength: [100, 'Title cannot exceed 100 characters']
+  },
+  message: {
+    type: String,
+    required: [true, 'Message is required'],
+    trim: true,
+    maxlength: [500, 'Message cannot exceed 500 characters']
+  },
+  fine: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Fine'
+  },
+  readAt: Date
+}, {
+  timestamps: true
+});
+
+// Indexes for better query performance
+notificationSchema.index({ recipient: 1, createdAt: -1 });
+notificationSchema.index({ recipient: 1, readAt: 1 });
+
+// Virtual for read status
+notificationSchema.virtual('isRead').get(function() {
+  return !!this.readAt;
+});
+
+// Static method to find unread notifications for a user
+notificationSchema.statics.findUnread = function(recipient) {
+  return this.find({ recipient, readAt: null }).sort({ createdAt: -1 });
+};
+
+// Instance method to mark as read
+notificationSchema.methods.markAsRead = function() {
+  if (!this.readAt) {
+    this.readAt = new Date();
+  }
+  return this.save();
+};
+
+// Ensure virtual fields are serialized
+notificationSchema.set('toJSON', {
+  virtuals: true
+});
+
+module.exports = mongoose.model('Notification', notificationSchema);
@@ -0,0 +1,68 @@
+const mongoose = require('mongoose');
+
+// A user's request to become a police officer, reviewed by an admin before the role
+// is granted
+const officerApplicationSchema = new mongoose.Schema({
+  applicant: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: [true, 'Applicant is required']
+  },
+  badgeNumber: {
+    type: String,
+    required: [true, 'Badge number is required'],
+    trim: true
+  },
+  station: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Station',
+    required: [true, 'Station is required']
+  },
+  // Scan or photo of the applicant's police ID, kept in the storage adapter
+  idDocument: {
+    key: {
+      type: String,
+      required: [true, 'ID document is required']
+    },
+    mimeType: String,
+    originalName: String,
+    size: Number
+  },
+  status: {
+    type: String,
+    enum: ['pending', 'approved', 'rejected'],
+    default: 'pending'
+  },
+  reviewedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  reviewedAt: Date,
+  rejectionReason: {
+    type: String,
+    trim: true,
+    maxlength: [500, 'Rejection reason cannot exceed 500 characters']
+  }
+}, {
+  timestamps: true
+});
+
+// A user can only have one application waiting for review
+officerApplicationSchema.index(
+  { applicant: 1 },
+  { unique: true, partialFilterExpression: { status: 'pending' } }
+);
+officerApplicationSchema.index({ status: 1, createdAt: 1 });
+
+// Instance method to record the admin's decision
+officerApplicationSchema.methods.review = function(decision, { reviewedBy, reason }) {
+  this.status = decision;
+  this.reviewedBy = reviewedBy;
+  this.reviewedAt = new Date();
+  if (decision === 'rejected') {
+    this.rejectionReason = reason;
+  }
+  return this.save();
+};
+
+module.exports = mongoose.model('OfficerApplication', officerApplicationSchema);
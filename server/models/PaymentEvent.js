@@ -0,0 +1,68 @@
+const mongoose = require('mongoose');
+
+// A verified webhook event from a payment provider and how far it got through processing
+const paymentEventSchema = new mongoose.Schema({
+  provider: {
+    type: String,
+    required: [true, 'Provider is required']
+  },
+  eventId: {
+    type: String,
+    required: [true, 'Event ID is required']
+  },
+  // Normalised event type ('payment.succeeded', 'payment.refunded', ...) and the provider's own type
+  type: {
+    type: String,
+    required: [true, 'Event type is required']
+  },
+  providerType: String,
+  // Normalised event data as returned by the provider's verifyWebhook()
+  data: {
+    type: mongoose.Schema.Types.Mixed,
+    default: {}
+  },
+  fine: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Fine'
+  },
+  status: {
+    type: String,
+    enum: ['received', 'processing', 'processed', 'ignored', 'failed'],
+    default: 'received'
+  },
+  attempts: {
+    type: Number,
+    default: 0
+  },
+  lastError: String,
+  lockedAt: Date,
+  nextAttemptAt: Date,
+  processedAt: Date,
+  replayedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }
+}, {
+  timestamps: true
+});
+
+// Providers redeliver events, so each event is stored once per provider
+paymentEventSchema.index({ provider: 1, eventId: 1 }, { unique: true });
+paymentEventSchema.index({ status: 1, nextAttemptAt: 1 });
+paymentEventSchema.index({ createdAt: -1 });
+
+// Static method to find events that need another processing attempt: failed events
+// whose backoff has passed, and events left behind by a crash while received or processing
+paymentEventSchema.statics.findDueForRetry = function({ maxAttempts, staleAfterMs, now = new Date() }) {
+  const staleBefore = new Date(now.getTime() - staleAfterMs);
+  return this.find({
+    attempts: { $lt: maxAttempts },
+    $or: [
+      { status: 'failed', nextAttemptAt: { $lte: now } },
+      { status: 'received', createdAt: { $lte: staleBefore } },
+      { status: 'processing', lockedAt: { $lte: staleBefore } }
+    ]
+  }).sort({ createdAt: 1 });
+};
+
+module.exports = mongoose.model('PaymentEvent', paymentEventSchema);
@@ -0,0 +1,28 @@
+const mongoose = require('mongoose');
+
+const provinceSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: [true, 'Province name is required'],
+    unique: true,
+    trim: true,
+    maxlength: [50, 'Province name cannot exceed 50 characters']
+  },
+  // Used in fine and receipt numbers, e.g. WP
+  code: {
+    type: String,
+    required: [true, 'Province code is required'],
+    unique: true,
+    uppercase: true,
+    trim: true,
+    match: [/^[A-Z0-9]{1,5}$/, 'Province code must be 1-5 uppercase letters or numbers']
+  },
+  isActive: {
+    type: Boolean,
+    default: true
+  }
+}, {
+  timestamps: true
+});
+
+module.exports = mongoose.model('Province', provinceSchema);
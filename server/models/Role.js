@@ -0,0 +1,22 @@
+const mongoose = require('mongoose');
+
+// Permissions an admin has set for a role, replacing its defaults in services/permissions.
+// Roles without a document here use their defaults.
+const roleSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: [true, 'Role name is required'],
+    unique: true
+  },
+  permissions: [{
+    type: String
+  }],
+  updatedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }
+}, {
+  timestamps: true
+});
+
+module.exports = mongoose.model('Role', roleSchema);
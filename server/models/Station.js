@@ -0,0 +1,70 @@
+const mongoose = require('mongoose');
+
+// Police station. Officers are assigned to a station and the fines they issue are
+// stamped with it; the province is kept alongside the division so fines can be
+// scoped to any level without a lookup.
+const stationSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: [true, 'Station name is required'],
+    trim: true,
+    maxlength: [100, 'Station name cannot exceed 100 characters']
+  },
+  // Used in fine and receipt numbers, e.g. COL
+  code: {
+    type: String,
+    required: [true, 'Station code is required'],
+    unique: true,
+    uppercase: true,
+    trim: true,
+    match: [/^[A-Z0-9]{1,6}$/, 'Station code must be 1-6 uppercase letters or numbers']
+  },
+  division: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Division',
+    required: [true, 'Division is required']
+  },
+  province: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Province',
+    required: [true, 'Province is required']
+  },
+  address: {
+    type: String,
+    trim: true,
+    maxlength: [200, 'Address cannot exceed 200 characters']
+  },
+  phoneNumber: {
+    type: String,
+    trim: true
+  },
+  isActive: {
+    type: Boolean,
+    default: true
+  }
+}, {
+  timestamps: true
+});
+
+stationSchema.index({ division: 1, name: 1 });
+stationSchema.index({ province: 1 });
+
+// Static method to get aggregation stages that follow a `$group` on the station ID and
+// add the station's name and code as `station`. The group of fines issued without a
+// station has a null `_id` and no `station`.
+stationSchema.statics.lookupStages = function() {
+  return [
+    {
+      $lookup: {
+        from: 'stations',
+        localField: '_id',
+        foreignField: '_id',
+        pipeline: [{ $project: { name: 1, code: 1 } }],
+        as: 'station'
+      }
+    },
+    { $set: { station: { $first: '$station' } } }
+  ];
+};
+
+module.exports = mongoose.model('Station', stationSchema);
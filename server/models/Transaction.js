@@ -0,0 +1,116 @@
+const mongoose = require('mongoose');
+const { PROVIDER_NAMES } = require('../services/payments');
+
+const PAYMENT_METHODS = [...PROVIDER_NAMES, 'bank_transfer', 'cash', 'post_office', 'other'];
+
+// Ledger of money movements on a fine. Every payment attempt is a `payment` row that
+// is captured when it succeeds; refunds and changes to the amount charged (late
+// penalties, dispute reductions) get their own rows. Paid and refunded totals on the
+// fine are derived from these rows.
+const transactionSchema = new mongoose.Schema({
+  fine: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Fine',
+    required: [true, 'Fine is required']
+  },
+  type: {
+    type: String,
+    enum: ['payment', 'refund', 'adjustment'],
+    required: [true, 'Transaction type is required']
+  },
+  status: {
+    type: String,
+    enum: ['pending', 'succeeded', 'failed'],
+    default: 'pending'
+  },
+  // Positive for payments and refunds; adjustments are negative when they lower the amount charged
+  amount: {
+    type: Number,
+    required: [true, 'Amount is required']
+  },
+  currency: {
+    type: String,
+    default: 'LKR',
+    uppercase: true,
+    enum: ['LKR', 'USD', 'EUR']
+  },
+  method: {
+    type: String,
+    enum: PAYMENT_METHODS
+  },
+  // Provider intent ID, refund ID or counter receipt, unique per transaction type
+  reference: String,
+  // Provider intent a payment is refunded against, when it differs from the reference
+  // (checkout payments are referenced per fine but share one intent)
+  paymentId: String,
+  // Payment a refund is paid back from
+  refundOf: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Transaction'
+  },
+  transactionId: String,
+  receiptUrl: String,
+  // Our own receipt number, issued when a payment is captured. Fines paid together in
+  // a checkout share the checkout's number.
+  receiptNumber: String,
+  // Set for payments recorded at a police station or post office counter
+  counter: {
+    receiptBookNumber: String,
+    branch: String,
+    amountTendered: Number,
+    slipKey: String,
+    slipMimeType: String
+  },
+  reason: String,
+  failureReason: String,
+  recordedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  settledAt: Date
+}, {
+  timestamps: true
+});
+
+transactionSchema.index({ fine: 1, createdAt: 1 });
+transactionSchema.index({ type: 1, status: 1, settledAt: -1 });
+transactionSchema.index({ receiptNumber: 1 }, { sparse: true });
+transactionSchema.index(
+  { type: 1, reference: 1 },
+  { unique: true, partialFilterExpression: { reference: { $type: 'string' } } }
+);
+
+// Static method to total a fine's ledger. Only captured payments count as paid;
+// pending refunds count as refunded so the same money is never refunded twice.
+transactionSchema.statics.getBalance = async function(fineId) {
+  const transactions = await this.find({ fine: fineId, status: { $ne: 'failed' } }).lean();
+
+  const cents = { paid: 0, refunded: 0, adjusted: 0 };
+  transactions.forEach(transaction => {
+    const amount = Math.round(transaction.amount * 100);
+    if (transaction.type === 'payment' && transaction.status === 'succeeded') {
+      cents.paid += amount;
+    } else if (transaction.type === 'refund') {
+      cents.refunded += amount;
+    } else if (transaction.type === 'adjustment') {
+      cents.adjusted += amount;
+    }
+  });
+
+  return {
+    paid: cents.paid / 100,
+    refunded: cents.refunded / 100,
+    adjusted: cents.adjusted / 100
+  };
+};
+
+// Static method to list a fine's ledger oldest first
+transactionSchema.statics.findByFine = function(fineId) {
+  return this.find({ fine: fineId })
+    .populate('recordedBy', 'username profile.firstName profile.lastName')
+    .sort({ createdAt: 1 });
+};
+
+transactionSchema.statics.PAYMENT_METHODS = PAYMENT_METHODS;
+
+module.exports = mongoose.model('Transaction', transactionSchema);
@@ -1,6 +1,8 @@
 const mongoose = require('mongoose');
 const bcrypt = require('bcryptjs');
 const { v4: uuidv4 } = require('uuid');
+const { ROLES, STATION_ROLES, COMMAND_ROLES } = require('../services/permissions');
+const { normalizeLicenseNumber } = require('../services/licenses');
 
 const userSchema = new mongoose.Schema({
   userId: {
@@ -32,9 +34,50 @@ const userSchema = new mongoose.Schema({
   },
   role: {
     type: String,
-    enum: ['driver', 'police_officer', 'admin'],
+    enum: ROLES,
     default: 'driver'
   },
+  // Station an officer or clerk works at
+  station: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Station'
+  },
+  // Set for commanders: they see only fines of their station, or of the division or
+  // province their station belongs to
+  commandLevel: {
+    type: String,
+    enum: ['station', 'division', 'province']
+  },
+  // Permanent record of every role change, including who made it and the officer
+  // application it approved
+  roleHistory: [{
+    role: {
+      type: String,
+      enum: ROLES,
+      required: true
+    },
+    previousRole: {
+      type: String,
+      enum: ROLES
+    },
+    changedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    },
+    changedAt: {
+      type: Date,
+      default: Date.now
+    },
+    reason: {
+      type: String,
+      trim: true,
+      maxlength: [500, 'Reason cannot exceed 500 characters']
+    },
+    application: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'OfficerApplication'
+    }
+  }],
   profile: {
     firstName: {
       type: String,
@@ -48,16 +91,30 @@ const userSchema = new mongoose.Schema({
       type: String,
       trim: true
     },
+    // Stored normalised (B1234567); unique across users, see the index below
     licenseNumber: {
       type: String,
-      trim: true,
-      sparse: true // Allows multiple null values but unique non-null values
+      set: value => (value ? normalizeLicenseNumber(value) : value)
     },
     badgeNumber: {
       type: String,
       trim: true,
       sparse: true // For police officers
     },
+    // National Identity Card number as printed on the card. Birth year and gender are
+    // derived from it; the twelve digit form is the same for a person's old and new
+    // card and is what must be unique.
+    nic: {
+      type: String,
+      uppercase: true,
+      trim: true
+    },
+    nicCanonical: String,
+    birthYear: Number,
+    gender: {
+      type: String,
+      enum: ['male', 'female']
+    },
     address: {
       street: String,
       city: String,
@@ -65,6 +122,15 @@ const userSchema = new mongoose.Schema({
       postalCode: String
     }
   },
+  licenseStatus: {
+    isSuspended: {
+      type: Boolean,
+      default: false
+    },
+    suspendedAt: Date,
+    suspensionReason: String,
+    liftedAt: Date
+  },
   isActive: {
     type: Boolean,
     default: true
@@ -88,6 +154,17 @@ const userSchema = new mongoose.Schema({
 userSchema.index({ email: 1 });
 userSchema.index({ userId: 1 });
 userSchema.index({ role: 1 });
+userSchema.index({ station: 1 });
+// Unique among users who have a license number. A partial index rather than a sparse
+// one, so profiles saved with an empty license number don't collide.
+userSchema.index(
+  { 'profile.licenseNumber': 1 },
+  { unique: true, partialFilterExpression: { 'profile.licenseNumber': { $gt: '' } } }
+);
+userSchema.index(
+  { 'profile.nicCanonical': 1 },
+  { unique: true, partialFilterExpression: { 'profile.nicCanonical': { $gt: '' } } }
+);
 
 // Hash password before saving
 userSchema.pre('save', async function(next) {
@@ -109,6 +186,26 @@ userSchema.methods.comparePassword = async function(candidatePassword) {
   return bcrypt.compare(candidatePassword, this.password);
 };
 
+// Instance method to change role, recording the change. Station assignments and
+// commands are dropped when the new role does not have them.
+userSchema.methods.changeRole = function(role, { changedBy, reason, application } = {}) {
+  this.roleHistory.push({
+    role,
+    previousRole: this.role,
+    changedBy,
+    reason,
+    application
+  });
+  this.role = role;
+
+  if (!COMMAND_ROLES.includes(role)) {
+    this.commandLevel = undefined;
+  }
+  if (!STATION_ROLES.includes(role)) {
+    this.station = undefined;
+  }
+};
+
 // Instance method to get public profile
 userSchema.methods.getPublicProfile = function() {
   const userObject = this.toObject();
@@ -0,0 +1,58 @@
+const mongoose = require('mongoose');
+
+// A registered vehicle. Fines link to it so every fine for a plate can be found however
+// the officer typed it.
+const vehicleSchema = new mongoose.Schema({
+  // Normalised plate as shown to users, e.g. `WP CAB-1234` or `19-1234`
+  plate: {
+    type: String,
+    required: [true, 'License plate is required'],
+    trim: true
+  },
+  // Plate without the province prefix. Registration numbers are unique nationally, so
+  // `CAB-1234` and `WP CAB-1234` are the same vehicle.
+  registrationNumber: {
+    type: String,
+    required: [true, 'Registration number is required'],
+    unique: true,
+    trim: true
+  },
+  provinceCode: {
+    type: String,
+    enum: ['WP', 'CP', 'SP', 'NP', 'EP', 'NW', 'NC', 'UP', 'SG']
+  },
+  vehicleType: {
+    type: String,
+    enum: ['Car', 'Motorcycle', 'Bus', 'Truck', 'Van', 'Three-Wheeler', 'Other'],
+    required: [true, 'Vehicle type is required']
+  },
+  make: {
+    type: String,
+    trim: true
+  },
+  model: {
+    type: String,
+    trim: true
+  },
+  color: {
+    type: String,
+    trim: true
+  },
+  chassisNumber: {
+    type: String,
+    uppercase: true,
+    trim: true
+  },
+  // Registered owner, who is not necessarily the driver named on a fine
+  owner: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }
+}, {
+  timestamps: true
+});
+
+vehicleSchema.index({ owner: 1 });
+vehicleSchema.index({ chassisNumber: 1 }, { unique: true, sparse: true });
+
+module.exports = mongoose.model('Vehicle', vehicleSchema);
@@ -2,7 +2,12 @@ const express = require('express');
 const jwt = require('jsonwebtoken');
 const { body, validationResult } = require('express-validator');
 const User = require('../models/User');
+const LicenseConflict = require('../models/LicenseConflict');
 const { authenticateToken } = require('../middleware/auth');
+const { getPermissions } = require('../services/permissions');
+const { claimFinesForDriver } = require('../services/fineClaims');
+const { normalizeLicenseNumber, validateLicenseNumber } = require('../services/licenses');
+const { parseNic, validateNic, findNicMismatches } = require('../services/nic');
 
 const router = express.Router();
 
@@ -48,11 +53,29 @@ const generateToken = (userId) => {
  *                 type: string
  *               licenseNumber:
  *                 type: string
+ *                 description: >
+ *                   Sri Lankan license number, e.g. B1234567. Unresolved fines issued against it
+ *                   are claimed on registration. If another account already holds it, the user is
+ *                   registered without it and a license conflict is opened for an admin to decide.
+ *               nic:
+ *                 type: string
+ *                 description: >
+ *                   National Identity Card number, old (851234567V) or new (198512345678) format.
+ *                   Birth year and gender are derived from it.
+ *               birthYear:
+ *                 type: integer
+ *                 description: Checked against the NIC number when both are given
+ *               gender:
+ *                 type: string
+ *                 enum: [male, female]
+ *                 description: Checked against the NIC number when both are given
  *     responses:
  *       201:
- *         description: User registered successfully
+ *         description: User registered successfully, with licenseConflict set if the license number was in use
  *       400:
- *         description: Validation error or user already exists
+ *         description: Validation error, user already exists or birth year or gender do not match the NIC number
+ *       409:
+ *         description: NIC number is already registered to another account
  */
 router.post('/register', [
   body('username')
@@ -82,10 +105,20 @@ router.post('/register', [
     .matches(/^[+]?[\d\s-()]+$/)
     .withMessage('Please provide a valid phone number'),
   body('licenseNumber')
-    .optional()
-    .trim()
-    .isLength({ max: 20 })
-    .withMessage('License number cannot exceed 20 characters')
+    .optional({ checkFalsy: true })
+    .custom(validateLicenseNumber)
+    .customSanitizer(normalizeLicenseNumber),
+  body('nic')
+    .optional({ checkFalsy: true })
+    .custom(validateNic),
+  body('birthYear')
+    .optional({ checkFalsy: true })
+    .isInt({ min: 1900, max: new Date().getFullYear() })
+    .withMessage('Please provide a valid birth year'),
+  body('gender')
+    .optional({ checkFalsy: true })
+    .isIn(['male', 'female'])
+    .withMessage('Gender must be male or female')
 ], async (req, res, next) => {
   try {
     // Check for validation errors
@@ -97,7 +130,7 @@ router.post('/register', [
       });
     }
 
-    const { username, email, password, firstName, lastName, phoneNumber, licenseNumber } = req.body;
+    const { username, email, password, firstName, lastName, phoneNumber, licenseNumber, nic, birthYear, gender } = req.body;
 
     // Check if user already exists
     const existingUser = await User.findOne({
@@ -110,6 +143,29 @@ router.post('/register', [
       });
     }
 
+    // Birth year and gender come from the NIC number, and must agree with any given
+    const parsedNic = nic ? parseNic(nic) : null;
+    if (parsedNic) {
+      const mismatches = findNicMismatches(parsedNic, { birthYear, gender });
+      if (mismatches.length > 0) {
+        return res.status(400).json({
+          message: 'Birth year or gender does not match the NIC number',
+          error: 'NIC_MISMATCH',
+          fields: mismatches
+        });
+      }
+
+      if (await User.exists({ 'profile.nicCanonical': parsedNic.canonical })) {
+        return res.status(409).json({
+          message: 'NIC number is already registered to another account',
+          error: 'NIC_IN_USE'
+        });
+      }
+    }
+
+    // A license number already on another account is held back until an admin decides
+    const licenseHolder = licenseNumber && await User.findOne({ 'profile.licenseNumber': licenseNumber }).select('_id');
+
     // Create new user
     const user = new User({
       username,
@@ -119,12 +175,23 @@ router.post('/register', [
         firstName,
         lastName,
         phoneNumber,
-        licenseNumber
+        licenseNumber: licenseHolder ? undefined : licenseNumber,
+        nic: parsedNic?.nic,
+        nicCanonical: parsedNic?.canonical,
+        birthYear: parsedNic ? parsedNic.birthYear : birthYear || undefined,
+        gender: parsedNic ? parsedNic.gender : gender || undefined
       }
     });
 
     await user.save();
 
+    const licenseConflict = licenseHolder && await LicenseConflict.raise({
+      licenseNumber,
+      claimant: user._id,
+      holder: licenseHolder._id,
+      source: 'registration'
+    });
+
     // Generate token
     const token = generateToken(user._id);
 
@@ -132,10 +199,19 @@ router.post('/register', [
     user.lastLogin = new Date();
     await user.save();
 
+    // Fines already issued against the new driver's license become theirs
+    const claimedFines = await claimFinesForDriver(user);
+
     res.status(201).json({
       message: 'User registered successfully',
       token,
-      user: user.getPublicProfile()
+      user: { ...user.getPublicProfile(), permissions: await getPermissions(user.role) },
+      claimedFines: claimedFines.map(fine => fine.fineId),
+      licenseConflict: licenseConflict ? {
+        _id: licenseConflict._id,
+        licenseNumber: licenseConflict.licenseNumber,
+        status: licenseConflict.status
+      } : undefined
     });
   } catch (error) {
     next(error);
@@ -234,7 +310,7 @@ router.post('/login', [
     res.json({
       message: 'Login successful',
       token,
-      user: user.getPublicProfile()
+      user: { ...user.getPublicProfile(), permissions: await getPermissions(user.role) }
     });
   } catch (error) {
     next(error);
@@ -258,7 +334,7 @@ router.post('/login', [
 router.get('/me', authenticateToken, async (req, res, next) => {
   try {
     res.json({
-      user: req.user.getPublicProfile()
+      user: { ...req.user.getPublicProfile(), permissions: req.permissions }
     });
   } catch (error) {
     next(error);
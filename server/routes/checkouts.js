@@ -0,0 +1,509 @@
+const express = require('express');
+const { body, validationResult, param } = require('express-validator');
+const Fine = require('../models/Fine');
+const Checkout = require('../models/Checkout');
+const { authenticateToken } = require('../middleware/auth');
+const {
+  PROVIDER_NAMES,
+  getProvider,
+  isProviderEnabled,
+  getDefaultProviderName
+} = require('../services/payments');
+const { toCents, recordPaymentAttempt } = require('../services/ledger');
+const { findUnpayableFines, refundCheckout, settleCheckout, failCheckout } = require('../services/checkouts');
+const { buildCheckoutReceipt } = require('../services/receipts');
+const { renderReceiptPdf } = require('../services/documents');
+
+// Mounted under /api/payments/checkout
+const router = express.Router();
+
+const MAX_CHECKOUT_FINES = 20;
+
+// Drivers see their own checkouts; staff can see any
+const canAccessCheckout = (user, checkout) => {
+  if (user.role !== 'driver') {
+    return true;
+  }
+  const driverId = checkout.driver._id || checkout.driver;
+  return driverId.toString() === user._id.toString();
+};
+
+const toFineSummary = (fine) => ({
+  id: fine._id,
+  fineId: fine.fineId,
+  status: fine.status
+});
+
+// Find a checkout the current user may see, or send the error response and return null
+const findCheckout = async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    res.status(400).json({
+      message: 'Validation failed',
+      errors: errors.array()
+    });
+    return null;
+  }
+
+  const checkout = await Checkout.findById(req.params.id);
+  if (!checkout) {
+    res.status(404).json({
+      message: 'Checkout not found'
+    });
+    return null;
+  }
+
+  if (!canAccessCheckout(req.user, checkout)) {
+    res.status(403).json({
+      message: 'Access denied'
+    });
+    return null;
+  }
+
+  return checkout;
+};
+
+// Build the combined receipt of a paid checkout, or send the error response and return null
+const buildReceipt = async (checkout, res) => {
+  if (checkout.status !== 'paid') {
+    res.status(400).json({
+      message: 'Checkout has not been paid yet'
+    });
+    return null;
+  }
+
+  await checkout.populate([
+    { path: 'driver', select: 'username profile.firstName profile.lastName profile.licenseNumber' },
+    {
+      path: 'fines.fine',
+      select: 'fineId status createdAt vehicleInfo violationId',
+      populate: { path: 'violationId', select: 'name code category' }
+    }
+  ]);
+  return buildCheckoutReceipt(checkout);
+};
+
+/**
+ * @swagger
+ * /api/payments/checkout:
+ *   post:
+ *     summary: Start one payment for several of the caller's fines
+ *     description: >
+ *       Every fine must belong to the caller, be payable and be in the same currency.
+ *       The outstanding amount of each fine is added up into one payment intent. When the
+ *       payment succeeds every fine is marked as paid and one combined receipt is issued.
+ *     tags: [Payments]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - fineIds
+ *             properties:
+ *               fineIds:
+ *                 type: array
+ *                 minItems: 2
+ *                 maxItems: 20
+ *                 items:
+ *                   type: string
+ *               provider:
+ *                 type: string
+ *                 description: Payment provider name (defaults to the first enabled provider)
+ *     responses:
+ *       201:
+ *         description: Checkout and payment intent created
+ *       400:
+ *         description: A fine cannot be paid, currencies differ or provider is not available
+ *       403:
+ *         description: A fine belongs to someone else
+ *       404:
+ *         description: Fine not found
+ */
+router.post('/', [
+  authenticateToken,
+  body('fineIds')
+    .isArray({ min: 2, max: MAX_CHECKOUT_FINES })
+    .withMessage(`Select between 2 and ${MAX_CHECKOUT_FINES} fines`),
+  body('fineIds.*')
+    .isMongoId()
+    .withMessage('Invalid fine ID'),
+  body('provider')
+    .optional()
+    .isIn(PROVIDER_NAMES)
+    .withMessage('Invalid payment provider')
+], async (req, res, next) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const currentUser = req.user;
+    const fineIds = [...new Set(req.body.fineIds)];
+
+    const providerName = req.body.provider || getDefaultProviderName();
+    if (!providerName || !isProviderEnabled(providerName)) {
+      return res.status(400).json({
+        message: 'Payment provider is not available',
+        error: 'PROVIDER_NOT_AVAILABLE'
+      });
+    }
+    const provider = getProvider(providerName);
+
+    const fines = await Fine.find({ _id: { $in: fineIds } })
+      .populate('violationId', 'name code');
+
+    if (fines.length !== fineIds.length) {
+      return res.status(404).json({
+        message: 'Fine not found'
+      });
+    }
+
+    if (fines.some(fine => fine.driverId?.toString() !== currentUser._id.toString())) {
+      return res.status(403).json({
+        message: 'Access denied. You can only pay your own fines.'
+      });
+    }
+
+    const unpayable = fines.filter(fine => !fine.canTransitionTo('paid'));
+    if (unpayable.length > 0) {
+      return res.status(400).json({
+        message: `Some fines cannot be paid: ${unpayable.map(fine => `${fine.fineId} (${fine.status})`).join(', ')}`,
+        error: 'INVALID_STATUS_TRANSITION',
+        fines: unpayable.map(toFineSummary)
+      });
+    }
+
+    const currencies = [...new Set(fines.map(fine => fine.currency))];
+    if (currencies.length > 1) {
+      return res.status(400).json({
+        message: `Fines in different currencies (${currencies.join(', ')}) must be paid separately`,
+        error: 'CURRENCY_MISMATCH'
+      });
+    }
+
+    // The whole outstanding amount of each fine is paid, including fines on an instalment plan
+    const totalAmount = fines.reduce((sum, fine) => sum + toCents(fine.outstandingAmount), 0) / 100;
+    const checkout = await Checkout.create({
+      driver: currentUser._id,
+      fines: fines.map(fine => ({ fine: fine._id, amount: fine.outstandingAmount })),
+      totalAmount,
+      currency: currencies[0],
+      provider: provider.name
+    });
+
+    const intent = await provider.createIntent({
+      fineId: checkout._id.toString(),
+      amount: totalAmount,
+      currency: checkout.currency,
+      description: `Traffic Fine Payment - ${fines.length} fines`,
+      metadata: {
+        driverId: currentUser._id.toString(),
+        checkoutId: checkout._id.toString()
+      },
+      returnUrl: `${process.env.CLIENT_URL || 'http://localhost:3000'}/payments/checkout/${checkout._id}?provider=${provider.name}`
+    });
+
+    checkout.intentId = intent.intentId;
+    await checkout.save();
+
+    for (const fine of fines) {
+      await recordPaymentAttempt(fine, {
+        method: provider.name,
+        reference: checkout.referenceFor(fine._id),
+        amount: fine.outstandingAmount,
+        recordedBy: currentUser._id
+      });
+    }
+
+    res.status(201).json({
+      provider: provider.name,
+      flow: provider.flow,
+      clientSecret: intent.clientSecret,
+      redirectUrl: intent.redirectUrl,
+      paymentIntentId: intent.intentId,
+      amount: totalAmount,
+      currency: checkout.currency,
+      checkout: {
+        id: checkout._id,
+        fines: fines.map(fine => ({
+          id: fine._id,
+          fineId: fine.fineId,
+          violationName: fine.violationId.name,
+          licensePlate: fine.vehicleInfo.licensePlate,
+          amount: fine.outstandingAmount
+        }))
+      }
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * @swagger
+ * /api/payments/checkout/{id}:
+ *   get:
+ *     summary: Get a checkout and its fines
+ *     tags: [Payments]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Checkout ID
+ *     responses:
+ *       200:
+ *         description: Checkout retrieved
+ *       403:
+ *         description: Access denied
+ *       404:
+ *         description: Checkout not found
+ */
+router.get('/:id', [
+  authenticateToken,
+  param('id').isMongoId().withMessage('Invalid checkout ID')
+], async (req, res, next) => {
+  try {
+    const checkout = await findCheckout(req, res);
+    if (!checkout) return;
+
+    await checkout.populate({
+      path: 'fines.fine',
+      select: 'fineId status fineAmount currency vehicleInfo.licensePlate violationId',
+      populate: { path: 'violationId', select: 'name code' }
+    });
+
+    res.json({ checkout });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * @swagger
+ * /api/payments/checkout/{id}/confirm:
+ *   post:
+ *     summary: Confirm the payment of a checkout and mark its fines as paid
+ *     description: >
+ *       Asks the checkout's provider for the state of the payment. Every fine is checked
+ *       before any is marked as paid; if one can no longer be paid (e.g. it was disputed
+ *       in the meantime) none are, and the whole payment is refunded.
+ *     tags: [Payments]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Checkout ID
+ *     responses:
+ *       200:
+ *         description: Payment confirmed and fines marked as paid
+ *       400:
+ *         description: Payment failed or provider is not available
+ *       403:
+ *         description: Access denied
+ *       404:
+ *         description: Checkout not found
+ *       409:
+ *         description: Some fines can no longer be paid, or the checkout was already refunded
+ */
+router.post('/:id/confirm', [
+  authenticateToken,
+  param('id').isMongoId().withMessage('Invalid checkout ID')
+], async (req, res, next) => {
+  try {
+    const checkout = await findCheckout(req, res);
+    if (!checkout) return;
+
+    const toResponse = () => ({
+      id: checkout._id,
+      status: checkout.status,
+      paidAt: checkout.paidAt,
+      transactionId: checkout.transactionId,
+      totalAmount: checkout.totalAmount,
+      currency: checkout.currency,
+      receiptNumber: checkout.receiptNumber
+    });
+
+    // The webhook may already have settled this checkout
+    if (checkout.status === 'paid') {
+      return res.json({
+        message: 'Payment already confirmed',
+        checkout: toResponse()
+      });
+    }
+
+    if (checkout.status === 'refunded') {
+      return res.status(409).json({
+        message: `Your payment was refunded. ${checkout.failureReason}`,
+        error: 'CHECKOUT_REFUNDED',
+        checkout: toResponse()
+      });
+    }
+
+    if (!checkout.intentId || !isProviderEnabled(checkout.provider)) {
+      return res.status(400).json({
+        message: 'Payment provider is not available',
+        error: 'PROVIDER_NOT_AVAILABLE'
+      });
+    }
+
+    const provider = getProvider(checkout.provider);
+    const payment = await provider.confirm(checkout.intentId);
+
+    if (payment.status === 'failed') {
+      await failCheckout(checkout, payment.providerStatus);
+    }
+
+    if (payment.status !== 'succeeded') {
+      return res.status(400).json({
+        message: 'Payment has not been completed successfully',
+        paymentStatus: payment.status
+      });
+    }
+
+    if (payment.fineId !== checkout._id.toString()) {
+      return res.status(400).json({
+        message: 'Payment intent does not match the checkout'
+      });
+    }
+
+    const unpayable = await findUnpayableFines(checkout);
+    if (unpayable.length > 0) {
+      let refunded = false;
+      try {
+        const reason = `Some fines can no longer be paid: ${unpayable.map(fine => fine.fineId || fine._id).join(', ')}`;
+        refunded = (await refundCheckout(checkout, payment, provider, reason)).status === 'refunded';
+      } catch (error) {
+        // The provider's webhook for this payment tries the refund again
+        console.error(`Refund of checkout ${checkout._id} failed:`, error);
+      }
+
+      return res.status(409).json({
+        message: `Some fines can no longer be paid, so none were marked as paid. Your payment ${refunded ? 'has been' : 'will be'} refunded.`,
+        error: 'CHECKOUT_NOT_PAYABLE',
+        fines: unpayable.map(toFineSummary)
+      });
+    }
+
+    await settleCheckout(checkout, payment, provider);
+
+    res.json({
+      message: 'Payment confirmed successfully',
+      checkout: toResponse()
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * @swagger
+ * /api/payments/checkout/{id}/receipt:
+ *   get:
+ *     summary: Get the combined receipt of a paid checkout
+ *     tags: [Payments]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Checkout ID
+ *     responses:
+ *       200:
+ *         description: Receipt information retrieved
+ *       400:
+ *         description: Checkout has not been paid
+ *       403:
+ *         description: Access denied
+ *       404:
+ *         description: Checkout not found
+ */
+router.get('/:id/receipt', [
+  authenticateToken,
+  param('id').isMongoId().withMessage('Invalid checkout ID')
+], async (req, res, next) => {
+  try {
+    const checkout = await findCheckout(req, res);
+    if (!checkout) return;
+
+    const receipt = await buildReceipt(checkout, res);
+    if (!receipt) return;
+
+    res.json({ receipt });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * @swagger
+ * /api/payments/checkout/{id}/receipt/pdf:
+ *   get:
+ *     summary: Download the combined receipt of a paid checkout as a PDF
+ *     tags: [Payments]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Checkout ID
+ *     responses:
+ *       200:
+ *         description: PDF receipt
+ *         content:
+ *           application/pdf:
+ *             schema:
+ *               type: string
+ *               format: binary
+ *       400:
+ *         description: Checkout has not been paid
+ *       403:
+ *         description: Access denied
+ *       404:
+ *         description: Checkout not found
+ */
+router.get('/:id/receipt/pdf', [
+  authenticateToken,
+  param('id').isMongoId().withMessage('Invalid checkout ID')
+], async (req, res, next) => {
+  try {
+    const checkout = await findCheckout(req, res);
+    if (!checkout) return;
+
+    const receipt = await buildReceipt(checkout, res);
+    if (!receipt) return;
+
+    const pdf = await renderReceiptPdf(receipt);
+    res.set({
+      'Content-Type': 'application/pdf',
+      'Content-Disposition': `${req.query.download === 'true' ? 'attachment' : 'inline'}; filename="${receipt.receiptNumber}.pdf"`,
+      'Cache-Control': 'private, no-cache'
+    });
+    res.send(pdf);
+  } catch (error) {
+    next(error);
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,473 @@
+const express = require('express');
+const path = require('path');
+const mongoose = require('mongoose');
+const { v4: uuidv4 } = require('uuid');
+const { body, validationResult, param, query } = require('express-validator');
+const Fine = require('../models/Fine');
+const Transaction = require('../models/Transaction');
+const { authenticateToken, requirePermission, hasPermission, canAccessFine } = require('../middleware/auth');
+const { paymentSlipUpload } = require('../middleware/upload');
+const { getStorage } = require('../services/storage');
+const { creditForFine } = require('../services/demeritPoints');
+const { toCents, recordPayment } = require('../services/ledger');
+
+// Mounted under /api/payments/counter
+const router = express.Router();
+
+const COUNTER_PAYMENT_METHODS = ['cash', 'bank_transfer', 'post_office'];
+
+// Methods paid away from the counter must be backed by a slip
+const SLIP_REQUIRED_METHODS = ['bank_transfer', 'post_office'];
+
+// Load the fine and check access before multer reads the slip into memory, so slips
+// for fines the clerk cannot touch are never buffered
+const loadFineForPayment = async (req, res, next) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const fine = await Fine.findById(req.params.fineId);
+    if (!fine) {
+      return res.status(404).json({
+        message: 'Fine not found'
+      });
+    }
+
+    if (!canAccessFine(req.user, fine)) {
+      return res.status(403).json({
+        message: 'Access denied. You can only record payments for fines in your jurisdiction.'
+      });
+    }
+
+    req.fine = fine;
+    next();
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * @swagger
+ * /api/payments/counter/fine/{fineId}:
+ *   post:
+ *     summary: Record a cash, bank transfer or post office payment for a fine (requires payments:record-cash)
+ *     tags: [Payments]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: fineId
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Fine ID
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         multipart/form-data:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - paymentMethod
+ *               - amountTendered
+ *               - receiptBookNumber
+ *               - branch
+ *             properties:
+ *               paymentMethod:
+ *                 type: string
+ *                 enum: [cash, bank_transfer, post_office]
+ *               amountTendered:
+ *                 type: number
+ *                 description: Must equal the next instalment or everything outstanding on the fine
+ *               receiptBookNumber:
+ *                 type: string
+ *               branch:
+ *                 type: string
+ *                 description: Police station, bank or post office branch
+ *               notes:
+ *                 type: string
+ *               slip:
+ *                 type: string
+ *                 format: binary
+ *                 description: Payment slip image or PDF (required for bank transfer and post office)
+ *     responses:
+ *       201:
+ *         description: Payment recorded successfully
+ *       400:
+ *         description: Validation failed, fine cannot be paid or amount does not match
+ *       403:
+ *         description: Access denied
+ *       404:
+ *         description: Fine not found
+ *       409:
+ *         description: Receipt book number already used at this branch
+ */
+router.post('/fine/:fineId', [
+  authenticateToken,
+  requirePermission('payments:record-cash'),
+  param('fineId').isMongoId().withMessage('Invalid fine ID'),
+  loadFineForPayment,
+  paymentSlipUpload.single('slip'),
+  body('paymentMethod')
+    .isIn(COUNTER_PAYMENT_METHODS)
+    .withMessage(`Payment method must be one of: ${COUNTER_PAYMENT_METHODS.join(', ')}`),
+  body('amountTendered')
+    .isFloat({ gt: 0 })
+    .withMessage('Amount tendered must be a positive number'),
+  body('receiptBookNumber')
+    .trim()
+    .notEmpty()
+    .withMessage('Receipt book number is required')
+    .isLength({ max: 50 })
+    .withMessage('Receipt book number cannot exceed 50 characters'),
+  body('branch')
+    .trim()
+    .notEmpty()
+    .withMessage('Branch is required')
+    .isLength({ max: 100 })
+    .withMessage('Branch cannot exceed 100 characters'),
+  body('notes')
+    .optional()
+    .trim()
+    .isLength({ max: 500 })
+    .withMessage('Notes cannot exceed 500 characters')
+], async (req, res, next) => {
+  const storage = getStorage();
+  let slipKey;
+  let isRecorded = false;
+
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const { paymentMethod, receiptBookNumber, branch, notes } = req.body;
+    const amountTendered = parseFloat(req.body.amountTendered);
+
+    if (SLIP_REQUIRED_METHODS.includes(paymentMethod) && !req.file) {
+      return res.status(400).json({
+        message: 'A payment slip is required for bank transfer and post office payments',
+        error: 'SLIP_REQUIRED'
+      });
+    }
+
+    const { fine } = req;
+
+    if (!fine.canTransitionTo('paid')) {
+      return res.status(400).json({
+        message: `Fine cannot be paid. Current status: ${fine.status}`,
+        error: 'INVALID_STATUS_TRANSITION'
+      });
+    }
+
+    // Counter payments must cover the next instalment or settle the fine exactly;
+    // change is given at the counter
+    const amountDue = fine.amountDueNow;
+    const validAmounts = [toCents(amountDue), toCents(fine.outstandingAmount)];
+    if (!validAmounts.includes(toCents(amountTendered))) {
+      const isOverpayment = toCents(amountTendered) > toCents(amountDue);
+      return res.status(400).json({
+        message: isOverpayment
+          ? 'Amount tendered is more than the amount due'
+          : 'Amount tendered is less than the amount due',
+        error: isOverpayment ? 'OVERPAYMENT' : 'UNDERPAYMENT',
+        details: {
+          amountDue,
+          outstandingAmount: fine.outstandingAmount,
+          amountTendered
+        }
+      });
+    }
+
+    const duplicate = await Transaction.exists({
+      type: 'payment',
+      'counter.receiptBookNumber': receiptBookNumber,
+      'counter.branch': branch
+    });
+    if (duplicate) {
+      return res.status(409).json({
+        message: `Receipt ${receiptBookNumber} has already been used at ${branch}`,
+        error: 'DUPLICATE_RECEIPT'
+      });
+    }
+
+    if (req.file) {
+      slipKey = `payments/${fine._id}/${uuidv4()}${path.extname(req.file.originalname).toLowerCase()}`;
+      await storage.save(slipKey, req.file.buffer, req.file.mimetype);
+    }
+
+    await recordPayment(fine, {
+      method: paymentMethod,
+      reference: `COUNTER-${branch}-${receiptBookNumber}`,
+      amount: amountTendered,
+      transactionId: receiptBookNumber,
+      counter: {
+        receiptBookNumber,
+        branch,
+        amountTendered,
+        slipKey,
+        slipMimeType: req.file?.mimetype
+      },
+      recordedBy: req.user._id
+    });
+    isRecorded = true;
+
+    if (fine.status === 'paid') {
+      await creditForFine(fine, 'confirmed');
+    }
+
+    await fine.addNote(
+      `${paymentMethod.replace('_', ' ')} payment recorded at ${branch}. Receipt book number: ${receiptBookNumber}` +
+        (notes ? `\n${notes}` : ''),
+      req.user._id
+    );
+
+    res.status(201).json({
+      message: 'Payment recorded successfully',
+      fine: {
+        id: fine._id,
+        status: fine.status,
+        paidAt: fine.paymentInfo.paidAt,
+        paymentMethod: fine.paymentInfo.paymentMethod,
+        transactionId: fine.paymentInfo.transactionId
+      }
+    });
+  } catch (error) {
+    // Don't leave an orphaned slip behind when the payment was not recorded
+    if (slipKey && !isRecorded) {
+      await storage.remove(slipKey).catch(() => {});
+    }
+    next(error);
+  }
+});
+
+/**
+ * @swagger
+ * /api/payments/counter/fine/{fineId}/slip/{transactionId}:
+ *   get:
+ *     summary: Download the payment slip recorded for a counter payment
+ *     description: Each counter payment of a fine, e.g. one per instalment, keeps its own slip.
+ *     tags: [Payments]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: fineId
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Fine ID
+ *       - in: path
+ *         name: transactionId
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: ID of the counter payment's ledger transaction
+ *     responses:
+ *       200:
+ *         description: Payment slip file
+ *       403:
+ *         description: Access denied
+ *       404:
+ *         description: Fine or slip not found
+ */
+router.get('/fine/:fineId/slip/:transactionId', [
+  authenticateToken,
+  param('fineId').isMongoId().withMessage('Invalid fine ID'),
+  param('transactionId').isMongoId().withMessage('Invalid transaction ID')
+], async (req, res, next) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const fine = await Fine.findById(req.params.fineId).select('driverId policeOfficer station division province');
+    if (!fine) {
+      return res.status(404).json({
+        message: 'Fine not found'
+      });
+    }
+
+    if (!canAccessFine(req.user, fine)) {
+      return res.status(403).json({
+        message: 'Access denied. You can only view your own fines.'
+      });
+    }
+
+    const transaction = await Transaction.findOne({
+      _id: req.params.transactionId,
+      fine: fine._id,
+      type: 'payment'
+    }).select('counter');
+    const key = transaction?.counter?.slipKey;
+    const storage = getStorage();
+    if (!key || !(await storage.exists(key))) {
+      return res.status(404).json({
+        message: 'Payment slip not found'
+      });
+    }
+
+    res.set({
+      'Content-Type': transaction.counter.slipMimeType,
+      'Content-Disposition': `inline; filename="${path.basename(key)}"`,
+      'Cache-Control': 'private, max-age=3600'
+    });
+
+    const stream = storage.createReadStream(key);
+    stream.on('error', next);
+    stream.pipe(res);
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * @swagger
+ * /api/payments/counter/cash-up:
+ *   get:
+ *     summary: Daily cash-up report of counter payments per clerk (requires payments:record-cash or payments:view-cash-up)
+ *     description: >
+ *       Staff who record counter payments see their own takings; staff with
+ *       payments:view-cash-up see every clerk or filter by one.
+ *     tags: [Payments]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: date
+ *         schema:
+ *           type: string
+ *           format: date
+ *         description: Day to report on (defaults to today)
+ *       - in: query
+ *         name: clerkId
+ *         schema:
+ *           type: string
+ *         description: Limit the report to one clerk (requires payments:view-cash-up)
+ *     responses:
+ *       200:
+ *         description: Cash-up report
+ */
+router.get('/cash-up', [
+  authenticateToken,
+  requirePermission('payments:record-cash', 'payments:view-cash-up'),
+  query('date')
+    .optional()
+    .isISO8601()
+    .withMessage('Date must be a valid date'),
+  query('clerkId')
+    .optional()
+    .isMongoId()
+    .withMessage('Invalid clerk ID')
+], async (req, res, next) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const day = req.query.date ? new Date(`${req.query.date.slice(0, 10)}T00:00:00`) : new Date();
+    const startDate = new Date(day.getFullYear(), day.getMonth(), day.getDate());
+    const endDate = new Date(startDate.getFullYear(), startDate.getMonth(), startDate.getDate() + 1);
+
+    const matchQuery = {
+      type: 'payment',
+      status: 'succeeded',
+      'counter.receiptBookNumber': { $exists: true },
+      settledAt: { $gte: startDate, $lt: endDate }
+    };
+
+    if (!hasPermission(req, 'payments:view-cash-up')) {
+      matchQuery.recordedBy = req.user._id;
+    } else if (req.query.clerkId) {
+      matchQuery.recordedBy = new mongoose.Types.ObjectId(req.query.clerkId);
+    }
+
+    const clerks = await Transaction.aggregate([
+      { $match: matchQuery },
+      { $sort: { settledAt: 1 } },
+      {
+        $lookup: {
+          from: 'fines',
+          localField: 'fine',
+          foreignField: '_id',
+          as: 'fineDoc'
+        }
+      },
+      { $unwind: '$fineDoc' },
+      {
+        $group: {
+          _id: '$recordedBy',
+          totalPayments: { $sum: 1 },
+          totalAmount: { $sum: '$amount' },
+          cashAmount: {
+            $sum: { $cond: [{ $eq: ['$method', 'cash'] }, '$amount', 0] }
+          },
+          payments: {
+            $push: {
+              fine: '$fine',
+              fineId: '$fineDoc.fineId',
+              amount: '$amount',
+              paymentMethod: '$method',
+              receiptBookNumber: '$counter.receiptBookNumber',
+              branch: '$counter.branch',
+              paidAt: '$settledAt'
+            }
+          }
+        }
+      },
+      {
+        $lookup: {
+          from: 'users',
+          localField: '_id',
+          foreignField: '_id',
+          as: 'clerk'
+        }
+      },
+      { $unwind: '$clerk' },
+      {
+        $project: {
+          totalPayments: 1,
+          totalAmount: 1,
+          cashAmount: 1,
+          payments: 1,
+          clerk: {
+            _id: '$clerk._id',
+            username: '$clerk.username',
+            firstName: '$clerk.profile.firstName',
+            lastName: '$clerk.profile.lastName'
+          }
+        }
+      },
+      { $sort: { 'clerk.username': 1 } }
+    ]);
+
+    res.json({
+      date: startDate,
+      totalPayments: clerks.reduce((sum, clerk) => sum + clerk.totalPayments, 0),
+      totalAmount: clerks.reduce((sum, clerk) => sum + clerk.totalAmount, 0),
+      cashAmount: clerks.reduce((sum, clerk) => sum + clerk.cashAmount, 0),
+      clerks: clerks.map(({ _id, clerk, ...totals }) => ({ clerk, ...totals }))
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+module.exports = router;
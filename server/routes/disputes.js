@@ -0,0 +1,400 @@
+const express = require('express');
+const { body, validationResult, param, query } = require('express-validator');
+const Fine = require('../models/Fine');
+const { authenticateToken, requirePermission, hasPermission } = require('../middleware/auth');
+const { notify } = require('../services/notifications');
+const { creditForFine, reverseForFine } = require('../services/demeritPoints');
+const { recordAdjustment, settleFromBalance } = require('../services/ledger');
+
+const router = express.Router();
+
+// Days a driver gets to pay after a dispute is rejected, unless the reviewer sets a due date
+const REJECTION_GRACE_DAYS = parseInt(process.env.DISPUTE_REJECTION_GRACE_DAYS) || 14;
+
+/**
+ * @swagger
+ * /api/disputes:
+ *   get:
+ *     summary: Get disputes for review (requires disputes:review)
+ *     tags: [Disputes]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: status
+ *         schema:
+ *           type: string
+ *           enum: [pending, approved, rejected]
+ *         description: Dispute status (defaults to pending)
+ *       - in: query
+ *         name: page
+ *         schema:
+ *           type: integer
+ *           minimum: 1
+ *         description: Page number
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           minimum: 1
+ *           maximum: 100
+ *         description: Number of disputes per page
+ *     responses:
+ *       200:
+ *         description: Disputes retrieved successfully
+ *       403:
+ *         description: Access denied
+ */
+router.get('/', [
+  authenticateToken,
+  requirePermission('disputes:review'),
+  query('status')
+    .optional()
+    .isIn(['pending', 'approved', 'rejected'])
+    .withMessage('Invalid dispute status')
+], async (req, res, next) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const { status = 'pending', page = 1, limit = 10 } = req.query;
+
+    const disputeQuery = {
+      'disputeInfo.isDisputed': true,
+      'disputeInfo.disputeStatus': status
+    };
+
+    // Calculate pagination
+    const skip = (parseInt(page) - 1) * parseInt(limit);
+    const limitNum = parseInt(limit);
+
+    // Oldest disputes first so the queue is worked in order
+    const fines = await Fine.find(disputeQuery)
+      .populate('driverId', 'username profile.firstName profile.lastName profile.licenseNumber')
+      .populate('policeOfficer', 'username profile.firstName profile.lastName profile.badgeNumber')
+      .populate('violationId', 'name code category severityLevel')
+      .populate('disputeInfo.resolvedBy', 'username profile.firstName profile.lastName')
+      .sort({ 'disputeInfo.disputeDate': status === 'pending' ? 1 : -1 })
+      .skip(skip)
+      .limit(limitNum);
+
+    const total = await Fine.countDocuments(disputeQuery);
+
+    res.json({
+      disputes: fines,
+      pagination: {
+        current: parseInt(page),
+        pages: Math.ceil(total / limitNum),
+        total,
+        limit: limitNum
+      }
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * @swagger
+ * /api/disputes/fine/{fineId}:
+ *   post:
+ *     summary: Open a dispute on a fine
+ *     tags: [Disputes]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: fineId
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Fine ID
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - reason
+ *             properties:
+ *               reason:
+ *                 type: string
+ *                 maxLength: 1000
+ *               attachments:
+ *                 type: array
+ *                 items:
+ *                   type: object
+ *                   required:
+ *                     - url
+ *                   properties:
+ *                     url:
+ *                       type: string
+ *                     description:
+ *                       type: string
+ *                       maxLength: 200
+ *     responses:
+ *       201:
+ *         description: Dispute opened successfully
+ *       400:
+ *         description: Fine cannot be disputed
+ *       403:
+ *         description: Access denied
+ *       404:
+ *         description: Fine not found
+ */
+router.post('/fine/:fineId', [
+  authenticateToken,
+  param('fineId').isMongoId().withMessage('Invalid fine ID'),
+  body('reason')
+    .trim()
+    .isLength({ min: 1, max: 1000 })
+    .withMessage('Dispute reason is required and cannot exceed 1000 characters'),
+  body('attachments')
+    .optional()
+    .isArray({ max: 10 })
+    .withMessage('Attachments must be an array of at most 10 items'),
+  body('attachments.*.url')
+    .trim()
+    .isURL({ require_tld: false })
+    .withMessage('Each attachment must have a valid URL'),
+  body('attachments.*.description')
+    .optional()
+    .trim()
+    .isLength({ max: 200 })
+    .withMessage('Attachment description cannot exceed 200 characters')
+], async (req, res, next) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const { reason, attachments = [] } = req.body;
+    const currentUser = req.user;
+
+    const fine = await Fine.findById(req.params.fineId);
+    if (!fine) {
+      return res.status(404).json({
+        message: 'Fine not found'
+      });
+    }
+
+    // Only the fined driver (or a dispute resolver on their behalf) can dispute
+    const isOwner = fine.driverId?.toString() === currentUser._id.toString();
+    if (!isOwner && !hasPermission(req, 'disputes:resolve')) {
+      return res.status(403).json({
+        message: 'Access denied. You can only dispute your own fines.'
+      });
+    }
+
+    if (!fine.canTransitionTo('disputed')) {
+      return res.status(400).json({
+        message: `Fine cannot be disputed. Current status: ${fine.status}`,
+        error: 'INVALID_STATUS_TRANSITION'
+      });
+    }
+
+    await fine.openDispute({
+      reason,
+      attachments: attachments.map(({ url, description }) => ({ url, description })),
+      disputedBy: currentUser._id
+    });
+
+    await notify([fine.driverId, fine.policeOfficer], {
+      type: 'dispute_opened',
+      title: 'Fine disputed',
+      message: `A dispute has been opened on fine ${fine.fineId}: ${reason}`.slice(0, 500),
+      fine
+    });
+
+    res.status(201).json({
+      message: 'Dispute opened successfully',
+      fine
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * @swagger
+ * /api/disputes/fine/{fineId}/resolve:
+ *   put:
+ *     summary: Resolve a pending dispute (requires disputes:resolve)
+ *     tags: [Disputes]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: fineId
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Fine ID
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - decision
+ *               - resolution
+ *             properties:
+ *               decision:
+ *                 type: string
+ *                 enum: [approved, rejected]
+ *               resolution:
+ *                 type: string
+ *                 maxLength: 1000
+ *               outcome:
+ *                 type: string
+ *                 enum: [cancel, reduce]
+ *                 description: Required when approving
+ *               reducedAmount:
+ *                 type: number
+ *                 minimum: 0
+ *                 description: >
+ *                   Required when outcome is reduce. A fine already paid down to the reduced
+ *                   amount is marked as paid and anything paid beyond it is flagged for refund.
+ *               newDueDate:
+ *                 type: string
+ *                 format: date-time
+ *                 description: Due date after rejection or reduction
+ *     responses:
+ *       200:
+ *         description: Dispute resolved successfully
+ *       400:
+ *         description: Validation error or dispute is not pending
+ *       403:
+ *         description: Access denied
+ *       404:
+ *         description: Fine not found
+ */
+router.put('/fine/:fineId/resolve', [
+  authenticateToken,
+  requirePermission('disputes:resolve'),
+  param('fineId').isMongoId().withMessage('Invalid fine ID'),
+  body('decision')
+    .isIn(['approved', 'rejected'])
+    .withMessage('Decision must be approved or rejected'),
+  body('resolution')
+    .trim()
+    .isLength({ min: 1, max: 1000 })
+    .withMessage('Resolution is required and cannot exceed 1000 characters'),
+  body('outcome')
+    .if(body('decision').equals('approved'))
+    .isIn(['cancel', 'reduce'])
+    .withMessage('Outcome must be cancel or reduce when approving a dispute'),
+  body('reducedAmount')
+    .if(body('outcome').equals('reduce'))
+    .isFloat({ min: 0 })
+    .withMessage('Reduced amount must be a positive number'),
+  body('newDueDate')
+    .optional()
+    .isISO8601()
+    .withMessage('New due date must be a valid date')
+], async (req, res, next) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const { decision, resolution, outcome, reducedAmount, newDueDate } = req.body;
+
+    const fine = await Fine.findById(req.params.fineId);
+    if (!fine) {
+      return res.status(404).json({
+        message: 'Fine not found'
+      });
+    }
+
+    if (fine.status !== 'disputed' || fine.disputeInfo.disputeStatus !== 'pending') {
+      return res.status(400).json({
+        message: 'Fine does not have a pending dispute'
+      });
+    }
+
+    if (decision === 'approved' && outcome === 'reduce' && Number(reducedAmount) >= fine.fineAmount) {
+      return res.status(400).json({
+        message: 'Reduced amount must be less than the current fine amount'
+      });
+    }
+
+    const dueDate = newDueDate
+      ? new Date(newDueDate)
+      : new Date(Date.now() + REJECTION_GRACE_DAYS * 24 * 60 * 60 * 1000);
+
+    await fine.resolveDispute({
+      decision,
+      resolution,
+      outcome: decision === 'approved' ? outcome : undefined,
+      reducedAmount: Number(reducedAmount),
+      newDueDate: dueDate,
+      resolvedBy: req.user._id
+    });
+
+    if (decision === 'approved' && outcome === 'reduce') {
+      const reduction = fine.amountHistory[fine.amountHistory.length - 1];
+      await recordAdjustment(fine, { amount: reduction.amount, reason: resolution, recordedBy: req.user._id });
+
+      // Payments made before the reduction may now cover the fine, or more than cover it
+      await settleFromBalance(fine);
+      if (fine.paymentInfo.overpaidAmount > 0) {
+        await fine.addNote(
+          `Overpaid by ${fine.currency} ${fine.paymentInfo.overpaidAmount.toLocaleString('en-US')} after the dispute reduced the fine. The difference is to be refunded.`,
+          req.user._id
+        );
+      }
+    }
+
+    if (decision === 'approved') {
+      await reverseForFine(fine, { reason: `Dispute approved: ${resolution}`, reversedBy: req.user._id });
+    } else {
+      await creditForFine(fine, 'confirmed');
+    }
+
+    let message;
+    if (decision === 'rejected') {
+      message = `The dispute on fine ${fine.fineId} was rejected. The fine is due by ${fine.dueDate.toDateString()}.`;
+    } else if (outcome === 'cancel') {
+      message = `The dispute on fine ${fine.fineId} was approved and the fine has been cancelled.`;
+    } else if (fine.paymentInfo.overpaidAmount > 0) {
+      message = `The dispute on fine ${fine.fineId} was approved and the fine was reduced to ${fine.formattedFineAmount}. ` +
+        `You have already paid ${fine.currency} ${fine.paymentInfo.overpaidAmount.toLocaleString('en-US')} more than that, which will be refunded.`;
+    } else if (fine.status === 'paid') {
+      message = `The dispute on fine ${fine.fineId} was approved and the fine was reduced to ${fine.formattedFineAmount}, which you have already paid.`;
+    } else {
+      message = `The dispute on fine ${fine.fineId} was approved and the fine was reduced to ${fine.formattedFineAmount}.`;
+    }
+
+    await notify([fine.driverId, fine.policeOfficer], {
+      type: decision === 'approved' ? 'dispute_approved' : 'dispute_rejected',
+      title: decision === 'approved' ? 'Dispute approved' : 'Dispute rejected',
+      message: `${message} ${resolution}`.slice(0, 500),
+      fine
+    });
+
+    res.json({
+      message: 'Dispute resolved successfully',
+      fine
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+module.exports = router;
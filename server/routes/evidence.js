@@ -0,0 +1,292 @@
+const express = require('express');
+const path = require('path');
+const sharp = require('sharp');
+const { v4: uuidv4 } = require('uuid');
+const { body, validationResult, param, query } = require('express-validator');
+const Fine = require('../models/Fine');
+const { authenticateToken, canAccessFine } = require('../middleware/auth');
+const { EVIDENCE_MIME_TYPES, MAX_FILES, evidenceUpload } = require('../middleware/upload');
+const { getStorage } = require('../services/storage');
+
+// Mounted under /api/fines/:id/evidence
+const router = express.Router({ mergeParams: true });
+
+const THUMBNAIL_SIZE = 320;
+
+// Build a small JPEG preview for photo evidence. Returns null for images sharp cannot
+// read, which are stored without a preview.
+const createThumbnail = async (buffer) => {
+  try {
+    return await sharp(buffer)
+      .rotate()
+      .resize(THUMBNAIL_SIZE, THUMBNAIL_SIZE, { fit: 'inside', withoutEnlargement: true })
+      .jpeg({ quality: 70 })
+      .toBuffer();
+  } catch (error) {
+    return null;
+  }
+};
+
+// Content-Disposition value for a user-supplied file name. Header values must be Latin-1,
+// so Sinhala, Tamil and other names go in the RFC 5987 form with an ASCII fallback.
+const contentDisposition = (type, fileName) => {
+  const fallback = fileName.replace(/[^\x20-\x7e]/g, '_').replace(/["\\]/g, '');
+  const encoded = encodeURIComponent(fileName).replace(/['()*]/g, char => `%${char.charCodeAt(0).toString(16).toUpperCase()}`);
+  return `${type}; filename="${fallback}"; filename*=UTF-8''${encoded}`;
+};
+
+// Load the fine and check access before multer reads the upload into memory, so files
+// for fines the user cannot touch are never buffered
+const loadFineForUpload = async (req, res, next) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const fine = await Fine.findById(req.params.id);
+    if (!fine) {
+      return res.status(404).json({
+        message: 'Fine not found'
+      });
+    }
+
+    if (!canAccessFine(req.user, fine)) {
+      return res.status(403).json({
+        message: 'Access denied. You can only add evidence to your own fines.'
+      });
+    }
+
+    req.fine = fine;
+    next();
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * @swagger
+ * /api/fines/{id}/evidence:
+ *   post:
+ *     summary: Upload evidence files for a fine
+ *     tags: [Fines]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Fine ID
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         multipart/form-data:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - files
+ *             properties:
+ *               files:
+ *                 type: array
+ *                 items:
+ *                   type: string
+ *                   format: binary
+ *                 description: JPEG, PNG, WebP, MP4, QuickTime or PDF files
+ *               description:
+ *                 type: string
+ *                 maxLength: 200
+ *     responses:
+ *       201:
+ *         description: Evidence uploaded successfully
+ *       400:
+ *         description: Missing, unsupported or oversized file
+ *       403:
+ *         description: Access denied
+ *       404:
+ *         description: Fine not found
+ */
+router.post('/', [
+  authenticateToken,
+  param('id').isMongoId().withMessage('Invalid fine ID'),
+  loadFineForUpload,
+  evidenceUpload.array('files', MAX_FILES),
+  body('description')
+    .optional()
+    .trim()
+    .isLength({ max: 200 })
+    .withMessage('Description cannot exceed 200 characters')
+], async (req, res, next) => {
+  const storage = getStorage();
+  const storedKeys = [];
+
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    if (!req.files || req.files.length === 0) {
+      return res.status(400).json({
+        message: 'At least one evidence file is required',
+        error: 'NO_FILES'
+      });
+    }
+
+    const { fine } = req;
+
+    const uploaded = [];
+    for (const file of req.files) {
+      const type = EVIDENCE_MIME_TYPES[file.mimetype];
+      const baseKey = `fines/${fine._id}/${uuidv4()}`;
+      const storageKey = `${baseKey}${path.extname(file.originalname).toLowerCase()}`;
+
+      await storage.save(storageKey, file.buffer, file.mimetype);
+      storedKeys.push(storageKey);
+
+      let thumbnailKey;
+      const thumbnail = type === 'photo' && await createThumbnail(file.buffer);
+      if (thumbnail) {
+        thumbnailKey = `${baseKey}-thumb.jpg`;
+        await storage.save(thumbnailKey, thumbnail, 'image/jpeg');
+        storedKeys.push(thumbnailKey);
+      }
+
+      const evidence = fine.evidence.create({
+        type,
+        description: req.body.description,
+        storageKey,
+        thumbnailKey,
+        originalName: file.originalname,
+        mimeType: file.mimetype,
+        size: file.size,
+        uploadedBy: req.user._id
+      });
+      const downloadUrl = `/api/fines/${fine._id}/evidence/${evidence._id}/download`;
+      evidence.url = downloadUrl;
+      if (thumbnailKey) {
+        evidence.thumbnailUrl = `${downloadUrl}?variant=thumbnail`;
+      }
+
+      fine.evidence.push(evidence);
+      uploaded.push(evidence);
+    }
+
+    await fine.save();
+
+    res.status(201).json({
+      message: 'Evidence uploaded successfully',
+      evidence: uploaded
+    });
+  } catch (error) {
+    // Don't leave orphaned files behind when the upload fails part way
+    await Promise.all(storedKeys.map(key => storage.remove(key).catch(() => {})));
+    next(error);
+  }
+});
+
+/**
+ * @swagger
+ * /api/fines/{id}/evidence/{evidenceId}/download:
+ *   get:
+ *     summary: Download an evidence file
+ *     tags: [Fines]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Fine ID
+ *       - in: path
+ *         name: evidenceId
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Evidence ID
+ *       - in: query
+ *         name: variant
+ *         schema:
+ *           type: string
+ *           enum: [original, thumbnail]
+ *         description: File variant to download (thumbnails exist for photos only)
+ *       - in: query
+ *         name: download
+ *         schema:
+ *           type: boolean
+ *         description: Send as an attachment instead of inline
+ *     responses:
+ *       200:
+ *         description: Evidence file
+ *       403:
+ *         description: Access denied
+ *       404:
+ *         description: Fine or evidence not found
+ */
+router.get('/:evidenceId/download', [
+  authenticateToken,
+  param('id').isMongoId().withMessage('Invalid fine ID'),
+  param('evidenceId').isMongoId().withMessage('Invalid evidence ID'),
+  query('variant')
+    .optional()
+    .isIn(['original', 'thumbnail'])
+    .withMessage('Variant must be original or thumbnail')
+], async (req, res, next) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const fine = await Fine.findById(req.params.id).select('driverId policeOfficer station division province evidence');
+    if (!fine) {
+      return res.status(404).json({
+        message: 'Fine not found'
+      });
+    }
+
+    if (!canAccessFine(req.user, fine)) {
+      return res.status(403).json({
+        message: 'Access denied. You can only view your own fines.'
+      });
+    }
+
+    const evidence = fine.evidence.id(req.params.evidenceId);
+    const isThumbnail = req.query.variant === 'thumbnail';
+    const key = evidence && (isThumbnail ? evidence.thumbnailKey : evidence.storageKey);
+
+    const storage = getStorage();
+    if (!key || !(await storage.exists(key))) {
+      return res.status(404).json({
+        message: 'Evidence file not found'
+      });
+    }
+
+    const fileName = isThumbnail ? 'thumbnail.jpg' : (evidence.originalName || path.basename(key));
+    res.set({
+      'Content-Type': isThumbnail ? 'image/jpeg' : evidence.mimeType,
+      'Content-Disposition': contentDisposition(req.query.download === 'true' ? 'attachment' : 'inline', fileName),
+      'Cache-Control': 'private, max-age=3600'
+    });
+
+    const stream = storage.createReadStream(key);
+    stream.on('error', next);
+    stream.pipe(res);
+  } catch (error) {
+    next(error);
+  }
+});
+
+module.exports = router;
@@ -1,12 +1,62 @@
 const express = require('express');
-const { body, validationResult, param } = require('express-validator');
+const { body, header, validationResult, param } = require('express-validator');
 const Fine = require('../models/Fine');
 const User = require('../models/User');
+const Transaction = require('../models/Transaction');
+const Station = require('../models/Station');
+const Vehicle = require('../models/Vehicle');
 const { TrafficViolation } = require('../models/TrafficViolation');
-const { authenticateToken, requirePoliceOrAdmin, canAccessDriverData } = require('../middleware/auth');
+const { authenticateToken, requirePermission, hasPermission, canAccessDriverData, canAccessFine, getJurisdiction } = require('../middleware/auth');
+const { creditForFine, reverseForFine } = require('../services/demeritPoints');
+const { renderFineNoticePdf } = require('../services/documents');
+const { nextFineNumber } = require('../services/numbering');
+const { normalizePlate, findOrCreateVehicle } = require('../services/vehicles');
+const { findDriverByLicense } = require('../services/fineClaims');
+const { normalizeLicenseNumber, validateLicenseNumber } = require('../services/licenses');
+const evidenceRoutes = require('./evidence');
+const instalmentPlanRoutes = require('./instalmentPlans');
 
 const router = express.Router();
 
+// Evidence upload and download
+router.use('/:id/evidence', evidenceRoutes);
+router.use('/:id/instalment-plan', instalmentPlanRoutes);
+
+// How old a fine queued offline may be when it reaches the server
+const OFFLINE_FINE_MAX_AGE_HOURS = parseInt(process.env.OFFLINE_FINE_MAX_AGE_HOURS) || 72;
+// Allowance for device clocks running ahead of the server
+const CLOCK_SKEW_MS = 5 * 60 * 1000;
+
+const CREATED_FINE_POPULATE = [
+  { path: 'driverId', select: 'username profile.firstName profile.lastName profile.licenseNumber' },
+  { path: 'policeOfficer', select: 'username profile.firstName profile.lastName profile.badgeNumber' },
+  { path: 'violationId', select: 'name code category severityLevel' }
+];
+
+// Fine an officer already created with an idempotency key
+const findReplayedFine = (policeOfficer, idempotencyKey) =>
+  Fine.findOne({ policeOfficer, idempotencyKey }).populate(CREATED_FINE_POPULATE);
+
+const escapeRegex = (value) => value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+// Conditions matching fines by fine number, license plate or the receipt number of one
+// of their payments (fines paid in a checkout share its number). A complete plate also
+// matches the vehicle however its plate was typed on each fine.
+const buildSearchConditions = async (search) => {
+  const pattern = new RegExp(escapeRegex(String(search).trim()), 'i');
+  const receiptFines = await Transaction.find({ type: 'payment', receiptNumber: pattern }).distinct('fine');
+  const plate = normalizePlate(search);
+  const vehicle = plate && await Vehicle.findOne({ registrationNumber: plate.registrationNumber }).select('_id');
+
+  return [
+    { fineId: pattern },
+    { 'vehicleInfo.licensePlate': pattern },
+    { driverLicenseNumber: pattern },
+    ...(vehicle ? [{ vehicle: vehicle._id }] : []),
+    ...(receiptFines.length > 0 ? [{ _id: { $in: receiptFines } }] : [])
+  ];
+};
+
 /**
  * @swagger
  * /api/fines:
@@ -28,6 +78,21 @@ const router = express.Router();
  *           type: string
  *         description: Filter by driver ID (admin/police only)
  *       - in: query
+ *         name: unresolved
+ *         schema:
+ *           type: boolean
+ *         description: Only fines that no registered driver has claimed yet (admin/police only)
+ *       - in: query
+ *         name: stationId
+ *         schema:
+ *           type: string
+ *         description: Filter by issuing station (admin/police only)
+ *       - in: query
+ *         name: search
+ *         schema:
+ *           type: string
+ *         description: Fine number, receipt number, license plate or unclaimed license number (whole or partial)
+ *       - in: query
  *         name: page
  *         schema:
  *           type: integer
@@ -46,7 +111,7 @@ const router = express.Router();
  */
 router.get('/', authenticateToken, async (req, res, next) => {
   try {
-    const { status, driverId, page = 1, limit = 10 } = req.query;
+    const { status, driverId, unresolved, stationId, search, page = 1, limit = 10 } = req.query;
     const currentUser = req.user;
     
     // Build query based on user role
@@ -55,16 +120,21 @@ router.get('/', authenticateToken, async (req, res, next) => {
     if (currentUser.role === 'driver') {
       // Drivers can only see their own fines
       query.driverId = currentUser._id;
-    } else if (currentUser.role === 'police_officer') {
-      // Police officers can see fines they created or all fines (based on requirements)
-      // For now, let's allow them to see all fines for monitoring purposes
-      if (driverId) {
-        query.driverId = driverId;
+    } else if (driverId) {
+      // Staff can see all fines, optionally for one driver
+      query.driverId = driverId;
+    } else if (unresolved === 'true') {
+      query.driverId = null;
+    }
+
+    if (currentUser.role !== 'driver') {
+      if (stationId) {
+        query.station = stationId;
       }
-    } else if (currentUser.role === 'admin') {
-      // Admins can see all fines
-      if (driverId) {
-        query.driverId = driverId;
+      // Commanders only see fines of their own jurisdiction
+      const jurisdiction = getJurisdiction(currentUser);
+      if (jurisdiction) {
+        query.$and = [jurisdiction];
       }
     }
 
@@ -72,6 +142,10 @@ router.get('/', authenticateToken, async (req, res, next) => {
       query.status = status;
     }
 
+    if (search) {
+      query.$or = await buildSearchConditions(search);
+    }
+
     // Calculate pagination
     const skip = (parseInt(page) - 1) * parseInt(limit);
     const limitNum = parseInt(limit);
@@ -81,6 +155,7 @@ router.get('/', authenticateToken, async (req, res, next) => {
       .populate('driverId', 'username profile.firstName profile.lastName profile.licenseNumber')
       .populate('policeOfficer', 'username profile.firstName profile.lastName profile.badgeNumber')
       .populate('violationId', 'name code category severityLevel')
+      .populate('station', 'name code')
       .sort({ createdAt: -1 })
       .skip(skip)
       .limit(limitNum);
@@ -142,7 +217,11 @@ router.get('/:id', [
       .populate('driverId', 'username profile.firstName profile.lastName profile.licenseNumber profile.phoneNumber')
       .populate('policeOfficer', 'username profile.firstName profile.lastName profile.badgeNumber')
       .populate('violationId', 'name code description category severityLevel fineAmount')
-      .populate('notes.addedBy', 'username profile.firstName profile.lastName');
+      .populate('notes.addedBy', 'username profile.firstName profile.lastName')
+      .populate('disputeInfo.history.performedBy', 'username role profile.firstName profile.lastName')
+      .populate('disputeInfo.resolvedBy', 'username profile.firstName profile.lastName')
+      .populate('instalmentPlan.approvedBy', 'username profile.firstName profile.lastName')
+      .populate('station', 'name code');
 
     if (!fine) {
       return res.status(404).json({
@@ -151,8 +230,7 @@ router.get('/:id', [
     }
 
     // Check access permissions
-    const currentUser = req.user;
-    if (currentUser.role === 'driver' && fine.driverId._id.toString() !== currentUser._id.toString()) {
+    if (!canAccessFine(req.user, fine)) {
       return res.status(403).json({
         message: 'Access denied. You can only view your own fines.'
       });
@@ -164,14 +242,102 @@ router.get('/:id', [
   }
 });
 
+/**
+ * @swagger
+ * /api/fines/{id}/notice/pdf:
+ *   get:
+ *     summary: Download the printable fine notice (spot ticket) as a PDF
+ *     description: >
+ *       Notice handed to the driver when the fine is issued, with department branding,
+ *       a QR code of the fine number and bilingual labels (see DOCUMENT_LANGUAGES).
+ *     tags: [Fines]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Fine ID
+ *     responses:
+ *       200:
+ *         description: PDF fine notice
+ *         content:
+ *           application/pdf:
+ *             schema:
+ *               type: string
+ *               format: binary
+ *       404:
+ *         description: Fine not found
+ *       403:
+ *         description: Access denied
+ */
+router.get('/:id/notice/pdf', [
+  authenticateToken,
+  param('id').isMongoId().withMessage('Invalid fine ID')
+], async (req, res, next) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const fine = await Fine.findById(req.params.id)
+      .populate('driverId', 'username profile.firstName profile.lastName profile.licenseNumber')
+      .populate('policeOfficer', 'username profile.firstName profile.lastName profile.badgeNumber')
+      .populate('violationId', 'name code');
+
+    if (!fine) {
+      return res.status(404).json({
+        message: 'Fine not found'
+      });
+    }
+
+    if (!canAccessFine(req.user, fine)) {
+      return res.status(403).json({
+        message: 'Access denied. You can only view your own fines.'
+      });
+    }
+
+    const pdf = await renderFineNoticePdf(fine);
+    res.set({
+      'Content-Type': 'application/pdf',
+      'Content-Disposition': `${req.query.download === 'true' ? 'attachment' : 'inline'}; filename="notice-${fine.fineId}.pdf"`,
+      'Cache-Control': 'private, no-cache'
+    });
+    res.send(pdf);
+  } catch (error) {
+    next(error);
+  }
+});
+
 /**
  * @swagger
  * /api/fines:
  *   post:
- *     summary: Create new fine (Police/Admin only)
+ *     summary: Create new fine (requires fines:create)
+ *     description: >
+ *       The driver is optional. Without a driverId the fine goes to the registered driver
+ *       holding driverLicenseNumber, or else to the driver who owns the vehicle. When
+ *       neither is known the fine is left unresolved and is claimed automatically once
+ *       the driver registers with that license number or adds the plate to their profile.
+ *       Devices that queue fines offline send an Idempotency-Key header; sending the same
+ *       key again returns the fine already created with it instead of a new one.
  *     tags: [Fines]
  *     security:
  *       - bearerAuth: []
+ *     parameters:
+ *       - in: header
+ *         name: Idempotency-Key
+ *         schema:
+ *           type: string
+ *           minLength: 16
+ *           maxLength: 64
+ *         description: Key generated by the issuing device for this fine, e.g. a UUID
  *     requestBody:
  *       required: true
  *       content:
@@ -179,7 +345,6 @@ router.get('/:id', [
  *           schema:
  *             type: object
  *             required:
- *               - driverId
  *               - violationId
  *               - violationMessage
  *               - location
@@ -187,6 +352,10 @@ router.get('/:id', [
  *             properties:
  *               driverId:
  *                 type: string
+ *                 description: Registered driver; omit for camera detections or unregistered drivers
+ *               driverLicenseNumber:
+ *                 type: string
+ *                 description: License number (e.g. B1234567) of a driver who may not have an account
  *               violationId:
  *                 type: string
  *               violationMessage:
@@ -225,6 +394,7 @@ router.get('/:id', [
  *                 properties:
  *                   licensePlate:
  *                     type: string
+ *                     description: Sri Lankan plate, e.g. WP CAB-1234 or 19-1234; stored normalised
  *                   vehicleType:
  *                     type: string
  *                     enum: [Car, Motorcycle, Bus, Truck, Van, Three-Wheeler, Other]
@@ -241,18 +411,37 @@ router.get('/:id', [
  *               customFineAmount:
  *                 type: number
  *                 minimum: 0
+ *               stationId:
+ *                 type: string
+ *                 description: Issuing station (Admin only); officers issue from their own station
+ *               issuedAt:
+ *                 type: string
+ *                 format: date-time
+ *                 description: >
+ *                   When the fine was issued, for fines queued offline (defaults to now). The
+ *                   due date counts from it. Rejected if older than OFFLINE_FINE_MAX_AGE_HOURS.
  *     responses:
+ *       200:
+ *         description: Fine already created with this Idempotency-Key (replayed is true)
  *       201:
  *         description: Fine created successfully
  *       400:
- *         description: Validation error
+ *         description: Validation error, unrecognised license plate or issuedAt out of range
+ *       404:
+ *         description: Driver, violation or station not found
  *       403:
  *         description: Access denied
  */
 router.post('/', [
   authenticateToken,
-  requirePoliceOrAdmin,
-  body('driverId').isMongoId().withMessage('Invalid driver ID'),
+  requirePermission('fines:create'),
+  body('driverId')
+    .optional()
+    .isMongoId()
+    .withMessage('Invalid driver ID'),
+  body('driverLicenseNumber')
+    .optional()
+    .custom(validateLicenseNumber),
   body('violationId').isMongoId().withMessage('Invalid violation ID'),
   body('violationMessage')
     .trim()
@@ -280,6 +469,10 @@ router.post('/', [
     .optional()
     .isFloat({ min: 0 })
     .withMessage('Custom fine amount must be a positive number'),
+  body('stationId')
+    .optional()
+    .isMongoId()
+    .withMessage('Invalid station ID'),
   body('tags')
     .optional()
     .isArray()
@@ -288,8 +481,18 @@ router.post('/', [
     .optional()
     .trim()
     .isLength({ max: 30 })
-    .withMessage('Each tag cannot exceed 30 characters')
+    .withMessage('Each tag cannot exceed 30 characters'),
+  body('issuedAt')
+    .optional()
+    .isISO8601()
+    .withMessage('Issued at must be a date and time'),
+  header('idempotency-key')
+    .optional()
+    .matches(/^[A-Za-z0-9_-]{16,64}$/)
+    .withMessage('Idempotency key must be 16 to 64 letters, digits, hyphens or underscores')
 ], async (req, res, next) => {
+  const idempotencyKey = req.get('Idempotency-Key');
+
   try {
     const errors = validationResult(req);
     if (!errors.isEmpty()) {
@@ -299,22 +502,53 @@ router.post('/', [
       });
     }
 
-    const { driverId, violationId, customFineAmount, ...fineData } = req.body;
-
-    // Verify driver exists
-    const driver = await User.findById(driverId);
-    if (!driver) {
-      return res.status(404).json({
-        message: 'Driver not found'
-      });
+    // A fine sent again after a dropped connection is returned as first created
+    if (idempotencyKey) {
+      const existing = await findReplayedFine(req.user._id, idempotencyKey);
+      if (existing) {
+        return res.json({
+          message: 'Fine already created',
+          fine: existing,
+          replayed: true
+        });
+      }
     }
 
-    if (driver.role !== 'driver') {
+    // Only what the officer fills in is taken from the request; the status, payment,
+    // dispute and amount history of a new fine always start from the model defaults
+    const {
+      driverId, driverLicenseNumber, violationId, violationMessage, location, vehicleInfo, tags,
+      customFineAmount, stationId, issuedAt
+    } = req.body;
+
+    const issuedAtDate = issuedAt ? new Date(issuedAt) : new Date();
+    const ageMs = Date.now() - issuedAtDate.getTime();
+    if (ageMs < -CLOCK_SKEW_MS || ageMs > OFFLINE_FINE_MAX_AGE_HOURS * 60 * 60 * 1000) {
       return res.status(400).json({
-        message: 'Selected user is not a driver'
+        message: `Issued at cannot be in the future or more than ${OFFLINE_FINE_MAX_AGE_HOURS} hours ago`,
+        error: 'INVALID_ISSUED_AT'
       });
     }
 
+    // Verify driver exists, or look them up by license number
+    let driver = null;
+    if (driverId) {
+      driver = await User.findById(driverId);
+      if (!driver) {
+        return res.status(404).json({
+          message: 'Driver not found'
+        });
+      }
+
+      if (driver.role !== 'driver') {
+        return res.status(400).json({
+          message: 'Selected user is not a driver'
+        });
+      }
+    } else if (driverLicenseNumber) {
+      driver = await findDriverByLicense(driverLicenseNumber);
+    }
+
     // Verify violation exists
     const violation = await TrafficViolation.findById(violationId);
     if (!violation) {
@@ -329,32 +563,80 @@ router.post('/', [
       });
     }
 
+    // Fines are stamped with the issuing officer's station; admins may name one
+    const issuingStationId = req.user.role === 'admin' && stationId ? stationId : req.user.station?._id;
+    const station = issuingStationId && await Station.findById(issuingStationId).populate('province', 'code');
+    if (issuingStationId && !station) {
+      return res.status(404).json({
+        message: 'Station not found'
+      });
+    }
+
+    const plate = normalizePlate(vehicleInfo.licensePlate);
+    if (!plate) {
+      return res.status(400).json({
+        message: 'License plate is not a valid Sri Lankan plate, e.g. WP CAB-1234 or 19-1234',
+        error: 'INVALID_LICENSE_PLATE'
+      });
+    }
+
     // Use custom fine amount if provided, otherwise use violation's default amount
     const fineAmount = customFineAmount || violation.fineAmount;
+    const vehicle = await findOrCreateVehicle(plate, vehicleInfo);
+
+    // With no driver or license to go on, the fine goes to the driver who owns the vehicle
+    if (!driver && !driverLicenseNumber && vehicle.owner) {
+      driver = await User.findOne({ _id: vehicle.owner, role: 'driver' });
+    }
 
     const fine = new Fine({
-      driverId,
+      driverId: driver?._id,
+      driverLicenseNumber: driver ? undefined : normalizeLicenseNumber(driverLicenseNumber) || undefined,
       policeOfficer: req.user._id,
       violationId,
       fineAmount,
       currency: violation.currency,
-      ...fineData
+      violationMessage,
+      location,
+      vehicleInfo: { ...vehicleInfo, licensePlate: plate.plate },
+      tags,
+      vehicle: vehicle._id,
+      fineId: await nextFineNumber(location, station, issuedAtDate),
+      station: station?._id,
+      division: station?.division,
+      province: station?.province._id,
+      idempotencyKey,
+      issuedAt: issuedAtDate
     });
 
     await fine.save();
+    if (driver) {
+      await creditForFine(fine, 'issued');
+    }
 
     // Populate the fine before returning
-    await fine.populate([
-      { path: 'driverId', select: 'username profile.firstName profile.lastName profile.licenseNumber' },
-      { path: 'policeOfficer', select: 'username profile.firstName profile.lastName profile.badgeNumber' },
-      { path: 'violationId', select: 'name code category severityLevel' }
-    ]);
+    await fine.populate(CREATED_FINE_POPULATE);
 
     res.status(201).json({
       message: 'Fine created successfully',
       fine
     });
   } catch (error) {
+    // The same fine sent twice at once: the second request loses the race on the key
+    if (error.code === 11000 && error.keyPattern?.idempotencyKey) {
+      try {
+        const existing = await findReplayedFine(req.user._id, idempotencyKey);
+        if (existing) {
+          return res.json({
+            message: 'Fine already created',
+            fine: existing,
+            replayed: true
+          });
+        }
+      } catch (lookupError) {
+        return next(lookupError);
+      }
+    }
     next(error);
   }
 });
@@ -363,7 +645,7 @@ router.post('/', [
  * @swagger
  * /api/fines/{id}/status:
  *   put:
- *     summary: Update fine status
+ *     summary: Update fine status (requires fines:update-status, or fines:cancel to cancel)
  *     tags: [Fines]
  *     security:
  *       - bearerAuth: []
@@ -385,7 +667,7 @@ router.post('/', [
  *             properties:
  *               status:
  *                 type: string
- *                 enum: [pending, paid, disputed, cancelled, overdue]
+ *                 enum: [cancelled, overdue]
  *               reason:
  *                 type: string
  *     responses:
@@ -395,13 +677,16 @@ router.post('/', [
  *         description: Fine not found
  *       403:
  *         description: Access denied
+ *       409:
+ *         description: Status transition not allowed
  */
 router.put('/:id/status', [
   authenticateToken,
+  requirePermission('fines:update-status', 'fines:cancel'),
   param('id').isMongoId().withMessage('Invalid fine ID'),
   body('status')
-    .isIn(['pending', 'paid', 'disputed', 'cancelled', 'overdue'])
-    .withMessage('Invalid status'),
+    .isIn(['cancelled', 'overdue'])
+    .withMessage('Invalid status. Payments, refunds and disputes update status through their own endpoints'),
   body('reason')
     .optional()
     .trim()
@@ -427,32 +712,32 @@ router.put('/:id/status', [
       });
     }
 
-    // Check permissions
-    if (currentUser.role === 'driver') {
-      // Drivers can only dispute their own fines
-      if (fine.driverId.toString() !== currentUser._id.toString()) {
-        return res.status(403).json({
-          message: 'Access denied'
-        });
-      }
-      if (status !== 'disputed') {
-        return res.status(403).json({
-          message: 'Drivers can only dispute fines'
-        });
-      }
+    if (!canAccessFine(currentUser, fine)) {
+      return res.status(403).json({
+        message: 'Access denied. This fine is outside your jurisdiction.'
+      });
     }
 
-    // Update status
-    fine.status = status;
+    // Cancelling a fine is granted separately from other status changes
+    const requiredPermission = status === 'cancelled' ? 'fines:cancel' : 'fines:update-status';
+    if (!hasPermission(req, requiredPermission)) {
+      return res.status(403).json({
+        message: `Access denied. Required permission: ${requiredPermission}`,
+        error: 'INSUFFICIENT_PERMISSIONS'
+      });
+    }
 
-    // Handle dispute
-    if (status === 'disputed') {
-      fine.disputeInfo.isDisputed = true;
-      fine.disputeInfo.disputeReason = reason;
-      fine.disputeInfo.disputeDate = new Date();
-      fine.disputeInfo.disputeStatus = 'pending';
+    // Disputes are resolved through /api/disputes so they are recorded on the fine
+    if (fine.status === 'disputed') {
+      return res.status(400).json({
+        message: 'Disputes must be resolved through /api/disputes',
+        error: 'USE_DISPUTE_ENDPOINT'
+      });
     }
 
+    // Update status (throws on transitions the fine model does not allow)
+    fine.transitionTo(status);
+
     // Add note if reason provided
     if (reason) {
       fine.notes.push({
@@ -463,6 +748,10 @@ router.put('/:id/status', [
 
     await fine.save();
 
+    if (status === 'cancelled') {
+      await reverseForFine(fine, { reason: reason || 'Fine cancelled', reversedBy: currentUser._id });
+    }
+
     res.json({
       message: 'Status updated successfully',
       fine
@@ -509,7 +798,7 @@ router.put('/:id/status', [
  */
 router.post('/:id/notes', [
   authenticateToken,
-  requirePoliceOrAdmin,
+  requirePermission('fines:add-notes'),
   param('id').isMongoId().withMessage('Invalid fine ID'),
   body('content')
     .trim()
@@ -534,6 +823,12 @@ router.post('/:id/notes', [
       });
     }
 
+    if (!canAccessFine(req.user, fine)) {
+      return res.status(403).json({
+        message: 'Access denied. This fine is outside your jurisdiction.'
+      });
+    }
+
     await fine.addNote(content, req.user._id);
 
     res.json({
@@ -549,9 +844,19 @@ router.post('/:id/notes', [
  * /api/fines/stats/overview:
  *   get:
  *     summary: Get fine statistics
+ *     description: >
+ *       Drivers see their own fines, officers the fines they issued, commanders the fines
+ *       of their jurisdiction and admins all fines.
  *     tags: [Fines]
  *     security:
  *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: groupBy
+ *         schema:
+ *           type: string
+ *           enum: [station]
+ *         description: Also break the totals down by issuing station (not for drivers)
  *     responses:
  *       200:
  *         description: Statistics retrieved successfully
@@ -559,11 +864,14 @@ router.post('/:id/notes', [
 router.get('/stats/overview', authenticateToken, async (req, res, next) => {
   try {
     const currentUser = req.user;
+    const jurisdiction = getJurisdiction(currentUser);
     let matchQuery = {};
 
     // Filter based on user role
     if (currentUser.role === 'driver') {
       matchQuery.driverId = currentUser._id;
+    } else if (jurisdiction) {
+      matchQuery = jurisdiction;
     } else if (currentUser.role === 'police_officer') {
       matchQuery.policeOfficer = currentUser._id;
     }
@@ -586,17 +894,37 @@ router.get('/stats/overview', authenticateToken, async (req, res, next) => {
       { $group: { _id: null, total: { $sum: '$fineAmount' } } }
     ]);
 
+    // Include past-due fines the overdue sweeper has not reached yet
     const overdueFines = await Fine.countDocuments({
       ...matchQuery,
-      status: 'pending',
-      dueDate: { $lt: new Date() }
+      $or: [
+        { status: 'overdue' },
+        { status: 'pending', dueDate: { $lt: new Date() } }
+      ]
     });
 
+    const stationStats = req.query.groupBy === 'station' && currentUser.role !== 'driver'
+      ? await Fine.aggregate([
+        { $match: matchQuery },
+        {
+          $group: {
+            _id: '$station',
+            count: { $sum: 1 },
+            totalAmount: { $sum: '$fineAmount' },
+            paidFines: { $sum: { $cond: [{ $in: ['$status', ['paid', 'partially_refunded']] }, 1, 0] } }
+          }
+        },
+        ...Station.lookupStages(),
+        { $sort: { count: -1 } }
+      ])
+      : undefined;
+
     res.json({
       totalFines,
       totalAmount: totalAmount[0]?.total || 0,
       overdueFines,
-      statusStats: stats
+      statusStats: stats,
+      stationStats
     });
   } catch (error) {
     next(error);
@@ -0,0 +1,284 @@
+const express = require('express');
+const { body, validationResult, param } = require('express-validator');
+const Fine = require('../models/Fine');
+const { authenticateToken, requirePermission } = require('../middleware/auth');
+const { notify } = require('../services/notifications');
+
+// Mounted under /api/fines/:id/instalment-plan
+const router = express.Router({ mergeParams: true });
+
+const MIN_INSTALMENTS = 2;
+const MAX_INSTALMENTS = parseInt(process.env.MAX_INSTALMENTS) || 12;
+
+// Add `count` schedule periods to a date
+const addPeriods = (date, frequency, count) => {
+  const result = new Date(date);
+  if (frequency === 'monthly') {
+    result.setMonth(result.getMonth() + count);
+  } else {
+    result.setDate(result.getDate() + count * (frequency === 'weekly' ? 7 : 14));
+  }
+  return result;
+};
+
+// Due dates for a regular schedule, starting one period from today unless a first date is given
+const buildSchedule = ({ instalments, frequency, firstDueDate }) => {
+  const first = firstDueDate ? new Date(firstDueDate) : addPeriods(new Date(), frequency, 1);
+  return Array.from({ length: instalments }, (_, index) => addPeriods(first, frequency, index));
+};
+
+/**
+ * @swagger
+ * /api/fines/{id}/instalment-plan:
+ *   post:
+ *     summary: Approve an instalment plan for a fine (requires instalments:manage)
+ *     description: >
+ *       Splits the outstanding amount into instalments. Give either a regular schedule
+ *       (`instalments` and `frequency`, optionally `firstDueDate`) or explicit `dueDates`.
+ *       Each instalment is paid through the normal payment flow; a missed instalment
+ *       makes the whole remaining balance overdue.
+ *     tags: [Fines]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Fine ID
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               instalments:
+ *                 type: integer
+ *                 minimum: 2
+ *                 maximum: 12
+ *               frequency:
+ *                 type: string
+ *                 enum: [weekly, fortnightly, monthly]
+ *               firstDueDate:
+ *                 type: string
+ *                 format: date
+ *               dueDates:
+ *                 type: array
+ *                 items:
+ *                   type: string
+ *                   format: date
+ *               reason:
+ *                 type: string
+ *     responses:
+ *       201:
+ *         description: Instalment plan approved
+ *       400:
+ *         description: Validation failed or fine cannot be paid in instalments
+ *       404:
+ *         description: Fine not found
+ *       409:
+ *         description: Fine already has an active instalment plan
+ */
+router.post('/', [
+  authenticateToken,
+  requirePermission('instalments:manage'),
+  param('id').isMongoId().withMessage('Invalid fine ID'),
+  body('dueDates')
+    .optional()
+    .isArray({ min: MIN_INSTALMENTS, max: MAX_INSTALMENTS })
+    .withMessage(`Between ${MIN_INSTALMENTS} and ${MAX_INSTALMENTS} due dates are required`),
+  body('dueDates.*')
+    .isISO8601()
+    .withMessage('Due dates must be valid dates'),
+  body('instalments')
+    .if(body('dueDates').not().exists())
+    .isInt({ min: MIN_INSTALMENTS, max: MAX_INSTALMENTS })
+    .withMessage(`Number of instalments must be between ${MIN_INSTALMENTS} and ${MAX_INSTALMENTS}`),
+  body('frequency')
+    .if(body('dueDates').not().exists())
+    .isIn(['weekly', 'fortnightly', 'monthly'])
+    .withMessage('Frequency must be weekly, fortnightly or monthly'),
+  body('firstDueDate')
+    .optional()
+    .isISO8601()
+    .withMessage('First due date must be a valid date'),
+  body('reason')
+    .optional()
+    .trim()
+    .isLength({ max: 500 })
+    .withMessage('Reason cannot exceed 500 characters')
+], async (req, res, next) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const fine = await Fine.findById(req.params.id);
+    if (!fine) {
+      return res.status(404).json({
+        message: 'Fine not found'
+      });
+    }
+
+    if (fine.status !== 'pending') {
+      return res.status(400).json({
+        message: `Only pending fines can be paid in instalments. Current status: ${fine.status}`,
+        error: 'INVALID_STATUS_TRANSITION'
+      });
+    }
+
+    if (fine.instalmentPlan?.status === 'active') {
+      return res.status(409).json({
+        message: 'Fine already has an active instalment plan',
+        error: 'PLAN_EXISTS'
+      });
+    }
+
+    const { dueDates, instalments, frequency, firstDueDate, reason } = req.body;
+    const schedule = dueDates
+      ? dueDates.map(date => new Date(date))
+      : buildSchedule({ instalments: parseInt(instalments), frequency, firstDueDate });
+
+    const isAscending = schedule.every((date, index) => index === 0 || date > schedule[index - 1]);
+    if (schedule[0] <= new Date() || !isAscending) {
+      return res.status(400).json({
+        message: 'Due dates must be in the future and in order',
+        error: 'INVALID_SCHEDULE'
+      });
+    }
+
+    if (Math.round(fine.outstandingAmount * 100) < schedule.length) {
+      return res.status(400).json({
+        message: 'Outstanding amount is too small to split into instalments',
+        error: 'INVALID_SCHEDULE'
+      });
+    }
+
+    fine.approveInstalmentPlan({
+      dueDates: schedule,
+      frequency: dueDates ? 'custom' : frequency,
+      reason,
+      approvedBy: req.user._id
+    });
+    fine.notes.push({
+      content: `Instalment plan approved: ${schedule.length} instalments, first due ${schedule[0].toDateString()}` +
+        (reason ? `. ${reason}` : ''),
+      addedBy: req.user._id
+    });
+    await fine.save();
+
+    const firstInstalment = fine.instalmentPlan.instalments[0];
+    await notify([fine.driverId], {
+      type: 'instalment_plan_approved',
+      title: 'Instalment plan approved',
+      message: `Fine ${fine.fineId} can now be paid in ${schedule.length} instalments. The first instalment of ${fine.currency} ${firstInstalment.amount.toLocaleString('en-US')} is due on ${firstInstalment.dueDate.toDateString()}.`,
+      fine
+    });
+
+    res.status(201).json({
+      message: 'Instalment plan approved',
+      instalmentPlan: fine.instalmentPlan,
+      fine
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * @swagger
+ * /api/fines/{id}/instalment-plan/cancel:
+ *   post:
+ *     summary: Cancel the active instalment plan of a fine (requires instalments:manage)
+ *     description: The remaining balance falls due on the date of the next unpaid instalment.
+ *     tags: [Fines]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Fine ID
+ *     requestBody:
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               reason:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: Instalment plan cancelled
+ *       400:
+ *         description: Fine has no active instalment plan
+ *       404:
+ *         description: Fine not found
+ */
+router.post('/cancel', [
+  authenticateToken,
+  requirePermission('instalments:manage'),
+  param('id').isMongoId().withMessage('Invalid fine ID'),
+  body('reason')
+    .optional()
+    .trim()
+    .isLength({ max: 500 })
+    .withMessage('Reason cannot exceed 500 characters')
+], async (req, res, next) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const fine = await Fine.findById(req.params.id);
+    if (!fine) {
+      return res.status(404).json({
+        message: 'Fine not found'
+      });
+    }
+
+    if (fine.instalmentPlan?.status !== 'active') {
+      return res.status(400).json({
+        message: 'Fine has no active instalment plan',
+        error: 'NO_ACTIVE_PLAN'
+      });
+    }
+
+    const { reason } = req.body;
+    fine.instalmentPlan.status = 'cancelled';
+    fine.instalmentPlan.endedAt = new Date();
+    fine.notes.push({
+      content: `Instalment plan cancelled${reason ? `: ${reason}` : ''}`,
+      addedBy: req.user._id
+    });
+    await fine.save();
+
+    await notify([fine.driverId], {
+      type: 'instalment_plan_cancelled',
+      title: 'Instalment plan cancelled',
+      message: `The instalment plan for fine ${fine.fineId} was cancelled. The remaining ${fine.currency} ${fine.outstandingAmount.toLocaleString('en-US')} is due on ${fine.dueDate.toDateString()}.`,
+      fine
+    });
+
+    res.json({
+      message: 'Instalment plan cancelled',
+      fine
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+module.exports = router;
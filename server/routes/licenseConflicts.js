@@ -0,0 +1,284 @@
+const express = require('express');
+const { body, validationResult, param, query } = require('express-validator');
+const LicenseConflict = require('../models/LicenseConflict');
+const User = require('../models/User');
+const { authenticateToken, requirePermission } = require('../middleware/auth');
+const { claimFines, reassignFines } = require('../services/fineClaims');
+const { notify } = require('../services/notifications');
+
+const router = express.Router();
+
+const STATUSES = ['pending', 'awarded_to_claimant', 'kept_by_holder'];
+
+const PERSON_FIELDS = 'username email profile.firstName profile.lastName profile.phoneNumber profile.licenseNumber createdAt';
+
+/**
+ * @swagger
+ * /api/license-conflicts/mine:
+ *   get:
+ *     summary: Get the license conflicts raised by the current user
+ *     tags: [License Conflicts]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Conflicts retrieved successfully
+ */
+router.get('/mine', authenticateToken, async (req, res, next) => {
+  try {
+    const conflicts = await LicenseConflict.find({ claimant: req.user._id })
+      .select('-holder')
+      .sort({ createdAt: -1 });
+
+    res.json({ conflicts });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * @swagger
+ * /api/license-conflicts:
+ *   get:
+ *     summary: Get license conflicts for review (requires licenses:resolve)
+ *     tags: [License Conflicts]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: status
+ *         schema:
+ *           type: string
+ *           enum: [pending, awarded_to_claimant, kept_by_holder]
+ *         description: Conflict status (defaults to pending)
+ *       - in: query
+ *         name: page
+ *         schema:
+ *           type: integer
+ *           minimum: 1
+ *         description: Page number
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           minimum: 1
+ *           maximum: 100
+ *         description: Number of conflicts per page
+ *     responses:
+ *       200:
+ *         description: Conflicts retrieved successfully
+ *       403:
+ *         description: Access denied
+ */
+router.get('/', [
+  authenticateToken,
+  requirePermission('licenses:resolve'),
+  query('status')
+    .optional()
+    .isIn(STATUSES)
+    .withMessage('Invalid conflict status')
+], async (req, res, next) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const { status = 'pending', page = 1, limit = 10 } = req.query;
+
+    // Calculate pagination
+    const skip = (parseInt(page) - 1) * parseInt(limit);
+    const limitNum = parseInt(limit);
+
+    // Oldest conflicts first so the queue is worked in order
+    const conflicts = await LicenseConflict.find({ status })
+      .populate('claimant', PERSON_FIELDS)
+      .populate('holder', PERSON_FIELDS)
+      .populate('resolvedBy', 'username profile.firstName profile.lastName')
+      .sort({ createdAt: status === 'pending' ? 1 : -1 })
+      .skip(skip)
+      .limit(limitNum);
+
+    const total = await LicenseConflict.countDocuments({ status });
+
+    res.json({
+      conflicts,
+      pagination: {
+        current: parseInt(page),
+        pages: Math.ceil(total / limitNum),
+        total,
+        limit: limitNum
+      }
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * @swagger
+ * /api/license-conflicts/{id}/resolve:
+ *   put:
+ *     summary: Decide which account a disputed license number belongs to (requires licenses:resolve)
+ *     description: >
+ *       Awarding the license number to the claimant removes it from the holder's profile,
+ *       sets it on the claimant's and claims the fines issued against it, moving any the
+ *       holder had claimed together with their demerit points.
+ *       Both users are notified. Keeping it with the holder only notifies the claimant.
+ *     tags: [License Conflicts]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Conflict ID
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - decision
+ *             properties:
+ *               decision:
+ *                 type: string
+ *                 enum: [awarded_to_claimant, kept_by_holder]
+ *               note:
+ *                 type: string
+ *                 maxLength: 500
+ *                 description: Required when the holder keeps the license number
+ *     responses:
+ *       200:
+ *         description: Conflict resolved successfully
+ *       400:
+ *         description: Validation error or conflict is not pending
+ *       403:
+ *         description: Access denied
+ *       404:
+ *         description: Conflict or claimant not found
+ */
+router.put('/:id/resolve', [
+  authenticateToken,
+  requirePermission('licenses:resolve'),
+  param('id').isMongoId().withMessage('Invalid conflict ID'),
+  body('decision')
+    .isIn(['awarded_to_claimant', 'kept_by_holder'])
+    .withMessage('Decision must be awarded_to_claimant or kept_by_holder'),
+  body('note')
+    .if(body('decision').equals('kept_by_holder'))
+    .trim()
+    .isLength({ min: 1, max: 500 })
+    .withMessage('Note is required when the holder keeps the license number and cannot exceed 500 characters'),
+  body('note')
+    .optional()
+    .trim()
+    .isLength({ max: 500 })
+    .withMessage('Note cannot exceed 500 characters')
+], async (req, res, next) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const { decision, note } = req.body;
+
+    const conflict = await LicenseConflict.findById(req.params.id);
+    if (!conflict) {
+      return res.status(404).json({
+        message: 'License conflict not found'
+      });
+    }
+
+    if (conflict.status !== 'pending') {
+      return res.status(400).json({
+        message: 'License conflict has already been resolved',
+        error: 'CONFLICT_NOT_PENDING'
+      });
+    }
+
+    const claimant = await User.findById(conflict.claimant);
+    if (!claimant) {
+      return res.status(404).json({
+        message: 'Claimant not found'
+      });
+    }
+
+    const { licenseNumber } = conflict;
+    let claimedFines = [];
+
+    if (decision === 'awarded_to_claimant') {
+      // Whoever holds the number now gives it up, which may no longer be the original holder
+      const holders = await User.find({
+        _id: { $ne: claimant._id },
+        'profile.licenseNumber': licenseNumber
+      }).select('_id');
+      await User.updateMany(
+        { _id: { $in: holders.map(holder => holder._id) } },
+        { $unset: { 'profile.licenseNumber': 1 } }
+      );
+
+      claimant.profile.licenseNumber = licenseNumber;
+      await claimant.save();
+
+      // Other claims to the same number are now against the claimant
+      await LicenseConflict.updateMany(
+        { licenseNumber, status: 'pending', _id: { $ne: conflict._id }, claimant: { $ne: claimant._id } },
+        { $set: { holder: claimant._id } }
+      );
+      await LicenseConflict.updateMany(
+        { licenseNumber, status: 'pending', _id: { $ne: conflict._id }, claimant: claimant._id },
+        { $set: { status: 'awarded_to_claimant', resolvedBy: req.user._id, resolvedAt: new Date() } }
+      );
+
+      // Fines written against the number belong to the claimant, including ones the holders claimed
+      const reassignedFines = await reassignFines(claimant, {
+        licenseNumber,
+        fromDriverIds: holders.map(holder => holder._id)
+      }, req.user._id);
+      claimedFines = [...reassignedFines, ...await claimFines(claimant, { licenseNumber })];
+
+      await notify(holders, {
+        type: 'license_conflict_resolved',
+        title: 'License number removed',
+        message: `License number ${licenseNumber} was removed from your profile after review because it belongs to another account. Fines issued against it have been moved to that account. ${note || ''}`.trim().slice(0, 500)
+      });
+    }
+
+    await conflict.resolve(decision, { resolvedBy: req.user._id, note });
+
+    await notify([claimant], {
+      type: 'license_conflict_resolved',
+      title: decision === 'awarded_to_claimant' ? 'License number confirmed' : 'License number claim rejected',
+      message: (decision === 'awarded_to_claimant'
+        ? `License number ${licenseNumber} has been added to your profile.`
+        : `Your claim to license number ${licenseNumber} was rejected. ${note}`).slice(0, 500)
+    });
+
+    await conflict.populate([
+      { path: 'claimant', select: PERSON_FIELDS },
+      { path: 'holder', select: PERSON_FIELDS },
+      { path: 'resolvedBy', select: 'username profile.firstName profile.lastName' }
+    ]);
+
+    res.json({
+      message: 'License conflict resolved successfully',
+      conflict,
+      claimedFines: claimedFines.map(fine => fine.fineId)
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,132 @@
+const express = require('express');
+const { validationResult, param } = require('express-validator');
+const Notification = require('../models/Notification');
+const { authenticateToken } = require('../middleware/auth');
+
+const router = express.Router();
+
+/**
+ * @swagger
+ * /api/notifications:
+ *   get:
+ *     summary: Get notifications for the current user
+ *     tags: [Notifications]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: unread
+ *         schema:
+ *           type: boolean
+ *         description: Only return unread notifications
+ *       - in: query
+ *         name: page
+ *         schema:
+ *           type: integer
+ *           minimum: 1
+ *         description: Page number
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           minimum: 1
+ *           maximum: 100
+ *         description: Number of notifications per page
+ *     responses:
+ *       200:
+ *         description: Notifications retrieved successfully
+ */
+router.get('/', authenticateToken, async (req, res, next) => {
+  try {
+    const { unread, page = 1, limit = 20 } = req.query;
+
+    const query = { recipient: req.user._id };
+    if (unread === 'true') {
+      query.readAt = null;
+    }
+
+    // Calculate pagination
+    const skip = (parseInt(page) - 1) * parseInt(limit);
+    const limitNum = parseInt(limit);
+
+    const notifications = await Notification.find(query)
+      .populate('fine', 'fineId status fineAmount currency')
+      .sort({ createdAt: -1 })
+      .skip(skip)
+      .limit(limitNum);
+
+    const total = await Notification.countDocuments(query);
+    const unreadCount = await Notification.countDocuments({ recipient: req.user._id, readAt: null });
+
+    res.json({
+      notifications,
+      unreadCount,
+      pagination: {
+        current: parseInt(page),
+        pages: Math.ceil(total / limitNum),
+        total,
+        limit: limitNum
+      }
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * @swagger
+ * /api/notifications/{id}/read:
+ *   put:
+ *     summary: Mark notification as read
+ *     tags: [Notifications]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Notification ID
+ *     responses:
+ *       200:
+ *         description: Notification marked as read
+ *       404:
+ *         description: Notification not found
+ */
+router.put('/:id/read', [
+  authenticateToken,
+  param('id').isMongoId().withMessage('Invalid notification ID')
+], async (req, res, next) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const notification = await Notification.findOne({
+      _id: req.params.id,
+      recipient: req.user._id
+    });
+
+    if (!notification) {
+      return res.status(404).json({
+        message: 'Notification not found'
+      });
+    }
+
+    await notification.markAsRead();
+
+    res.json({
+      message: 'Notification marked as read',
+      notification
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+module.exports = router;
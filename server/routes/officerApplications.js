@@ -0,0 +1,465 @@
+const express = require('express');
+const path = require('path');
+const { v4: uuidv4 } = require('uuid');
+const { body, validationResult, param, query } = require('express-validator');
+const OfficerApplication = require('../models/OfficerApplication');
+const Station = require('../models/Station');
+const User = require('../models/User');
+const { authenticateToken, requirePermission, hasPermission } = require('../middleware/auth');
+const { idDocumentUpload } = require('../middleware/upload');
+const { getStorage } = require('../services/storage');
+const { notify } = require('../services/notifications');
+
+const router = express.Router();
+
+/**
+ * @swagger
+ * /api/officer-applications:
+ *   post:
+ *     summary: Apply to become a police officer
+ *     description: >
+ *       Drivers submit their badge number, station and a scan of their police ID.
+ *       The application waits in the review queue until an admin approves or rejects it.
+ *     tags: [Officer Applications]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         multipart/form-data:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - badgeNumber
+ *               - stationId
+ *               - idDocument
+ *             properties:
+ *               badgeNumber:
+ *                 type: string
+ *               stationId:
+ *                 type: string
+ *               idDocument:
+ *                 type: string
+ *                 format: binary
+ *                 description: Police ID card image or PDF
+ *     responses:
+ *       201:
+ *         description: Application submitted successfully
+ *       400:
+ *         description: Validation failed, missing ID document or user cannot apply
+ *       404:
+ *         description: Station not found
+ *       409:
+ *         description: Application already pending or badge number in use
+ */
+router.post('/', [
+  authenticateToken,
+  idDocumentUpload.single('idDocument'),
+  body('badgeNumber')
+    .trim()
+    .isLength({ min: 1, max: 20 })
+    .withMessage('Badge number is required and cannot exceed 20 characters'),
+  body('stationId').isMongoId().withMessage('Invalid station ID')
+], async (req, res, next) => {
+  const storage = getStorage();
+  let documentKey;
+  let isSubmitted = false;
+
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const { badgeNumber, stationId } = req.body;
+
+    if (req.user.role !== 'driver') {
+      return res.status(400).json({
+        message: 'Only drivers can apply to become police officers',
+        error: 'NOT_ELIGIBLE'
+      });
+    }
+
+    if (!req.file) {
+      return res.status(400).json({
+        message: 'A scan or photo of your police ID is required',
+        error: 'ID_DOCUMENT_REQUIRED'
+      });
+    }
+
+    const station = await Station.findById(stationId);
+    if (!station) {
+      return res.status(404).json({
+        message: 'Station not found'
+      });
+    }
+    if (!station.isActive) {
+      return res.status(400).json({
+        message: 'Station is not active',
+        error: 'STATION_INACTIVE'
+      });
+    }
+
+    if (await OfficerApplication.exists({ applicant: req.user._id, status: 'pending' })) {
+      return res.status(409).json({
+        message: 'You already have an application waiting for review',
+        error: 'APPLICATION_PENDING'
+      });
+    }
+
+    const badgeInUse = await User.exists({
+      _id: { $ne: req.user._id },
+      role: { $ne: 'driver' },
+      'profile.badgeNumber': badgeNumber
+    });
+    if (badgeInUse) {
+      return res.status(409).json({
+        message: `Badge number ${badgeNumber} is already assigned to another officer`,
+        error: 'BADGE_IN_USE'
+      });
+    }
+
+    documentKey = `officer-applications/${req.user._id}/${uuidv4()}${path.extname(req.file.originalname).toLowerCase()}`;
+    await storage.save(documentKey, req.file.buffer, req.file.mimetype);
+
+    const application = await OfficerApplication.create({
+      applicant: req.user._id,
+      badgeNumber,
+      station: station._id,
+      idDocument: {
+        key: documentKey,
+        mimeType: req.file.mimetype,
+        originalName: req.file.originalname,
+        size: req.file.size
+      }
+    });
+    isSubmitted = true;
+    await application.populate('station', 'name code');
+
+    res.status(201).json({
+      message: 'Application submitted successfully',
+      application
+    });
+  } catch (error) {
+    // Don't leave an orphaned ID document behind when the application was not saved
+    if (documentKey && !isSubmitted) {
+      await storage.remove(documentKey).catch(() => {});
+    }
+    next(error);
+  }
+});
+
+/**
+ * @swagger
+ * /api/officer-applications/mine:
+ *   get:
+ *     summary: Get the current user's officer applications
+ *     tags: [Officer Applications]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Applications retrieved successfully
+ */
+router.get('/mine', authenticateToken, async (req, res, next) => {
+  try {
+    const applications = await OfficerApplication.find({ applicant: req.user._id })
+      .populate('station', 'name code')
+      .populate('reviewedBy', 'username profile.firstName profile.lastName')
+      .sort({ createdAt: -1 });
+
+    res.json({ applications });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * @swagger
+ * /api/officer-applications:
+ *   get:
+ *     summary: Get officer applications for review (requires officers:verify)
+ *     tags: [Officer Applications]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: status
+ *         schema:
+ *           type: string
+ *           enum: [pending, approved, rejected]
+ *         description: Application status (defaults to pending)
+ *       - in: query
+ *         name: page
+ *         schema:
+ *           type: integer
+ *           minimum: 1
+ *         description: Page number
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           minimum: 1
+ *           maximum: 100
+ *         description: Number of applications per page
+ *     responses:
+ *       200:
+ *         description: Applications retrieved successfully
+ *       403:
+ *         description: Access denied
+ */
+router.get('/', [
+  authenticateToken,
+  requirePermission('officers:verify'),
+  query('status')
+    .optional()
+    .isIn(['pending', 'approved', 'rejected'])
+    .withMessage('Invalid application status')
+], async (req, res, next) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const { status = 'pending', page = 1, limit = 10 } = req.query;
+
+    // Calculate pagination
+    const skip = (parseInt(page) - 1) * parseInt(limit);
+    const limitNum = parseInt(limit);
+
+    // Oldest applications first so the queue is worked in order
+    const applications = await OfficerApplication.find({ status })
+      .populate('applicant', 'username email profile.firstName profile.lastName profile.phoneNumber')
+      .populate('station', 'name code')
+      .populate('reviewedBy', 'username profile.firstName profile.lastName')
+      .sort({ createdAt: status === 'pending' ? 1 : -1 })
+      .skip(skip)
+      .limit(limitNum);
+
+    const total = await OfficerApplication.countDocuments({ status });
+
+    res.json({
+      applications,
+      pagination: {
+        current: parseInt(page),
+        pages: Math.ceil(total / limitNum),
+        total,
+        limit: limitNum
+      }
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * @swagger
+ * /api/officer-applications/{id}/document:
+ *   get:
+ *     summary: Download the ID document of an officer application
+ *     description: Available to the applicant and to reviewers with officers:verify.
+ *     tags: [Officer Applications]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Application ID
+ *     responses:
+ *       200:
+ *         description: ID document file
+ *       403:
+ *         description: Access denied
+ *       404:
+ *         description: Application or document not found
+ */
+router.get('/:id/document', [
+  authenticateToken,
+  param('id').isMongoId().withMessage('Invalid application ID')
+], async (req, res, next) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const application = await OfficerApplication.findById(req.params.id);
+    if (!application) {
+      return res.status(404).json({
+        message: 'Application not found'
+      });
+    }
+
+    const isApplicant = application.applicant.toString() === req.user._id.toString();
+    if (!isApplicant && !hasPermission(req, 'officers:verify')) {
+      return res.status(403).json({
+        message: 'Access denied. You can only view your own applications.'
+      });
+    }
+
+    const { key, mimeType } = application.idDocument;
+    const storage = getStorage();
+    if (!(await storage.exists(key))) {
+      return res.status(404).json({
+        message: 'ID document not found'
+      });
+    }
+
+    res.set({
+      'Content-Type': mimeType,
+      'Content-Disposition': `inline; filename="${path.basename(key)}"`,
+      'Cache-Control': 'private, max-age=3600'
+    });
+
+    const stream = storage.createReadStream(key);
+    stream.on('error', next);
+    stream.pipe(res);
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * @swagger
+ * /api/officer-applications/{id}/review:
+ *   put:
+ *     summary: Approve or reject an officer application (requires officers:verify)
+ *     description: >
+ *       Approving makes the applicant a police officer at the station they applied for,
+ *       with their badge number. The role change is kept in the user's role history.
+ *     tags: [Officer Applications]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Application ID
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - decision
+ *             properties:
+ *               decision:
+ *                 type: string
+ *                 enum: [approved, rejected]
+ *               reason:
+ *                 type: string
+ *                 maxLength: 500
+ *                 description: Required when rejecting
+ *     responses:
+ *       200:
+ *         description: Application reviewed successfully
+ *       400:
+ *         description: Validation error or application is not pending
+ *       403:
+ *         description: Access denied
+ *       404:
+ *         description: Application or applicant not found
+ */
+router.put('/:id/review', [
+  authenticateToken,
+  requirePermission('officers:verify'),
+  param('id').isMongoId().withMessage('Invalid application ID'),
+  body('decision')
+    .isIn(['approved', 'rejected'])
+    .withMessage('Decision must be approved or rejected'),
+  body('reason')
+    .if(body('decision').equals('rejected'))
+    .trim()
+    .isLength({ min: 1, max: 500 })
+    .withMessage('Reason is required when rejecting and cannot exceed 500 characters'),
+  body('reason')
+    .optional()
+    .trim()
+    .isLength({ max: 500 })
+    .withMessage('Reason cannot exceed 500 characters')
+], async (req, res, next) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const { decision, reason } = req.body;
+
+    const application = await OfficerApplication.findById(req.params.id);
+    if (!application) {
+      return res.status(404).json({
+        message: 'Application not found'
+      });
+    }
+
+    if (application.status !== 'pending') {
+      return res.status(400).json({
+        message: `Application has already been ${application.status}`,
+        error: 'APPLICATION_NOT_PENDING'
+      });
+    }
+
+    const applicant = await User.findById(application.applicant);
+    if (!applicant) {
+      return res.status(404).json({
+        message: 'Applicant not found'
+      });
+    }
+
+    await application.review(decision, { reviewedBy: req.user._id, reason });
+
+    if (decision === 'approved') {
+      applicant.changeRole('police_officer', {
+        changedBy: req.user._id,
+        reason: reason || 'Officer application approved',
+        application: application._id
+      });
+      applicant.station = application.station;
+      applicant.profile.badgeNumber = application.badgeNumber;
+      await applicant.save();
+    }
+
+    await notify([applicant], {
+      type: decision === 'approved' ? 'officer_application_approved' : 'officer_application_rejected',
+      title: decision === 'approved' ? 'Officer application approved' : 'Officer application rejected',
+      message: decision === 'approved'
+        ? `Your application to become a police officer with badge number ${application.badgeNumber} was approved.`
+        : `Your application to become a police officer was rejected. ${reason}`.slice(0, 500)
+    });
+
+    await application.populate([
+      { path: 'applicant', select: 'username email role profile.firstName profile.lastName' },
+      { path: 'station', select: 'name code' },
+      { path: 'reviewedBy', select: 'username profile.firstName profile.lastName' }
+    ]);
+
+    res.json({
+      message: `Application ${decision} successfully`,
+      application
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,181 @@
+const express = require('express');
+const { validationResult, param, query } = require('express-validator');
+const PaymentEvent = require('../models/PaymentEvent');
+const { authenticateToken, requirePermission } = require('../middleware/auth');
+const { processEvent } = require('../services/paymentEvents');
+
+// Mounted under /api/payments/events
+const router = express.Router();
+
+/**
+ * @swagger
+ * /api/payments/events:
+ *   get:
+ *     summary: List stored payment webhook events (requires payments:view-events)
+ *     tags: [Payments]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: status
+ *         schema:
+ *           type: string
+ *           enum: [received, processing, processed, ignored, failed]
+ *         description: Filter by processing status
+ *       - in: query
+ *         name: provider
+ *         schema:
+ *           type: string
+ *         description: Filter by payment provider
+ *       - in: query
+ *         name: page
+ *         schema:
+ *           type: integer
+ *           minimum: 1
+ *         description: Page number
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           minimum: 1
+ *           maximum: 100
+ *         description: Number of events per page
+ *     responses:
+ *       200:
+ *         description: Payment events retrieved successfully
+ */
+router.get('/', [
+  authenticateToken,
+  requirePermission('payments:view-events'),
+  query('status')
+    .optional()
+    .isIn(['received', 'processing', 'processed', 'ignored', 'failed'])
+    .withMessage('Invalid status'),
+  query('page')
+    .optional()
+    .isInt({ min: 1 })
+    .withMessage('Page must be a positive number'),
+  query('limit')
+    .optional()
+    .isInt({ min: 1, max: 100 })
+    .withMessage('Limit must be between 1 and 100')
+], async (req, res, next) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const { status, provider, page = 1, limit = 20 } = req.query;
+
+    const filter = {};
+    if (status) {
+      filter.status = status;
+    }
+    if (provider) {
+      filter.provider = provider;
+    }
+
+    const skip = (parseInt(page) - 1) * parseInt(limit);
+    const limitNum = parseInt(limit);
+
+    const events = await PaymentEvent.find(filter)
+      .populate('fine', 'fineId status amount currency')
+      .populate('replayedBy', 'username profile.firstName profile.lastName')
+      .sort({ createdAt: -1 })
+      .skip(skip)
+      .limit(limitNum);
+
+    const total = await PaymentEvent.countDocuments(filter);
+
+    res.json({
+      events,
+      pagination: {
+        current: parseInt(page),
+        pages: Math.ceil(total / limitNum),
+        total,
+        limit: limitNum
+      }
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * @swagger
+ * /api/payments/events/{id}/replay:
+ *   post:
+ *     summary: Process a failed payment event again (requires payments:replay-events)
+ *     description: >
+ *       Replays an event that failed or was never processed, even after its automatic
+ *       retries are used up. Processed and ignored events cannot be replayed.
+ *     tags: [Payments]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Payment event ID
+ *     responses:
+ *       200:
+ *         description: Event replayed; check its status for the outcome
+ *       404:
+ *         description: Payment event not found
+ *       409:
+ *         description: Event already processed or currently being processed
+ */
+router.post('/:id/replay', [
+  authenticateToken,
+  requirePermission('payments:replay-events'),
+  param('id').isMongoId().withMessage('Invalid payment event ID')
+], async (req, res, next) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const paymentEvent = await PaymentEvent.findById(req.params.id);
+    if (!paymentEvent) {
+      return res.status(404).json({
+        message: 'Payment event not found'
+      });
+    }
+
+    if (['processed', 'ignored'].includes(paymentEvent.status)) {
+      return res.status(409).json({
+        message: `Payment event has already been ${paymentEvent.status}`,
+        error: 'EVENT_ALREADY_PROCESSED'
+      });
+    }
+
+    const replayed = await processEvent(paymentEvent, { force: true, replayedBy: req.user._id });
+    if (replayed.attempts === paymentEvent.attempts) {
+      return res.status(409).json({
+        message: 'Payment event is being processed',
+        error: 'EVENT_IN_PROGRESS'
+      });
+    }
+
+    res.json({
+      message: replayed.status === 'processed'
+        ? 'Payment event processed successfully'
+        : `Payment event ${replayed.status}`,
+      event: replayed
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+module.exports = router;
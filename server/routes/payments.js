@@ -1,16 +1,114 @@
 const express = require('express');
-const stripe = require('stripe')(process.env.STRIPE_SECRET_KEY);
 const { body, validationResult, param } = require('express-validator');
 const Fine = require('../models/Fine');
-const { authenticateToken } = require('../middleware/auth');
+const Transaction = require('../models/Transaction');
+const Station = require('../models/Station');
+const { authenticateToken, requirePermission, hasPermission, canAccessFine, getJurisdiction } = require('../middleware/auth');
+const { creditForFine } = require('../services/demeritPoints');
+const { notify } = require('../services/notifications');
+const {
+  PROVIDER_NAMES,
+  getProvider,
+  getEnabledProviderNames,
+  isProviderEnabled,
+  getDefaultProviderName
+} = require('../services/payments');
+const { recordEvent, processEvent } = require('../services/paymentEvents');
+const {
+  recordPaymentAttempt,
+  recordPaymentFailure,
+  recordPayment,
+  getPaymentIntentId,
+  getRefundablePayments,
+  recordRefund,
+  toCents
+} = require('../services/ledger');
+const { buildFineReceipt } = require('../services/receipts');
+const { renderReceiptPdf } = require('../services/documents');
+
+const counterPaymentRoutes = require('./counterPayments');
+const paymentEventRoutes = require('./paymentEvents');
+const checkoutRoutes = require('./checkouts');
 
 const router = express.Router();
 
+router.use('/counter', counterPaymentRoutes);
+router.use('/events', paymentEventRoutes);
+router.use('/checkout', checkoutRoutes);
+
+// Resolve the provider named in a request, falling back to the default one
+const resolveProvider = (name) => {
+  const providerName = name || getDefaultProviderName();
+  return providerName && isProviderEnabled(providerName) ? getProvider(providerName) : null;
+};
+
+// Build the receipt of the fine in the request for the current user, or send the
+// error response and return null
+const findFineReceipt = async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    res.status(400).json({
+      message: 'Validation failed',
+      errors: errors.array()
+    });
+    return null;
+  }
+
+  const fine = await Fine.findById(req.params.fineId)
+    .populate('driverId', 'username profile.firstName profile.lastName profile.licenseNumber')
+    .populate('violationId', 'name code category')
+    .populate('policeOfficer', 'username profile.firstName profile.lastName profile.badgeNumber');
+
+  if (!fine) {
+    res.status(404).json({
+      message: 'Fine not found'
+    });
+    return null;
+  }
+
+  // Drivers see their own fines, commanders those in their jurisdiction
+  if (!canAccessFine(req.user, fine)) {
+    res.status(403).json({
+      message: 'Access denied'
+    });
+    return null;
+  }
+
+  const receipt = await buildFineReceipt(fine);
+  if (!receipt) {
+    res.status(400).json({
+      message: 'Fine has not been paid yet'
+    });
+  }
+  return receipt;
+};
+
+/**
+ * @swagger
+ * /api/payments/providers:
+ *   get:
+ *     summary: List the payment providers available to motorists
+ *     tags: [Payments]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Enabled payment providers, default first
+ */
+router.get('/providers', authenticateToken, (req, res) => {
+  const providers = getEnabledProviderNames().map(name => {
+    const { label, flow } = getProvider(name);
+    return { name, label, flow };
+  });
+
+  res.json({ providers });
+});
+
 /**
  * @swagger
  * /api/payments/create-payment-intent:
  *   post:
- *     summary: Create Stripe payment intent for fine
+ *     summary: Start a payment for a fine with a payment provider
  *     tags: [Payments]
  *     security:
  *       - bearerAuth: []
@@ -26,19 +124,33 @@ const router = express.Router();
  *               fineId:
  *                 type: string
  *                 description: Fine ID to pay
+ *               provider:
+ *                 type: string
+ *                 description: Payment provider name (defaults to the first enabled provider)
+ *               payInFull:
+ *                 type: boolean
+ *                 description: Pay the whole outstanding amount instead of the next instalment
  *     responses:
  *       200:
  *         description: Payment intent created successfully
  *       404:
  *         description: Fine not found
  *       400:
- *         description: Fine cannot be paid
+ *         description: Fine cannot be paid or provider is not available
  *       403:
  *         description: Access denied
  */
 router.post('/create-payment-intent', [
   authenticateToken,
-  body('fineId').isMongoId().withMessage('Invalid fine ID')
+  body('fineId').isMongoId().withMessage('Invalid fine ID'),
+  body('provider')
+    .optional()
+    .isIn(PROVIDER_NAMES)
+    .withMessage('Invalid payment provider'),
+  body('payInFull')
+    .optional()
+    .isBoolean()
+    .withMessage('payInFull must be true or false')
 ], async (req, res, next) => {
   try {
     const errors = validationResult(req);
@@ -49,9 +161,17 @@ router.post('/create-payment-intent', [
       });
     }
 
-    const { fineId } = req.body;
+    const { fineId, payInFull } = req.body;
     const currentUser = req.user;
 
+    const provider = resolveProvider(req.body.provider);
+    if (!provider) {
+      return res.status(400).json({
+        message: 'Payment provider is not available',
+        error: 'PROVIDER_NOT_AVAILABLE'
+      });
+    }
+
     // Find the fine
     const fine = await Fine.findById(fineId)
       .populate('driverId', 'username profile.firstName profile.lastName')
@@ -64,40 +184,55 @@ router.post('/create-payment-intent', [
     }
 
     // Check if user can pay this fine
-    if (currentUser.role === 'driver' && fine.driverId._id.toString() !== currentUser._id.toString()) {
+    if (!canAccessFine(currentUser, fine)) {
       return res.status(403).json({
         message: 'Access denied. You can only pay your own fines.'
       });
     }
 
     // Check if fine can be paid
-    if (fine.status !== 'pending' && fine.status !== 'overdue') {
+    if (!fine.canTransitionTo('paid')) {
       return res.status(400).json({
-        message: `Fine cannot be paid. Current status: ${fine.status}`
+        message: `Fine cannot be paid. Current status: ${fine.status}`,
+        error: 'INVALID_STATUS_TRANSITION'
       });
     }
 
-    // Convert amount to cents (Stripe expects amounts in smallest currency unit)
-    const amountInCents = Math.round(fine.fineAmount * 100);
-
-    // Create payment intent
-    const paymentIntent = await stripe.paymentIntents.create({
-      amount: amountInCents,
-      currency: fine.currency.toLowerCase(),
+    // With an instalment plan the driver pays the next instalment unless they settle in full
+    const amount = payInFull ? fine.outstandingAmount : fine.amountDueNow;
+    const intent = await provider.createIntent({
+      fineId: fine._id.toString(),
+      amount,
+      currency: fine.currency,
+      description: `Traffic Fine Payment - ${fine.violationId.name} (${fine.vehicleInfo.licensePlate})`,
       metadata: {
-        fineId: fine._id.toString(),
-        driverId: fine.driverId._id.toString(),
+        driverId: fine.driverId?._id.toString(),
         violationCode: fine.violationId.code,
         licensePlate: fine.vehicleInfo.licensePlate
       },
-      description: `Traffic Fine Payment - ${fine.violationId.name} (${fine.vehicleInfo.licensePlate})`
+      returnUrl: `${process.env.CLIENT_URL || 'http://localhost:3000'}/fines/${fine._id}/pay?provider=${provider.name}`
+    });
+
+    await recordPaymentAttempt(fine, {
+      method: provider.name,
+      reference: intent.intentId,
+      amount,
+      recordedBy: currentUser._id
     });
 
     res.json({
-      clientSecret: paymentIntent.client_secret,
-      paymentIntentId: paymentIntent.id,
-      amount: fine.fineAmount,
+      provider: provider.name,
+      flow: provider.flow,
+      clientSecret: intent.clientSecret,
+      redirectUrl: intent.redirectUrl,
+      paymentIntentId: intent.intentId,
+      amount,
       currency: fine.currency,
+      instalment: !payInFull && fine.nextInstalment ? {
+        number: fine.nextInstalment.number,
+        of: fine.instalmentPlan.instalments.length,
+        dueDate: fine.nextInstalment.dueDate
+      } : undefined,
       fine: {
         id: fine._id,
         violationName: fine.violationId.name,
@@ -132,6 +267,9 @@ router.post('/create-payment-intent', [
  *                 type: string
  *               fineId:
  *                 type: string
+ *               provider:
+ *                 type: string
+ *                 description: Provider the payment was made with (defaults to the first enabled provider)
  *     responses:
  *       200:
  *         description: Payment confirmed successfully
@@ -143,7 +281,11 @@ router.post('/create-payment-intent', [
 router.post('/confirm-payment', [
   authenticateToken,
   body('paymentIntentId').notEmpty().withMessage('Payment intent ID is required'),
-  body('fineId').isMongoId().withMessage('Invalid fine ID')
+  body('fineId').isMongoId().withMessage('Invalid fine ID'),
+  body('provider')
+    .optional()
+    .isIn(PROVIDER_NAMES)
+    .withMessage('Invalid payment provider')
 ], async (req, res, next) => {
   try {
     const errors = validationResult(req);
@@ -157,6 +299,14 @@ router.post('/confirm-payment', [
     const { paymentIntentId, fineId } = req.body;
     const currentUser = req.user;
 
+    const provider = resolveProvider(req.body.provider);
+    if (!provider) {
+      return res.status(400).json({
+        message: 'Payment provider is not available',
+        error: 'PROVIDER_NOT_AVAILABLE'
+      });
+    }
+
     // Find the fine
     const fine = await Fine.findById(fineId);
     if (!fine) {
@@ -166,40 +316,66 @@ router.post('/confirm-payment', [
     }
 
     // Check access permissions
-    if (currentUser.role === 'driver' && fine.driverId.toString() !== currentUser._id.toString()) {
+    if (!canAccessFine(currentUser, fine)) {
       return res.status(403).json({
         message: 'Access denied'
       });
     }
 
-    // Retrieve payment intent from Stripe
-    const paymentIntent = await stripe.paymentIntents.retrieve(paymentIntentId);
+    // Ask the provider for the current state of the payment
+    const payment = await provider.confirm(paymentIntentId);
 
-    if (paymentIntent.status !== 'succeeded') {
+    if (payment.status === 'failed') {
+      await recordPaymentFailure(paymentIntentId, payment.providerStatus);
+    }
+
+    if (payment.status !== 'succeeded') {
       return res.status(400).json({
         message: 'Payment has not been completed successfully',
-        paymentStatus: paymentIntent.status
+        paymentStatus: payment.status
       });
     }
 
     // Verify the payment intent matches the fine
-    if (paymentIntent.metadata.fineId !== fineId) {
+    if (payment.fineId !== fineId) {
       return res.status(400).json({
         message: 'Payment intent does not match the fine'
       });
     }
 
-    // Update fine status
-    await fine.markAsPaid({
-      paymentId: paymentIntentId,
-      paymentMethod: 'stripe',
-      transactionId: paymentIntent.charges.data[0]?.id,
-      receiptUrl: paymentIntent.charges.data[0]?.receipt_url
+    // The webhook may already have captured this payment. The ledger is checked rather
+    // than the fine, which is not paid after an instalment
+    const isCaptured = await Transaction.exists({ type: 'payment', reference: paymentIntentId, status: 'succeeded' });
+    if (isCaptured) {
+      return res.json({
+        message: 'Payment already confirmed',
+        fine: {
+          id: fine._id,
+          status: fine.status,
+          paidAt: fine.paymentInfo.paidAt,
+          transactionId: fine.paymentInfo.transactionId,
+          amountPaid: fine.amountPaid,
+          outstandingAmount: fine.outstandingAmount
+        }
+      });
+    }
+
+    await recordPayment(fine, {
+      method: provider.name,
+      reference: paymentIntentId,
+      amount: payment.amount,
+      transactionId: payment.transactionId,
+      receiptUrl: payment.receiptUrl,
+      recordedBy: currentUser._id
     });
 
+    if (fine.status === 'paid') {
+      await creditForFine(fine, 'confirmed');
+    }
+
     // Add payment note
     await fine.addNote(
-      `Payment completed via Stripe. Transaction ID: ${paymentIntent.charges.data[0]?.id}`,
+      `Payment completed via ${provider.label}. Transaction ID: ${payment.transactionId}`,
       currentUser._id
     );
 
@@ -209,7 +385,9 @@ router.post('/confirm-payment', [
         id: fine._id,
         status: fine.status,
         paidAt: fine.paymentInfo.paidAt,
-        transactionId: fine.paymentInfo.transactionId
+        transactionId: fine.paymentInfo.transactionId,
+        amountPaid: fine.amountPaid,
+        outstandingAmount: fine.outstandingAmount
       }
     });
   } catch (error) {
@@ -219,10 +397,21 @@ router.post('/confirm-payment', [
 
 /**
  * @swagger
- * /api/payments/webhook:
+ * /api/payments/webhook/{provider}:
  *   post:
- *     summary: Stripe webhook endpoint
+ *     summary: Payment provider webhook endpoint
+ *     description: >
+ *       Receives payment outcomes from a provider. `/api/payments/webhook` without a
+ *       provider is kept for Stripe. The raw body is passed to the provider for
+ *       signature verification. Verified events are stored once per event ID, so
+ *       redelivered events are never applied twice.
  *     tags: [Payments]
+ *     parameters:
+ *       - in: path
+ *         name: provider
+ *         required: true
+ *         schema:
+ *           type: string
  *     requestBody:
  *       required: true
  *       content:
@@ -231,59 +420,45 @@ router.post('/confirm-payment', [
  *             type: object
  *     responses:
  *       200:
- *         description: Webhook processed successfully
+ *         description: Webhook stored; failed events are retried in the background
  *       400:
  *         description: Invalid webhook
+ *       404:
+ *         description: Unknown payment provider
  */
-router.post('/webhook', express.raw({ type: 'application/json' }), async (req, res, next) => {
-  const sig = req.headers['stripe-signature'];
+router.post(['/webhook', '/webhook/:provider'], async (req, res) => {
+  const providerName = req.params.provider || 'stripe';
+  if (!isProviderEnabled(providerName)) {
+    return res.status(404).json({ error: 'Unknown payment provider' });
+  }
+
+  const provider = getProvider(providerName);
   let event;
 
   try {
-    event = stripe.webhooks.constructEvent(req.body, sig, process.env.STRIPE_WEBHOOK_SECRET);
+    event = await provider.verifyWebhook({ rawBody: req.body, headers: req.headers });
   } catch (err) {
-    console.error('Webhook signature verification failed:', err.message);
+    console.error(`${provider.name} webhook verification failed:`, err.message);
     return res.status(400).send(`Webhook Error: ${err.message}`);
   }
 
+  let paymentEvent;
   try {
-    // Handle the event
-    switch (event.type) {
-      case 'payment_intent.succeeded':
-        const paymentIntent = event.data.object;
-        console.log('Payment succeeded:', paymentIntent.id);
-        
-        // Find and update the fine
-        const fineId = paymentIntent.metadata.fineId;
-        if (fineId) {
-          const fine = await Fine.findById(fineId);
-          if (fine && fine.status === 'pending') {
-            await fine.markAsPaid({
-              paymentId: paymentIntent.id,
-              paymentMethod: 'stripe',
-              transactionId: paymentIntent.charges.data[0]?.id,
-              receiptUrl: paymentIntent.charges.data[0]?.receipt_url
-            });
-            console.log(`Fine ${fineId} marked as paid`);
-          }
-        }
-        break;
-
-      case 'payment_intent.payment_failed':
-        const failedPayment = event.data.object;
-        console.log('Payment failed:', failedPayment.id);
-        // Could add logic to handle failed payments
-        break;
-
-      default:
-        console.log(`Unhandled event type ${event.type}`);
-    }
-
-    res.json({ received: true });
+    paymentEvent = await recordEvent(provider.name, event);
   } catch (error) {
     console.error('Webhook processing error:', error);
-    res.status(500).json({ error: 'Webhook processing failed' });
+    return res.status(500).json({ error: 'Webhook processing failed' });
+  }
+
+  // Once the event is stored it is ours to retry, so the provider gets a 200
+  // even when processing fails
+  try {
+    await processEvent(paymentEvent);
+  } catch (error) {
+    console.error(`Payment event ${provider.name}/${event.id} could not be processed:`, error);
   }
+
+  res.json({ received: true });
 });
 
 /**
@@ -291,6 +466,7 @@ router.post('/webhook', express.raw({ type: 'application/json' }), async (req, r
  * /api/payments/fine/{fineId}/receipt:
  *   get:
  *     summary: Get payment receipt for fine
+ *     description: Built from the payments and refunds recorded in the fine's transaction ledger.
  *     tags: [Payments]
  *     security:
  *       - bearerAuth: []
@@ -312,6 +488,97 @@ router.post('/webhook', express.raw({ type: 'application/json' }), async (req, r
 router.get('/fine/:fineId/receipt', [
   authenticateToken,
   param('fineId').isMongoId().withMessage('Invalid fine ID')
+], async (req, res, next) => {
+  try {
+    const receipt = await findFineReceipt(req, res);
+    if (!receipt) return;
+
+    res.json({ receipt });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * @swagger
+ * /api/payments/fine/{fineId}/receipt/pdf:
+ *   get:
+ *     summary: Download the payment receipt of a fine as a PDF
+ *     description: >
+ *       Official receipt with department branding, a QR code of the receipt number and
+ *       bilingual labels (see DOCUMENT_LANGUAGES).
+ *     tags: [Payments]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: fineId
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Fine ID
+ *     responses:
+ *       200:
+ *         description: PDF receipt
+ *         content:
+ *           application/pdf:
+ *             schema:
+ *               type: string
+ *               format: binary
+ *       400:
+ *         description: Fine has not been paid yet
+ *       404:
+ *         description: Fine not found
+ *       403:
+ *         description: Access denied
+ */
+router.get('/fine/:fineId/receipt/pdf', [
+  authenticateToken,
+  param('fineId').isMongoId().withMessage('Invalid fine ID')
+], async (req, res, next) => {
+  try {
+    const receipt = await findFineReceipt(req, res);
+    if (!receipt) return;
+
+    const pdf = await renderReceiptPdf(receipt);
+    res.set({
+      'Content-Type': 'application/pdf',
+      'Content-Disposition': `${req.query.download === 'true' ? 'attachment' : 'inline'}; filename="${receipt.receiptNumber}.pdf"`,
+      'Cache-Control': 'private, no-cache'
+    });
+    res.send(pdf);
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * @swagger
+ * /api/payments/fine/{fineId}/transactions:
+ *   get:
+ *     summary: Get the transaction ledger of a fine
+ *     description: Payment attempts, captured payments, refunds and adjustments, oldest first.
+ *     tags: [Payments]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: fineId
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Fine ID
+ *     responses:
+ *       200:
+ *         description: Transactions and balance retrieved
+ *       403:
+ *         description: Access denied
+ *       404:
+ *         description: Fine not found
+ */
+router.get('/fine/:fineId/transactions', [
+  authenticateToken,
+  param('fineId').isMongoId().withMessage('Invalid fine ID')
 ], async (req, res, next) => {
   try {
     const errors = validationResult(req);
@@ -322,65 +589,220 @@ router.get('/fine/:fineId/receipt', [
       });
     }
 
-    const { fineId } = req.params;
-    const currentUser = req.user;
-
-    const fine = await Fine.findById(fineId)
-      .populate('driverId', 'username profile.firstName profile.lastName')
-      .populate('violationId', 'name code category')
-      .populate('policeOfficer', 'username profile.firstName profile.lastName profile.badgeNumber');
-
+    const fine = await Fine.findById(req.params.fineId);
     if (!fine) {
       return res.status(404).json({
         message: 'Fine not found'
       });
     }
 
-    // Check access permissions
-    if (currentUser.role === 'driver' && fine.driverId._id.toString() !== currentUser._id.toString()) {
+    if (!canAccessFine(req.user, fine)) {
       return res.status(403).json({
         message: 'Access denied'
       });
     }
 
-    if (fine.status !== 'paid') {
+    const transactions = await Transaction.findByFine(fine._id);
+
+    res.json({
+      transactions,
+      balance: {
+        amountDue: fine.fineAmount,
+        amountPaid: fine.amountPaid,
+        refundedAmount: fine.paymentInfo.refundedAmount,
+        outstandingAmount: fine.outstandingAmount,
+        currency: fine.currency
+      }
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * @swagger
+ * /api/payments/fine/{fineId}/refund:
+ *   post:
+ *     summary: Refund all or part of a fine payment (requires payments:refund)
+ *     description: >
+ *       The amount is paid back from the fine's payments, newest first, each up to what is
+ *       left of it. Card and gateway payments are refunded through the provider they were
+ *       made with and counter payments are recorded as refunded by hand, with one refund
+ *       per payment.
+ *     tags: [Payments]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: fineId
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Fine ID
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - reason
+ *             properties:
+ *               amount:
+ *                 type: number
+ *                 description: Amount to refund (defaults to everything not yet refunded)
+ *               reason:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: Refund issued
+ *       400:
+ *         description: Fine has no refundable payment or amount is too large
+ *       404:
+ *         description: Fine not found
+ *       502:
+ *         description: A payment provider declined the refund; refunds already issued are listed
+ */
+router.post('/fine/:fineId/refund', [
+  authenticateToken,
+  requirePermission('payments:refund'),
+  param('fineId').isMongoId().withMessage('Invalid fine ID'),
+  body('amount')
+    .optional()
+    .isFloat({ gt: 0 })
+    .withMessage('Refund amount must be a positive number'),
+  body('reason')
+    .trim()
+    .notEmpty()
+    .withMessage('Refund reason is required')
+    .isLength({ max: 500 })
+    .withMessage('Reason cannot exceed 500 characters')
+], async (req, res, next) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
       return res.status(400).json({
-        message: 'Fine has not been paid yet'
+        message: 'Validation failed',
+        errors: errors.array()
       });
     }
 
-    // Generate receipt data
-    const receipt = {
-      fineId: fine.fineId,
-      receiptNumber: `RCP-${fine.fineId.slice(-8).toUpperCase()}`,
-      paymentDate: fine.paymentInfo.paidAt,
-      amount: fine.fineAmount,
-      currency: fine.currency,
-      paymentMethod: fine.paymentInfo.paymentMethod,
-      transactionId: fine.paymentInfo.transactionId,
-      receiptUrl: fine.paymentInfo.receiptUrl,
-      driver: {
-        name: fine.driverId.fullName || fine.driverId.username,
-        licenseNumber: fine.driverId.profile?.licenseNumber
-      },
-      violation: {
-        name: fine.violationId.name,
-        code: fine.violationId.code,
-        category: fine.violationId.category
-      },
-      vehicle: {
-        licensePlate: fine.vehicleInfo.licensePlate,
-        type: fine.vehicleInfo.vehicleType
-      },
-      location: fine.location,
-      issuedBy: {
-        name: fine.policeOfficer.fullName || fine.policeOfficer.username,
-        badgeNumber: fine.policeOfficer.profile?.badgeNumber
-      },
-      issuedDate: fine.createdAt
-    };
+    const fine = await Fine.findById(req.params.fineId);
+    if (!fine) {
+      return res.status(404).json({
+        message: 'Fine not found'
+      });
+    }
 
-    res.json({ receipt });
+    if (!['paid', 'partially_refunded'].includes(fine.status)) {
+      return res.status(400).json({
+        message: `Only paid fines can be refunded. Current status: ${fine.status}`,
+        error: 'INVALID_STATUS_TRANSITION'
+      });
+    }
+
+    const amount = req.body.amount !== undefined ? parseFloat(req.body.amount) : fine.refundableAmount;
+    if (Math.round(amount * 100) > Math.round(fine.refundableAmount * 100)) {
+      return res.status(400).json({
+        message: 'Refund amount is more than the amount that can still be refunded',
+        error: 'REFUND_EXCEEDS_PAYMENT',
+        details: {
+          refundableAmount: fine.refundableAmount,
+          amount
+        }
+      });
+    }
+
+    const { reason } = req.body;
+    const refunds = [];
+    let remainingCents = toCents(amount);
+    let failure;
+
+    // Money goes back the way it came: each payment through its own provider, counter
+    // payments by hand
+    for (const { payment, refundable } of await getRefundablePayments(fine)) {
+      const share = Math.min(remainingCents, toCents(refundable)) / 100;
+      if (share === 0) continue;
+
+      let refund;
+      if (PROVIDER_NAMES.includes(payment.method)) {
+        try {
+          refund = await getProvider(payment.method).refund({
+            intentId: getPaymentIntentId(payment),
+            transactionId: payment.transactionId,
+            amount: share
+          });
+        } catch (error) {
+          if (refunds.length === 0) throw error;
+          failure = error.message;
+          break;
+        }
+      } else {
+        refund = { refundId: `MANUAL-${payment._id}-${Date.now()}`, status: 'succeeded', amount: share };
+      }
+
+      if (refund.status === 'failed') {
+        failure = `The payment provider declined the refund of payment ${payment.reference}`;
+        break;
+      }
+
+      const refunded = refund.amount ?? share;
+      await recordRefund(fine, {
+        refundId: refund.refundId,
+        amount: refunded,
+        reason,
+        status: refund.status,
+        method: payment.method,
+        refundOf: payment._id,
+        recordedBy: req.user._id
+      });
+      refunds.push({ refundId: refund.refundId, amount: refunded, status: refund.status, method: payment.method });
+
+      remainingCents -= toCents(refunded);
+      if (remainingCents <= 0) break;
+    }
+
+    if (refunds.length === 0) {
+      return failure
+        ? res.status(502).json({
+          message: 'The payment provider declined the refund',
+          error: 'REFUND_FAILED'
+        })
+        : res.status(400).json({
+          message: 'The fine has no captured payment left to refund',
+          error: 'NO_REFUNDABLE_PAYMENT'
+        });
+    }
+
+    const refundedTotal = refunds.reduce((cents, refund) => cents + toCents(refund.amount), 0) / 100;
+
+    await fine.addNote(
+      `Refund of ${fine.currency} ${refundedTotal.toFixed(2)} issued (${refunds.map(refund => refund.refundId).join(', ')}). Reason: ${reason}`,
+      req.user._id
+    );
+
+    await notify([fine.driverId], {
+      type: 'payment_refunded',
+      title: 'Fine payment refunded',
+      message: `${fine.currency} ${refundedTotal.toFixed(2)} of your payment for fine ${fine.fineId} is being refunded. Reason: ${reason}`,
+      fine
+    });
+
+    const pending = refunds.some(refund => refund.status === 'pending');
+    res.status(failure ? 502 : 200).json({
+      message: failure
+        ? `Refunded ${fine.currency} ${refundedTotal.toFixed(2)} of ${fine.currency} ${amount.toFixed(2)}. ${failure}`
+        : pending ? 'Refund requested' : 'Refund issued successfully',
+      ...(failure && { error: 'REFUND_INCOMPLETE' }),
+      amount: refundedTotal,
+      refunds,
+      fine: {
+        id: fine._id,
+        status: fine.status,
+        refundedAmount: fine.paymentInfo.refundedAmount,
+        refundableAmount: fine.refundableAmount
+      }
+    });
   } catch (error) {
     next(error);
   }
@@ -391,6 +813,12 @@ router.get('/fine/:fineId/receipt', [
  * /api/payments/stats:
  *   get:
  *     summary: Get payment statistics
+ *     description: >
+ *       Totals are taken from the transaction ledger: captured payments, refunds and
+ *       failed payment attempts in the period. Drivers and officers see their own fines only,
+ *       commanders the fines of their jurisdiction. Other staff need payments:view-cash-up or
+ *       reports:view to see every fine; with only payments:record-cash they see the payments
+ *       and refunds they recorded themselves.
  *     tags: [Payments]
  *     security:
  *       - bearerAuth: []
@@ -401,14 +829,23 @@ router.get('/fine/:fineId/receipt', [
  *           type: string
  *           enum: [today, week, month, year]
  *         description: Time period for statistics
+ *       - in: query
+ *         name: groupBy
+ *         schema:
+ *           type: string
+ *           enum: [station]
+ *         description: Also break captured payments down by the fines' issuing station (not for drivers)
  *     responses:
  *       200:
  *         description: Payment statistics retrieved
+ *       403:
+ *         description: Access denied
  */
 router.get('/stats', authenticateToken, async (req, res, next) => {
   try {
-    const { period = 'month' } = req.query;
+    const { period = 'month', groupBy } = req.query;
     const currentUser = req.user;
+    const byStation = groupBy === 'station' && currentUser.role !== 'driver';
 
     // Calculate date range
     const now = new Date();
@@ -431,48 +868,119 @@ router.get('/stats', authenticateToken, async (req, res, next) => {
         startDate = new Date(now.getFullYear(), now.getMonth(), 1);
     }
 
-    // Build match query based on user role
-    let matchQuery = {
-      status: 'paid',
-      'paymentInfo.paidAt': { $gte: startDate }
-    };
-
+    // Drivers and officers only see money moved on their own fines, commanders on the
+    // fines of their jurisdiction. Other staff see every fine with payments:view-cash-up or
+    // reports:view, and otherwise only the ledger entries they recorded.
+    const fineScope = [];
+    const ledgerScope = {};
+    const jurisdiction = getJurisdiction(currentUser, 'fine.');
     if (currentUser.role === 'driver') {
-      matchQuery.driverId = currentUser._id;
+      fineScope.push({ 'fine.driverId': currentUser._id });
+    } else if (jurisdiction) {
+      fineScope.push(jurisdiction);
     } else if (currentUser.role === 'police_officer') {
-      matchQuery.policeOfficer = currentUser._id;
-    }
-    // Admin can see all payment stats
-
-    const stats = await Fine.aggregate([
-      { $match: matchQuery },
-      {
-        $group: {
-          _id: null,
-          totalPayments: { $sum: 1 },
-          totalAmount: { $sum: '$fineAmount' },
-          avgAmount: { $avg: '$fineAmount' }
-        }
+      fineScope.push({ 'fine.policeOfficer': currentUser._id });
+    } else if (!hasPermission(req, 'payments:view-cash-up') && !hasPermission(req, 'reports:view')) {
+      if (!hasPermission(req, 'payments:record-cash')) {
+        return res.status(403).json({
+          message: 'Access denied. Required permission: payments:view-cash-up or reports:view',
+          error: 'INSUFFICIENT_PERMISSIONS'
+        });
       }
-    ]);
+      ledgerScope.recordedBy = currentUser._id;
+    }
+
+    // The fine is looked up in place of its ID when the stats need its fields
+    const isFineLookedUp = fineScope.length > 0 || byStation;
+    const ledgerPipeline = (match) => [
+      { $match: { ...match, ...ledgerScope } },
+      ...(isFineLookedUp ? [
+        { $lookup: { from: 'fines', localField: 'fine', foreignField: '_id', as: 'fine' } },
+        { $unwind: '$fine' }
+      ] : []),
+      ...(fineScope.length > 0 ? [{ $match: { $and: fineScope } }] : [])
+    ];
+
+    const capturedPayments = ledgerPipeline({
+      type: 'payment',
+      status: 'succeeded',
+      settledAt: { $gte: startDate }
+    });
 
-    const paymentMethods = await Fine.aggregate([
-      { $match: matchQuery },
-      {
-        $group: {
-          _id: '$paymentInfo.paymentMethod',
-          count: { $sum: 1 },
-          amount: { $sum: '$fineAmount' }
+    const [stats, paymentMethods, refunds, failedAttempts, stationStats] = await Promise.all([
+      Transaction.aggregate([
+        ...capturedPayments,
+        {
+          $group: {
+            _id: null,
+            totalPayments: { $sum: 1 },
+            finesPaid: { $addToSet: isFineLookedUp ? '$fine._id' : '$fine' },
+            totalAmount: { $sum: '$amount' },
+            avgAmount: { $avg: '$amount' }
+          }
         }
-      }
+      ]),
+      Transaction.aggregate([
+        ...capturedPayments,
+        {
+          $group: {
+            _id: '$method',
+            count: { $sum: 1 },
+            amount: { $sum: '$amount' }
+          }
+        }
+      ]),
+      Transaction.aggregate([
+        ...ledgerPipeline({
+          type: 'refund',
+          status: { $ne: 'failed' },
+          createdAt: { $gte: startDate }
+        }),
+        {
+          $group: {
+            _id: null,
+            count: { $sum: 1 },
+            amount: { $sum: '$amount' }
+          }
+        }
+      ]),
+      Transaction.aggregate([
+        ...ledgerPipeline({
+          type: 'payment',
+          status: 'failed',
+          updatedAt: { $gte: startDate }
+        }),
+        { $count: 'count' }
+      ]),
+      byStation ? Transaction.aggregate([
+        ...capturedPayments,
+        {
+          $group: {
+            _id: '$fine.station',
+            count: { $sum: 1 },
+            amount: { $sum: '$amount' }
+          }
+        },
+        ...Station.lookupStages(),
+        { $sort: { amount: -1 } }
+      ]) : undefined
     ]);
 
+    const totalAmount = stats[0]?.totalAmount || 0;
+    const totalRefunded = refunds[0]?.amount || 0;
+
     res.json({
       period,
       totalPayments: stats[0]?.totalPayments || 0,
-      totalAmount: stats[0]?.totalAmount || 0,
+      finesPaid: stats[0]?.finesPaid.length || 0,
+      totalAmount,
       averageAmount: stats[0]?.avgAmount || 0,
-      paymentMethods
+      totalRefunds: refunds[0]?.count || 0,
+      totalRefunded,
+      netAmount: Math.round((totalAmount - totalRefunded) * 100) / 100,
+      failedAttempts: failedAttempts[0]?.count || 0,
+      paymentMethods,
+      stationStats
     });
   } catch (error) {
     next(error);
@@ -0,0 +1,147 @@
+const express = require('express');
+const { validationResult, param } = require('express-validator');
+const DemeritPoint = require('../models/DemeritPoint');
+const User = require('../models/User');
+const { authenticateToken, canAccessDriverData } = require('../middleware/auth');
+const { WINDOW_DAYS, SUSPENSION_THRESHOLD, refreshLicenseStatus } = require('../services/demeritPoints');
+
+const router = express.Router();
+
+/**
+ * @swagger
+ * /api/points/driver/{driverId}:
+ *   get:
+ *     summary: Get a driver's current demerit point total and license status
+ *     tags: [Demerit Points]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: driverId
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Driver user ID
+ *     responses:
+ *       200:
+ *         description: Point total retrieved successfully
+ *       403:
+ *         description: Access denied
+ *       404:
+ *         description: Driver not found
+ */
+router.get('/driver/:driverId', [
+  authenticateToken,
+  param('driverId').isMongoId().withMessage('Invalid driver ID'),
+  canAccessDriverData
+], async (req, res, next) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const driver = await User.findById(req.params.driverId).select('role');
+    if (!driver || driver.role !== 'driver') {
+      return res.status(404).json({
+        message: 'Driver not found'
+      });
+    }
+
+    // Points expire over time, so the license status is refreshed on read
+    const { totalPoints, isSuspended } = await refreshLicenseStatus(driver._id);
+
+    res.json({
+      driverId: driver._id,
+      totalPoints,
+      threshold: SUSPENSION_THRESHOLD,
+      windowDays: WINDOW_DAYS,
+      isSuspended
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * @swagger
+ * /api/points/driver/{driverId}/history:
+ *   get:
+ *     summary: Get a driver's demerit point ledger
+ *     tags: [Demerit Points]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: driverId
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Driver user ID
+ *       - in: query
+ *         name: page
+ *         schema:
+ *           type: integer
+ *           minimum: 1
+ *         description: Page number
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           minimum: 1
+ *           maximum: 100
+ *         description: Number of entries per page
+ *     responses:
+ *       200:
+ *         description: Point history retrieved successfully
+ *       403:
+ *         description: Access denied
+ */
+router.get('/driver/:driverId/history', [
+  authenticateToken,
+  param('driverId').isMongoId().withMessage('Invalid driver ID'),
+  canAccessDriverData
+], async (req, res, next) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const { page = 1, limit = 20 } = req.query;
+    const query = { driverId: req.params.driverId };
+
+    // Calculate pagination
+    const skip = (parseInt(page) - 1) * parseInt(limit);
+    const limitNum = parseInt(limit);
+
+    const entries = await DemeritPoint.find(query)
+      .populate('fine', 'fineId status createdAt vehicleInfo.licensePlate')
+      .populate('violationId', 'name code category')
+      .sort({ awardedAt: -1 })
+      .skip(skip)
+      .limit(limitNum);
+
+    const total = await DemeritPoint.countDocuments(query);
+
+    res.json({
+      history: entries,
+      pagination: {
+        current: parseInt(page),
+        pages: Math.ceil(total / limitNum),
+        total,
+        limit: limitNum
+      }
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,162 @@
+const express = require('express');
+const { body, param, validationResult } = require('express-validator');
+const { authenticateToken, requirePermission } = require('../middleware/auth');
+const {
+  PERMISSIONS,
+  ROLES,
+  listRoles,
+  setRolePermissions,
+  resetRolePermissions
+} = require('../services/permissions');
+
+const router = express.Router();
+
+/**
+ * @swagger
+ * /api/roles:
+ *   get:
+ *     summary: List roles with their permissions (requires roles:manage)
+ *     tags: [Roles]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Roles and the permissions that can be granted
+ *       403:
+ *         description: Access denied
+ */
+router.get('/', authenticateToken, requirePermission('roles:manage'), async (req, res, next) => {
+  try {
+    const roles = await listRoles();
+    const permissions = Object.entries(PERMISSIONS).map(([key, description]) => ({ key, description }));
+
+    res.json({ roles, permissions });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * @swagger
+ * /api/roles/{role}/permissions:
+ *   put:
+ *     summary: Replace the permissions of a role (requires roles:manage)
+ *     description: Admins always have every permission, so the admin role cannot be changed.
+ *     tags: [Roles]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: role
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Role name, e.g. station_commander
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - permissions
+ *             properties:
+ *               permissions:
+ *                 type: array
+ *                 items:
+ *                   type: string
+ *                 example: [fines:cancel, disputes:resolve]
+ *     responses:
+ *       200:
+ *         description: Permissions updated successfully
+ *       400:
+ *         description: Unknown permission or role cannot be changed
+ *       403:
+ *         description: Access denied
+ */
+router.put('/:role/permissions', [
+  authenticateToken,
+  requirePermission('roles:manage'),
+  param('role').isIn(ROLES).withMessage('Invalid role'),
+  body('permissions').isArray().withMessage('Permissions must be an array'),
+  body('permissions.*')
+    .isIn(Object.keys(PERMISSIONS))
+    .withMessage('Unknown permission')
+], async (req, res, next) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const { role } = req.params;
+    if (role === 'admin') {
+      return res.status(400).json({
+        message: 'Admins always have every permission',
+        error: 'ROLE_NOT_EDITABLE'
+      });
+    }
+
+    await setRolePermissions(role, req.body.permissions, req.user._id);
+    const roles = await listRoles();
+
+    res.json({
+      message: 'Permissions updated successfully',
+      role: roles.find(entry => entry.name === role)
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * @swagger
+ * /api/roles/{role}/permissions:
+ *   delete:
+ *     summary: Restore the default permissions of a role (requires roles:manage)
+ *     tags: [Roles]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: role
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Role name
+ *     responses:
+ *       200:
+ *         description: Default permissions restored
+ *       403:
+ *         description: Access denied
+ */
+router.delete('/:role/permissions', [
+  authenticateToken,
+  requirePermission('roles:manage'),
+  param('role').isIn(ROLES).withMessage('Invalid role')
+], async (req, res, next) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    await resetRolePermissions(req.params.role);
+    const roles = await listRoles();
+
+    res.json({
+      message: 'Default permissions restored',
+      role: roles.find(entry => entry.name === req.params.role)
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,526 @@
+const express = require('express');
+const { body, param, query, validationResult } = require('express-validator');
+const Province = require('../models/Province');
+const Division = require('../models/Division');
+const Station = require('../models/Station');
+const User = require('../models/User');
+const { authenticateToken, requirePermission } = require('../middleware/auth');
+
+const router = express.Router();
+
+/**
+ * @swagger
+ * /api/stations/provinces:
+ *   get:
+ *     summary: List provinces
+ *     tags: [Stations]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Provinces retrieved successfully
+ */
+router.get('/provinces', authenticateToken, async (req, res, next) => {
+  try {
+    const provinces = await Province.find().sort({ name: 1 });
+    res.json({ provinces });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * @swagger
+ * /api/stations/provinces:
+ *   post:
+ *     summary: Create a province (requires stations:manage)
+ *     tags: [Stations]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - name
+ *               - code
+ *             properties:
+ *               name:
+ *                 type: string
+ *               code:
+ *                 type: string
+ *                 description: Short code used in fine numbers, e.g. WP
+ *     responses:
+ *       201:
+ *         description: Province created successfully
+ *       403:
+ *         description: Access denied
+ */
+router.post('/provinces', [
+  authenticateToken,
+  requirePermission('stations:manage'),
+  body('name')
+    .trim()
+    .isLength({ min: 1, max: 50 })
+    .withMessage('Name is required and cannot exceed 50 characters'),
+  body('code')
+    .trim()
+    .matches(/^[A-Z0-9]{1,5}$/)
+    .withMessage('Code must be 1-5 uppercase letters or numbers')
+], async (req, res, next) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const province = await Province.create({ name: req.body.name, code: req.body.code });
+
+    res.status(201).json({
+      message: 'Province created successfully',
+      province
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * @swagger
+ * /api/stations/divisions:
+ *   get:
+ *     summary: List police divisions
+ *     tags: [Stations]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: province
+ *         schema:
+ *           type: string
+ *         description: Filter by province ID
+ *     responses:
+ *       200:
+ *         description: Divisions retrieved successfully
+ */
+router.get('/divisions', [
+  authenticateToken,
+  query('province').optional().isMongoId().withMessage('Invalid province ID')
+], async (req, res, next) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const filter = req.query.province ? { province: req.query.province } : {};
+    const divisions = await Division.find(filter)
+      .populate('province', 'name code')
+      .sort({ name: 1 });
+
+    res.json({ divisions });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * @swagger
+ * /api/stations/divisions:
+ *   post:
+ *     summary: Create a police division (requires stations:manage)
+ *     tags: [Stations]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - name
+ *               - code
+ *               - provinceId
+ *             properties:
+ *               name:
+ *                 type: string
+ *               code:
+ *                 type: string
+ *               provinceId:
+ *                 type: string
+ *     responses:
+ *       201:
+ *         description: Division created successfully
+ *       404:
+ *         description: Province not found
+ *       403:
+ *         description: Access denied
+ */
+router.post('/divisions', [
+  authenticateToken,
+  requirePermission('stations:manage'),
+  body('name')
+    .trim()
+    .isLength({ min: 1, max: 100 })
+    .withMessage('Name is required and cannot exceed 100 characters'),
+  body('code')
+    .trim()
+    .matches(/^[A-Z0-9-]+$/)
+    .withMessage('Code must contain only uppercase letters, numbers, and hyphens'),
+  body('provinceId').isMongoId().withMessage('Invalid province ID')
+], async (req, res, next) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const province = await Province.findById(req.body.provinceId);
+    if (!province) {
+      return res.status(404).json({
+        message: 'Province not found'
+      });
+    }
+
+    const division = await Division.create({
+      name: req.body.name,
+      code: req.body.code,
+      province: province._id
+    });
+    await division.populate('province', 'name code');
+
+    res.status(201).json({
+      message: 'Division created successfully',
+      division
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * @swagger
+ * /api/stations:
+ *   get:
+ *     summary: List police stations
+ *     tags: [Stations]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: division
+ *         schema:
+ *           type: string
+ *         description: Filter by division ID
+ *       - in: query
+ *         name: province
+ *         schema:
+ *           type: string
+ *         description: Filter by province ID
+ *     responses:
+ *       200:
+ *         description: Stations retrieved successfully
+ */
+router.get('/', [
+  authenticateToken,
+  query('division').optional().isMongoId().withMessage('Invalid division ID'),
+  query('province').optional().isMongoId().withMessage('Invalid province ID')
+], async (req, res, next) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const filter = {};
+    if (req.query.division) {
+      filter.division = req.query.division;
+    }
+    if (req.query.province) {
+      filter.province = req.query.province;
+    }
+
+    const stations = await Station.find(filter)
+      .populate('division', 'name code')
+      .populate('province', 'name code')
+      .sort({ name: 1 });
+
+    res.json({ stations });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * @swagger
+ * /api/stations:
+ *   post:
+ *     summary: Create a police station (requires stations:manage)
+ *     tags: [Stations]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - name
+ *               - code
+ *               - divisionId
+ *             properties:
+ *               name:
+ *                 type: string
+ *               code:
+ *                 type: string
+ *                 description: Short code used in fine numbers, e.g. COL
+ *               divisionId:
+ *                 type: string
+ *               address:
+ *                 type: string
+ *               phoneNumber:
+ *                 type: string
+ *     responses:
+ *       201:
+ *         description: Station created successfully
+ *       404:
+ *         description: Division not found
+ *       403:
+ *         description: Access denied
+ */
+router.post('/', [
+  authenticateToken,
+  requirePermission('stations:manage'),
+  body('name')
+    .trim()
+    .isLength({ min: 1, max: 100 })
+    .withMessage('Name is required and cannot exceed 100 characters'),
+  body('code')
+    .trim()
+    .matches(/^[A-Z0-9]{1,6}$/)
+    .withMessage('Code must be 1-6 uppercase letters or numbers'),
+  body('divisionId').isMongoId().withMessage('Invalid division ID'),
+  body('address')
+    .optional()
+    .trim()
+    .isLength({ max: 200 })
+    .withMessage('Address cannot exceed 200 characters'),
+  body('phoneNumber')
+    .optional()
+    .trim()
+    .isMobilePhone()
+    .withMessage('Invalid phone number')
+], async (req, res, next) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const division = await Division.findById(req.body.divisionId);
+    if (!division) {
+      return res.status(404).json({
+        message: 'Division not found'
+      });
+    }
+
+    const { name, code, address, phoneNumber } = req.body;
+    const station = await Station.create({
+      name,
+      code,
+      address,
+      phoneNumber,
+      division: division._id,
+      province: division.province
+    });
+    await station.populate([
+      { path: 'division', select: 'name code' },
+      { path: 'province', select: 'name code' }
+    ]);
+
+    res.status(201).json({
+      message: 'Station created successfully',
+      station
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * @swagger
+ * /api/stations/{id}:
+ *   put:
+ *     summary: Update a police station (requires stations:manage)
+ *     description: >
+ *       Moving a station to another division applies to fines issued from then on;
+ *       fines already issued keep the division and province they were issued in.
+ *     tags: [Stations]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Station ID
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               name:
+ *                 type: string
+ *               divisionId:
+ *                 type: string
+ *               address:
+ *                 type: string
+ *               phoneNumber:
+ *                 type: string
+ *               isActive:
+ *                 type: boolean
+ *     responses:
+ *       200:
+ *         description: Station updated successfully
+ *       404:
+ *         description: Station or division not found
+ *       403:
+ *         description: Access denied
+ */
+router.put('/:id', [
+  authenticateToken,
+  requirePermission('stations:manage'),
+  param('id').isMongoId().withMessage('Invalid station ID'),
+  body('name')
+    .optional()
+    .trim()
+    .isLength({ min: 1, max: 100 })
+    .withMessage('Name cannot be empty or exceed 100 characters'),
+  body('divisionId').optional().isMongoId().withMessage('Invalid division ID'),
+  body('address')
+    .optional()
+    .trim()
+    .isLength({ max: 200 })
+    .withMessage('Address cannot exceed 200 characters'),
+  body('phoneNumber')
+    .optional()
+    .trim()
+    .isMobilePhone()
+    .withMessage('Invalid phone number'),
+  body('isActive').optional().isBoolean().withMessage('isActive must be a boolean')
+], async (req, res, next) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const station = await Station.findById(req.params.id);
+    if (!station) {
+      return res.status(404).json({
+        message: 'Station not found'
+      });
+    }
+
+    if (req.body.divisionId) {
+      const division = await Division.findById(req.body.divisionId);
+      if (!division) {
+        return res.status(404).json({
+          message: 'Division not found'
+        });
+      }
+      station.division = division._id;
+      station.province = division.province;
+    }
+
+    ['name', 'address', 'phoneNumber', 'isActive'].forEach(field => {
+      if (req.body[field] !== undefined) {
+        station[field] = req.body[field];
+      }
+    });
+    await station.save();
+    await station.populate([
+      { path: 'division', select: 'name code' },
+      { path: 'province', select: 'name code' }
+    ]);
+
+    res.json({
+      message: 'Station updated successfully',
+      station
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * @swagger
+ * /api/stations/{id}/officers:
+ *   get:
+ *     summary: List officers and clerks assigned to a station (requires stations:manage)
+ *     tags: [Stations]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Station ID
+ *     responses:
+ *       200:
+ *         description: Officers retrieved successfully
+ *       403:
+ *         description: Access denied
+ */
+router.get('/:id/officers', [
+  authenticateToken,
+  requirePermission('stations:manage'),
+  param('id').isMongoId().withMessage('Invalid station ID')
+], async (req, res, next) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const officers = await User.find({ station: req.params.id })
+      .select('username email role commandLevel profile.firstName profile.lastName profile.badgeNumber isActive')
+      .sort({ role: 1, username: 1 });
+
+    res.json({ officers });
+  } catch (error) {
+    next(error);
+  }
+});
+
+module.exports = router;
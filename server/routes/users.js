@@ -1,8 +1,15 @@
 const express = require('express');
 const { body, validationResult, param } = require('express-validator');
 const User = require('../models/User');
-const { authenticateToken, requireAdmin, authorizeRoles } = require('../middleware/auth');
-const { requirePoliceOrAdmin } = require('../middleware/auth');
+const Station = require('../models/Station');
+const OfficerApplication = require('../models/OfficerApplication');
+const LicenseConflict = require('../models/LicenseConflict');
+const Fine = require('../models/Fine');
+const { authenticateToken, requirePermission, hasPermission } = require('../middleware/auth');
+const { ROLES, STATION_ROLES, COMMAND_ROLES } = require('../services/permissions');
+const { claimFines } = require('../services/fineClaims');
+const { normalizeLicenseNumber, isValidLicenseNumber, validateLicenseNumber } = require('../services/licenses');
+const { parseNic, validateNic, findNicMismatches, nicProfileUpdate } = require('../services/nic');
 
 const router = express.Router();
 
@@ -10,7 +17,7 @@ const router = express.Router();
  * @swagger
  * /api/users:
  *   get:
- *     summary: Get all users (Admin only)
+ *     summary: Get all users (requires users:manage)
  *     tags: [Users]
  *     security:
  *       - bearerAuth: []
@@ -19,7 +26,7 @@ const router = express.Router();
  *         name: role
  *         schema:
  *           type: string
- *           enum: [driver, police_officer, admin]
+ *           enum: [driver, police_officer, clerk, admin]
  *         description: Filter by user role
  *       - in: query
  *         name: page
@@ -40,7 +47,7 @@ const router = express.Router();
  *       403:
  *         description: Access denied
  */
-router.get('/', authenticateToken, requireAdmin, async (req, res, next) => {
+router.get('/', authenticateToken, requirePermission('users:manage'), async (req, res, next) => {
   try {
     const { role, page = 1, limit = 10, search } = req.query;
     
@@ -65,6 +72,7 @@ router.get('/', authenticateToken, requireAdmin, async (req, res, next) => {
     // Get users with pagination
     const users = await User.find(query)
       .select('-password')
+      .populate('station', 'name code')
       .sort({ createdAt: -1 })
       .skip(skip)
       .limit(limitNum);
@@ -148,6 +156,11 @@ router.get('/:id', [
  * /api/users/{id}:
  *   put:
  *     summary: Update user profile
+ *     description: >
+ *       Setting a driver's license number claims the unresolved fines issued against it.
+ *       The numbers of the claimed fines are returned in claimedFines. A license number
+ *       already held by another account is not saved; a license conflict is opened for
+ *       an admin to decide instead.
  *     tags: [Users]
  *     security:
  *       - bearerAuth: []
@@ -173,6 +186,17 @@ router.get('/:id', [
  *                 type: string
  *               licenseNumber:
  *                 type: string
+ *                 description: Sri Lankan license number, e.g. B1234567; empty to remove
+ *               nic:
+ *                 type: string
+ *                 description: NIC number, old or new format; birth year and gender are derived from it. Empty to remove
+ *               birthYear:
+ *                 type: integer
+ *                 description: Must match the NIC number if the user has one
+ *               gender:
+ *                 type: string
+ *                 enum: [male, female]
+ *                 description: Must match the NIC number if the user has one
  *               badgeNumber:
  *                 type: string
  *               address:
@@ -189,8 +213,12 @@ router.get('/:id', [
  *     responses:
  *       200:
  *         description: Profile updated successfully
+ *       400:
+ *         description: Validation error, or birth year or gender do not match the NIC number
  *       403:
  *         description: Access denied
+ *       409:
+ *         description: License or NIC number is held by another account; for a license number a conflict was opened
  */
 router.put('/:id', [
   authenticateToken,
@@ -198,7 +226,10 @@ router.put('/:id', [
   body('firstName').optional().trim().isLength({ max: 50 }).withMessage('First name cannot exceed 50 characters'),
   body('lastName').optional().trim().isLength({ max: 50 }).withMessage('Last name cannot exceed 50 characters'),
   body('phoneNumber').optional().matches(/^[+]?[\d\s-()]+$/).withMessage('Please provide a valid phone number'),
-  body('licenseNumber').optional().trim().isLength({ max: 20 }).withMessage('License number cannot exceed 20 characters'),
+  body('licenseNumber').optional({ checkFalsy: true }).custom(validateLicenseNumber).customSanitizer(normalizeLicenseNumber),
+  body('nic').optional({ checkFalsy: true }).custom(validateNic),
+  body('birthYear').optional({ checkFalsy: true }).isInt({ min: 1900, max: new Date().getFullYear() }).withMessage('Please provide a valid birth year'),
+  body('gender').optional({ checkFalsy: true }).isIn(['male', 'female']).withMessage('Gender must be male or female'),
   body('badgeNumber').optional().trim().isLength({ max: 20 }).withMessage('Badge number cannot exceed 20 characters')
 ], async (req, res, next) => {
   try {
@@ -213,8 +244,8 @@ router.put('/:id', [
     const { id } = req.params;
     const currentUser = req.user;
 
-    // Users can only update their own profile unless they're admin
-    if (currentUser.role !== 'admin' && id !== currentUser._id.toString()) {
+    // Users can only update their own profile unless they manage users
+    if (!hasPermission(req, 'users:manage') && id !== currentUser._id.toString()) {
       return res.status(403).json({
         message: 'Access denied. You can only update your own profile.'
       });
@@ -227,9 +258,52 @@ router.put('/:id', [
       });
     }
 
+    // A license number already on another account goes to an admin instead of being saved
+    const { licenseNumber } = req.body;
+    if (licenseNumber && licenseNumber !== user.profile.licenseNumber) {
+      const holder = await User.findOne({ _id: { $ne: user._id }, 'profile.licenseNumber': licenseNumber }).select('_id');
+      if (holder) {
+        const conflict = await LicenseConflict.raise({
+          licenseNumber,
+          claimant: user._id,
+          holder: holder._id,
+          source: 'profile_update'
+        });
+        return res.status(409).json({
+          message: `License number ${licenseNumber} is already registered to another account. ` +
+            'Your claim has been sent to an administrator for review.',
+          error: 'LICENSE_IN_USE',
+          conflict: { _id: conflict._id, licenseNumber: conflict.licenseNumber, status: conflict.status }
+        });
+      }
+    }
+
+    // Birth year and gender follow the NIC number, new or already on the profile
+    const { nic, birthYear, gender } = req.body;
+    const parsedNic = nic === undefined ? parseNic(user.profile.nic) : parseNic(nic);
+    if (parsedNic) {
+      const mismatches = findNicMismatches(parsedNic, { birthYear, gender });
+      if (mismatches.length > 0) {
+        return res.status(400).json({
+          message: 'Birth year or gender does not match the NIC number',
+          error: 'NIC_MISMATCH',
+          fields: mismatches
+        });
+      }
+
+      const nicHolder = nic && await User.exists({ _id: { $ne: user._id }, 'profile.nicCanonical': parsedNic.canonical });
+      if (nicHolder) {
+        return res.status(409).json({
+          message: 'NIC number is already registered to another account',
+          error: 'NIC_IN_USE'
+        });
+      }
+    }
+
     // Update profile fields
     const allowedFields = ['firstName', 'lastName', 'phoneNumber', 'licenseNumber', 'badgeNumber', 'address'];
     const updates = {};
+    const removals = {};
 
     allowedFields.forEach(field => {
       if (req.body[field] !== undefined) {
@@ -241,15 +315,36 @@ router.put('/:id', [
       }
     });
 
+    if (nic && parsedNic) {
+      Object.assign(updates, nicProfileUpdate(parsedNic));
+    } else if (!parsedNic) {
+      if (nic === '') {
+        removals['profile.nic'] = 1;
+        removals['profile.nicCanonical'] = 1;
+      }
+      [['birthYear', birthYear], ['gender', gender]].forEach(([field, value]) => {
+        if (value) {
+          updates[`profile.${field}`] = value;
+        } else if (value !== undefined) {
+          removals[`profile.${field}`] = 1;
+        }
+      });
+    }
+
     const updatedUser = await User.findByIdAndUpdate(
       id,
-      { $set: updates },
+      { $set: updates, ...(Object.keys(removals).length > 0 && { $unset: removals }) },
       { new: true, runValidators: true }
     ).select('-password');
 
+    const claimedFines = req.body.licenseNumber !== undefined
+      ? await claimFines(updatedUser, { licenseNumber: updatedUser.profile.licenseNumber })
+      : [];
+
     res.json({
       message: 'Profile updated successfully',
-      user: updatedUser
+      user: updatedUser,
+      claimedFines: claimedFines.map(fine => fine.fineId)
     });
   } catch (error) {
     next(error);
@@ -260,7 +355,10 @@ router.put('/:id', [
  * @swagger
  * /api/users/{id}/role:
  *   put:
- *     summary: Update user role (Admin only)
+ *     summary: Update user role (requires users:manage)
+ *     description: >
+ *       The change is kept in the user's role history. Only users with an approved
+ *       officer application can be made police officers.
  *     tags: [Users]
  *     security:
  *       - bearerAuth: []
@@ -282,18 +380,28 @@ router.put('/:id', [
  *             properties:
  *               role:
  *                 type: string
- *                 enum: [driver, police_officer, admin]
+ *                 enum: [driver, police_officer, station_commander, clerk, finance_clerk, dispute_reviewer, auditor, admin]
+ *               reason:
+ *                 type: string
+ *                 maxLength: 500
  *     responses:
  *       200:
  *         description: Role updated successfully
+ *       400:
+ *         description: Police officer role requires an approved officer application
  *       403:
  *         description: Access denied
  */
 router.put('/:id/role', [
   authenticateToken,
-  requireAdmin,
+  requirePermission('users:manage'),
   param('id').isMongoId().withMessage('Invalid user ID'),
-  body('role').isIn(['driver', 'police_officer', 'admin']).withMessage('Invalid role')
+  body('role').isIn(ROLES).withMessage('Invalid role'),
+  body('reason')
+    .optional()
+    .trim()
+    .isLength({ max: 500 })
+    .withMessage('Reason cannot exceed 500 characters')
 ], async (req, res, next) => {
   try {
     const errors = validationResult(req);
@@ -305,7 +413,7 @@ router.put('/:id/role', [
     }
 
     const { id } = req.params;
-    const { role } = req.body;
+    const { role, reason } = req.body;
 
     // Prevent admin from changing their own role
     if (id === req.user._id.toString()) {
@@ -321,7 +429,18 @@ router.put('/:id/role', [
       });
     }
 
-    user.role = role;
+    // Officers are verified through an officer application before they get the role
+    if (role === 'police_officer' && user.role !== role) {
+      const isVerified = await OfficerApplication.exists({ applicant: user._id, status: 'approved' });
+      if (!isVerified) {
+        return res.status(400).json({
+          message: 'Users become police officers through an approved officer application',
+          error: 'VERIFICATION_REQUIRED'
+        });
+      }
+    }
+
+    user.changeRole(role, { changedBy: req.user._id, reason });
     await user.save();
 
     res.json({
@@ -337,7 +456,7 @@ router.put('/:id/role', [
  * @swagger
  * /api/users/{id}/status:
  *   put:
- *     summary: Update user status (Admin only)
+ *     summary: Update user status (requires users:manage)
  *     tags: [Users]
  *     security:
  *       - bearerAuth: []
@@ -367,7 +486,7 @@ router.put('/:id/role', [
  */
 router.put('/:id/status', [
   authenticateToken,
-  requireAdmin,
+  requirePermission('users:manage'),
   param('id').isMongoId().withMessage('Invalid user ID'),
   body('isActive').isBoolean().withMessage('isActive must be a boolean')
 ], async (req, res, next) => {
@@ -409,11 +528,128 @@ router.put('/:id/status', [
   }
 });
 
+/**
+ * @swagger
+ * /api/users/{id}/station:
+ *   put:
+ *     summary: Assign an officer or clerk to a station (requires users:manage)
+ *     description: >
+ *       A police officer or station commander given a command level becomes a commander
+ *       and sees only the fines of their station, or of its division or province.
+ *     tags: [Users]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: User ID
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               stationId:
+ *                 type: string
+ *                 nullable: true
+ *                 description: Station to assign, or null to remove the assignment
+ *               commandLevel:
+ *                 type: string
+ *                 nullable: true
+ *                 enum: [station, division, province]
+ *     responses:
+ *       200:
+ *         description: Station assignment updated successfully
+ *       400:
+ *         description: User cannot be assigned to a station or given a command
+ *       404:
+ *         description: User or station not found
+ *       403:
+ *         description: Access denied
+ */
+router.put('/:id/station', [
+  authenticateToken,
+  requirePermission('users:manage'),
+  param('id').isMongoId().withMessage('Invalid user ID'),
+  body('stationId')
+    .optional({ nullable: true })
+    .isMongoId()
+    .withMessage('Invalid station ID'),
+  body('commandLevel')
+    .optional({ nullable: true })
+    .isIn(['station', 'division', 'province'])
+    .withMessage('Invalid command level')
+], async (req, res, next) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const { stationId, commandLevel } = req.body;
+
+    const user = await User.findById(req.params.id);
+    if (!user) {
+      return res.status(404).json({
+        message: 'User not found'
+      });
+    }
+
+    if (!STATION_ROLES.includes(user.role)) {
+      return res.status(400).json({
+        message: 'Only police officers, station commanders and clerks can be assigned to a station',
+        error: 'NOT_STATION_STAFF'
+      });
+    }
+
+    if (commandLevel && (!COMMAND_ROLES.includes(user.role) || !stationId)) {
+      return res.status(400).json({
+        message: 'Only police officers and station commanders assigned to a station can be given a command',
+        error: 'INVALID_COMMAND'
+      });
+    }
+
+    if (stationId) {
+      const station = await Station.findById(stationId);
+      if (!station) {
+        return res.status(404).json({
+          message: 'Station not found'
+        });
+      }
+      if (!station.isActive) {
+        return res.status(400).json({
+          message: 'Station is not active',
+          error: 'STATION_INACTIVE'
+        });
+      }
+    }
+
+    user.station = stationId || undefined;
+    user.commandLevel = commandLevel || undefined;
+    await user.save();
+    await user.populate('station', 'name code');
+
+    res.json({
+      message: 'Station assignment updated successfully',
+      user: user.getPublicProfile()
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
 /**
  * @swagger
  * /api/users/stats:
  *   get:
- *     summary: Get user statistics (Admin only)
+ *     summary: Get user statistics (requires reports:view)
  *     tags: [Users]
  *     security:
  *       - bearerAuth: []
@@ -423,7 +659,7 @@ router.put('/:id/status', [
  *       403:
  *         description: Access denied
  */
-router.get('/stats/overview', authenticateToken, requireAdmin, async (req, res, next) => {
+router.get('/stats/overview', authenticateToken, requirePermission('reports:view'), async (req, res, next) => {
   try {
     const stats = await User.aggregate([
       {
@@ -457,7 +693,12 @@ module.exports = router;
  * @swagger
  * /api/users/search/drivers:
  *   get:
- *     summary: Search drivers by name, username, email or license number (Police/Admin)
+ *     summary: Search drivers by name, username, email, license or NIC number (requires drivers:search)
+ *     description: >
+ *       With license, looks up the driver holding exactly that license number, for roadside
+ *       checks. The result includes whether the license is suspended and how many fines
+ *       were issued against the license number before anyone claimed it. With nic, looks up
+ *       the driver with that NIC number, matching the old and new card of the same person.
  *     tags: [Users]
  *     security:
  *       - bearerAuth: []
@@ -468,6 +709,16 @@ module.exports = router;
  *           type: string
  *         description: Search term
  *       - in: query
+ *         name: license
+ *         schema:
+ *           type: string
+ *         description: Exact license number in any spelling, e.g. b 1234567; takes precedence over q
+ *       - in: query
+ *         name: nic
+ *         schema:
+ *           type: string
+ *         description: Exact NIC number, old (851234567V) or new (198512345678) format; takes precedence over q
+ *       - in: query
  *         name: limit
  *         schema:
  *           type: integer
@@ -477,12 +728,55 @@ module.exports = router;
  *     responses:
  *       200:
  *         description: Drivers retrieved successfully
+ *       400:
+ *         description: License or NIC number is not in a Sri Lankan format
  *       403:
  *         description: Access denied
  */
-router.get('/search/drivers', authenticateToken, requirePoliceOrAdmin, async (req, res, next) => {
+router.get('/search/drivers', authenticateToken, requirePermission('drivers:search'), async (req, res, next) => {
   try {
-    const { q = '', limit = 10 } = req.query;
+    const { q = '', license, nic, limit = 10 } = req.query;
+
+    if (license) {
+      if (!isValidLicenseNumber(license)) {
+        return res.status(400).json({
+          message: 'License number must be a letter followed by 7 digits (e.g. B1234567) or an older 5 to 8 digit number',
+          error: 'INVALID_LICENSE_NUMBER'
+        });
+      }
+
+      const licenseNumber = normalizeLicenseNumber(license);
+      const [driver, unclaimedFines] = await Promise.all([
+        User.findOne({ role: 'driver', 'profile.licenseNumber': licenseNumber })
+          .select('username email profile.firstName profile.lastName profile.licenseNumber profile.nic licenseStatus'),
+        Fine.countDocuments({ driverId: null, driverLicenseNumber: licenseNumber })
+      ]);
+
+      return res.json({
+        drivers: driver ? [driver] : [],
+        licenseNumber,
+        unclaimedFines
+      });
+    }
+
+    if (nic) {
+      const parsedNic = parseNic(nic);
+      if (!parsedNic) {
+        return res.status(400).json({
+          message: 'NIC number must be 9 digits followed by V or X (e.g. 851234567V) or 12 digits (e.g. 198512345678)',
+          error: 'INVALID_NIC'
+        });
+      }
+
+      const driver = await User.findOne({ role: 'driver', 'profile.nicCanonical': parsedNic.canonical })
+        .select('username email profile.firstName profile.lastName profile.licenseNumber profile.nic profile.birthYear profile.gender licenseStatus');
+
+      return res.json({
+        drivers: driver ? [driver] : [],
+        nic: parsedNic.nic
+      });
+    }
+
     const regex = new RegExp(q, 'i');
     const drivers = await User.find({
       role: 'driver',
@@ -491,10 +785,11 @@ router.get('/search/drivers', authenticateToken, requirePoliceOrAdmin, async (re
         { email: regex },
         { 'profile.firstName': regex },
         { 'profile.lastName': regex },
-        { 'profile.licenseNumber': regex }
+        { 'profile.licenseNumber': regex },
+        { 'profile.nic': regex }
       ]
     })
-      .select('username email profile.firstName profile.lastName profile.licenseNumber')
+      .select('username email profile.firstName profile.lastName profile.licenseNumber profile.nic')
       .limit(parseInt(limit));
     res.json({ drivers });
   } catch (error) {
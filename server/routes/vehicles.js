@@ -0,0 +1,589 @@
+const express = require('express');
+const { body, param, query, validationResult } = require('express-validator');
+const Vehicle = require('../models/Vehicle');
+const Fine = require('../models/Fine');
+const User = require('../models/User');
+const { authenticateToken, requirePermission, hasPermission, getJurisdiction } = require('../middleware/auth');
+const { normalizePlate, findOrCreateVehicle } = require('../services/vehicles');
+const { claimFines } = require('../services/fineClaims');
+
+const router = express.Router();
+
+const VEHICLE_TYPES = ['Car', 'Motorcycle', 'Bus', 'Truck', 'Van', 'Three-Wheeler', 'Other'];
+
+const OWNER_FIELDS = 'username email profile.firstName profile.lastName profile.phoneNumber profile.licenseNumber';
+
+/**
+ * @swagger
+ * /api/vehicles:
+ *   get:
+ *     summary: Look up a vehicle by plate or chassis number (requires vehicles:view)
+ *     tags: [Vehicles]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: plate
+ *         schema:
+ *           type: string
+ *         description: License plate in any spelling, e.g. wp cab 1234
+ *       - in: query
+ *         name: chassisNumber
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Vehicle with its registered owner
+ *       400:
+ *         description: Neither a valid plate nor a chassis number was given
+ *       404:
+ *         description: Vehicle not found
+ */
+router.get('/', [
+  authenticateToken,
+  requirePermission('vehicles:view'),
+  query('chassisNumber')
+    .optional()
+    .trim()
+    .notEmpty()
+    .withMessage('Chassis number cannot be empty')
+], async (req, res, next) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const { plate, chassisNumber } = req.query;
+    let filter;
+    if (plate) {
+      const normalized = normalizePlate(plate);
+      if (!normalized) {
+        return res.status(400).json({
+          message: 'License plate is not a valid Sri Lankan plate, e.g. WP CAB-1234 or 19-1234',
+          error: 'INVALID_LICENSE_PLATE'
+        });
+      }
+      filter = { registrationNumber: normalized.registrationNumber };
+    } else if (chassisNumber) {
+      filter = { chassisNumber: chassisNumber.toUpperCase() };
+    } else {
+      return res.status(400).json({
+        message: 'A plate or chassis number is required'
+      });
+    }
+
+    const vehicle = await Vehicle.findOne(filter).populate('owner', OWNER_FIELDS);
+    if (!vehicle) {
+      return res.status(404).json({
+        message: 'Vehicle not found'
+      });
+    }
+
+    res.json({ vehicle });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * @swagger
+ * /api/vehicles:
+ *   post:
+ *     summary: Register a vehicle (requires vehicles:manage)
+ *     description: Vehicles are also registered automatically the first time they are fined.
+ *     tags: [Vehicles]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - plate
+ *               - vehicleType
+ *             properties:
+ *               plate:
+ *                 type: string
+ *               vehicleType:
+ *                 type: string
+ *                 enum: [Car, Motorcycle, Bus, Truck, Van, Three-Wheeler, Other]
+ *               make:
+ *                 type: string
+ *               model:
+ *                 type: string
+ *               color:
+ *                 type: string
+ *               chassisNumber:
+ *                 type: string
+ *               ownerId:
+ *                 type: string
+ *     responses:
+ *       201:
+ *         description: Vehicle registered successfully
+ *       400:
+ *         description: Validation error or unrecognised license plate
+ *       404:
+ *         description: Owner not found
+ *       409:
+ *         description: Vehicle already registered
+ */
+router.post('/', [
+  authenticateToken,
+  requirePermission('vehicles:manage'),
+  body('plate')
+    .trim()
+    .notEmpty()
+    .withMessage('License plate is required'),
+  body('vehicleType')
+    .isIn(VEHICLE_TYPES)
+    .withMessage('Invalid vehicle type'),
+  body(['make', 'model', 'color'])
+    .optional()
+    .trim()
+    .isLength({ max: 50 })
+    .withMessage('Make, model and color cannot exceed 50 characters'),
+  body('chassisNumber')
+    .optional()
+    .trim()
+    .isAlphanumeric()
+    .withMessage('Chassis number must contain only letters and numbers')
+    .isLength({ max: 30 })
+    .withMessage('Chassis number cannot exceed 30 characters'),
+  body('ownerId')
+    .optional()
+    .isMongoId()
+    .withMessage('Invalid owner ID')
+], async (req, res, next) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const { vehicleType, make, model, color, chassisNumber, ownerId } = req.body;
+
+    const plate = normalizePlate(req.body.plate);
+    if (!plate) {
+      return res.status(400).json({
+        message: 'License plate is not a valid Sri Lankan plate, e.g. WP CAB-1234 or 19-1234',
+        error: 'INVALID_LICENSE_PLATE'
+      });
+    }
+
+    if (await Vehicle.exists({ registrationNumber: plate.registrationNumber })) {
+      return res.status(409).json({
+        message: `Vehicle ${plate.plate} is already registered`,
+        error: 'VEHICLE_EXISTS'
+      });
+    }
+
+    if (ownerId && !(await User.exists({ _id: ownerId }))) {
+      return res.status(404).json({
+        message: 'Owner not found'
+      });
+    }
+
+    const vehicle = await Vehicle.create({
+      ...plate,
+      vehicleType,
+      make,
+      model,
+      color,
+      chassisNumber,
+      owner: ownerId
+    });
+    await vehicle.populate('owner', OWNER_FIELDS);
+
+    res.status(201).json({
+      message: 'Vehicle registered successfully',
+      vehicle
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * @swagger
+ * /api/vehicles/mine:
+ *   post:
+ *     summary: Add a vehicle to the current driver's profile
+ *     description: >
+ *       Registers the driver as the owner of the plate, adding the vehicle to the registry
+ *       if it has not been seen before. Unresolved fines issued against the plate without
+ *       a license number are claimed by the driver and returned in claimedFines.
+ *     tags: [Vehicles]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - plate
+ *               - vehicleType
+ *             properties:
+ *               plate:
+ *                 type: string
+ *               vehicleType:
+ *                 type: string
+ *                 enum: [Car, Motorcycle, Bus, Truck, Van, Three-Wheeler, Other]
+ *               make:
+ *                 type: string
+ *               model:
+ *                 type: string
+ *               color:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: Vehicle added to the profile
+ *       400:
+ *         description: Validation error, unrecognised license plate or user is not a driver
+ *       409:
+ *         description: Vehicle is registered to another owner
+ */
+router.post('/mine', [
+  authenticateToken,
+  body('plate')
+    .trim()
+    .notEmpty()
+    .withMessage('License plate is required'),
+  body('vehicleType')
+    .isIn(VEHICLE_TYPES)
+    .withMessage('Invalid vehicle type'),
+  body(['make', 'model', 'color'])
+    .optional()
+    .trim()
+    .isLength({ max: 50 })
+    .withMessage('Make, model and color cannot exceed 50 characters')
+], async (req, res, next) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    if (req.user.role !== 'driver') {
+      return res.status(400).json({
+        message: 'Only drivers can add vehicles to their profile',
+        error: 'NOT_ELIGIBLE'
+      });
+    }
+
+    const plate = normalizePlate(req.body.plate);
+    if (!plate) {
+      return res.status(400).json({
+        message: 'License plate is not a valid Sri Lankan plate, e.g. WP CAB-1234 or 19-1234',
+        error: 'INVALID_LICENSE_PLATE'
+      });
+    }
+
+    const vehicle = await findOrCreateVehicle(plate, req.body);
+
+    // Take ownership only of a vehicle no one else owns
+    const owned = await Vehicle.findOneAndUpdate(
+      { _id: vehicle._id, $or: [{ owner: null }, { owner: req.user._id }] },
+      { $set: { owner: req.user._id } },
+      { new: true }
+    );
+    if (!owned) {
+      return res.status(409).json({
+        message: `Vehicle ${vehicle.plate} is registered to another owner. Contact a police station to transfer it.`,
+        error: 'VEHICLE_OWNED'
+      });
+    }
+
+    const claimedFines = await claimFines(req.user, { vehicleIds: [owned._id] });
+
+    res.json({
+      message: 'Vehicle added to your profile',
+      vehicle: owned,
+      claimedFines: claimedFines.map(fine => fine.fineId)
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * @swagger
+ * /api/vehicles/owner/{ownerId}:
+ *   get:
+ *     summary: Vehicles registered to a user
+ *     description: Owners can list their own vehicles; staff need vehicles:view.
+ *     tags: [Vehicles]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: ownerId
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: User ID of the registered owner
+ *     responses:
+ *       200:
+ *         description: Vehicles retrieved successfully
+ *       403:
+ *         description: Access denied
+ */
+router.get('/owner/:ownerId', [
+  authenticateToken,
+  param('ownerId').isMongoId().withMessage('Invalid owner ID')
+], async (req, res, next) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const { ownerId } = req.params;
+    if (ownerId !== req.user._id.toString() && !hasPermission(req, 'vehicles:view')) {
+      return res.status(403).json({
+        message: 'Access denied. You can only view your own vehicles',
+        error: 'ACCESS_DENIED'
+      });
+    }
+
+    const vehicles = await Vehicle.find({ owner: ownerId }).sort({ plate: 1 });
+
+    res.json({ vehicles });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * @swagger
+ * /api/vehicles/{id}/history:
+ *   get:
+ *     summary: Fines issued to a vehicle, newest first (requires vehicles:view)
+ *     description: Commanders only see fines of their own jurisdiction.
+ *     tags: [Vehicles]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Vehicle ID
+ *       - in: query
+ *         name: page
+ *         schema:
+ *           type: integer
+ *           minimum: 1
+ *         description: Page number
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           minimum: 1
+ *           maximum: 100
+ *         description: Number of fines per page
+ *     responses:
+ *       200:
+ *         description: Vehicle and its fines
+ *       404:
+ *         description: Vehicle not found
+ */
+router.get('/:id/history', [
+  authenticateToken,
+  requirePermission('vehicles:view'),
+  param('id').isMongoId().withMessage('Invalid vehicle ID')
+], async (req, res, next) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const { page = 1, limit = 10 } = req.query;
+
+    const vehicle = await Vehicle.findById(req.params.id).populate('owner', OWNER_FIELDS);
+    if (!vehicle) {
+      return res.status(404).json({
+        message: 'Vehicle not found'
+      });
+    }
+
+    const fineQuery = { vehicle: vehicle._id };
+    const jurisdiction = getJurisdiction(req.user);
+    if (jurisdiction) {
+      fineQuery.$and = [jurisdiction];
+    }
+
+    // Calculate pagination
+    const skip = (parseInt(page) - 1) * parseInt(limit);
+    const limitNum = parseInt(limit);
+
+    const fines = await Fine.find(fineQuery)
+      .select('fineId status fineAmount currency vehicleInfo createdAt dueDate driverId violationId station')
+      .populate('driverId', 'username profile.firstName profile.lastName profile.licenseNumber')
+      .populate('violationId', 'name code')
+      .populate('station', 'name code')
+      .sort({ createdAt: -1 })
+      .skip(skip)
+      .limit(limitNum);
+
+    const total = await Fine.countDocuments(fineQuery);
+
+    res.json({
+      vehicle,
+      fines,
+      pagination: {
+        current: parseInt(page),
+        pages: Math.ceil(total / limitNum),
+        total,
+        limit: limitNum
+      }
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * @swagger
+ * /api/vehicles/{id}:
+ *   put:
+ *     summary: Update a vehicle's details or registered owner (requires vehicles:manage)
+ *     description: A driver made owner claims the vehicle's unresolved plate-only fines.
+ *     tags: [Vehicles]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Vehicle ID
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               vehicleType:
+ *                 type: string
+ *                 enum: [Car, Motorcycle, Bus, Truck, Van, Three-Wheeler, Other]
+ *               make:
+ *                 type: string
+ *               model:
+ *                 type: string
+ *               color:
+ *                 type: string
+ *               chassisNumber:
+ *                 type: string
+ *               ownerId:
+ *                 type: string
+ *                 nullable: true
+ *                 description: Registered owner, or null to clear
+ *     responses:
+ *       200:
+ *         description: Vehicle updated successfully
+ *       404:
+ *         description: Vehicle or owner not found
+ *       403:
+ *         description: Access denied
+ */
+router.put('/:id', [
+  authenticateToken,
+  requirePermission('vehicles:manage'),
+  param('id').isMongoId().withMessage('Invalid vehicle ID'),
+  body('vehicleType')
+    .optional()
+    .isIn(VEHICLE_TYPES)
+    .withMessage('Invalid vehicle type'),
+  body(['make', 'model', 'color'])
+    .optional()
+    .trim()
+    .isLength({ max: 50 })
+    .withMessage('Make, model and color cannot exceed 50 characters'),
+  body('chassisNumber')
+    .optional()
+    .trim()
+    .isAlphanumeric()
+    .withMessage('Chassis number must contain only letters and numbers')
+    .isLength({ max: 30 })
+    .withMessage('Chassis number cannot exceed 30 characters'),
+  body('ownerId')
+    .optional({ nullable: true })
+    .isMongoId()
+    .withMessage('Invalid owner ID')
+], async (req, res, next) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const vehicle = await Vehicle.findById(req.params.id);
+    if (!vehicle) {
+      return res.status(404).json({
+        message: 'Vehicle not found'
+      });
+    }
+
+    const { ownerId } = req.body;
+    let owner = null;
+    if (ownerId) {
+      owner = await User.findById(ownerId);
+      if (!owner) {
+        return res.status(404).json({
+          message: 'Owner not found'
+        });
+      }
+      vehicle.owner = owner._id;
+    } else if (ownerId === null) {
+      vehicle.owner = undefined;
+    }
+
+    ['vehicleType', 'make', 'model', 'color', 'chassisNumber'].forEach(field => {
+      if (req.body[field] !== undefined) {
+        vehicle[field] = req.body[field];
+      }
+    });
+    await vehicle.save();
+    await vehicle.populate('owner', OWNER_FIELDS);
+
+    // A driver given ownership takes over the vehicle's unresolved plate-only fines
+    const claimedFines = owner ? await claimFines(owner, { vehicleIds: [vehicle._id] }) : [];
+
+    res.json({
+      message: 'Vehicle updated successfully',
+      vehicle,
+      claimedFines: claimedFines.map(fine => fine.fineId)
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+module.exports = router;
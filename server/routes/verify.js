@@ -0,0 +1,194 @@
+const express = require('express');
+const rateLimit = require('express-rate-limit');
+const { param, query, validationResult } = require('express-validator');
+const Fine = require('../models/Fine');
+const Vehicle = require('../models/Vehicle');
+const { readVerificationCode } = require('../services/verification');
+const { normalizePlate } = require('../services/vehicles');
+
+const router = express.Router();
+
+const PAID_STATUSES = ['paid', 'partially_refunded'];
+
+// Lookups are public, so they get a tighter limit of their own instead of the global one
+const verifyLimiter = rateLimit({
+  windowMs: (parseInt(process.env.VERIFY_RATE_LIMIT_WINDOW_MINUTES) || 15) * 60 * 1000,
+  max: parseInt(process.env.VERIFY_RATE_LIMIT_MAX) || 30,
+  standardHeaders: true,
+  legacyHeaders: false,
+  message: {
+    message: 'Too many verification requests, please try again later',
+    error: 'RATE_LIMITED'
+  }
+});
+
+// Coarse status shown to the public; dispute and overdue details stay private
+const getPublicStatus = (fine) => {
+  if (PAID_STATUSES.includes(fine.status)) return 'paid';
+  if (fine.status === 'refunded' || fine.status === 'cancelled') return fine.status;
+  return 'unpaid';
+};
+
+/**
+ * @swagger
+ * /api/verify/lookup:
+ *   get:
+ *     summary: Look up a fine by license plate and fine number without logging in
+ *     description: >
+ *       For fines that have not been claimed by a registered driver yet, such as camera
+ *       detections. Both the plate and the fine number printed on the notice must match.
+ *       Returns the amount due and violation, but nothing that identifies the driver.
+ *       Rate limited separately from the rest of the API.
+ *     tags: [Verification]
+ *     parameters:
+ *       - in: query
+ *         name: plate
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: License plate in any spelling, e.g. wp cab 1234
+ *       - in: query
+ *         name: reference
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Fine number from the notice
+ *     responses:
+ *       200:
+ *         description: Fine found
+ *       400:
+ *         description: Validation failed
+ *       404:
+ *         description: No unclaimed fine matches the plate and fine number
+ *       429:
+ *         description: Too many verification requests
+ */
+router.get('/lookup', [
+  verifyLimiter,
+  query('plate').trim().isLength({ min: 1, max: 20 }).withMessage('License plate is required'),
+  query('reference').trim().isLength({ min: 1, max: 50 }).withMessage('Fine number is required')
+], async (req, res, next) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    // Match the plate through the vehicle registry so any spelling of it works
+    const plate = normalizePlate(req.query.plate);
+    const vehicle = plate && await Vehicle.findOne({ registrationNumber: plate.registrationNumber }).select('_id');
+    const fine = vehicle && await Fine.findOne({
+      // Fine numbers are upper case; fines from before sequential numbering keep a UUID
+      fineId: { $in: [req.query.reference, req.query.reference.toUpperCase()] },
+      vehicle: vehicle._id,
+      // Claimed fines are only shown to their driver, or through a signed verification code
+      driverId: null
+    })
+      .select('fineId status fineAmount paymentInfo currency dueDate createdAt vehicleInfo location violationId')
+      .populate('violationId', 'name code');
+
+    // Wrong plates and wrong fine numbers look the same to the caller
+    if (!fine) {
+      return res.status(404).json({
+        message: 'No fine matches this license plate and fine number',
+        error: 'FINE_NOT_FOUND'
+      });
+    }
+
+    res.json({
+      fine: {
+        reference: fine.fineId,
+        status: fine.status,
+        amount: fine.fineAmount,
+        outstandingAmount: fine.outstandingAmount,
+        currency: fine.currency,
+        dueDate: fine.dueDate,
+        issuedOn: fine.createdAt,
+        licensePlate: fine.vehicleInfo.licensePlate,
+        city: fine.location?.city,
+        violation: fine.violationId && {
+          name: fine.violationId.name,
+          code: fine.violationId.code
+        }
+      }
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * @swagger
+ * /api/verify/{code}:
+ *   get:
+ *     summary: Verify a fine or receipt without logging in
+ *     description: >
+ *       Looks up the fine behind a signed verification code, as printed in the QR code of
+ *       a receipt. Returns only whether the fine is paid, the amount, the dates and the
+ *       violation code; nothing that identifies the driver or vehicle. Rate limited
+ *       separately from the rest of the API.
+ *     tags: [Verification]
+ *     parameters:
+ *       - in: path
+ *         name: code
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Signed verification code
+ *     responses:
+ *       200:
+ *         description: Verification result
+ *       404:
+ *         description: Code is not valid or the fine does not exist
+ *       429:
+ *         description: Too many verification requests
+ */
+router.get('/:code', [
+  verifyLimiter,
+  param('code').isLength({ min: 1, max: 200 }).withMessage('Invalid verification code')
+], async (req, res, next) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    // Forged codes and unknown fines look the same to the caller
+    const reference = readVerificationCode(req.params.code);
+    const fine = reference && await Fine.findOne({ fineId: reference })
+      .select('fineId status fineAmount currency paymentInfo createdAt violationId')
+      .populate('violationId', 'code');
+
+    if (!fine) {
+      return res.status(404).json({
+        message: 'Verification code not recognised',
+        error: 'INVALID_VERIFICATION_CODE'
+      });
+    }
+
+    const status = getPublicStatus(fine);
+    res.json({
+      verification: {
+        reference: fine.fineId,
+        status,
+        paid: status === 'paid',
+        amount: fine.fineAmount,
+        currency: fine.currency,
+        paidAt: status === 'paid' ? fine.paymentInfo.paidAt : undefined,
+        issuedOn: fine.createdAt,
+        violationCode: fine.violationId?.code,
+        verifiedAt: new Date()
+      }
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+module.exports = router;
@@ -1,7 +1,7 @@
 const express = require('express');
 const { body, validationResult, param } = require('express-validator');
 const { TrafficViolation, SeverityLevel } = require('../models/TrafficViolation');
-const { authenticateToken, requireAdmin, requirePoliceOrAdmin } = require('../middleware/auth');
+const { authenticateToken, requirePermission } = require('../middleware/auth');
 
 const router = express.Router();
 
@@ -122,7 +122,7 @@ router.get('/:id', [
  * @swagger
  * /api/violations:
  *   post:
- *     summary: Create new traffic violation (Admin only)
+ *     summary: Create new traffic violation (requires violations:edit)
  *     tags: [Violations]
  *     security:
  *       - bearerAuth: []
@@ -173,7 +173,7 @@ router.get('/:id', [
  */
 router.post('/', [
   authenticateToken,
-  requireAdmin,
+  requirePermission('violations:edit'),
   body('name')
     .trim()
     .isLength({ min: 1, max: 100 })
@@ -238,7 +238,7 @@ router.post('/', [
  * @swagger
  * /api/violations/{id}:
  *   put:
- *     summary: Update traffic violation (Admin only)
+ *     summary: Update traffic violation (requires violations:edit)
  *     tags: [Violations]
  *     security:
  *       - bearerAuth: []
@@ -289,7 +289,7 @@ router.post('/', [
  */
 router.put('/:id', [
   authenticateToken,
-  requireAdmin,
+  requirePermission('violations:edit'),
   param('id').isMongoId().withMessage('Invalid violation ID'),
   body('name')
     .optional()
@@ -357,7 +357,7 @@ router.put('/:id', [
  * @swagger
  * /api/violations/{id}:
  *   delete:
- *     summary: Delete traffic violation (Admin only)
+ *     summary: Delete traffic violation (requires violations:edit)
  *     tags: [Violations]
  *     security:
  *       - bearerAuth: []
@@ -378,7 +378,7 @@ router.put('/:id', [
  */
 router.delete('/:id', [
   authenticateToken,
-  requireAdmin,
+  requirePermission('violations:edit'),
   param('id').isMongoId().withMessage('Invalid violation ID')
 ], async (req, res, next) => {
   try {
@@ -464,7 +464,7 @@ router.get('/meta/severity-levels', authenticateToken, async (req, res, next) =>
  * @swagger
  * /api/violations/stats:
  *   get:
- *     summary: Get violation statistics (Admin only)
+ *     summary: Get violation statistics (requires reports:view)
  *     tags: [Violations]
  *     security:
  *       - bearerAuth: []
@@ -474,7 +474,7 @@ router.get('/meta/severity-levels', authenticateToken, async (req, res, next) =>
  *       403:
  *         description: Access denied
  */
-router.get('/stats/overview', authenticateToken, requireAdmin, async (req, res, next) => {
+router.get('/stats/overview', authenticateToken, requirePermission('reports:view'), async (req, res, next) => {
   try {
     const stats = await TrafficViolation.aggregate([
       {
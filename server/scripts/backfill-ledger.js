@@ -0,0 +1,116 @@
+const mongoose = require('mongoose');
+require('dotenv').config();
+
+const Fine = require('../models/Fine');
+const Transaction = require('../models/Transaction');
+
+// Create ledger rows for a fine paid before the transaction ledger existed: the
+// payment itself, refunds kept on the fine, and late penalties and dispute reductions
+// from its amount history. Safe to run again; fines that already have a captured
+// payment are left alone.
+const backfillFine = async (rawFine) => {
+  const { paymentInfo = {} } = rawFine;
+  const hasPayment = await Transaction.exists({ fine: rawFine._id, type: 'payment', status: 'succeeded' });
+  if (!paymentInfo.paidAt || hasPayment) {
+    return false;
+  }
+
+  const counter = paymentInfo.counter?.receiptBookNumber ? paymentInfo.counter : undefined;
+  const refunds = paymentInfo.refunds || [];
+  const refundedAmount = refunds
+    .filter(refund => refund.status !== 'failed')
+    .reduce((sum, refund) => sum + refund.amount, 0);
+  // Refunded fines no longer show the amount they were paid with; it is at least the refunds
+  const paidAmount = Math.max(rawFine.fineAmount, refundedAmount);
+
+  await Transaction.create({
+    fine: rawFine._id,
+    type: 'payment',
+    status: 'succeeded',
+    amount: paidAmount,
+    currency: rawFine.currency,
+    method: paymentInfo.paymentMethod || 'other',
+    reference: paymentInfo.paymentId || `LEGACY-${rawFine.fineId}`,
+    transactionId: paymentInfo.transactionId,
+    receiptUrl: paymentInfo.receiptUrl,
+    counter,
+    recordedBy: counter?.recordedBy,
+    settledAt: paymentInfo.paidAt,
+    createdAt: paymentInfo.paidAt
+  });
+
+  for (const refund of refunds) {
+    await Transaction.create({
+      fine: rawFine._id,
+      type: 'refund',
+      status: refund.status,
+      amount: refund.amount,
+      currency: rawFine.currency,
+      method: paymentInfo.paymentMethod || 'other',
+      reference: refund.refundId,
+      reason: refund.reason,
+      recordedBy: refund.refundedBy,
+      settledAt: refund.status === 'succeeded' ? refund.refundedAt : undefined,
+      createdAt: refund.refundedAt
+    });
+  }
+
+  const adjustments = (rawFine.amountHistory || []).filter(entry => entry.type !== 'issued');
+  for (const entry of adjustments) {
+    await Transaction.create({
+      fine: rawFine._id,
+      type: 'adjustment',
+      status: 'succeeded',
+      amount: entry.amount,
+      currency: rawFine.currency,
+      reason: entry.reason,
+      recordedBy: entry.recordedBy,
+      settledAt: entry.recordedAt,
+      createdAt: entry.recordedAt
+    });
+  }
+
+  const balance = await Transaction.getBalance(rawFine._id);
+  await Fine.updateOne(
+    { _id: rawFine._id },
+    {
+      $set: {
+        'paymentInfo.paidAmount': balance.paid,
+        'paymentInfo.refundedAmount': balance.refunded
+      },
+      $unset: { 'paymentInfo.refunds': '' }
+    }
+  );
+  return true;
+};
+
+const backfillLedger = async () => {
+  let backfilled = 0;
+  // Read raw documents so refunds stored on the fine are still visible
+  const cursor = Fine.collection.find({ 'paymentInfo.paidAt': { $exists: true } });
+
+  for await (const rawFine of cursor) {
+    try {
+      if (await backfillFine(rawFine)) {
+        backfilled += 1;
+      }
+    } catch (error) {
+      console.error(`Ledger backfill failed for fine ${rawFine._id}:`, error.message);
+    }
+  }
+
+  console.log(`Backfilled ledger for ${backfilled} fines`);
+  return backfilled;
+};
+
+if (require.main === module) {
+  mongoose.connect(process.env.MONGODB_URI || 'mongodb://localhost:27017/police-fine-system', {
+    useNewUrlParser: true,
+    useUnifiedTopology: true,
+  })
+    .then(backfillLedger)
+    .catch(error => console.error('Ledger backfill error:', error))
+    .finally(() => mongoose.connection.close());
+}
+
+module.exports = { backfillFine, backfillLedger };
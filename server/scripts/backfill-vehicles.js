@@ -0,0 +1,51 @@
+const mongoose = require('mongoose');
+require('dotenv').config();
+
+const Fine = require('../models/Fine');
+const { normalizePlate, findOrCreateVehicle } = require('../services/vehicles');
+
+// Link fines issued before the vehicle registry to their vehicle, normalising the plate
+// typed on the fine. Fines whose plate is in neither Sri Lankan series are listed and
+// left alone. Safe to run again.
+const backfillVehicles = async () => {
+  let linked = 0;
+  const unrecognised = [];
+  const cursor = Fine.find({ vehicle: { $exists: false } }).select('fineId vehicleInfo').cursor();
+
+  for await (const fine of cursor) {
+    const plate = normalizePlate(fine.vehicleInfo.licensePlate);
+    if (!plate) {
+      unrecognised.push(`${fine.fineId} (${fine.vehicleInfo.licensePlate})`);
+      continue;
+    }
+
+    try {
+      const vehicle = await findOrCreateVehicle(plate, fine.vehicleInfo);
+      await Fine.updateOne(
+        { _id: fine._id },
+        { $set: { vehicle: vehicle._id, 'vehicleInfo.licensePlate': plate.plate } }
+      );
+      linked += 1;
+    } catch (error) {
+      console.error(`Vehicle backfill failed for fine ${fine.fineId}:`, error.message);
+    }
+  }
+
+  console.log(`Linked ${linked} fines to vehicles`);
+  if (unrecognised.length > 0) {
+    console.log(`Plates not recognised on ${unrecognised.length} fines: ${unrecognised.join(', ')}`);
+  }
+  return linked;
+};
+
+if (require.main === module) {
+  mongoose.connect(process.env.MONGODB_URI || 'mongodb://localhost:27017/police-fine-system', {
+    useNewUrlParser: true,
+    useUnifiedTopology: true,
+  })
+    .then(backfillVehicles)
+    .catch(error => console.error('Vehicle backfill error:', error))
+    .finally(() => mongoose.connection.close());
+}
+
+module.exports = { backfillVehicles };
@@ -0,0 +1,71 @@
+const mongoose = require('mongoose');
+require('dotenv').config();
+
+const User = require('../models/User');
+const LicenseConflict = require('../models/LicenseConflict');
+const { normalizeLicenseNumber, isValidLicenseNumber } = require('../services/licenses');
+
+// Normalise the license numbers stored before they were validated, so the unique index
+// on them can be built. When several accounts share a number the oldest keeps it and
+// each of the others loses it and gets a license conflict for an admin to decide.
+// Numbers in neither Sri Lankan format are listed and left alone. Safe to run again.
+const normalizeLicenses = async () => {
+  let normalized = 0;
+  let conflicts = 0;
+  const invalid = [];
+  const holders = new Map();
+
+  // Read straight from the collection so stored values are seen before the setter runs
+  const cursor = User.collection
+    .find({ 'profile.licenseNumber': { $gt: '' } })
+    .project({ username: 1, 'profile.licenseNumber': 1 })
+    .sort({ createdAt: 1 });
+
+  for await (const user of cursor) {
+    const stored = user.profile.licenseNumber;
+    const licenseNumber = normalizeLicenseNumber(stored);
+    if (!isValidLicenseNumber(licenseNumber)) {
+      invalid.push(`${user.username} (${stored})`);
+    }
+
+    try {
+      const holder = holders.get(licenseNumber);
+      if (holder) {
+        await User.collection.updateOne({ _id: user._id }, { $unset: { 'profile.licenseNumber': 1 } });
+        await LicenseConflict.raise({ licenseNumber, claimant: user._id, holder, source: 'backfill' });
+        conflicts += 1;
+        continue;
+      }
+
+      holders.set(licenseNumber, user._id);
+      if (licenseNumber !== stored) {
+        await User.collection.updateOne({ _id: user._id }, { $set: { 'profile.licenseNumber': licenseNumber } });
+        normalized += 1;
+      }
+    } catch (error) {
+      console.error(`License normalisation failed for user ${user.username}:`, error.message);
+    }
+  }
+
+  console.log(`Normalised ${normalized} license numbers`);
+  console.log(`Opened ${conflicts} license conflicts for duplicate numbers`);
+  if (invalid.length > 0) {
+    console.log(`License numbers not in a Sri Lankan format on ${invalid.length} users: ${invalid.join(', ')}`);
+  }
+
+  // Build the unique index now that duplicates are gone
+  await User.createIndexes();
+  return { normalized, conflicts };
+};
+
+if (require.main === module) {
+  mongoose.connect(process.env.MONGODB_URI || 'mongodb://localhost:27017/police-fine-system', {
+    useNewUrlParser: true,
+    useUnifiedTopology: true,
+  })
+    .then(normalizeLicenses)
+    .catch(error => console.error('License normalisation error:', error))
+    .finally(() => mongoose.connection.close());
+}
+
+module.exports = { normalizeLicenses };
@@ -5,6 +5,15 @@ require('dotenv').config();
 const User = require('../models/User');
 const { TrafficViolation } = require('../models/TrafficViolation');
 const Fine = require('../models/Fine');
+const Transaction = require('../models/Transaction');
+const Counter = require('../models/Counter');
+const Province = require('../models/Province');
+const Division = require('../models/Division');
+const Station = require('../models/Station');
+const Vehicle = require('../models/Vehicle');
+const { backfillFine } = require('./backfill-ledger');
+const { nextFineNumber } = require('../services/numbering');
+const { normalizePlate, findOrCreateVehicle } = require('../services/vehicles');
 
 // Connect to MongoDB
 const connectDB = async () => {
@@ -209,14 +218,33 @@ const seedDatabase = async () => {
     await User.deleteMany({});
     await TrafficViolation.deleteMany({});
     await Fine.deleteMany({});
+    await Transaction.deleteMany({});
+    await Counter.deleteMany({});
+    await Station.deleteMany({});
+    await Division.deleteMany({});
+    await Province.deleteMany({});
+    await Vehicle.deleteMany({});
     console.log('Cleared existing data');
 
+    // Create the station sample officers work at
+    const province = await Province.create({ name: 'Western', code: 'WP' });
+    const division = await Division.create({ name: 'Colombo North', code: 'COL-N', province: province._id });
+    const station = await Station.create({
+      name: 'Colombo Fort',
+      code: 'COL',
+      division: division._id,
+      province: province._id,
+      address: 'Colombo Fort Police Station, Colombo 01'
+    });
+    console.log(`Created station: ${station.name}`);
+
     // Create users
     const createdUsers = [];
     for (const userData of sampleUsers) {
       // Rely on User model pre-save hook to hash password
       const user = new User({
-        ...userData
+        ...userData,
+        ...(['police_officer', 'clerk'].includes(userData.role) && { station: station._id })
       });
       const savedUser = await user.save();
       createdUsers.push(savedUser);
@@ -261,7 +289,7 @@ const seedDatabase = async () => {
             province: 'Western'
           },
           vehicleInfo: {
-            licensePlate: 'CAB-1234',
+            licensePlate: 'WP CAB-1234',
             vehicleType: 'Car',
             make: 'Toyota',
             model: 'Corolla',
@@ -287,7 +315,7 @@ const seedDatabase = async () => {
             province: 'Western'
           },
           vehicleInfo: {
-            licensePlate: 'CAR-5678',
+            licensePlate: 'WP CAR-5678',
             vehicleType: 'Car',
             make: 'Honda',
             model: 'Civic',
@@ -318,7 +346,7 @@ const seedDatabase = async () => {
             province: 'Western'
           },
           vehicleInfo: {
-            licensePlate: 'CAB-1234',
+            licensePlate: 'WP CAB-1234',
             vehicleType: 'Car',
             make: 'Toyota',
             model: 'Corolla',
@@ -331,8 +359,24 @@ const seedDatabase = async () => {
       ];
 
       for (const fineData of sampleFines) {
-        const fine = new Fine(fineData);
+        // Sample drivers own the vehicles they are fined in
+        const vehicle = await findOrCreateVehicle(normalizePlate(fineData.vehicleInfo.licensePlate), fineData.vehicleInfo);
+        if (!vehicle.owner) {
+          vehicle.owner = fineData.driverId;
+          await vehicle.save();
+        }
+
+        const fine = new Fine({
+          ...fineData,
+          vehicle: vehicle._id,
+          fineId: await nextFineNumber(fineData.location, { ...station.toObject(), province }),
+          station: station._id,
+          division: division._id,
+          province: province._id
+        });
         await fine.save();
+        // Paid sample fines need a captured payment in the ledger
+        await backfillFine(fine.toObject());
         console.log(`Created fine: ${fineData.violationMessage.substring(0, 50)}...`);
       }
     }
@@ -0,0 +1,169 @@
+const Fine = require('../models/Fine');
+const Transaction = require('../models/Transaction');
+const Checkout = require('../models/Checkout');
+const { creditForFine } = require('./demeritPoints');
+const { notify } = require('./notifications');
+const { toCents, recordPayment, recordPaymentFailure } = require('./ledger');
+const { nextReceiptNumber } = require('./numbering');
+
+// Load the fines of a checkout along with whether their share of the payment is
+// already captured, e.g. by a webhook that got half way
+const loadCheckoutFines = async (checkout) => {
+  const fineIds = checkout.fines.map(item => item.fine);
+  const [fines, captured] = await Promise.all([
+    Fine.find({ _id: { $in: fineIds } }),
+    Transaction.find({
+      type: 'payment',
+      status: 'succeeded',
+      reference: { $in: fineIds.map(fineId => checkout.referenceFor(fineId)) }
+    }).distinct('fine')
+  ]);
+
+  return checkout.fines.map(item => ({
+    item,
+    fine: fines.find(fine => fine._id.equals(item.fine)),
+    captured: captured.some(fineId => fineId.equals(item.fine))
+  }));
+};
+
+// Whether a fine of the checkout is not captured yet and can no longer be paid with it,
+// e.g. one disputed or paid at a counter after the checkout was started, or one whose
+// outstanding amount changed because a late penalty landed in the meantime
+const isUnpayable = ({ item, fine, captured }) => !captured && (
+  !fine || !fine.canTransitionTo('paid') || toCents(fine.outstandingAmount) !== toCents(item.amount)
+);
+
+// Why a fine of the checkout can no longer be paid, for refund reasons and errors
+const describeUnpayable = ({ item, fine }) => {
+  if (!fine) return item.fine.toString();
+  if (!fine.canTransitionTo('paid')) return `${fine.fineId} (${fine.status})`;
+  return `${fine.fineId} (now ${fine.currency} ${fine.outstandingAmount.toFixed(2)} instead of ${fine.currency} ${item.amount.toFixed(2)})`;
+};
+
+// Fines of the checkout that are not captured yet and can no longer be paid with it
+const findUnpayableFines = async (checkout) => {
+  const entries = await loadCheckoutFines(checkout);
+  return entries
+    .filter(isUnpayable)
+    .map(({ item, fine }) => fine || { _id: item.fine });
+};
+
+// Give the whole payment back when the checkout cannot be settled. The checkout is
+// claimed first so a webhook and the confirm endpoint never refund the same intent twice.
+const refundCheckout = async (checkout, payment, provider, reason) => {
+  const claimed = await Checkout.findOneAndUpdate(
+    { _id: checkout._id, status: { $nin: ['paid', 'refunded'] } },
+    { $set: { status: 'refunded', failureReason: reason } },
+    { new: true }
+  );
+  if (!claimed) {
+    return Checkout.findById(checkout._id);
+  }
+
+  try {
+    const refund = await provider.refund({
+      intentId: checkout.intentId,
+      transactionId: payment.transactionId,
+      amount: checkout.totalAmount
+    });
+    if (refund.status === 'failed') {
+      throw new Error(`${provider.label} declined the refund of payment ${checkout.intentId}`);
+    }
+    claimed.refundId = refund.refundId;
+    claimed.refundedAt = new Date();
+    await claimed.save();
+  } catch (error) {
+    // Released so the next webhook delivery or confirm attempt tries again
+    await Checkout.updateOne({ _id: checkout._id }, { $set: { status: checkout.status } });
+    throw error;
+  }
+
+  await notify([checkout.driver], {
+    type: 'payment_refunded',
+    title: 'Payment refunded',
+    message: `Your payment of ${checkout.currency} ${checkout.totalAmount.toFixed(2)} has been refunded because ${reason.charAt(0).toLowerCase()}${reason.slice(1)}`.slice(0, 500)
+  });
+  return claimed;
+};
+
+// Capture a successful payment against every fine of the checkout. All fines are
+// checked before any is captured, so the payment is applied to every fine or, when one
+// can no longer be paid for the amount the checkout holds for it, refunded. Every step is idempotent: running this again after
+// a crash, which the webhook retries do, completes the fines it did not reach.
+const settleCheckout = async (checkout, payment, provider) => {
+  if (['paid', 'refunded'].includes(checkout.status)) {
+    return checkout;
+  }
+
+  if (payment.fineId !== checkout._id.toString() || toCents(payment.amount) !== toCents(checkout.totalAmount)) {
+    throw new Error(`Payment ${payment.intentId} does not match checkout ${checkout._id}`);
+  }
+
+  // Amounts are checked again here, at capture, so a fine is never left part paid
+  const entries = await loadCheckoutFines(checkout);
+  const unpayable = entries.filter(isUnpayable);
+  if (unpayable.length > 0) {
+    const labels = unpayable.map(describeUnpayable);
+    // Fines already captured keep the payment; only an admin can untangle that
+    if (entries.some(({ captured }) => captured)) {
+      throw new Error(`Checkout ${checkout._id} is part settled; fines no longer payable: ${labels.join(', ')}. Payment ${payment.intentId} needs a manual refund`);
+    }
+    return refundCheckout(checkout, payment, provider, `Some fines can no longer be paid: ${labels.join(', ')}`);
+  }
+
+  // Saved before any capture so a settlement resumed after a crash keeps the number
+  if (!checkout.receiptNumber) {
+    checkout.receiptNumber = await nextReceiptNumber(entries[0].fine);
+    await checkout.save();
+  }
+
+  for (const { item, fine } of entries) {
+    await recordPayment(fine, {
+      method: provider.name,
+      reference: checkout.referenceFor(fine._id),
+      paymentId: payment.intentId,
+      amount: item.amount,
+      transactionId: payment.transactionId,
+      receiptUrl: payment.receiptUrl,
+      receiptNumber: checkout.receiptNumber,
+      recordedBy: checkout.driver
+    });
+    if (fine.status === 'paid') {
+      await creditForFine(fine, 'confirmed');
+    }
+    if (!fine.notes.some(note => note.content.includes(`receipt ${checkout.receiptNumber}`))) {
+      await fine.addNote(
+        `Payment completed via ${provider.label} together with ${entries.length - 1} other fine(s), receipt ${checkout.receiptNumber}. Transaction ID: ${payment.transactionId}`,
+        checkout.driver
+      );
+    }
+  }
+
+  checkout.status = 'paid';
+  checkout.paidAt = new Date();
+  checkout.transactionId = payment.transactionId;
+  checkout.receiptUrl = payment.receiptUrl;
+  checkout.failureReason = undefined;
+  return checkout.save();
+};
+
+// Record that the checkout's payment did not go through
+const failCheckout = async (checkout, failureReason) => {
+  if (['paid', 'refunded'].includes(checkout.status)) {
+    return checkout;
+  }
+
+  for (const item of checkout.fines) {
+    await recordPaymentFailure(checkout.referenceFor(item.fine), failureReason);
+  }
+  checkout.status = 'failed';
+  checkout.failureReason = failureReason;
+  return checkout.save();
+};
+
+module.exports = {
+  findUnpayableFines,
+  refundCheckout,
+  settleCheckout,
+  failCheckout
+};
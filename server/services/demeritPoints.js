@@ -0,0 +1,154 @@
+const DemeritPoint = require('../models/DemeritPoint');
+const User = require('../models/User');
+const { TrafficViolation } = require('../models/TrafficViolation');
+const { notify } = require('./notifications');
+
+// Points stay on a driver's record for this many days
+const WINDOW_DAYS = parseInt(process.env.DEMERIT_POINTS_WINDOW_DAYS) || 730;
+
+// Active points at or above this total suspend the driver's license
+const SUSPENSION_THRESHOLD = parseInt(process.env.DEMERIT_SUSPENSION_THRESHOLD) || 24;
+
+// 'issued' credits points when the fine is written; 'confirmed' waits until the
+// driver pays or a dispute against the fine is rejected
+const CREDIT_ON = process.env.DEMERIT_CREDIT_ON === 'confirmed' ? 'confirmed' : 'issued';
+
+const getIdString = (value) => (value && value._id ? value._id : value).toString();
+
+// Recalculate a driver's active points and suspend or reinstate their license
+const refreshLicenseStatus = async (driverId) => {
+  const totalPoints = await DemeritPoint.getActiveTotal(getIdString(driverId));
+  const driver = await User.findById(driverId);
+  if (!driver) return { totalPoints, isSuspended: false };
+
+  const shouldSuspend = totalPoints >= SUSPENSION_THRESHOLD;
+  if (shouldSuspend && !driver.licenseStatus.isSuspended) {
+    driver.licenseStatus.isSuspended = true;
+    driver.licenseStatus.suspendedAt = new Date();
+    driver.licenseStatus.suspensionReason = `${totalPoints} demerit points (threshold ${SUSPENSION_THRESHOLD})`;
+    driver.licenseStatus.liftedAt = undefined;
+    await driver.save();
+    await notify([driver._id], {
+      type: 'license_suspended',
+      title: 'Driving license suspended',
+      message: `Your license has been flagged as suspended after reaching ${totalPoints} demerit points.`
+    });
+  } else if (!shouldSuspend && driver.licenseStatus.isSuspended) {
+    driver.licenseStatus.isSuspended = false;
+    driver.licenseStatus.liftedAt = new Date();
+    await driver.save();
+    await notify([driver._id], {
+      type: 'license_reinstated',
+      title: 'Driving license reinstated',
+      message: `Your demerit points have dropped to ${totalPoints} and your license is no longer flagged as suspended.`
+    });
+  }
+
+  return { totalPoints, isSuspended: driver.licenseStatus.isSuspended };
+};
+
+// Recalculate every suspended driver so suspensions end once enough of their points
+// have expired. Expiry only lowers totals, so drivers who are not suspended are skipped.
+const liftExpiredSuspensions = async () => {
+  const result = { checked: 0, reinstated: 0, failed: 0 };
+
+  const suspendedCursor = User.find({ 'licenseStatus.isSuspended': true }).select('_id').cursor();
+  for await (const driver of suspendedCursor) {
+    result.checked += 1;
+    try {
+      const { isSuspended } = await refreshLicenseStatus(driver._id);
+      if (!isSuspended) {
+        result.reinstated += 1;
+      }
+    } catch (error) {
+      result.failed += 1;
+      console.error(`License status refresh failed for driver ${driver._id}:`, error);
+    }
+  }
+
+  return result;
+};
+
+// Credit the violation's points to the fined driver. Safe to call more than once
+// per fine. Ledger failures are logged rather than failing the fine workflow.
+const creditForFine = async (fine, trigger = 'issued') => {
+  // Unresolved fines are credited when a driver claims them
+  if (trigger !== CREDIT_ON || !fine.driverId) return null;
+
+  try {
+    const existing = await DemeritPoint.findOne({ fine: fine._id });
+    if (existing) return existing;
+
+    const violation = await TrafficViolation.findById(getIdString(fine.violationId));
+    if (!violation || !violation.points) return null;
+
+    const awardedAt = new Date();
+    const entry = await DemeritPoint.create({
+      driverId: getIdString(fine.driverId),
+      fine: fine._id,
+      violationId: violation._id,
+      points: violation.points,
+      awardedAt,
+      expiresAt: new Date(awardedAt.getTime() + WINDOW_DAYS * 24 * 60 * 60 * 1000)
+    });
+
+    await refreshLicenseStatus(fine.driverId);
+    return entry;
+  } catch (error) {
+    if (error.code === 11000) {
+      return DemeritPoint.findOne({ fine: fine._id });
+    }
+    console.error(`Demerit point credit failed for fine ${fine._id}:`, error);
+    return null;
+  }
+};
+
+// Reverse the points credited for a fine (cancelled fine or approved dispute)
+const reverseForFine = async (fine, { reason, reversedBy } = {}) => {
+  try {
+    const entry = await DemeritPoint.findOne({ fine: fine._id, reversedAt: null });
+    if (!entry) return null;
+
+    entry.reversedAt = new Date();
+    entry.reversalReason = reason;
+    entry.reversedBy = reversedBy;
+    await entry.save();
+
+    await refreshLicenseStatus(entry.driverId);
+    return entry;
+  } catch (error) {
+    console.error(`Demerit point reversal failed for fine ${fine._id}:`, error);
+    return null;
+  }
+};
+
+// Move a fine's points to the driver it now belongs to. There is one entry per fine, so
+// the entry is moved rather than reversed and credited again; both drivers' totals are
+// recalculated
+const transferForFine = async (fine, fromDriverId) => {
+  try {
+    const entry = await DemeritPoint.findOneAndUpdate(
+      { fine: fine._id, driverId: getIdString(fromDriverId) },
+      { $set: { driverId: getIdString(fine.driverId) } },
+      { new: true }
+    );
+    if (!entry) return null;
+
+    await refreshLicenseStatus(fromDriverId);
+    await refreshLicenseStatus(fine.driverId);
+    return entry;
+  } catch (error) {
+    console.error(`Demerit point transfer failed for fine ${fine._id}:`, error);
+    return null;
+  }
+};
+
+module.exports = {
+  WINDOW_DAYS,
+  SUSPENSION_THRESHOLD,
+  refreshLicenseStatus,
+  liftExpiredSuspensions,
+  creditForFine,
+  reverseForFine,
+  transferForFine
+};
@@ -0,0 +1,263 @@
+const fs = require('fs');
+const PDFDocument = require('pdfkit');
+const QRCode = require('qrcode');
+const labels = require('./labels');
+
+// Sinhala and Tamil need their own fonts; English uses the built-in Helvetica
+const FONTS = {
+  si: {
+    regular: require.resolve('@fontsource/noto-sans-sinhala/files/noto-sans-sinhala-sinhala-400-normal.woff'),
+    bold: require.resolve('@fontsource/noto-sans-sinhala/files/noto-sans-sinhala-sinhala-700-normal.woff')
+  },
+  ta: {
+    regular: require.resolve('@fontsource/noto-sans-tamil/files/noto-sans-tamil-tamil-400-normal.woff'),
+    bold: require.resolve('@fontsource/noto-sans-tamil/files/noto-sans-tamil-tamil-700-normal.woff')
+  }
+};
+
+// Languages printed under the English labels, e.g. `si` or `si,ta`
+const LANGUAGES = (process.env.DOCUMENT_LANGUAGES || 'si')
+  .split(',')
+  .map(language => language.trim())
+  .filter(language => FONTS[language]);
+
+const LOGO_PATH = process.env.DOCUMENT_LOGO_PATH;
+const TIME_ZONE = 'Asia/Colombo';
+const BRAND_COLOR = '#1e3a8a';
+const MUTED_COLOR = '#6b7280';
+const TEXT_COLOR = '#111827';
+const LABEL_WIDTH = 210;
+
+const formatMoney = (amount, currency) =>
+  `${currency} ${Number(amount || 0).toLocaleString('en-US', { minimumFractionDigits: 2, maximumFractionDigits: 2 })}`;
+
+const formatDate = (date, withTime = false) => {
+  if (!date) return undefined;
+  return new Date(date).toLocaleString('en-GB', {
+    timeZone: TIME_ZONE,
+    day: '2-digit',
+    month: 'short',
+    year: 'numeric',
+    ...(withTime && { hour: '2-digit', minute: '2-digit' })
+  });
+};
+
+// Pick a font that can draw the text; names and addresses may be in Sinhala or Tamil
+const fontFor = (text, weight = 'regular') => {
+  if (/[\u0D80-\u0DFF]/.test(text)) return `si-${weight}`;
+  if (/[\u0B80-\u0BFF]/.test(text)) return `ta-${weight}`;
+  return weight === 'bold' ? 'Helvetica-Bold' : 'Helvetica';
+};
+
+const createDocument = (title) => {
+  const doc = new PDFDocument({
+    size: 'A4',
+    margin: 50,
+    info: { Title: title, Author: labels.department.en }
+  });
+  Object.entries(FONTS).forEach(([language, files]) => {
+    doc.registerFont(`${language}-regular`, files.regular);
+    doc.registerFont(`${language}-bold`, files.bold);
+  });
+  return doc;
+};
+
+const toBuffer = (doc) => new Promise((resolve, reject) => {
+  const chunks = [];
+  doc.on('data', chunk => chunks.push(chunk));
+  doc.on('end', () => resolve(Buffer.concat(chunks)));
+  doc.on('error', reject);
+  doc.end();
+});
+
+const contentWidth = (doc) => doc.page.width - doc.page.margins.left - doc.page.margins.right;
+
+// Start a new page when the next block would run past the bottom margin
+const ensureSpace = (doc, height) => {
+  if (doc.y + height > doc.page.height - doc.page.margins.bottom) {
+    doc.addPage();
+  }
+};
+
+// Department band, document title and a QR code, captioned with the document number
+const drawHeader = async (doc, title, code, qrContent = code) => {
+  const { left } = doc.page.margins;
+  const width = contentWidth(doc);
+  const qrSize = 90;
+
+  doc.rect(0, 0, doc.page.width, 8).fill(BRAND_COLOR);
+
+  let textLeft = left;
+  if (LOGO_PATH && fs.existsSync(LOGO_PATH)) {
+    doc.image(LOGO_PATH, left, 40, { fit: [60, 60] });
+    textLeft += 72;
+  }
+
+  doc.fillColor(BRAND_COLOR).font('Helvetica-Bold').fontSize(16)
+    .text(labels.department.en, textLeft, 40, { width: width - qrSize - (textLeft - left) });
+  LANGUAGES.forEach(language => {
+    doc.font(`${language}-bold`).fontSize(12).text(labels.department[language]);
+  });
+  doc.fillColor(MUTED_COLOR).font('Helvetica').fontSize(9).text(labels.division.en);
+
+  const qr = await QRCode.toBuffer(qrContent, { margin: 1, width: qrSize * 2 });
+  doc.image(qr, left + width - qrSize, 36, { width: qrSize });
+  doc.fillColor(MUTED_COLOR).font('Helvetica').fontSize(7)
+    .text(code, left + width - qrSize, 36 + qrSize + 2, { width: qrSize, align: 'center' });
+
+  doc.y = Math.max(doc.y, 36 + qrSize + 14) + 10;
+  doc.moveTo(left, doc.y).lineTo(left + width, doc.y).lineWidth(1).strokeColor(BRAND_COLOR).stroke();
+  doc.y += 12;
+
+  doc.fillColor(TEXT_COLOR).font('Helvetica-Bold').fontSize(14).text(title.en, left, doc.y, { width, align: 'center' });
+  LANGUAGES.forEach(language => {
+    doc.font(`${language}-bold`).fontSize(11).text(title[language], { width, align: 'center' });
+  });
+  doc.moveDown(1);
+};
+
+// A row with the label in every enabled language on the left and the value on the right.
+// Labels without a translation (e.g. line items) are printed in English only.
+const drawRow = (doc, label, value, { bold = false } = {}) => {
+  const { left } = doc.page.margins;
+  const width = contentWidth(doc);
+  const valueWidth = width - LABEL_WIDTH;
+  const text = value === undefined || value === null || value === '' ? '—' : String(value);
+  const languages = LANGUAGES.filter(language => label[language]);
+
+  doc.font(fontFor(label.en)).fontSize(9);
+  let labelHeight = doc.heightOfString(label.en, { width: LABEL_WIDTH - 10 });
+  languages.forEach(language => {
+    doc.font(`${language}-regular`).fontSize(8);
+    labelHeight += doc.heightOfString(label[language], { width: LABEL_WIDTH - 10 });
+  });
+  doc.font(fontFor(text, bold ? 'bold' : 'regular')).fontSize(bold ? 11 : 10);
+  const rowHeight = Math.max(labelHeight, doc.heightOfString(text, { width: valueWidth })) + 10;
+
+  ensureSpace(doc, rowHeight);
+  const top = doc.y;
+
+  doc.fillColor(TEXT_COLOR).text(text, left + LABEL_WIDTH, top + 5, { width: valueWidth, align: 'right' });
+
+  doc.fillColor(TEXT_COLOR).font(fontFor(label.en)).fontSize(9).text(label.en, left, top + 5, { width: LABEL_WIDTH - 10 });
+  languages.forEach(language => {
+    doc.fillColor(MUTED_COLOR).font(`${language}-regular`).fontSize(8).text(label[language], { width: LABEL_WIDTH - 10 });
+  });
+
+  doc.y = top + rowHeight;
+  doc.moveTo(left, doc.y).lineTo(left + width, doc.y).lineWidth(0.5).strokeColor('#e5e7eb').stroke();
+};
+
+const drawSectionTitle = (doc, label) => {
+  const { left } = doc.page.margins;
+  ensureSpace(doc, 50);
+  doc.moveDown(1);
+  doc.fillColor(BRAND_COLOR).font('Helvetica-Bold').fontSize(11).text(label.en, left, doc.y, { width: contentWidth(doc) });
+  LANGUAGES.forEach(language => {
+    doc.font(`${language}-bold`).fontSize(9).text(label[language]);
+  });
+  doc.moveDown(0.3);
+};
+
+// Text in every enabled language, one paragraph each
+const drawParagraphs = (doc, label, { fontSize = 9, color = TEXT_COLOR } = {}) => {
+  const { left } = doc.page.margins;
+  const width = contentWidth(doc);
+  doc.moveDown(1);
+  ensureSpace(doc, 60);
+  doc.fillColor(color).font('Helvetica').fontSize(fontSize).text(label.en, left, doc.y, { width });
+  LANGUAGES.forEach(language => {
+    doc.moveDown(0.3);
+    doc.font(`${language}-regular`).fontSize(fontSize - 1).text(label[language], { width });
+  });
+};
+
+const drawFooter = (doc) => {
+  drawParagraphs(doc, labels.computerGenerated, { fontSize: 8, color: MUTED_COLOR });
+};
+
+const personWithBadge = ({ name, badgeNumber } = {}) => [name, badgeNumber].filter(Boolean).join(' – ');
+
+// Render a payment receipt as built by services/receipts: the receipt of one fine, or
+// the combined receipt of a checkout when it lists `fines`. The QR code of a fine's
+// receipt opens its public verification page.
+const renderReceiptPdf = async (receipt) => {
+  const doc = createDocument(`${labels.receiptTitle.en} ${receipt.receiptNumber}`);
+  await drawHeader(doc, labels.receiptTitle, receipt.receiptNumber, receipt.verificationUrl);
+
+  drawRow(doc, labels.receiptNumber, receipt.receiptNumber);
+  if (!receipt.fines) {
+    drawRow(doc, labels.fineNumber, receipt.fineId);
+  }
+  drawRow(doc, labels.paymentDate, formatDate(receipt.paymentDate, true));
+  drawRow(doc, labels.paymentMethod, receipt.paymentMethod);
+  drawRow(doc, labels.transactionId, receipt.transactionId);
+  if (receipt.counter) {
+    drawRow(doc, labels.receiptBookNumber, receipt.counter.receiptBookNumber);
+    drawRow(doc, labels.branch, receipt.counter.branch);
+  }
+  drawRow(doc, labels.driver, receipt.driver?.name);
+  drawRow(doc, labels.licenseNumber, receipt.driver?.licenseNumber);
+
+  if (receipt.fines) {
+    drawSectionTitle(doc, labels.finesPaid);
+    receipt.fines.forEach(fine => {
+      drawRow(
+        doc,
+        { en: `${fine.violation.name} (${fine.violation.code})\n${fine.fineId} · ${fine.vehicle.licensePlate}` },
+        formatMoney(fine.amount, receipt.currency)
+      );
+    });
+    drawRow(doc, labels.total, formatMoney(receipt.amount, receipt.currency), { bold: true });
+  } else {
+    drawRow(doc, labels.vehicle, receipt.vehicle && `${receipt.vehicle.licensePlate} (${receipt.vehicle.type})`);
+    drawRow(doc, labels.violation, receipt.violation && `${receipt.violation.name} (${receipt.violation.code})`);
+    drawRow(doc, labels.issuedOn, formatDate(receipt.issuedDate, true));
+    drawRow(doc, labels.issuedBy, personWithBadge(receipt.issuedBy));
+    drawRow(doc, labels.fineAmount, formatMoney(receipt.amount, receipt.currency));
+    drawRow(doc, labels.amountPaid, formatMoney(receipt.amountPaid, receipt.currency), { bold: true });
+    if (receipt.refundedAmount > 0) {
+      drawRow(doc, labels.refunded, formatMoney(receipt.refundedAmount, receipt.currency));
+    }
+    if (receipt.outstandingAmount > 0) {
+      drawRow(doc, labels.outstanding, formatMoney(receipt.outstandingAmount, receipt.currency));
+    }
+  }
+
+  drawFooter(doc);
+  return toBuffer(doc);
+};
+
+// Render the notice handed to the driver when a fine is issued. The fine must have its
+// driver, violation and officer populated.
+const renderFineNoticePdf = async (fine) => {
+  const doc = createDocument(`${labels.noticeTitle.en} ${fine.fineId}`);
+  await drawHeader(doc, labels.noticeTitle, fine.fineId);
+
+  const driver = fine.driverId;
+  const officer = fine.policeOfficer;
+  const location = [fine.location?.address, fine.location?.city].filter(Boolean).join(', ');
+
+  drawRow(doc, labels.fineNumber, fine.fineId);
+  drawRow(doc, labels.issuedOn, formatDate(fine.createdAt, true));
+  drawRow(doc, labels.issuedBy, personWithBadge({
+    name: officer && (officer.fullName || officer.username),
+    badgeNumber: officer?.profile?.badgeNumber
+  }));
+  drawRow(doc, labels.driver, driver && (driver.fullName || driver.username));
+  drawRow(doc, labels.licenseNumber, driver?.profile?.licenseNumber || fine.driverLicenseNumber);
+  drawRow(doc, labels.vehicle, fine.vehicleInfo?.licensePlate);
+  drawRow(doc, labels.violation, fine.violationId && `${fine.violationId.name} (${fine.violationId.code})`);
+  drawRow(doc, labels.location, location);
+  drawRow(doc, labels.fineAmount, formatMoney(fine.fineAmount, fine.currency), { bold: true });
+  drawRow(doc, labels.dueDate, formatDate(fine.dueDate), { bold: true });
+
+  drawParagraphs(doc, labels.howToPay);
+  drawFooter(doc);
+  return toBuffer(doc);
+};
+
+module.exports = {
+  renderReceiptPdf,
+  renderFineNoticePdf
+};
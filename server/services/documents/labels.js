@@ -0,0 +1,139 @@
+// Printed labels in English (en), Sinhala (si) and Tamil (ta). Documents show English
+// first, followed by each language enabled with DOCUMENT_LANGUAGES.
+module.exports = {
+  department: {
+    en: 'Sri Lanka Police',
+    si: 'ශ්‍රී ලංකා පොලිසිය',
+    ta: 'இலங்கை பொலிஸ்'
+  },
+  division: {
+    en: 'Traffic Fine Management',
+    si: 'රථවාහන දඩ කළමනාකරණය',
+    ta: 'போக்குவரத்து தண்டப்பண முகாமைத்துவம்'
+  },
+  receiptTitle: {
+    en: 'Traffic Fine Payment Receipt',
+    si: 'රථවාහන දඩ ගෙවීම් රිසිට්පත',
+    ta: 'போக்குவரத்து தண்டப்பண கொடுப்பனவு பற்றுச்சீட்டு'
+  },
+  noticeTitle: {
+    en: 'Traffic Fine Notice',
+    si: 'රථවාහන දඩ නිවේදනය',
+    ta: 'போக்குவரத்து தண்டப்பண அறிவித்தல்'
+  },
+  receiptNumber: {
+    en: 'Receipt number',
+    si: 'රිසිට්පත් අංකය',
+    ta: 'பற்றுச்சீட்டு இலக்கம்'
+  },
+  fineNumber: {
+    en: 'Fine number',
+    si: 'දඩ අංකය',
+    ta: 'தண்டப்பண இலக்கம்'
+  },
+  paymentDate: {
+    en: 'Payment date',
+    si: 'ගෙවූ දිනය',
+    ta: 'கொடுப்பனவு திகதி'
+  },
+  paymentMethod: {
+    en: 'Payment method',
+    si: 'ගෙවීම් ක්‍රමය',
+    ta: 'கொடுப்பனவு முறை'
+  },
+  transactionId: {
+    en: 'Transaction ID',
+    si: 'ගනුදෙනු අංකය',
+    ta: 'பரிவர்த்தனை இலக்கம்'
+  },
+  receiptBookNumber: {
+    en: 'Receipt book number',
+    si: 'රිසිට් පොත් අංකය',
+    ta: 'பற்றுச்சீட்டுப் புத்தக இலக்கம்'
+  },
+  branch: {
+    en: 'Branch',
+    si: 'ශාඛාව',
+    ta: 'கிளை'
+  },
+  fineAmount: {
+    en: 'Fine amount',
+    si: 'දඩ මුදල',
+    ta: 'தண்டப்பணத் தொகை'
+  },
+  amountPaid: {
+    en: 'Amount paid',
+    si: 'ගෙවූ මුදල',
+    ta: 'செலுத்திய தொகை'
+  },
+  refunded: {
+    en: 'Refunded',
+    si: 'ආපසු ගෙවූ මුදල',
+    ta: 'மீளளிக்கப்பட்ட தொகை'
+  },
+  outstanding: {
+    en: 'Outstanding',
+    si: 'ගෙවිය යුතු ශේෂය',
+    ta: 'நிலுவைத் தொகை'
+  },
+  total: {
+    en: 'Total',
+    si: 'එකතුව',
+    ta: 'மொத்தம்'
+  },
+  finesPaid: {
+    en: 'Fines paid',
+    si: 'ගෙවූ දඩ',
+    ta: 'செலுத்திய தண்டப்பணங்கள்'
+  },
+  driver: {
+    en: 'Driver',
+    si: 'රියදුරු',
+    ta: 'சாரதி'
+  },
+  licenseNumber: {
+    en: 'Driving licence number',
+    si: 'රියදුරු බලපත්‍ර අංකය',
+    ta: 'சாரதி அனுமதிப்பத்திர இலக்கம்'
+  },
+  vehicle: {
+    en: 'Vehicle number',
+    si: 'වාහන අංකය',
+    ta: 'வாகன இலக்கம்'
+  },
+  violation: {
+    en: 'Offence',
+    si: 'වරද',
+    ta: 'குற்றம்'
+  },
+  location: {
+    en: 'Location',
+    si: 'ස්ථානය',
+    ta: 'இடம்'
+  },
+  issuedOn: {
+    en: 'Issued on',
+    si: 'නිකුත් කළ දිනය',
+    ta: 'வழங்கப்பட்ட திகதி'
+  },
+  issuedBy: {
+    en: 'Issuing officer',
+    si: 'නිකුත් කළ නිලධාරියා',
+    ta: 'வழங்கிய அதிகாரி'
+  },
+  dueDate: {
+    en: 'Pay before',
+    si: 'ගෙවිය යුතු අවසන් දිනය',
+    ta: 'செலுத்த வேண்டிய இறுதித் திகதி'
+  },
+  howToPay: {
+    en: 'Pay online, or at any post office or police station, before the due date. Quote the fine number.',
+    si: 'නියමිත දිනට පෙර මාර්ගගතව හෝ ඕනෑම තැපැල් කාර්යාලයකදී හෝ පොලිස් ස්ථානයකදී ගෙවන්න. දඩ අංකය සඳහන් කරන්න.',
+    ta: 'செலுத்த வேண்டிய திகதிக்கு முன் இணையவழியாக அல்லது எந்தவொரு தபால் அலுவலகம் அல்லது பொலிஸ் நிலையத்தில் செலுத்தவும். தண்டப்பண இலக்கத்தைக் குறிப்பிடவும்.'
+  },
+  computerGenerated: {
+    en: 'This is a computer-generated document and does not require a signature.',
+    si: 'මෙය පරිගණක ජනිත ලේඛනයක් වන අතර අත්සනක් අවශ්‍ය නොවේ.',
+    ta: 'இது கணினியால் உருவாக்கப்பட்ட ஆவணம், கையொப்பம் தேவையில்லை.'
+  }
+};
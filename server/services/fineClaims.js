@@ -0,0 +1,130 @@
+const Fine = require('../models/Fine');
+const User = require('../models/User');
+const Vehicle = require('../models/Vehicle');
+const { creditForFine, transferForFine } = require('./demeritPoints');
+const { notify } = require('./notifications');
+const { normalizeLicenseNumber } = require('./licenses');
+
+const PAID_STATUSES = ['paid', 'partially_refunded'];
+
+// Registered driver holding a license number
+const findDriverByLicense = (licenseNumber) => {
+  const normalized = normalizeLicenseNumber(licenseNumber);
+  if (!normalized) return null;
+
+  return User.findOne({ role: 'driver', 'profile.licenseNumber': normalized });
+};
+
+// Attach unresolved fines to a driver. Fines written against their license number are
+// always theirs; fines written against a plate only are claimed for vehicles the driver
+// owns, as long as no other license number was recorded on the fine.
+const claimFines = async (driver, { licenseNumber, vehicleIds } = {}) => {
+  if (!driver || driver.role !== 'driver') return [];
+
+  const normalized = normalizeLicenseNumber(licenseNumber);
+  const conditions = [];
+  if (normalized) {
+    conditions.push({ driverLicenseNumber: normalized });
+  }
+  if (vehicleIds && vehicleIds.length > 0) {
+    conditions.push({ vehicle: { $in: vehicleIds }, driverLicenseNumber: null });
+  }
+  if (conditions.length === 0) return [];
+
+  const fines = await Fine.find({ driverId: null, $or: conditions });
+  const claimed = [];
+
+  for (const fine of fines) {
+    // Another request may have claimed the fine in the meantime
+    const result = await Fine.updateOne(
+      { _id: fine._id, driverId: null },
+      { $set: { driverId: driver._id, claimedAt: new Date() } }
+    );
+    if (result.modifiedCount === 0) continue;
+
+    fine.driverId = driver._id;
+    await fine.addNote(
+      fine.driverLicenseNumber
+        ? `Claimed by driver with license number ${fine.driverLicenseNumber}`
+        : `Claimed by registered owner of ${fine.vehicleInfo.licensePlate}`,
+      driver._id
+    );
+    await creditForFine(fine, 'issued');
+    if (PAID_STATUSES.includes(fine.status)) {
+      await creditForFine(fine, 'confirmed');
+    }
+    claimed.push(fine);
+  }
+
+  if (claimed.length > 0) {
+    await notify([driver._id], {
+      type: 'fines_claimed',
+      title: claimed.length === 1 ? 'Fine added to your account' : 'Fines added to your account',
+      message: `Fines issued against your license or vehicle were added to your account: ${claimed.map(fine => fine.fineId).join(', ')}`.slice(0, 500),
+      fine: claimed.length === 1 ? claimed[0] : undefined
+    });
+  }
+
+  return claimed;
+};
+
+// Move fines written against a license number from the accounts that held it by mistake
+// to the driver it was awarded to, along with their demerit points
+const reassignFines = async (driver, { licenseNumber, fromDriverIds } = {}, reassignedBy) => {
+  const normalized = normalizeLicenseNumber(licenseNumber);
+  if (!driver || !normalized || !fromDriverIds || fromDriverIds.length === 0) return [];
+
+  const fines = await Fine.find({ driverId: { $in: fromDriverIds }, driverLicenseNumber: normalized });
+  const reassigned = [];
+
+  for (const fine of fines) {
+    const previousDriverId = fine.driverId;
+    const result = await Fine.updateOne(
+      { _id: fine._id, driverId: previousDriverId },
+      { $set: { driverId: driver._id, claimedAt: new Date() } }
+    );
+    if (result.modifiedCount === 0) continue;
+
+    fine.driverId = driver._id;
+    await fine.addNote(
+      `Moved to the driver awarded license number ${normalized} after a license conflict review`,
+      reassignedBy
+    );
+    await transferForFine(fine, previousDriverId);
+    // Points the previous driver was never credited with are credited now
+    await creditForFine(fine, 'issued');
+    if (PAID_STATUSES.includes(fine.status)) {
+      await creditForFine(fine, 'confirmed');
+    }
+    reassigned.push(fine);
+  }
+
+  if (reassigned.length > 0) {
+    await notify([driver._id], {
+      type: 'fines_claimed',
+      title: reassigned.length === 1 ? 'Fine added to your account' : 'Fines added to your account',
+      message: `Fines issued against your license were moved to your account: ${reassigned.map(fine => fine.fineId).join(', ')}`.slice(0, 500),
+      fine: reassigned.length === 1 ? reassigned[0] : undefined
+    });
+  }
+
+  return reassigned;
+};
+
+// Claim everything that matches the driver's license and the vehicles they own
+const claimFinesForDriver = async (driver) => {
+  if (!driver || driver.role !== 'driver') return [];
+
+  const vehicles = await Vehicle.find({ owner: driver._id }).select('_id');
+  return claimFines(driver, {
+    licenseNumber: driver.profile?.licenseNumber,
+    vehicleIds: vehicles.map(vehicle => vehicle._id)
+  });
+};
+
+module.exports = {
+  findDriverByLicense,
+  claimFines,
+  reassignFines,
+  claimFinesForDriver
+};
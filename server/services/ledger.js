@@ -0,0 +1,218 @@
+const Transaction = require('../models/Transaction');
+const { nextReceiptNumber } = require('./numbering');
+
+// Compare amounts in cents to avoid floating point drift
+const toCents = (amount) => Math.round(amount * 100);
+
+// Recompute the fine's paid and refunded totals from its ledger. Does not save.
+const syncBalance = async (fine) => {
+  const balance = await Transaction.getBalance(fine._id);
+  fine.applyBalance(balance);
+  return balance;
+};
+
+// Record a payment started with a provider. Starting the same intent again is a no-op.
+const recordPaymentAttempt = (fine, { method, reference, amount, recordedBy }) => {
+  return Transaction.findOneAndUpdate(
+    { type: 'payment', reference },
+    {
+      $setOnInsert: {
+        fine: fine._id,
+        amount,
+        currency: fine.currency,
+        method,
+        status: 'pending',
+        recordedBy
+      }
+    },
+    { upsert: true, new: true }
+  );
+};
+
+// Record that a payment attempt did not go through
+const recordPaymentFailure = (reference, failureReason) => {
+  return Transaction.findOneAndUpdate(
+    { type: 'payment', reference, status: 'pending' },
+    { $set: { status: 'failed', failureReason } },
+    { new: true }
+  );
+};
+
+// Capture a payment against the fine and update its totals. Once nothing is left to
+// pay the fine is marked as paid with `method` and `reference` as its payment details.
+// Capturing the same reference twice only brings the fine up to date, so webhooks and
+// confirm-payment can race and an interrupted capture can be run again.
+// `paymentId` is the provider intent to refund against when it differs from the reference.
+// A receipt number is issued unless one is given.
+const recordPayment = async (fine, { method, reference, paymentId = reference, amount, transactionId, receiptUrl, receiptNumber, counter, recordedBy }) => {
+  const existing = await Transaction.findOne({ type: 'payment', reference });
+  const transaction = existing?.status === 'succeeded' ? existing : await Transaction.findOneAndUpdate(
+    { type: 'payment', reference },
+    {
+      $set: {
+        fine: fine._id,
+        amount: amount ?? existing?.amount ?? fine.outstandingAmount,
+        currency: fine.currency,
+        method,
+        status: 'succeeded',
+        ...(paymentId !== reference && { paymentId }),
+        transactionId,
+        receiptUrl,
+        receiptNumber: receiptNumber || await nextReceiptNumber(fine),
+        counter,
+        settledAt: new Date()
+      },
+      $setOnInsert: { recordedBy }
+    },
+    { upsert: true, new: true }
+  );
+
+  // Also run for a payment captured earlier, in case the fine was not updated after it
+  await syncBalance(fine);
+  if (fine.outstandingAmount === 0 && fine.canTransitionTo('paid')) {
+    await fine.markAsPaid({
+      paymentId,
+      paymentMethod: method,
+      transactionId,
+      receiptUrl,
+      ...(counter && { counter: { ...counter, recordedBy } })
+    });
+  } else {
+    await fine.save();
+  }
+
+  return transaction;
+};
+
+// Provider intent a captured payment is refunded against. Checkout payments from before
+// the intent was stored are referenced as `<intentId>:<fine ID>`.
+const getPaymentIntentId = (payment) => {
+  if (payment.paymentId) {
+    return payment.paymentId;
+  }
+  const checkoutSuffix = `:${payment.fine}`;
+  return payment.reference?.endsWith(checkoutSuffix)
+    ? payment.reference.slice(0, -checkoutSuffix.length)
+    : payment.reference;
+};
+
+// Captured payments of a fine with how much of each has been refunded and how much is
+// left to refund, newest first. Refunds recorded before they were linked to a payment
+// are set against the newest payments, which is where they were refunded from.
+const getRefundablePayments = async (fine) => {
+  const [payments, refunds] = await Promise.all([
+    Transaction.find({ fine: fine._id, type: 'payment', status: 'succeeded' }).sort({ settledAt: -1, createdAt: -1 }),
+    Transaction.find({ fine: fine._id, type: 'refund', status: { $ne: 'failed' } }).lean()
+  ]);
+
+  const refundedCents = new Map();
+  let unlinkedCents = 0;
+  refunds.forEach(refund => {
+    if (refund.refundOf) {
+      const key = refund.refundOf.toString();
+      refundedCents.set(key, (refundedCents.get(key) || 0) + toCents(refund.amount));
+    } else {
+      unlinkedCents += toCents(refund.amount);
+    }
+  });
+
+  return payments.map(payment => {
+    const paidCents = toCents(payment.amount);
+    let refunded = refundedCents.get(payment._id.toString()) || 0;
+    const unlinked = Math.min(unlinkedCents, Math.max(paidCents - refunded, 0));
+    refunded += unlinked;
+    unlinkedCents -= unlinked;
+
+    return {
+      payment,
+      refunded: refunded / 100,
+      refundable: Math.max(paidCents - refunded, 0) / 100
+    };
+  });
+};
+
+// Bring the fine up to date after its amount went down, e.g. a dispute reduced it. When
+// earlier payments now cover it the fine is marked as paid with the details of the latest
+// payment; anything paid beyond the new amount is left in overpaidAmount to be refunded.
+const settleFromBalance = async (fine) => {
+  await syncBalance(fine);
+  if (fine.amountPaid > 0 && fine.outstandingAmount === 0 && fine.canTransitionTo('paid')) {
+    const latest = await Transaction.findOne({ fine: fine._id, type: 'payment', status: 'succeeded' })
+      .sort({ settledAt: -1, createdAt: -1 });
+    await fine.markAsPaid({
+      paymentId: latest && getPaymentIntentId(latest),
+      paymentMethod: latest?.method,
+      transactionId: latest?.transactionId,
+      receiptUrl: latest?.receiptUrl
+    });
+  } else {
+    await fine.save();
+  }
+  return fine;
+};
+
+// Record a refund, or update the status of one already recorded with the same ID,
+// and move the fine to refunded or partially refunded. `refundOf` is the payment
+// transaction the money is paid back from.
+const recordRefund = async (fine, { refundId, amount, reason, status = 'succeeded', method, refundOf, recordedBy }) => {
+  const transaction = await Transaction.findOneAndUpdate(
+    { type: 'refund', reference: refundId },
+    {
+      $set: {
+        status,
+        ...(status === 'succeeded' && { settledAt: new Date() })
+      },
+      $setOnInsert: {
+        fine: fine._id,
+        amount,
+        currency: fine.currency,
+        method: method || fine.paymentInfo.paymentMethod,
+        refundOf,
+        reason,
+        recordedBy
+      }
+    },
+    { upsert: true, new: true }
+  );
+
+  await syncBalance(fine);
+  await fine.save();
+  return transaction;
+};
+
+// Record a change to the amount charged, e.g. a late penalty or a dispute reduction.
+// An adjustment with a reference is recorded once, so it can be recorded before the fine
+// is saved and recorded again when the save is retried.
+const recordAdjustment = (fine, { amount, reason, reference, recordedBy }) => {
+  const adjustment = {
+    fine: fine._id,
+    type: 'adjustment',
+    status: 'succeeded',
+    amount,
+    currency: fine.currency,
+    reason,
+    recordedBy,
+    settledAt: new Date()
+  };
+  if (!reference) {
+    return Transaction.create(adjustment);
+  }
+  return Transaction.findOneAndUpdate(
+    { type: 'adjustment', reference },
+    { $setOnInsert: adjustment },
+    { upsert: true, new: true }
+  );
+};
+
+module.exports = {
+  toCents,
+  syncBalance,
+  recordPaymentAttempt,
+  recordPaymentFailure,
+  recordPayment,
+  getPaymentIntentId,
+  getRefundablePayments,
+  recordRefund,
+  recordAdjustment,
+  settleFromBalance
+};
@@ -0,0 +1,23 @@
+// Sri Lankan driving license numbers: smart card licenses carry a letter followed by
+// seven digits (B1234567); older paper licenses a plain number of five to eight digits
+const LICENSE_NUMBER_PATTERN = /^(?:[A-Z]\d{7}|\d{5,8})$/;
+
+// Upper case without spaces or hyphens, the way license numbers are stored
+const normalizeLicenseNumber = (value) => String(value || '').toUpperCase().replace(/[\s-]/g, '');
+
+const isValidLicenseNumber = (value) => LICENSE_NUMBER_PATTERN.test(normalizeLicenseNumber(value));
+
+// express-validator custom validator; empty values are left to .optional()
+const validateLicenseNumber = (value) => {
+  if (!isValidLicenseNumber(value)) {
+    throw new Error('License number must be a letter followed by 7 digits (e.g. B1234567) or an older 5 to 8 digit number');
+  }
+  return true;
+};
+
+module.exports = {
+  LICENSE_NUMBER_PATTERN,
+  normalizeLicenseNumber,
+  isValidLicenseNumber,
+  validateLicenseNumber
+};
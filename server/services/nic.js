@@ -0,0 +1,85 @@
+// Sri Lankan National Identity Card numbers. Old cards carry nine digits and a letter
+// (YYDDDSSSCV: year of birth, day of the year, serial and check digit, then V or X);
+// cards issued since 2016 carry twelve digits (YYYYDDDSSSSC). The day of the year
+// has 500 added for women and counts February 29 every year.
+const OLD_NIC_PATTERN = /^(\d{2})(\d{3})(\d{3})(\d)([VX])$/;
+const NEW_NIC_PATTERN = /^(\d{4})(\d{3})(\d{4})(\d)$/;
+
+const FEMALE_DAY_OFFSET = 500;
+
+// Upper case without spaces or hyphens, the way NIC numbers are stored
+const normalizeNic = (value) => String(value || '').toUpperCase().replace(/[\s-]/g, '');
+
+// Parse a NIC number into the birth year and gender it encodes, and its twelve digit
+// form, which is the same for the old and new card of one person. Returns null when
+// the number is in neither format or encodes an impossible date.
+const parseNic = (value) => {
+  const nic = normalizeNic(value);
+  let birthYear;
+  let dayCode;
+  let canonical;
+
+  const old = OLD_NIC_PATTERN.exec(nic);
+  const current = NEW_NIC_PATTERN.exec(nic);
+  if (old) {
+    const [, year, day, serial, checkDigit] = old;
+    birthYear = 1900 + parseInt(year);
+    dayCode = parseInt(day);
+    canonical = `19${year}${day}0${serial}${checkDigit}`;
+  } else if (current) {
+    birthYear = parseInt(current[1]);
+    dayCode = parseInt(current[2]);
+    canonical = nic;
+  } else {
+    return null;
+  }
+
+  const isFemale = dayCode > FEMALE_DAY_OFFSET;
+  const dayOfYear = isFemale ? dayCode - FEMALE_DAY_OFFSET : dayCode;
+  if (dayOfYear < 1 || dayOfYear > 366) return null;
+  if (birthYear < 1900 || birthYear > new Date().getFullYear()) return null;
+
+  return {
+    nic,
+    canonical,
+    birthYear,
+    gender: isFemale ? 'female' : 'male'
+  };
+};
+
+// express-validator custom validator; empty values are left to .optional()
+const validateNic = (value) => {
+  if (!parseNic(value)) {
+    throw new Error('NIC number must be 9 digits followed by V or X (e.g. 851234567V) or 12 digits (e.g. 198512345678)');
+  }
+  return true;
+};
+
+// Check a birth year and gender given alongside a NIC number against what the number
+// encodes. Returns the mismatching fields.
+const findNicMismatches = (parsed, { birthYear, gender } = {}) => {
+  const mismatches = [];
+  if (birthYear !== undefined && birthYear !== null && birthYear !== '' && parseInt(birthYear) !== parsed.birthYear) {
+    mismatches.push('birthYear');
+  }
+  if (gender && gender !== parsed.gender) {
+    mismatches.push('gender');
+  }
+  return mismatches;
+};
+
+// Profile fields to store for a parsed NIC number, as a $set update
+const nicProfileUpdate = (parsed) => ({
+  'profile.nic': parsed.nic,
+  'profile.nicCanonical': parsed.canonical,
+  'profile.birthYear': parsed.birthYear,
+  'profile.gender': parsed.gender
+});
+
+module.exports = {
+  normalizeNic,
+  parseNic,
+  validateNic,
+  findNicMismatches,
+  nicProfileUpdate
+};
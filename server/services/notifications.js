@@ -0,0 +1,29 @@
+const Notification = require('../models/Notification');
+
+// Create an in-app notification for each recipient.
+// Notification failures are logged and swallowed so that they never roll back
+// the fine workflow that triggered them.
+const notify = async (recipients, { type, title, message, fine }) => {
+  const uniqueRecipients = [...new Set(
+    recipients
+      .filter(Boolean)
+      .map(recipient => (recipient._id || recipient).toString())
+  )];
+
+  try {
+    return await Notification.insertMany(uniqueRecipients.map(recipient => ({
+      recipient,
+      type,
+      title,
+      message,
+      fine: fine && (fine._id || fine)
+    })));
+  } catch (error) {
+    console.error('Notification error:', error);
+    return [];
+  }
+};
+
+module.exports = {
+  notify
+};
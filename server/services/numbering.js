@@ -0,0 +1,63 @@
+const Counter = require('../models/Counter');
+
+// Fine and receipt numbers that can be read out over the phone, e.g. WP-COL-2026-000123:
+// province, station, year and a sequence that restarts every year for each station.
+const SEQUENCE_DIGITS = 6;
+const FINE_NUMBER_PATTERN = /^([A-Z0-9]+-[A-Z0-9]+)-\d{4}-\d+$/;
+
+// Province names as entered on fines, mapped to their usual abbreviations
+const PROVINCE_CODES = {
+  western: 'WP',
+  central: 'CP',
+  southern: 'SP',
+  northern: 'NP',
+  eastern: 'EP',
+  'north western': 'NWP',
+  'north central': 'NCP',
+  uva: 'UP',
+  sabaragamuwa: 'SG'
+};
+
+const toCode = (value) => String(value).toUpperCase().replace(/[^A-Z0-9]/g, '');
+
+// Province and station part of the numbers of a fine issued by `station`, which needs
+// its province populated. Fines issued without a station use their location's province.
+const getScope = (location = {}, station) => {
+  if (station) {
+    return `${station.province.code}-${station.code}`;
+  }
+
+  const province = String(location.province || '')
+    .toLowerCase()
+    .replace(/[-_]/g, ' ')
+    .replace(/\s*province$/, '')
+    .trim();
+
+  return [
+    PROVINCE_CODES[province] || toCode(process.env.NUMBERING_PROVINCE_CODE || 'WP'),
+    toCode(process.env.NUMBERING_STATION_CODE || 'HQ')
+  ].join('-');
+};
+
+// Numbers carry the year of the document they are issued for, so a fine issued offline
+// on 31 December and synced in January is numbered in the year it was issued
+const issueNumber = async (kind, scope, date = new Date()) => {
+  const prefix = `${scope}-${date.getFullYear()}`;
+  const seq = await Counter.next(`${kind}:${prefix}`);
+  return `${prefix}-${String(seq).padStart(SEQUENCE_DIGITS, '0')}`;
+};
+
+// Next fine number for a fine issued at `location` on `issuedAt`, by `station` if it has one
+const nextFineNumber = (location, station, issuedAt) => issueNumber('fine', getScope(location, station), issuedAt);
+
+// Next receipt number for a payment of `fine`, from the province and station of its
+// fine number. Fines numbered before sequential numbering fall back to their location.
+const nextReceiptNumber = async (fine) => {
+  const match = FINE_NUMBER_PATTERN.exec(fine.fineId);
+  return `RCP-${await issueNumber('receipt', match ? match[1] : getScope(fine.location))}`;
+};
+
+module.exports = {
+  nextFineNumber,
+  nextReceiptNumber
+};
@@ -0,0 +1,269 @@
+const PaymentEvent = require('../models/PaymentEvent');
+const Fine = require('../models/Fine');
+const Transaction = require('../models/Transaction');
+const Checkout = require('../models/Checkout');
+const { getProvider } = require('./payments');
+const { creditForFine } = require('./demeritPoints');
+const { recordPayment, recordPaymentFailure, recordRefund, getRefundablePayments } = require('./ledger');
+const { settleCheckout, failCheckout } = require('./checkouts');
+
+// Automatic attempts before an event is left for an admin to replay
+const MAX_ATTEMPTS = parseInt(process.env.PAYMENT_EVENT_MAX_ATTEMPTS) || 5;
+
+// Claims older than this are assumed to belong to a crashed process
+const STALE_AFTER_MS = 10 * 60 * 1000;
+
+// Wait 1, 2, 4, 8 ... minutes between attempts, at most an hour
+const getRetryDelay = (attempts) => Math.min(2 ** Math.max(attempts - 1, 0), 60) * 60 * 1000;
+
+// Captured payment made with a provider intent and the fine it paid, for refund events
+// about it. Fines paid before the ledger have no payment row.
+const findPaidFine = async (intentId) => {
+  const payment = await Transaction.findOne({
+    type: 'payment',
+    status: 'succeeded',
+    $or: [{ reference: intentId }, { paymentId: intentId }]
+  });
+  const fine = payment
+    ? await Fine.findById(payment.fine)
+    : await Fine.findOne({ 'paymentInfo.paymentId': intentId });
+  return { payment, fine };
+};
+
+// Bring the ledger in line with every refund a provider lists for a payment. Refunds
+// already recorded take their latest status; new ones, e.g. made in the provider's
+// dashboard, are recorded with their own ID and amount.
+const applyRefundList = async (provider, payment, refunds) => {
+  let touchedFineId;
+  for (const item of refunds) {
+    const recorded = await Transaction.findOne({ type: 'refund', reference: item.refundId });
+    if (recorded) {
+      touchedFineId = recorded.fine;
+      if (item.status !== 'pending' && recorded.status !== item.status) {
+        const fine = await Fine.findById(recorded.fine);
+        await recordRefund(fine, { refundId: item.refundId, status: item.status });
+      }
+      continue;
+    }
+    if (item.status === 'failed') continue;
+
+    // A checkout payment is shared by several fines, so the refund cannot be attributed
+    if (await Checkout.exists({ intentId: payment.intentId })) {
+      throw new Error(`Refund of checkout payment ${payment.intentId} must be issued per fine through the refund endpoint`);
+    }
+    const { payment: source, fine } = await findPaidFine(payment.intentId);
+    if (!fine) {
+      throw new Error(`No fine found for refunded payment ${payment.intentId}`);
+    }
+
+    await recordRefund(fine, {
+      refundId: item.refundId,
+      amount: item.amount,
+      reason: `Refunded through ${provider.label}`,
+      status: item.status,
+      method: provider.name,
+      refundOf: source?._id
+    });
+    touchedFineId = fine._id;
+    console.log(`Fine ${fine._id} refund ${item.refundId} of ${item.amount} recorded from ${provider.name} webhook`);
+  }
+  return touchedFineId;
+};
+
+// Event handlers return the ID of the fine they touched, if any, and throw to fail the event.
+// They must be safe to run again after a partial failure.
+const handlers = {
+  'payment.succeeded': async (provider, { payment }) => {
+    // Payments for several fines at once carry the checkout ID instead of a fine ID
+    const checkout = await Checkout.findByIntent(payment.intentId);
+    if (checkout) {
+      const settled = await settleCheckout(checkout, payment, provider);
+      console.log(`Checkout ${checkout._id} ${settled.status === 'refunded' ? 'refunded' : 'settled'} from ${provider.name} webhook`);
+      return undefined;
+    }
+
+    const fine = payment.fineId && await Fine.findById(payment.fineId);
+    if (!fine) {
+      throw new Error(`Fine ${payment.fineId} not found for payment ${payment.intentId}`);
+    }
+
+    // Already captured, either by confirm-payment or an earlier delivery
+    if (await Transaction.exists({ type: 'payment', reference: payment.intentId, status: 'succeeded' })) {
+      return fine._id;
+    }
+
+    // e.g. a disputed fine; retried in case the dispute is resolved in the meantime
+    if (!fine.canTransitionTo('paid')) {
+      throw new Error(fine.paymentInfo?.paidAt
+        ? `Fine ${fine.fineId} was already paid with ${fine.paymentInfo.paymentMethod}; payment ${payment.intentId} needs a refund`
+        : `Fine ${fine.fineId} cannot be paid from status ${fine.status}`);
+    }
+
+    await recordPayment(fine, {
+      method: provider.name,
+      reference: payment.intentId,
+      amount: payment.amount,
+      transactionId: payment.transactionId,
+      receiptUrl: payment.receiptUrl
+    });
+    if (fine.status === 'paid') {
+      await creditForFine(fine, 'confirmed');
+    }
+    console.log(`Payment ${payment.intentId} for fine ${fine._id} captured from ${provider.name} webhook`);
+    return fine._id;
+  },
+
+  'payment.refunded': async (provider, { payment, refund }, paymentEvent) => {
+    if (refund.refunds) {
+      return applyRefundList(provider, payment, refund.refunds);
+    }
+
+    // Refunds issued through the refund endpoint are already recorded; only
+    // pick up the difference, e.g. refunds made in the provider's dashboard
+    const recorded = refund.refundId && await Transaction.findOne({ type: 'refund', reference: refund.refundId });
+    const { payment: source, fine: paidFine } = recorded ? {} : await findPaidFine(payment.intentId);
+    const fine = recorded ? await Fine.findById(recorded.fine) : paidFine;
+    if (!fine) {
+      throw new Error(`No fine found for refunded payment ${payment.intentId}`);
+    }
+
+    // A checkout payment is shared by several fines, so the refund cannot be attributed
+    if (!recorded && await Checkout.exists({ intentId: payment.intentId })) {
+      throw new Error(`Refund of checkout payment ${payment.intentId} must be issued per fine through the refund endpoint`);
+    }
+    // The total is for this payment alone, which may be one of several on the fine
+    const refundedFromPayment = source
+      ? (await getRefundablePayments(fine)).find(entry => entry.payment._id.equals(source._id)).refunded
+      : fine.paymentInfo.refundedAmount;
+    const unrecorded = Math.round((refund.amountRefunded - refundedFromPayment) * 100) / 100;
+    if (recorded) {
+      if (recorded.status !== 'succeeded') {
+        await recordRefund(fine, { refundId: refund.refundId, status: 'succeeded' });
+      }
+    } else if (unrecorded > 0) {
+      await recordRefund(fine, {
+        refundId: refund.refundId || paymentEvent.eventId,
+        amount: unrecorded,
+        reason: `Refunded through ${provider.label}`,
+        status: 'succeeded',
+        method: provider.name,
+        refundOf: source?._id
+      });
+      console.log(`Fine ${fine._id} refund of ${unrecorded} recorded from ${provider.name} webhook`);
+    }
+    return fine._id;
+  },
+
+  'payment.failed': async (provider, { payment }) => {
+    console.log(`${provider.name} payment failed:`, payment.intentId);
+    const checkout = await Checkout.findByIntent(payment.intentId);
+    if (checkout) {
+      await failCheckout(checkout, payment.providerStatus);
+      return undefined;
+    }
+
+    const transaction = await recordPaymentFailure(payment.intentId, payment.providerStatus);
+    return transaction?.fine;
+  }
+};
+
+// Store a verified webhook event. Redelivered events return the stored copy.
+const recordEvent = async (providerName, event) => {
+  try {
+    return await PaymentEvent.create({
+      provider: providerName,
+      eventId: event.id,
+      type: event.type,
+      providerType: event.providerType,
+      data: {
+        payment: event.payment,
+        refund: event.refund
+      }
+    });
+  } catch (error) {
+    if (error.code === 11000) {
+      return PaymentEvent.findOne({ provider: providerName, eventId: event.id });
+    }
+    throw error;
+  }
+};
+
+// Process a stored event at most once. The event is claimed atomically so concurrent
+// deliveries, the retry job and admin replays never apply it twice. Processed and
+// ignored events are returned untouched. `force` lets an admin replay an event that
+// has used up its automatic attempts.
+const processEvent = async (paymentEvent, { force = false, replayedBy } = {}) => {
+  const now = new Date();
+  const staleBefore = new Date(now.getTime() - STALE_AFTER_MS);
+
+  const claimed = await PaymentEvent.findOneAndUpdate(
+    {
+      _id: paymentEvent._id,
+      $or: [
+        { status: { $in: ['received', 'failed'] } },
+        { status: 'processing', lockedAt: { $lte: staleBefore } }
+      ],
+      ...(!force && { attempts: { $lt: MAX_ATTEMPTS } })
+    },
+    {
+      $set: { status: 'processing', lockedAt: now, ...(replayedBy && { replayedBy }) },
+      $inc: { attempts: 1 }
+    },
+    { new: true }
+  );
+
+  if (!claimed) {
+    return PaymentEvent.findById(paymentEvent._id);
+  }
+
+  const handler = handlers[claimed.type];
+  try {
+    if (handler) {
+      const fineId = await handler(getProvider(claimed.provider), claimed.data, claimed);
+      claimed.fine = fineId || claimed.fine;
+      claimed.status = 'processed';
+    } else {
+      claimed.status = 'ignored';
+    }
+    claimed.processedAt = new Date();
+    claimed.lastError = undefined;
+    claimed.nextAttemptAt = undefined;
+  } catch (error) {
+    console.error(`Payment event ${claimed.provider}/${claimed.eventId} failed:`, error.message);
+    claimed.status = 'failed';
+    claimed.lastError = error.message;
+    claimed.nextAttemptAt = claimed.attempts < MAX_ATTEMPTS
+      ? new Date(Date.now() + getRetryDelay(claimed.attempts))
+      : undefined;
+  }
+
+  claimed.lockedAt = undefined;
+  return claimed.save();
+};
+
+// Retry every event that is due for another attempt
+const retryPaymentEvents = async (now = new Date()) => {
+  const result = { processed: 0, failed: 0 };
+  const dueEvents = await PaymentEvent.findDueForRetry({
+    maxAttempts: MAX_ATTEMPTS,
+    staleAfterMs: STALE_AFTER_MS,
+    now
+  });
+
+  for (const paymentEvent of dueEvents) {
+    const processed = await processEvent(paymentEvent);
+    if (processed?.status === 'failed') {
+      result.failed += 1;
+    } else {
+      result.processed += 1;
+    }
+  }
+  return result;
+};
+
+module.exports = {
+  MAX_ATTEMPTS,
+  recordEvent,
+  processEvent,
+  retryPaymentEvents
+};
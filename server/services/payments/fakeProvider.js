@@ -0,0 +1,90 @@
+const crypto = require('crypto');
+
+// In-memory provider for tests and local development. Intents settle with
+// `outcome` (succeeded by default) as soon as they are confirmed; use
+// setOutcome() to simulate declines or payments that are still processing.
+// Webhooks are plain JSON `{ id, type, intentId, refundedAmount? }` and are not signed.
+const createFakeProvider = ({ outcome = 'succeeded' } = {}) => {
+  const intents = new Map();
+  const refunds = [];
+
+  const toPayment = (intent) => ({
+    intentId: intent.intentId,
+    status: intent.status,
+    providerStatus: intent.status,
+    fineId: intent.fineId,
+    amount: intent.amount,
+    currency: intent.currency,
+    transactionId: intent.transactionId
+  });
+
+  return {
+    name: 'fake',
+    label: 'Test payment',
+    flow: 'direct',
+
+    async createIntent({ fineId, amount, currency }) {
+      const intentId = `fake_pi_${crypto.randomBytes(8).toString('hex')}`;
+      intents.set(intentId, {
+        intentId,
+        fineId,
+        amount,
+        currency,
+        status: 'requires_action',
+        transactionId: `fake_txn_${crypto.randomBytes(8).toString('hex')}`
+      });
+
+      return { intentId, clientSecret: `${intentId}_secret`, status: 'requires_action' };
+    },
+
+    async confirm(intentId) {
+      const intent = intents.get(intentId);
+      if (!intent) {
+        return { intentId, status: 'failed', providerStatus: 'not_found' };
+      }
+      if (intent.status === 'requires_action') {
+        intent.status = outcome;
+      }
+      return toPayment(intent);
+    },
+
+    async verifyWebhook({ rawBody }) {
+      const { id, type, intentId, refundId, refundedAmount } = JSON.parse(rawBody.toString('utf8'));
+      const intent = intents.get(intentId);
+      if (!intent) {
+        return { id, type: 'unhandled', providerType: type };
+      }
+      return {
+        id,
+        type,
+        payment: toPayment(intent),
+        ...(type === 'payment.refunded' && { refund: { refundId, amountRefunded: refundedAmount } })
+      };
+    },
+
+    async refund({ intentId, amount }) {
+      const intent = intents.get(intentId);
+      const refund = {
+        refundId: `fake_re_${crypto.randomBytes(8).toString('hex')}`,
+        status: 'succeeded',
+        amount: amount !== undefined ? amount : intent?.amount
+      };
+      refunds.push({ ...refund, intentId });
+      return refund;
+    },
+
+    // Test helpers
+    setOutcome(intentId, status) {
+      const intent = intents.get(intentId);
+      if (intent) {
+        intent.status = status;
+      }
+    },
+
+    getRefunds() {
+      return refunds;
+    }
+  };
+};
+
+module.exports = createFakeProvider;
@@ -0,0 +1,157 @@
+const crypto = require('crypto');
+const { PaymentProviderError } = require('../../utils/errors');
+
+const SUCCEEDED_STATUSES = ['success', 'succeeded', 'paid', 'completed'];
+const FAILED_STATUSES = ['failed', 'declined', 'cancelled', 'canceled', 'expired'];
+const REFUNDED_STATUSES = ['refunded', 'partially_refunded'];
+
+const toPaymentStatus = (gatewayStatus = '') => {
+  const status = gatewayStatus.toLowerCase();
+  if (SUCCEEDED_STATUSES.includes(status)) return 'succeeded';
+  if (FAILED_STATUSES.includes(status)) return 'failed';
+  return 'pending';
+};
+
+// Generic hosted-checkout gateway (LankaPay/JustPay, local bank acquirers and
+// similar). The motorist is redirected to `checkoutUrl`, the gateway calls the
+// webhook with the outcome and can be queried on `statusUrl`. Every message is
+// signed with an HMAC-SHA256 of its sorted `key=value` pairs using the merchant secret.
+const createGatewayProvider = ({
+  label,
+  merchantId,
+  secret,
+  checkoutUrl,
+  statusUrl,
+  refundUrl,
+  callbackUrl
+}) => {
+  const sign = (fields) => {
+    const payload = Object.keys(fields)
+      .filter(key => key !== 'signature' && fields[key] !== undefined)
+      .sort()
+      .map(key => `${key}=${fields[key]}`)
+      .join('&');
+    return crypto.createHmac('sha256', secret || '').update(payload).digest('hex');
+  };
+
+  const verify = (fields) => {
+    const expected = Buffer.from(sign(fields));
+    const actual = Buffer.from(String(fields.signature || ''));
+    if (expected.length !== actual.length || !crypto.timingSafeEqual(expected, actual)) {
+      throw new PaymentProviderError('gateway', 'Invalid gateway signature');
+    }
+    return fields;
+  };
+
+  const request = async (url, params) => {
+    const fields = Object.fromEntries(Object.entries(params).filter(([, value]) => value !== undefined));
+    if (!url) {
+      throw new PaymentProviderError('gateway', 'Payment gateway is not fully configured');
+    }
+
+    const response = await fetch(url, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/x-www-form-urlencoded' },
+      body: new URLSearchParams({ ...fields, signature: sign(fields) })
+    });
+    if (!response.ok) {
+      throw new PaymentProviderError('gateway', `Payment gateway responded with ${response.status}`);
+    }
+    return verify(await response.json());
+  };
+
+  // Order IDs carry the fine ID so callbacks can be matched without extra state
+  const toPayment = (fields) => ({
+    intentId: fields.orderId,
+    status: toPaymentStatus(fields.status),
+    providerStatus: fields.status,
+    fineId: String(fields.orderId || '').split('_')[0],
+    amount: fields.amount !== undefined ? parseFloat(fields.amount) : undefined,
+    currency: fields.currency,
+    transactionId: fields.transactionId
+  });
+
+  return {
+    name: 'gateway',
+    label: label || 'Local payment gateway',
+    flow: 'redirect',
+
+    async createIntent({ fineId, amount, currency, description, returnUrl }) {
+      if (!checkoutUrl || !merchantId) {
+        throw new PaymentProviderError('gateway', 'Payment gateway is not fully configured');
+      }
+
+      const orderId = `${fineId}_${crypto.randomBytes(8).toString('hex')}`;
+      // Like Stripe, send the motorist back with the intent ID so the client can confirm it
+      const returnTo = new URL(returnUrl);
+      returnTo.searchParams.set('payment_intent', orderId);
+
+      const fields = {
+        merchantId,
+        orderId,
+        amount: amount.toFixed(2),
+        currency,
+        description,
+        returnUrl: returnTo.toString(),
+        callbackUrl
+      };
+
+      return {
+        intentId: orderId,
+        redirectUrl: `${checkoutUrl}?${new URLSearchParams({ ...fields, signature: sign(fields) })}`,
+        status: 'requires_action'
+      };
+    },
+
+    async confirm(intentId) {
+      return toPayment(await request(statusUrl, { merchantId, orderId: intentId }));
+    },
+
+    async verifyWebhook({ rawBody, headers }) {
+      const body = rawBody.toString('utf8');
+      const fields = (headers['content-type'] || '').includes('application/json')
+        ? JSON.parse(body)
+        : Object.fromEntries(new URLSearchParams(body));
+
+      const payment = toPayment(verify(fields));
+      const id = `${payment.intentId}:${fields.status}`;
+
+      if (REFUNDED_STATUSES.includes(String(fields.status).toLowerCase())) {
+        return {
+          id: fields.refundId ? `${id}:${fields.refundId}` : id,
+          type: 'payment.refunded',
+          payment,
+          refund: {
+            refundId: fields.refundId,
+            amountRefunded: parseFloat(fields.refundedAmount)
+          },
+          providerType: fields.status
+        };
+      }
+
+      const type = {
+        succeeded: 'payment.succeeded',
+        failed: 'payment.failed'
+      }[payment.status] || 'unhandled';
+
+      return { id, type, payment, providerType: fields.status };
+    },
+
+    async refund({ intentId, transactionId, amount }) {
+      const result = await request(refundUrl, {
+        merchantId,
+        orderId: intentId,
+        transactionId,
+        amount: amount !== undefined ? amount.toFixed(2) : undefined
+      });
+
+      return {
+        refundId: result.refundId,
+        status: toPaymentStatus(result.status),
+        amount: result.amount !== undefined ? parseFloat(result.amount) : amount
+      };
+    }
+  };
+};
+
+module.exports = createGatewayProvider;
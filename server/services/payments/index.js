@@ -0,0 +1,77 @@
+const createStripeProvider = require('./stripeProvider');
+const createGatewayProvider = require('./gatewayProvider');
+const createFakeProvider = require('./fakeProvider');
+
+// Payment providers implement:
+//   name, label, flow ('elements' | 'redirect' | 'direct')
+//   createIntent({ fineId, amount, currency, description, metadata, returnUrl })
+//     -> Promise<{ intentId, clientSecret?, redirectUrl?, status }>
+//     `fineId` is passed back as the payment's fineId; checkouts of several fines pass their checkout ID.
+//   confirm(intentId) -> Promise<payment>
+//   verifyWebhook({ rawBody, headers }) -> Promise<{ id, type, payment?, refund?, providerType? }>
+//     where type is 'payment.succeeded', 'payment.failed', 'payment.refunded' or 'unhandled'.
+//     Refund events carry `refund: { refundId, amountRefunded }` with the total refunded so far,
+//     or `refund: { refunds: [{ refundId, amount, status }] }` listing every refund of the payment.
+//   refund({ intentId, transactionId, amount }) -> Promise<{ refundId, status, amount }>
+// A payment is { intentId, status, providerStatus, fineId, amount, currency, transactionId, receiptUrl }
+// with status one of 'succeeded', 'pending', 'requires_action' or 'failed'.
+// Register new providers here and enable them with PAYMENT_PROVIDERS.
+const providers = {
+  stripe: () => createStripeProvider({
+    secretKey: process.env.STRIPE_SECRET_KEY,
+    webhookSecret: process.env.STRIPE_WEBHOOK_SECRET,
+    host: process.env.STRIPE_API_HOST,
+    port: process.env.STRIPE_API_PORT,
+    protocol: process.env.STRIPE_API_PROTOCOL
+  }),
+  gateway: () => createGatewayProvider({
+    label: process.env.PAYMENT_GATEWAY_LABEL,
+    merchantId: process.env.PAYMENT_GATEWAY_MERCHANT_ID,
+    secret: process.env.PAYMENT_GATEWAY_SECRET,
+    checkoutUrl: process.env.PAYMENT_GATEWAY_CHECKOUT_URL,
+    statusUrl: process.env.PAYMENT_GATEWAY_STATUS_URL,
+    refundUrl: process.env.PAYMENT_GATEWAY_REFUND_URL,
+    callbackUrl: `${process.env.API_URL || 'http://localhost:5000'}/api/payments/webhook/gateway`
+  }),
+  fake: () => createFakeProvider({
+    outcome: process.env.FAKE_PAYMENT_OUTCOME
+  })
+};
+
+// Every registered provider name, used to validate stored payment methods
+const PROVIDER_NAMES = Object.keys(providers);
+
+const instances = {};
+
+// Get a provider by name (created once per process)
+const getProvider = (name) => {
+  if (!providers[name]) {
+    throw new Error(`Unknown payment provider: ${name}`);
+  }
+  if (!instances[name]) {
+    instances[name] = providers[name]();
+  }
+  return instances[name];
+};
+
+// Providers motorists may pay with, in the order given by PAYMENT_PROVIDERS.
+// The fake provider is never available in production.
+const getEnabledProviderNames = () => {
+  return (process.env.PAYMENT_PROVIDERS || 'stripe')
+    .split(',')
+    .map(name => name.trim())
+    .filter(name => providers[name])
+    .filter(name => name !== 'fake' || process.env.NODE_ENV !== 'production');
+};
+
+const isProviderEnabled = (name) => getEnabledProviderNames().includes(name);
+
+const getDefaultProviderName = () => getEnabledProviderNames()[0];
+
+module.exports = {
+  PROVIDER_NAMES,
+  getProvider,
+  getEnabledProviderNames,
+  isProviderEnabled,
+  getDefaultProviderName
+};
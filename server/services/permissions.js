@@ -0,0 +1,119 @@
+const Role = require('../models/Role');
+
+// Everything a role can be allowed to do. Routes check these instead of role names.
+const PERMISSIONS = {
+  'fines:create': 'Issue fines',
+  'fines:update-status': 'Change the status of a fine',
+  'fines:cancel': 'Cancel a fine',
+  'fines:add-notes': 'Add notes to fines',
+  'drivers:search': 'Search drivers when issuing a fine',
+  'drivers:view': "View any driver's demerit points",
+  'vehicles:view': 'Look up vehicles, their owners and fine history',
+  'vehicles:manage': 'Register vehicles and change their details and owner',
+  'disputes:review': 'View the dispute review queue',
+  'disputes:resolve': 'Approve or reject disputes, and open them for a driver',
+  'payments:record-cash': 'Record cash, bank and post office payments at a counter',
+  'payments:view-cash-up': "View every clerk's daily cash-up",
+  'payments:refund': 'Refund payments',
+  'payments:view-events': 'View payment provider webhook events',
+  'payments:replay-events': 'Replay failed payment provider webhook events',
+  'instalments:manage': 'Approve and cancel instalment plans',
+  'violations:edit': 'Create, edit and deactivate violation types',
+  'reports:view': 'View user and violation statistics',
+  'users:manage': 'Manage user accounts, roles and station assignments',
+  'officers:verify': 'Approve or reject applications to become a police officer',
+  'licenses:resolve': 'Decide which account a disputed license number belongs to',
+  'stations:manage': 'Manage provinces, divisions and stations',
+  'roles:manage': 'Change the permissions of each role'
+};
+
+const ROLES = [
+  'driver',
+  'police_officer',
+  'station_commander',
+  'clerk',
+  'finance_clerk',
+  'dispute_reviewer',
+  'auditor',
+  'admin'
+];
+
+// Roles that work at a station, and those of them that can command one
+const STATION_ROLES = ['police_officer', 'station_commander', 'clerk', 'finance_clerk'];
+const COMMAND_ROLES = ['police_officer', 'station_commander'];
+
+const OFFICER_PERMISSIONS = ['fines:create', 'fines:update-status', 'fines:cancel', 'fines:add-notes', 'drivers:search', 'drivers:view', 'vehicles:view', 'payments:record-cash'];
+
+// Permissions of each role until an admin changes them. Admins always have every permission.
+const DEFAULT_ROLE_PERMISSIONS = {
+  driver: [],
+  police_officer: OFFICER_PERMISSIONS,
+  station_commander: [...OFFICER_PERMISSIONS, 'vehicles:manage', 'disputes:review', 'payments:view-cash-up', 'reports:view'],
+  clerk: ['payments:record-cash'],
+  finance_clerk: ['payments:record-cash', 'payments:view-cash-up', 'payments:refund', 'payments:view-events', 'payments:replay-events', 'instalments:manage'],
+  dispute_reviewer: ['disputes:review', 'disputes:resolve', 'fines:add-notes', 'vehicles:view'],
+  auditor: ['disputes:review', 'payments:view-cash-up', 'payments:view-events', 'reports:view', 'drivers:view', 'vehicles:view']
+};
+
+// Role permissions are read on every authenticated request, so they are cached. Changes
+// through this module clear the cache; other server instances pick them up within a minute.
+const CACHE_TTL_MS = 60 * 1000;
+let cachedOverrides = null;
+let cachedAt = 0;
+
+const loadOverrides = async () => {
+  if (!cachedOverrides || Date.now() - cachedAt > CACHE_TTL_MS) {
+    const roles = await Role.find().lean();
+    cachedOverrides = Object.fromEntries(roles.map(role => [role.name, role.permissions]));
+    cachedAt = Date.now();
+  }
+  return cachedOverrides;
+};
+
+// Permissions currently granted to a role
+const getPermissions = async (role) => {
+  if (role === 'admin') {
+    return Object.keys(PERMISSIONS);
+  }
+  const overrides = await loadOverrides();
+  return overrides[role] || DEFAULT_ROLE_PERMISSIONS[role] || [];
+};
+
+// Every role with its permissions and whether an admin has changed them from the defaults
+const listRoles = async () => {
+  const overrides = await loadOverrides();
+  return Promise.all(ROLES.map(async (name) => ({
+    name,
+    permissions: await getPermissions(name),
+    isCustomised: !!overrides[name],
+    isEditable: name !== 'admin'
+  })));
+};
+
+// Replace the permissions of a role
+const setRolePermissions = async (name, permissions, updatedBy) => {
+  await Role.findOneAndUpdate(
+    { name },
+    { $set: { permissions: [...new Set(permissions)], updatedBy } },
+    { upsert: true, new: true, runValidators: true }
+  );
+  cachedOverrides = null;
+};
+
+// Go back to the default permissions of a role
+const resetRolePermissions = async (name) => {
+  await Role.deleteOne({ name });
+  cachedOverrides = null;
+};
+
+module.exports = {
+  PERMISSIONS,
+  ROLES,
+  STATION_ROLES,
+  COMMAND_ROLES,
+  DEFAULT_ROLE_PERMISSIONS,
+  getPermissions,
+  listRoles,
+  setRolePermissions,
+  resetRolePermissions
+};
@@ -0,0 +1,123 @@
+const Transaction = require('../models/Transaction');
+const { getVerificationUrl } = require('./verification');
+
+const personName = (person) => person && (person.fullName || person.username);
+
+// Receipt number of payments captured before receipts were numbered sequentially
+const legacyReceiptNumber = (prefix, id) => `${prefix}-${String(id).slice(-8).toUpperCase()}`;
+
+const toReceiptPayment = (payment) => ({
+  reference: payment.reference,
+  receiptNumber: payment.receiptNumber,
+  amount: payment.amount,
+  paymentMethod: payment.method,
+  transactionId: payment.transactionId,
+  paidAt: payment.settledAt,
+  counter: payment.counter?.receiptBookNumber ? {
+    receiptBookNumber: payment.counter.receiptBookNumber,
+    branch: payment.counter.branch
+  } : undefined
+});
+
+// Build the receipt of a fine from its transaction ledger, or null if nothing has been
+// paid yet. The fine must have its driver, violation and officer populated.
+const buildFineReceipt = async (fine) => {
+  const transactions = await Transaction.findByFine(fine._id);
+  const payments = transactions.filter(transaction => transaction.type === 'payment' && transaction.status === 'succeeded');
+  if (payments.length === 0) {
+    return null;
+  }
+
+  const refunds = transactions.filter(transaction => transaction.type === 'refund' && transaction.status !== 'failed');
+  const latestPayment = payments[payments.length - 1];
+
+  return {
+    fineId: fine.fineId,
+    receiptNumber: latestPayment.receiptNumber || legacyReceiptNumber('RCP', fine.fineId),
+    paymentDate: latestPayment.settledAt,
+    amount: fine.fineAmount,
+    baseAmount: fine.baseAmount ?? fine.fineAmount,
+    penaltyAmount: fine.penaltyAmount,
+    amountHistory: fine.amountHistory.map(entry => ({
+      type: entry.type,
+      amount: entry.amount,
+      balance: entry.balance,
+      reason: entry.reason,
+      recordedAt: entry.recordedAt
+    })),
+    currency: fine.currency,
+    amountPaid: fine.amountPaid,
+    refundedAmount: fine.paymentInfo.refundedAmount,
+    outstandingAmount: fine.outstandingAmount,
+    paymentMethod: latestPayment.method,
+    transactionId: latestPayment.transactionId,
+    receiptUrl: latestPayment.receiptUrl,
+    counter: toReceiptPayment(latestPayment).counter,
+    payments: payments.map(toReceiptPayment),
+    refunds: refunds.map(refund => ({
+      refundId: refund.reference,
+      amount: refund.amount,
+      status: refund.status,
+      reason: refund.reason,
+      refundedAt: refund.settledAt || refund.createdAt
+    })),
+    driver: {
+      name: personName(fine.driverId),
+      licenseNumber: fine.driverId?.profile?.licenseNumber || fine.driverLicenseNumber
+    },
+    violation: {
+      name: fine.violationId.name,
+      code: fine.violationId.code,
+      category: fine.violationId.category
+    },
+    vehicle: {
+      licensePlate: fine.vehicleInfo.licensePlate,
+      type: fine.vehicleInfo.vehicleType
+    },
+    location: fine.location,
+    issuedBy: {
+      name: personName(fine.policeOfficer),
+      badgeNumber: fine.policeOfficer.profile?.badgeNumber
+    },
+    issuedDate: fine.createdAt,
+    verificationUrl: getVerificationUrl(fine)
+  };
+};
+
+// Build the combined receipt of a paid checkout. The checkout must have its driver
+// and its fines' violations populated.
+const buildCheckoutReceipt = (checkout) => ({
+  receiptNumber: checkout.receiptNumber || legacyReceiptNumber('RCP-CHK', checkout._id),
+  paymentDate: checkout.paidAt,
+  amount: checkout.totalAmount,
+  currency: checkout.currency,
+  paymentMethod: checkout.provider,
+  transactionId: checkout.transactionId,
+  receiptUrl: checkout.receiptUrl,
+  driver: {
+    name: personName(checkout.driver),
+    licenseNumber: checkout.driver.profile?.licenseNumber
+  },
+  fines: checkout.fines.map(({ fine, amount }) => ({
+    id: fine._id,
+    fineId: fine.fineId,
+    amount,
+    status: fine.status,
+    violation: {
+      name: fine.violationId.name,
+      code: fine.violationId.code,
+      category: fine.violationId.category
+    },
+    vehicle: {
+      licensePlate: fine.vehicleInfo.licensePlate,
+      type: fine.vehicleInfo.vehicleType
+    },
+    issuedDate: fine.createdAt,
+    verificationUrl: getVerificationUrl(fine)
+  }))
+});
+
+module.exports = {
+  buildFineReceipt,
+  buildCheckoutReceipt
+};
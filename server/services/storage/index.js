@@ -0,0 +1,32 @@
+const path = require('path');
+const createLocalStorage = require('./localStorage');
+
+// Storage adapters implement:
+//   save(key, buffer, contentType) -> Promise<key>
+//   exists(key) -> Promise<boolean>
+//   createReadStream(key) -> Readable
+//   remove(key) -> Promise<void>
+// Register new adapters (e.g. an S3-compatible one) here and select them with STORAGE_DRIVER.
+const adapters = {
+  local: () => createLocalStorage({
+    rootDir: process.env.UPLOAD_DIR || path.join(__dirname, '..', '..', 'uploads')
+  })
+};
+
+let storage;
+
+// Get the configured storage adapter (created once per process)
+const getStorage = () => {
+  if (!storage) {
+    const driver = process.env.STORAGE_DRIVER || 'local';
+    if (!adapters[driver]) {
+      throw new Error(`Unknown storage driver: ${driver}`);
+    }
+    storage = adapters[driver]();
+  }
+  return storage;
+};
+
+module.exports = {
+  getStorage
+};
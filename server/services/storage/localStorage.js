@@ -0,0 +1,44 @@
+const fs = require('fs');
+const path = require('path');
+
+// Stores files on the local disk under `rootDir`, keyed by a relative path
+const createLocalStorage = ({ rootDir }) => {
+  const resolveKey = (key) => {
+    const filePath = path.resolve(rootDir, key);
+    // Keys come from the server, but never let one escape the upload directory
+    if (!filePath.startsWith(path.resolve(rootDir) + path.sep)) {
+      throw new Error(`Invalid storage key: ${key}`);
+    }
+    return filePath;
+  };
+
+  return {
+    name: 'local',
+
+    async save(key, buffer) {
+      const filePath = resolveKey(key);
+      await fs.promises.mkdir(path.dirname(filePath), { recursive: true });
+      await fs.promises.writeFile(filePath, buffer);
+      return key;
+    },
+
+    async exists(key) {
+      try {
+        await fs.promises.access(resolveKey(key));
+        return true;
+      } catch (error) {
+        return false;
+      }
+    },
+
+    createReadStream(key) {
+      return fs.createReadStream(resolveKey(key));
+    },
+
+    async remove(key) {
+      await fs.promises.rm(resolveKey(key), { force: true });
+    }
+  };
+};
+
+module.exports = createLocalStorage;
@@ -0,0 +1,76 @@
+const Vehicle = require('../models/Vehicle');
+
+// Province prefixes of current Sri Lankan plates
+const PROVINCE_PREFIXES = ['WP', 'CP', 'SP', 'NP', 'EP', 'NW', 'NC', 'UP', 'SG'];
+
+// Current series: optional province, two or three letters and four digits, e.g. WP CAB-1234
+const LETTER_SERIES = new RegExp(`^(?:(${PROVINCE_PREFIXES.join('|')})[\\s-]*)?([A-Z]{2,3})[\\s-]*(\\d{4})$`);
+// Old numeric series: one to three digits, "ශ්‍රී" and four digits, e.g. 19-1234
+const NUMERIC_SERIES = /^(\d{1,3})[\s-]+(\d{4})$/;
+
+// Normalise a plate however it was typed, e.g. `wp cab 1234` -> `WP CAB-1234` and
+// `19 ශ්‍රී 1234` -> `19-1234`. Returns null for plates in neither series.
+const normalizePlate = (value) => {
+  const plate = String(value || '')
+    .toUpperCase()
+    .replace(/ශ්‍?රී|\bSRI\b/g, '-')
+    .replace(/\s+/g, ' ')
+    .trim();
+
+  const letters = LETTER_SERIES.exec(plate);
+  if (letters) {
+    const [, provinceCode, series, digits] = letters;
+    const registrationNumber = `${series}-${digits}`;
+    return {
+      plate: provinceCode ? `${provinceCode} ${registrationNumber}` : registrationNumber,
+      registrationNumber,
+      provinceCode
+    };
+  }
+
+  const numeric = NUMERIC_SERIES.exec(plate.replace(/\s*-\s*/g, ' '));
+  if (numeric) {
+    const registrationNumber = `${numeric[1]}-${numeric[2]}`;
+    return { plate: registrationNumber, registrationNumber };
+  }
+
+  return null;
+};
+
+// Find the vehicle with a normalised plate, registering it from the fine's vehicle
+// details the first time it is seen. Details missing on the vehicle are filled in.
+const findOrCreateVehicle = async ({ plate, registrationNumber, provinceCode }, details = {}) => {
+  const vehicle = await Vehicle.findOneAndUpdate(
+    { registrationNumber },
+    {
+      $setOnInsert: {
+        plate,
+        registrationNumber,
+        provinceCode,
+        vehicleType: details.vehicleType
+      }
+    },
+    { upsert: true, new: true, runValidators: true }
+  );
+
+  if (provinceCode && !vehicle.provinceCode) {
+    vehicle.provinceCode = provinceCode;
+    vehicle.plate = plate;
+  }
+  ['make', 'model', 'color'].forEach(field => {
+    if (details[field] && !vehicle[field]) {
+      vehicle[field] = details[field];
+    }
+  });
+  if (vehicle.isModified()) {
+    await vehicle.save();
+  }
+
+  return vehicle;
+};
+
+module.exports = {
+  PROVINCE_PREFIXES,
+  normalizePlate,
+  findOrCreateVehicle
+};
@@ -0,0 +1,44 @@
+const crypto = require('crypto');
+
+// Signed codes let anyone holding a receipt or fine notice check a fine without logging
+// in. A code is the fine number followed by a truncated HMAC, so codes cannot be guessed
+// from other fine numbers.
+const SIGNATURE_LENGTH = 16;
+
+const getSecret = () => process.env.VERIFICATION_SECRET || process.env.JWT_SECRET;
+
+const sign = (reference) => crypto
+  .createHmac('sha256', getSecret())
+  .update(reference)
+  .digest('base64url')
+  .slice(0, SIGNATURE_LENGTH);
+
+// Signed verification code for a fine number
+const createVerificationCode = (reference) => `${reference}.${sign(reference)}`;
+
+// The fine number in a verification code, or null if the code was not signed by us
+const readVerificationCode = (code = '') => {
+  const separator = code.lastIndexOf('.');
+  if (separator <= 0) {
+    return null;
+  }
+
+  const reference = code.slice(0, separator);
+  const signature = Buffer.from(code.slice(separator + 1));
+  const expected = Buffer.from(sign(reference));
+  return signature.length === expected.length && crypto.timingSafeEqual(signature, expected)
+    ? reference
+    : null;
+};
+
+// Public page that shows the verification result; short enough to fit in a QR code
+const getVerificationUrl = (fine) => {
+  const baseUrl = process.env.VERIFICATION_BASE_URL || process.env.CLIENT_URL || 'http://localhost:3000';
+  return `${baseUrl}/verify/${encodeURIComponent(createVerificationCode(fine.fineId))}`;
+};
+
+module.exports = {
+  createVerificationCode,
+  readVerificationCode,
+  getVerificationUrl
+};
@@ -0,0 +1,38 @@
+// Errors thrown by models and services. Each carries the `statusCode` and
+// `error` code that the error handler middleware sends back to the client.
+
+class InvalidStatusTransitionError extends Error {
+  constructor(from, to) {
+    super(`Fine status cannot change from ${from} to ${to}`);
+    this.name = 'InvalidStatusTransitionError';
+    this.statusCode = 409;
+    this.error = 'INVALID_STATUS_TRANSITION';
+    this.details = { from, to };
+  }
+}
+
+class UnsupportedFileTypeError extends Error {
+  constructor(mimeType, allowedTypes) {
+    super(`File type ${mimeType} is not allowed`);
+    this.name = 'UnsupportedFileTypeError';
+    this.statusCode = 400;
+    this.error = 'UNSUPPORTED_FILE_TYPE';
+    this.details = { mimeType, allowedTypes };
+  }
+}
+
+class PaymentProviderError extends Error {
+  constructor(provider, message) {
+    super(message);
+    this.name = 'PaymentProviderError';
+    this.statusCode = 502;
+    this.error = 'PAYMENT_PROVIDER_ERROR';
+    this.details = { provider };
+  }
+}
+
+module.exports = {
+  InvalidStatusTransitionError,
+  UnsupportedFileTypeError,
+  PaymentProviderError
+};